@@ -4,59 +4,30 @@
  * This is the main entry point that coordinates all modules and initializes the application.
  * 
  * Module structure:
+ * - utils/store.js - Client-side state store (selection, collapsed folders, feed counts)
  * - utils/csrf.js - CSRF token utilities
  * - utils/toast.js - Toast notification system
  * - utils/dateFormat.js - Date formatting utilities
  * - utils/ui.js - UI utilities (loading overlay, theme, HTML escaping)
+ * - utils/offlineStore.js - IndexedDB storage for offline reading
  * - modules/feeds.js - Feed management
+ * - modules/feedDiscovery.js - Add-feed modal listing the feeds a site offers
  * - modules/items.js - Item management
+ * - modules/itemSelection.js - Multi-select and bulk actions in the items list
  * - modules/folders.js - Folder management
  * - modules/search.js - Search functionality
+ * - modules/savedSearches.js - Saved searches listed as virtual feeds
+ * - modules/feedSettings.js - Per-feed settings dialog
+ * - modules/feedHealth.js - Feed health panel listing failing and stale feeds
+ * - modules/filterRules.js - Filter rules managed in the preferences modal
  * - modules/preferences.js - User preferences
+ * - modules/keyboard.js - Keyboard shortcuts and help overlay
+ * - modules/scrollRead.js - Mark as read on scroll
+ * - modules/offline.js - Service worker, offline indicator and queued change replay
+ * - modules/liveUpdates.js - Live unread counts and new-item banner from the event stream
+ * - modules/mediaPlayer.js - Audio/video player for podcast episodes, with synced playback position
  */
 
-// Global state
-/** @type {number|null} Current selected feed ID */
-let currentFeedId = null;
-
-/** @type {number|null} Current selected item ID */
-let currentItemId = null;
-
-/** @type {Set<number>} Track which folders are collapsed */
-const collapsedFolders = new Set();
-
-// Load collapsed folder state from localStorage
-const loadCollapsedFolders = () => {
-    try {
-        const saved = localStorage.getItem('vibereader_collapsed_folders');
-        if (saved) {
-            const folderIds = JSON.parse(saved);
-            folderIds.forEach(id => collapsedFolders.add(Number(id)));
-        }
-    } catch (e) {
-        console.error('Error loading collapsed folders from localStorage:', e);
-    }
-};
-
-// Save collapsed folder state to localStorage
-const saveCollapsedFolders = () => {
-    try {
-        const folderIds = Array.from(collapsedFolders);
-        localStorage.setItem('vibereader_collapsed_folders', JSON.stringify(folderIds));
-    } catch (e) {
-        console.error('Error saving collapsed folders to localStorage:', e);
-    }
-};
-
-// Load on initialization
-loadCollapsedFolders();
-
-// Make state available globally for modules
-window.currentFeedId = currentFeedId;
-window.currentItemId = currentItemId;
-window.collapsedFolders = collapsedFolders;
-window.saveCollapsedFolders = saveCollapsedFolders;
-
 // Initialize user preferences from server (set in dashboard.php)
 if (typeof hideReadItems === 'undefined') {
     window.hideReadItems = true;
@@ -67,6 +38,12 @@ if (typeof hideFeedsWithNoUnread === 'undefined') {
 if (typeof itemSortOrder === 'undefined') {
     window.itemSortOrder = 'newest';
 }
+if (typeof markReadOnScroll === 'undefined') {
+    window.markReadOnScroll = false;
+}
+if (typeof itemsLayout === 'undefined') {
+    window.itemsLayout = 'compact';
+}
 
 /**
  * Set up all event listeners for user interactions.
@@ -99,40 +76,17 @@ function setupEventListeners() {
         });
     }
 
-    // Add feed button and modal
-    const addFeedBtn = document.getElementById('add-feed-btn');
-    const modal = document.getElementById('add-feed-modal');
-    const closeBtn = modal.querySelector('.close');
-    const addFeedForm = document.getElementById('add-feed-form');
-
-    addFeedBtn.addEventListener('click', () => {
-        modal.classList.add('show');
-    });
-
-    closeBtn.addEventListener('click', () => {
-        modal.classList.remove('show');
-    });
-
-    window.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.classList.remove('show');
-        }
-    });
-
-    addFeedForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        const url = document.getElementById('feed-url').value;
-        if (typeof addFeed === 'function') {
-            await addFeed(url);
-        }
-    });
+    // Add feed button and modal (discovery chooser, set up once)
+    if (typeof setupFeedDiscovery === 'function') {
+        setupFeedDiscovery();
+    }
 
     // Mark all as read button
     const markAllReadBtn = document.getElementById('mark-all-read-btn');
     if (markAllReadBtn) {
         markAllReadBtn.addEventListener('click', async () => {
-            if (window.currentFeedId && typeof markAllAsRead === 'function') {
-                await markAllAsRead(window.currentFeedId);
+            if (getState('currentFeedId') && typeof markAllAsRead === 'function') {
+                await markAllAsRead(getState('currentFeedId'));
             }
         });
     }
@@ -151,8 +105,8 @@ function setupEventListeners() {
     const refreshFeedBtn = document.getElementById('refresh-feed-btn');
     if (refreshFeedBtn) {
         refreshFeedBtn.addEventListener('click', async () => {
-            if (window.currentFeedId && typeof refreshFeed === 'function') {
-                await refreshFeed(window.currentFeedId);
+            if (getState('currentFeedId') && typeof refreshFeed === 'function') {
+                await refreshFeed(getState('currentFeedId'));
             }
         });
     }
@@ -186,6 +140,9 @@ function setupEventListeners() {
     if (preferencesBtn && preferencesModal) {
         preferencesBtn.addEventListener('click', () => {
             loadPreferences();
+            if (typeof loadFilterRules === 'function') {
+                loadFilterRules();
+            }
             preferencesModal.classList.add('show');
         });
 
@@ -207,16 +164,50 @@ function setupEventListeners() {
         });
     }
 
+    // Feeds list clicks and in-place updates (delegation on list, set up once)
+    if (typeof setupFeedsList === 'function') {
+        setupFeedsList(document.getElementById('feeds-list'));
+    }
+
+    // Saved search entries update in place (set up once)
+    if (typeof setupSavedSearches === 'function') {
+        setupSavedSearches();
+    }
+
     // Feed drag-and-drop reorder (delegation on list, set up once)
     if (typeof setupFeedDragDrop === 'function') {
         setupFeedDragDrop(document.getElementById('feeds-list'));
     }
 
+    // Bulk action bar for selected items (set up once)
+    if (typeof setupItemSelection === 'function') {
+        setupItemSelection();
+    }
+
+    // Feed settings dialog (set up once)
+    if (typeof setupFeedSettings === 'function') {
+        setupFeedSettings();
+    }
+
+    // Feed health panel (set up once)
+    if (typeof setupFeedHealth === 'function') {
+        setupFeedHealth();
+    }
+
+    // Filter rules in the preferences modal (set up once)
+    if (typeof setupFilterRules === 'function') {
+        setupFilterRules();
+    }
+
     // Search functionality
     const searchInput = document.getElementById('search-input');
     let searchTimeout = null;
 
     if (searchInput) {
+        if (typeof setupSearchHints === 'function') {
+            setupSearchHints(searchInput);
+        }
+
         searchInput.addEventListener('input', (e) => {
             const query = e.target.value.trim();
             
@@ -245,6 +236,31 @@ function setupEventListeners() {
         });
     }
 
+    // Keyboard shortcuts
+    if (typeof setupKeyboardShortcuts === 'function') {
+        setupKeyboardShortcuts();
+    }
+
+    // Mark as read on scroll
+    if (typeof setupScrollRead === 'function') {
+        setupScrollRead();
+    }
+
+    // Offline reading
+    if (typeof setupOfflineSupport === 'function') {
+        setupOfflineSupport();
+    }
+
+    // Live feed updates from the worker (set up once)
+    if (typeof setupLiveUpdates === 'function') {
+        setupLiveUpdates();
+    }
+
+    // Save the media playback position when the page is left (set up once)
+    if (typeof setupMediaPlayerPersistence === 'function') {
+        setupMediaPlayerPersistence();
+    }
+
     // OPML Export
     const exportOpmlBtn = document.getElementById('export-opml-btn');
     if (exportOpmlBtn) {
@@ -279,6 +295,9 @@ function setupEventListeners() {
                     if (result.skipped > 0) {
                         message += ` ${result.skipped} feed(s) were skipped (already exist).`;
                     }
+                    if (result.saved_searches > 0) {
+                        message += ` Restored ${result.saved_searches} saved search(es).`;
+                    }
                     if (result.errors && result.errors.length > 0) {
                         message += '\n\nErrors:\n' + result.errors.join('\n');
                     }
@@ -304,7 +323,7 @@ function setupEventListeners() {
 }
 
 // Note: selectFeed and selectItem are defined in modules/items.js
-// They update window.currentFeedId and window.currentItemId directly
+// They update currentFeedId and currentItemId in the store (utils/store.js)
 
 /**
  * Initialize the application when DOM is loaded.
@@ -0,0 +1,253 @@
+/**
+ * Feed discovery module.
+ *
+ * Handles the add-feed modal: the URL entered is sent to the discovery
+ * endpoint, which lists every feed the site offers (e.g. posts, comments,
+ * per-tag feeds) with its type, title and latest item titles. The user picks
+ * the feeds to subscribe to and the folder to put them in.
+ *
+ * Dependencies:
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showSuccess)
+ * - utils/ui.js (escapeHtml, decodeHtmlEntities)
+ * - modules/feeds.js (addFeed, loadFeeds)
+ * - modules/folders.js (listFoldersAsTree)
+ * - modules/items.js (selectFeed)
+ */
+
+/** Labels of the feed types returned by discovery */
+const FEED_TYPE_LABELS = {
+    rss: 'RSS',
+    atom: 'Atom',
+    json: 'JSON'
+};
+
+/** Candidates listed in the add-feed modal */
+let feedCandidates = [];
+
+/**
+ * Find the feeds offered at the URL entered in the add-feed modal.
+ *
+ * @param {string} url - Website or feed URL
+ */
+async function discoverFeeds(url) {
+    const form = document.getElementById('add-feed-form');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Finding feeds...';
+
+    try {
+        const formData = new FormData();
+        formData.append('url', url);
+
+        const [response, folders] = await Promise.all([
+            fetch('/feeds/discover', addCsrfToken({
+                method: 'POST',
+                body: formData
+            })),
+            fetchFeedCandidateFolders()
+        ]);
+
+        const result = await response.json();
+
+        if (result.success) {
+            feedCandidates = result.feeds || [];
+            renderFeedCandidates(feedCandidates, folders);
+        } else {
+            showError('Error: ' + (result.error || 'Failed to find feeds'));
+        }
+    } catch (error) {
+        console.error('Error discovering feeds:', error);
+        showError('Error finding feeds. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Find Feeds';
+    }
+}
+
+/**
+ * Fetch the folders new feeds can be put in.
+ *
+ * @returns {Promise<Array>} Folders (empty if they couldn't be loaded)
+ */
+async function fetchFeedCandidateFolders() {
+    try {
+        const response = await fetch('/folders');
+        const result = await response.json();
+        return result.success ? (result.folders || []) : [];
+    } catch (error) {
+        console.error('Error loading folders:', error);
+        return [];
+    }
+}
+
+/**
+ * Show the discovered feeds and the folder choice in the add-feed modal.
+ *
+ * The first feed the user isn't subscribed to yet is selected.
+ *
+ * @param {Array} candidates - Discovered feeds ({ url, type, title, items, subscribed })
+ * @param {Array} folders - The user's folders ({ id, parent_id, name })
+ */
+function renderFeedCandidates(candidates, folders) {
+    const list = document.getElementById('feed-candidates-list');
+    const firstNew = candidates.findIndex(candidate => !candidate.subscribed);
+
+    list.innerHTML = candidates.map((candidate, index) => `
+        <label class="feed-candidate ${candidate.subscribed ? 'subscribed' : ''}">
+            <input type="checkbox" value="${index}" ${index === firstNew ? 'checked' : ''} ${candidate.subscribed ? 'disabled' : ''}>
+            <div class="feed-candidate-info">
+                <div class="feed-candidate-title">
+                    ${escapeHtml(decodeHtmlEntities(candidate.title))}
+                    <span class="feed-candidate-type">${FEED_TYPE_LABELS[candidate.type] || escapeHtml(candidate.type)}</span>
+                    ${candidate.subscribed ? '<span class="feed-candidate-subscribed">Subscribed</span>' : ''}
+                </div>
+                <small class="feed-candidate-url">${escapeHtml(candidate.url)}</small>
+                ${renderFeedCandidateItems(candidate.items || [])}
+            </div>
+        </label>
+    `).join('');
+
+    const folderSelect = document.getElementById('add-feed-folder');
+    folderSelect.innerHTML = '<option value="">No folder</option>' + listFoldersAsTree(folders).map(folder =>
+        `<option value="${folder.id}">${escapeHtml(folder.path)}</option>`
+    ).join('');
+
+    document.getElementById('feed-candidates').hidden = false;
+    updateFeedSubscribeButton();
+}
+
+/**
+ * Render the latest item titles of a discovered feed.
+ *
+ * @param {Array<string>} items - Item titles
+ * @returns {string} HTML string
+ */
+function renderFeedCandidateItems(items) {
+    if (items.length === 0) {
+        return '<div class="feed-candidate-empty">No items yet</div>';
+    }
+    return '<ul class="feed-candidate-items">' +
+        items.map(title => `<li>${escapeHtml(decodeHtmlEntities(title || 'Untitled'))}</li>`).join('') +
+        '</ul>';
+}
+
+/**
+ * Enable the subscribe button when feeds are selected, and show how many.
+ */
+function updateFeedSubscribeButton() {
+    const count = getSelectedFeedCandidates().length;
+    const btn = document.getElementById('add-feed-subscribe-btn');
+    btn.disabled = count === 0;
+    btn.textContent = count > 1 ? `Subscribe to ${count} feeds` : 'Subscribe';
+}
+
+/**
+ * Get the discovered feeds selected in the add-feed modal.
+ *
+ * @returns {Array} Selected candidates
+ */
+function getSelectedFeedCandidates() {
+    return Array.from(document.querySelectorAll('#feed-candidates-list input:checked'))
+        .map(input => feedCandidates[parseInt(input.value, 10)])
+        .filter(Boolean);
+}
+
+/**
+ * Subscribe to the selected feeds, in the selected folder.
+ *
+ * Feeds are added one at a time; the modal closes once at least one was added
+ * and the first one added is opened.
+ */
+async function subscribeToSelectedFeeds() {
+    const selected = getSelectedFeedCandidates();
+    if (selected.length === 0) return;
+
+    const folderValue = document.getElementById('add-feed-folder').value;
+    const folderId = folderValue ? parseInt(folderValue, 10) : null;
+    const btn = document.getElementById('add-feed-subscribe-btn');
+    btn.disabled = true;
+    btn.textContent = 'Subscribing...';
+
+    const addedFeedIds = [];
+    for (const candidate of selected) {
+        try {
+            const result = await addFeed(candidate.url, folderId);
+            if (result.success) {
+                addedFeedIds.push(result.feed_id);
+            } else {
+                showError(`Error adding "${decodeHtmlEntities(candidate.title)}": ` + (result.error || 'Failed to add feed'));
+            }
+        } catch (error) {
+            console.error('Error adding feed:', error);
+            showError(`Error adding "${decodeHtmlEntities(candidate.title)}". Please try again.`);
+        }
+    }
+
+    if (addedFeedIds.length === 0) {
+        updateFeedSubscribeButton();
+        return;
+    }
+
+    closeAddFeedModal();
+    if (addedFeedIds.length > 1) {
+        showSuccess(`Subscribed to ${addedFeedIds.length} feeds`);
+    }
+    if (typeof loadFeeds === 'function') {
+        await loadFeeds();
+    }
+    if (typeof selectFeed === 'function') {
+        selectFeed(Number(addedFeedIds[0]));
+    }
+}
+
+/**
+ * Clear the add-feed modal back to the URL step.
+ */
+function resetAddFeedModal() {
+    feedCandidates = [];
+    document.getElementById('add-feed-form').reset();
+    document.getElementById('feed-candidates-list').innerHTML = '';
+    document.getElementById('feed-candidates').hidden = true;
+}
+
+/**
+ * Close the add-feed modal.
+ */
+function closeAddFeedModal() {
+    document.getElementById('add-feed-modal').classList.remove('show');
+    resetAddFeedModal();
+}
+
+/**
+ * Set up the add-feed modal (set up once).
+ */
+function setupFeedDiscovery() {
+    const modal = document.getElementById('add-feed-modal');
+    const form = document.getElementById('add-feed-form');
+    if (!modal || !form) return;
+
+    document.getElementById('add-feed-btn').addEventListener('click', () => {
+        resetAddFeedModal();
+        modal.classList.add('show');
+        document.getElementById('feed-url').focus();
+    });
+
+    modal.querySelector('.close').addEventListener('click', closeAddFeedModal);
+
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeAddFeedModal();
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        document.getElementById('feed-candidates').hidden = true;
+        await discoverFeeds(document.getElementById('feed-url').value.trim());
+    });
+
+    document.getElementById('feed-candidates-list').addEventListener('change', updateFeedSubscribeButton);
+    document.getElementById('add-feed-subscribe-btn').addEventListener('click', subscribeToSelectedFeeds);
+}
@@ -0,0 +1,205 @@
+/**
+ * Feed health module.
+ *
+ * Handles the feed health panel, which lists failing feeds (their latest
+ * updates failed) and stale feeds (not updated for a while) with the last
+ * error, HTTP status and last successful update. Each feed can be retried,
+ * have its URL edited in the feed settings dialog, or be unsubscribed.
+ *
+ * Dependencies:
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showSuccess)
+ * - utils/dateFormat.js (formatDate)
+ * - utils/ui.js (escapeHtml, decodeHtmlEntities)
+ * - modules/feeds.js (deleteFeed, refreshUnreadCounts)
+ * - modules/feedSettings.js (openFeedSettings)
+ */
+
+/**
+ * Open the feed health panel.
+ */
+async function openFeedHealth() {
+    document.getElementById('feed-health-modal').classList.add('show');
+    await loadFeedHealth();
+}
+
+/**
+ * Load the failing and stale feeds into the feed health panel.
+ */
+async function loadFeedHealth() {
+    const list = document.getElementById('feed-health-list');
+    if (!list) return;
+
+    try {
+        const response = await fetch('/feeds/health');
+        const result = await response.json();
+
+        if (result.success) {
+            renderFeedHealthList(result.feeds || []);
+        } else {
+            list.innerHTML = '<div class="feed-health-empty">Could not load feed health</div>';
+        }
+    } catch (error) {
+        console.error('Error loading feed health:', error);
+        list.innerHTML = '<div class="feed-health-empty">Could not load feed health</div>';
+    }
+}
+
+/**
+ * Render the feeds listed in the feed health panel.
+ *
+ * @param {Array} feeds - Failing and stale feeds from the server
+ */
+function renderFeedHealthList(feeds) {
+    const list = document.getElementById('feed-health-list');
+
+    if (feeds.length === 0) {
+        list.innerHTML = '<div class="feed-health-empty">All feeds are updating normally</div>';
+        return;
+    }
+
+    list.innerHTML = feeds.map(feed => `
+        <div class="feed-health-entry health-${feed.health === 'failing' ? 'failing' : 'stale'}" data-feed-id="${feed.id}">
+            <div class="feed-health-info">
+                <div class="feed-health-title">${escapeHtml(decodeHtmlEntities(feed.title))}</div>
+                <div class="feed-health-message">${escapeHtml(feed.health_message || '')}</div>
+                <small class="feed-health-details">${formatFeedHealthDetails(feed)}</small>
+            </div>
+            <div class="feed-health-actions">
+                <button type="button" class="btn btn-secondary btn-sm feed-health-retry-btn" data-feed-id="${feed.id}">Retry</button>
+                <button type="button" class="btn btn-secondary btn-sm feed-health-edit-btn" data-feed-id="${feed.id}">Edit URL</button>
+                <button type="button" class="btn btn-secondary btn-sm feed-health-delete-btn" data-feed-id="${feed.id}">Unsubscribe</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Describe a feed's URL, last successful update, HTTP status and activity.
+ *
+ * @param {Object} feed - Feed from the feed health list
+ * @returns {string} HTML string
+ */
+function formatFeedHealthDetails(feed) {
+    const details = [escapeHtml(feed.url)];
+    details.push(feed.last_success_at
+        ? `Last updated ${escapeHtml(formatDate(feed.last_success_at))}`
+        : 'Never updated');
+    if (feed.last_http_status && Number(feed.last_http_status) !== 200) {
+        details.push(`HTTP ${parseInt(feed.last_http_status, 10)}`);
+    }
+    if (feed.items_per_week !== null && feed.items_per_week !== undefined) {
+        details.push(`${Number(feed.items_per_week)} items/week`);
+    }
+    return details.join(' • ');
+}
+
+/**
+ * Fetch a feed right away and reload the panel.
+ *
+ * @param {number} feedId - Feed ID
+ * @param {HTMLButtonElement} btn - The retry button (disabled while fetching)
+ */
+async function retryFeedHealth(feedId, btn) {
+    btn.disabled = true;
+    try {
+        const formData = new FormData();
+        formData.append('immediate', 'true');
+
+        const response = await fetch(`/feeds/${feedId}/fetch`, addCsrfToken({ method: 'POST', body: formData }));
+        const result = await response.json();
+
+        if (result.success) {
+            showSuccess('Feed updated');
+        } else {
+            showError('Error: ' + (result.error || 'Failed to fetch feed'));
+        }
+    } catch (error) {
+        console.error('Error retrying feed:', error);
+        showError('Error retrying feed. Please try again.');
+    } finally {
+        btn.disabled = false;
+        await loadFeedHealth();
+        if (typeof refreshUnreadCounts === 'function') {
+            refreshUnreadCounts();
+        }
+    }
+}
+
+/**
+ * Open a feed's settings dialog with its URL selected for editing.
+ *
+ * @param {number} feedId - Feed ID
+ */
+async function editFeedHealthUrl(feedId) {
+    if (typeof openFeedSettings !== 'function') return;
+
+    closeFeedHealth();
+    await openFeedSettings(feedId);
+    const urlInput = document.getElementById('feed-settings-url');
+    if (urlInput) {
+        urlInput.focus();
+        urlInput.select();
+    }
+}
+
+/**
+ * Unsubscribe from a feed listed in the panel (with the usual undo toast).
+ *
+ * @param {number} feedId - Feed ID
+ */
+async function unsubscribeFeedHealth(feedId) {
+    const entry = document.querySelector(`#feed-health-list .feed-health-entry[data-feed-id="${feedId}"]`);
+    if (entry) entry.remove();
+
+    if (typeof deleteFeed === 'function') {
+        await deleteFeed(feedId);
+    }
+
+    const list = document.getElementById('feed-health-list');
+    if (list && !list.querySelector('.feed-health-entry')) {
+        renderFeedHealthList([]);
+    }
+}
+
+/**
+ * Close the feed health panel.
+ */
+function closeFeedHealth() {
+    document.getElementById('feed-health-modal').classList.remove('show');
+}
+
+/**
+ * Set up the feed health panel and its button (set up once).
+ */
+function setupFeedHealth() {
+    const modal = document.getElementById('feed-health-modal');
+    const list = document.getElementById('feed-health-list');
+    if (!modal || !list) return;
+
+    const btn = document.getElementById('feed-health-btn');
+    if (btn) {
+        btn.addEventListener('click', openFeedHealth);
+    }
+
+    document.getElementById('feed-health-close').addEventListener('click', closeFeedHealth);
+
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeFeedHealth();
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const retryBtn = e.target.closest('.feed-health-retry-btn');
+        const editBtn = e.target.closest('.feed-health-edit-btn');
+        const deleteBtn = e.target.closest('.feed-health-delete-btn');
+        if (retryBtn) {
+            retryFeedHealth(parseInt(retryBtn.dataset.feedId, 10), retryBtn);
+        } else if (editBtn) {
+            editFeedHealthUrl(parseInt(editBtn.dataset.feedId, 10));
+        } else if (deleteBtn) {
+            unsubscribeFeedHealth(parseInt(deleteBtn.dataset.feedId, 10));
+        }
+    });
+}
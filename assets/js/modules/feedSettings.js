@@ -0,0 +1,197 @@
+/**
+ * Feed settings module.
+ *
+ * Handles the per-feed settings dialog opened from a feed's ⚙ button: custom
+ * title, feed URL, refresh interval, sort order, read items, items layout,
+ * retention, always loading the full article, and pausing updates. Empty settings use
+ * the user's preferences or the global defaults.
+ *
+ * Dependencies:
+ * - utils/store.js (getState, getFeedState)
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showSuccess)
+ * - utils/ui.js (showLoadingOverlay, hideLoadingOverlay)
+ * - modules/feeds.js (loadFeeds)
+ * - modules/items.js (loadFeedItems, updatePaneHeaderActions)
+ */
+
+/** Feed whose settings are shown in the dialog */
+let feedSettingsFeedId = null;
+
+/**
+ * Open the settings dialog for a feed.
+ *
+ * @param {number} feedId - Feed ID
+ */
+async function openFeedSettings(feedId) {
+    try {
+        const response = await fetch(`/feeds/${feedId}/settings`);
+        const result = await response.json();
+
+        if (!result.success) {
+            showError('Error: ' + (result.error || 'Failed to load feed settings'));
+            return;
+        }
+
+        feedSettingsFeedId = feedId;
+        fillFeedSettingsForm(result.settings, result.defaults || {});
+        document.getElementById('feed-settings-modal').classList.add('show');
+    } catch (error) {
+        console.error('Error loading feed settings:', error);
+        showError('Error loading feed settings. Please try again.');
+    }
+}
+
+/**
+ * Fill the settings dialog with a feed's settings.
+ *
+ * @param {Object} settings - Feed settings from the server
+ * @param {Object} defaults - Values used for settings that are not set
+ */
+function fillFeedSettingsForm(settings, defaults) {
+    const titleInput = document.getElementById('feed-settings-title');
+    titleInput.value = settings.custom_title || '';
+    titleInput.placeholder = settings.custom_title ? '' : (settings.title || '');
+
+    document.getElementById('feed-settings-url').value = settings.url || '';
+
+    const intervalSelect = document.getElementById('feed-settings-refresh-interval');
+    // Intervals set through the API may not have an option yet
+    if (settings.refresh_interval && !intervalSelect.querySelector(`option[value="${settings.refresh_interval}"]`)) {
+        intervalSelect.add(new Option(`Every ${settings.refresh_interval} minutes`, String(settings.refresh_interval)));
+    }
+    intervalSelect.value = settings.refresh_interval ? String(settings.refresh_interval) : '';
+
+    const sortSelect = document.getElementById('feed-settings-sort-order');
+    sortSelect.value = settings.item_sort_order || '';
+    sortSelect.options[0].textContent = `Default (${defaults.item_sort_order === 'oldest' ? 'oldest' : 'newest'} first)`;
+
+    const hideReadSelect = document.getElementById('feed-settings-hide-read');
+    hideReadSelect.value = settings.hide_read_items === null ? '' : (settings.hide_read_items ? '1' : '0');
+    hideReadSelect.options[0].textContent = `Default (${defaults.hide_read_items ? 'hide' : 'show'} read items)`;
+
+    const layoutSelect = document.getElementById('feed-settings-items-layout');
+    layoutSelect.value = settings.items_layout || '';
+    layoutSelect.options[0].textContent = `Default (${defaults.items_layout || 'compact'})`;
+
+    const retentionDays = document.getElementById('feed-settings-retention-days');
+    retentionDays.value = settings.retention_days || '';
+    retentionDays.placeholder = defaults.retention_days ? `${defaults.retention_days} days` : 'Days';
+
+    const retentionCount = document.getElementById('feed-settings-retention-count');
+    retentionCount.value = settings.retention_count || '';
+    retentionCount.placeholder = defaults.retention_count ? `${defaults.retention_count} items` : 'No item limit';
+
+    document.getElementById('feed-settings-full-article').checked = !!settings.always_load_full_article;
+    document.getElementById('feed-settings-paused').checked = !!settings.paused;
+}
+
+/**
+ * Read the settings dialog.
+ *
+ * @returns {Object} Settings as sent to the server (null for defaults)
+ */
+function collectFeedSettings() {
+    const optionalNumber = id => {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : parseInt(value, 10);
+    };
+    const hideRead = document.getElementById('feed-settings-hide-read').value;
+
+    return {
+        custom_title: document.getElementById('feed-settings-title').value.trim() || null,
+        url: document.getElementById('feed-settings-url').value.trim(),
+        refresh_interval: optionalNumber('feed-settings-refresh-interval'),
+        item_sort_order: document.getElementById('feed-settings-sort-order').value || null,
+        hide_read_items: hideRead === '' ? null : hideRead === '1',
+        items_layout: document.getElementById('feed-settings-items-layout').value || null,
+        retention_days: optionalNumber('feed-settings-retention-days'),
+        retention_count: optionalNumber('feed-settings-retention-count'),
+        always_load_full_article: document.getElementById('feed-settings-full-article').checked,
+        paused: document.getElementById('feed-settings-paused').checked
+    };
+}
+
+/**
+ * Save the settings dialog and apply the changes to the feeds and items lists.
+ */
+async function saveFeedSettings() {
+    const feedId = feedSettingsFeedId;
+    if (!feedId) return;
+
+    const settings = collectFeedSettings();
+    const feed = getFeedState(feedId);
+    const urlChanged = !feed || feed.url !== settings.url;
+
+    // A new URL is loaded before the settings are saved
+    if (urlChanged) {
+        showLoadingOverlay('Loading feed...');
+    }
+
+    try {
+        const response = await fetch(`/feeds/${feedId}/settings`, addCsrfToken({
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(settings)
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            closeFeedSettings();
+            showSuccess('Feed settings saved');
+            await loadFeeds();
+
+            if (getState('currentFeedId') === feedId) {
+                document.getElementById('items-title').textContent = result.settings.title;
+                if (typeof updatePaneHeaderActions === 'function') {
+                    updatePaneHeaderActions(undefined);
+                }
+                if (typeof loadFeedItems === 'function') {
+                    await loadFeedItems(feedId);
+                }
+            }
+        } else {
+            showError('Error: ' + (result.error || 'Failed to save feed settings'));
+        }
+    } catch (error) {
+        console.error('Error saving feed settings:', error);
+        showError('Error saving feed settings. Please try again.');
+    } finally {
+        if (urlChanged) {
+            hideLoadingOverlay();
+        }
+    }
+}
+
+/**
+ * Close the settings dialog.
+ */
+function closeFeedSettings() {
+    document.getElementById('feed-settings-modal').classList.remove('show');
+    feedSettingsFeedId = null;
+}
+
+/**
+ * Set up the feed settings dialog (set up once).
+ */
+function setupFeedSettings() {
+    const modal = document.getElementById('feed-settings-modal');
+    const form = document.getElementById('feed-settings-form');
+    if (!modal || !form) return;
+
+    document.getElementById('feed-settings-close').addEventListener('click', closeFeedSettings);
+
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeFeedSettings();
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveFeedSettings();
+    });
+}
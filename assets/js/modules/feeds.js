@@ -1,93 +1,398 @@
 /**
  * Feed management module.
  * 
- * Handles feed loading, rendering, refreshing, adding, deleting, and drag-and-drop reordering.
+ * Handles feed loading, rendering, refreshing, adding, deleting, and reordering feeds and
+ * folders by drag-and-drop or with Alt+arrow keys. Folders can be nested; a folder's
+ * unread count includes its subfolders.
+ * The feeds list is rendered once per load; clicks are handled by delegation and
+ * unread counts are updated in place from store events.
  * 
  * Dependencies:
+ * - utils/store.js (getState, onStateChange, setFolderCollapsed, isFolderCollapsed, feed state functions)
  * - utils/csrf.js (addCsrfToken)
- * - utils/toast.js (showError)
+ * - utils/toast.js (showToast, showError, showUndoToast)
  * - utils/ui.js (escapeHtml)
  * - modules/items.js (selectFeed, loadFeedItems)
- * - modules/folders.js (updateFolderName, deleteFolder, assignFeedToFolder)
+ * - modules/folders.js (updateFolderName, deleteFolder, saveFolderOrder)
+ * - modules/feedSettings.js (openFeedSettings)
+ * - modules/feedHealth.js (openFeedHealth)
+ * - modules/savedSearches.js (fetchSavedSearches, getSavedSearchVirtualFeed, renderSavedSearchItem, handleSavedSearchClick)
  */
 
-// Global state (shared with app.js)
-// currentFeedId, collapsedFolders are defined in app.js
+/**
+ * Virtual feeds pinned at the top of the feeds list. Their IDs are strings,
+ * so they never collide with numeric feed IDs.
+ *
+ * - actions: pane header buttons shown for the view ('refresh', 'sort', 'hideRead', 'markAllRead')
+ * - markAllReadEndpoint: endpoint used by "Mark all as read", if supported
+ * - paginated: false to load only the first page (e.g. the last N read items)
+ * - showsNewItems: true if items the worker fetches show up in the view (see liveUpdates.js)
+ */
+const VIRTUAL_FEEDS = [
+    {
+        id: 'unread',
+        title: 'All unread',
+        icon: '●',
+        endpoint: '/items/unread',
+        markAllReadEndpoint: '/items/unread/mark-all-read',
+        actions: ['refresh', 'sort', 'markAllRead'],
+        paginated: true,
+        showsNewItems: true
+    },
+    {
+        id: 'today',
+        title: 'Today',
+        icon: '☀',
+        endpoint: '/items/today',
+        markAllReadEndpoint: '/items/today/mark-all-read',
+        actions: ['refresh', 'sort', 'hideRead', 'markAllRead'],
+        paginated: true,
+        showsNewItems: true
+    },
+    {
+        id: 'starred',
+        title: 'Starred',
+        icon: '★',
+        endpoint: '/items/starred',
+        actions: [],
+        paginated: true
+    },
+    {
+        id: 'recently-read',
+        title: 'Recently read',
+        icon: '↺',
+        endpoint: '/items/recently-read',
+        actions: [],
+        paginated: false
+    }
+];
+
+/** Prefix of the virtual feed IDs used for folder streams (e.g. "folder:12") */
+const FOLDER_FEED_PREFIX = 'folder:';
+
+/**
+ * Look up a virtual feed by ID.
+ * 
+ * Folder streams ("folder:<id>") merge the items of every feed in a folder
+ * and are built on demand, as are saved searches ("saved-search:<id>").
+ * 
+ * @param {number|string|null} feedId - Feed ID
+ * @returns {Object|undefined} Virtual feed definition, or undefined for real feeds
+ */
+function getVirtualFeed(feedId) {
+    if (typeof feedId === 'string' && feedId.startsWith(FOLDER_FEED_PREFIX)) {
+        const folderId = parseInt(feedId.slice(FOLDER_FEED_PREFIX.length), 10);
+        const folderName = document.querySelector(`.folder-header[data-folder-id="${folderId}"] .folder-name`);
+        return {
+            id: feedId,
+            folderId,
+            title: folderName ? folderName.textContent : 'Folder',
+            endpoint: `/folders/${folderId}/items`,
+            markAllReadEndpoint: `/folders/${folderId}/mark-all-read`,
+            actions: ['refresh', 'sort', 'hideRead', 'markAllRead'],
+            paginated: true
+        };
+    }
+    if (typeof getSavedSearchVirtualFeed === 'function') {
+        const savedSearchFeed = getSavedSearchVirtualFeed(feedId);
+        if (savedSearchFeed) {
+            return savedSearchFeed;
+        }
+    }
+    return VIRTUAL_FEEDS.find(feed => feed.id === feedId);
+}
+
+/**
+ * Parse a feed ID from a data attribute (numeric for real feeds, string for virtual feeds).
+ * 
+ * @param {string} value - Raw data-feed-id value
+ * @returns {number|string} Feed ID
+ */
+function parseFeedId(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : String(value);
+}
+
+/**
+ * Feeds, folders and saved searches deleted in the UI whose deletion can still
+ * be undone. They are hidden from the feeds list until the deletion is committed.
+ */
+const pendingDeletions = {
+    feeds: new Set(),
+    folders: new Set(),
+    savedSearches: new Set()
+};
+
+/** Feed or folder being dragged in the feeds list ({ type: 'feed'|'folder', id, element }) */
+let draggedFeedsListEntry = null;
+
+/** Where the dragged entry would be dropped ({ folderId, reference, position }), or null */
+let feedsListDropTarget = null;
 
 /**
  * Load all feeds and folders from the API.
  */
 async function loadFeeds() {
     try {
-        // Fetch both feeds and folders
-        const [feedsResponse, foldersResponse] = await Promise.all([
+        // Fetch feeds, folders and saved searches
+        const [feedsResponse, foldersResponse, savedSearches] = await Promise.all([
             fetch('/api/feeds'),
-            fetch('/folders')
+            fetch('/folders'),
+            typeof fetchSavedSearches === 'function' ? fetchSavedSearches() : []
         ]);
         
         if (!feedsResponse.ok || !foldersResponse.ok) {
             throw new Error('Failed to fetch feeds or folders');
         }
         
-        const feeds = await feedsResponse.json();
         const foldersResult = await foldersResponse.json();
-        const folders = foldersResult.success ? (foldersResult.folders || []) : [];
+        const allFolders = foldersResult.success ? (foldersResult.folders || []) : [];
+        // Subfolders of a folder pending deletion are deleted with it
+        const deletedFolderIds = getFolderSubtreeIds(allFolders, pendingDeletions.folders);
+        const folders = allFolders.filter(folder => !deletedFolderIds.has(Number(folder.id)));
+        // Feeds of a folder pending deletion are shown at the root, as after the deletion
+        const feeds = (await feedsResponse.json())
+            .filter(feed => !pendingDeletions.feeds.has(Number(feed.id)))
+            .map(feed => deletedFolderIds.has(Number(feed.folder_id))
+                ? { ...feed, folder_id: null, folder_name: null }
+                : feed);
         
+        setFeedsState(feeds);
+        setSavedSearchesState(savedSearches.filter(savedSearch => !pendingDeletions.savedSearches.has(Number(savedSearch.id))));
+
         // Merge feeds with folders to show empty folders too
-        renderFeeds(feeds, folders);
-        
-        // Re-setup drag and drop after rendering
-        if (typeof setupFeedDragDrop === 'function') {
-            setupFeedDragDrop(document.getElementById('feeds-list'));
-        }
+        renderFeeds(getFeedsState(), folders);
     } catch (error) {
         console.error('Error loading feeds:', error);
     }
 }
 
 /**
- * Refresh all feeds by fetching latest content.
+ * Reload feed counts, health and icons from the server and update them in the feeds list in place.
+ * 
+ * Falls back to a full reload if feeds were added or removed elsewhere.
+ */
+async function refreshUnreadCounts() {
+    try {
+        const response = await fetch('/api/feeds');
+        if (!response.ok) {
+            throw new Error('Failed to fetch feeds');
+        }
+
+        const feeds = (await response.json())
+            .filter(feed => !pendingDeletions.feeds.has(Number(feed.id)));
+        if (feeds.some(feed => !getFeedState(feed.id))) {
+            await loadFeeds();
+            return;
+        }
+
+        const returnedIds = new Set(feeds.map(feed => Number(feed.id)));
+        const missing = getFeedsState().filter(feed => !returnedIds.has(feed.id));
+        if (missing.length > 0 && !window.hideFeedsWithNoUnread) {
+            await loadFeeds();
+            return;
+        }
+
+        // Feeds left out because they have no unread items stay listed until the next full reload
+        missing.forEach(feed => updateFeedState(feed.id, { unread_count: 0 }));
+        feeds.forEach(feed => {
+            const current = getFeedState(feed.id);
+            const itemCount = parseInt(feed.item_count, 10) || 0;
+            const unreadCount = parseInt(feed.unread_count, 10) || 0;
+            if (current.item_count !== itemCount || current.unread_count !== unreadCount
+                || current.health !== feed.health || current.health_message !== feed.health_message
+                || current.has_icon !== feed.has_icon) {
+                updateFeedState(feed.id, {
+                    item_count: itemCount,
+                    unread_count: unreadCount,
+                    health: feed.health,
+                    health_message: feed.health_message,
+                    has_icon: feed.has_icon
+                });
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing unread counts:', error);
+    }
+}
+
+/** Milliseconds between progress checks while the worker refreshes all feeds */
+const REFRESH_ALL_POLL_INTERVAL = 1500;
+
+/** Stop waiting for the worker if a refresh makes no progress for this long (milliseconds) */
+const REFRESH_ALL_STALL_TIMEOUT = 120000;
+
+/** The running "refresh all", so another request waits for it instead of starting a second one */
+let refreshAllPromise = null;
+
+/**
+ * Refresh all feeds (except paused ones) by fetching latest content.
+ * 
+ * The server queues one batch of fetch jobs (or returns the batch that is
+ * already running); a progress bar in the feeds pane header shows how far it
+ * got. Feeds that fail to update are reported in a toast linking to the feed
+ * health panel.
+ * 
+ * @returns {Promise<void>} Resolves when the refresh is finished
  */
-async function refreshAllFeeds() {
+function refreshAllFeeds() {
+    if (!refreshAllPromise) {
+        refreshAllPromise = runRefreshAll().finally(() => {
+            refreshAllPromise = null;
+        });
+    }
+    return refreshAllPromise;
+}
+
+/**
+ * Queue the "refresh all" batch and wait for it to finish.
+ * 
+ * With background jobs enabled the worker fetches the feeds and the batch
+ * progress is polled; otherwise the batch's jobs are run from here, at most
+ * `concurrency` (set by the server) at a time.
+ */
+async function runRefreshAll() {
     const btn = document.getElementById('refresh-all-btn');
     if (btn) btn.disabled = true;
     try {
-        const response = await fetch('/api/feeds');
-        const feeds = await response.json();
-        if (feeds.length === 0) return;
-        // Fetch each feed in the background (don't await, run in parallel)
-        // Use immediate=true to force synchronous refresh even if background jobs are enabled
-        await Promise.all(feeds.map(feed => {
-            // Create FormData with immediate flag first
-            const formData = new FormData();
-            formData.append('immediate', 'true');
-            
-            // Then add CSRF token
-            const options = addCsrfToken({ method: 'POST', body: formData });
-            
-            return fetch(`/feeds/${feed.id}/fetch`, options).catch(() => {});
-        }));
-        // Reload feeds list to show updated counts
-        if (typeof loadFeeds === 'function') {
-            loadFeeds();
+        const response = await fetch('/feeds/refresh-all', addCsrfToken({ method: 'POST' }));
+        const batch = await response.json();
+        if (!batch.success) {
+            throw new Error(batch.error || 'Failed to refresh feeds');
+        }
+        if (!batch.batch_id) return;
+
+        renderRefreshProgress(batch);
+        const progress = batch.background
+            ? await waitForRefreshBatch(batch.batch_id, batch)
+            : await runRefreshBatchJobs(batch);
+        if (!progress.finished) {
+            showToast('Feeds are still being refreshed in the background', 'info');
+        }
+
+        // Update counts and health badges in the feeds list
+        refreshUnreadCounts();
+        if (progress.failed > 0) {
+            showToast(
+                progress.failed === 1 ? '1 feed could not be updated' : `${progress.failed} feeds could not be updated`,
+                'error',
+                6000,
+                typeof openFeedHealth === 'function' ? [{ label: 'Details', onClick: openFeedHealth }] : []
+            );
         }
         // Reload current feed items if a feed is selected
-        if (window.currentFeedId && typeof loadFeedItems === 'function') {
-            await loadFeedItems(window.currentFeedId);
+        const currentFeedId = getState('currentFeedId');
+        if (currentFeedId && typeof loadFeedItems === 'function') {
+            await loadFeedItems(currentFeedId);
         }
     } catch (error) {
         console.error('Error refreshing feeds:', error);
     } finally {
+        renderRefreshProgress(null);
         if (btn) btn.disabled = false;
     }
 }
 
+/**
+ * Poll the progress of a batch the worker is processing until it is finished.
+ * 
+ * Gives up if the batch makes no progress for REFRESH_ALL_STALL_TIMEOUT
+ * (e.g. no worker is running).
+ * 
+ * @param {number} batchId - Batch ID
+ * @param {Object} progress - The batch's current progress
+ * @returns {Promise<Object>} The last progress received
+ */
+async function waitForRefreshBatch(batchId, progress) {
+    let lastChangeAt = Date.now();
+    while (!progress.finished && Date.now() - lastChangeAt < REFRESH_ALL_STALL_TIMEOUT) {
+        await new Promise(resolve => setTimeout(resolve, REFRESH_ALL_POLL_INTERVAL));
+        const response = await fetch(`/feeds/refresh-all/${batchId}`);
+        const next = await response.json();
+        if (!next.success) {
+            throw new Error(next.error || 'Failed to get refresh progress');
+        }
+        if (getRefreshDoneCount(next) !== getRefreshDoneCount(progress)) {
+            lastChangeAt = Date.now();
+        }
+        progress = next;
+        renderRefreshProgress(progress);
+    }
+    return progress;
+}
+
+/**
+ * Run the jobs of a batch from the browser (background jobs are disabled).
+ * 
+ * @param {Object} batch - Response of POST /feeds/refresh-all
+ * @returns {Promise<Object>} The most advanced progress received
+ */
+async function runRefreshBatchJobs(batch) {
+    let progress = batch;
+    const runJobs = async () => {
+        let result;
+        do {
+            const response = await fetch(`/feeds/refresh-all/${batch.batch_id}/run`, addCsrfToken({ method: 'POST' }));
+            result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to refresh feeds');
+            }
+            // Parallel requests can finish out of order
+            if (getRefreshDoneCount(result) >= getRefreshDoneCount(progress)) {
+                progress = result;
+                renderRefreshProgress(progress);
+            }
+        } while (result.pending > 0);
+    };
+
+    const runners = Math.min(batch.concurrency || 1, batch.pending);
+    await Promise.all(Array.from({ length: runners }, runJobs));
+    // Jobs taken by another tab running the same batch may still be in progress
+    return progress.finished ? progress : waitForRefreshBatch(batch.batch_id, progress);
+}
+
+/**
+ * Count the finished jobs of a batch.
+ * 
+ * @param {Object} progress - Batch progress
+ * @returns {number} Completed and failed jobs
+ */
+function getRefreshDoneCount(progress) {
+    return progress.completed + progress.failed;
+}
+
+/**
+ * Show "refresh all" progress in the feeds pane header.
+ * 
+ * @param {Object|null} progress - Batch progress (total, pending, processing, completed, failed), or null to hide it
+ */
+function renderRefreshProgress(progress) {
+    const container = document.getElementById('refresh-progress');
+    if (!container) return;
+
+    container.hidden = !progress;
+    if (!progress) return;
+
+    const remaining = progress.pending + progress.processing;
+    const bar = document.getElementById('refresh-progress-bar');
+    bar.max = Math.max(progress.total, 1);
+    bar.value = getRefreshDoneCount(progress);
+    document.getElementById('refresh-progress-text').textContent =
+        `${progress.completed} done · ${progress.failed} failed · ${remaining} remaining`;
+}
+
 /**
  * Refresh a single feed.
  * 
- * @param {number} feedId - The feed ID to refresh
+ * Virtual feeds span all feeds, so refreshing one refreshes every feed.
+ * 
+ * @param {number|string} feedId - The feed ID to refresh
  */
 async function refreshFeed(feedId) {
+    if (getVirtualFeed(feedId)) {
+        await refreshAllFeeds();
+        return;
+    }
+
     const btn = document.getElementById('refresh-feed-btn');
     if (btn) btn.disabled = true;
     try {
@@ -101,12 +406,12 @@ async function refreshFeed(feedId) {
         
         const response = await fetch(`/feeds/${feedId}/fetch`, options);
         const result = await response.json();
-        if (result.success && window.currentFeedId === feedId && typeof loadFeedItems === 'function') {
+        if (!result.success) {
+            showError('Error: ' + (result.error || 'Failed to fetch feed'));
+        } else if (getState('currentFeedId') === feedId && typeof loadFeedItems === 'function') {
             await loadFeedItems(feedId);
         }
-        if (typeof loadFeeds === 'function') {
-            loadFeeds();
-        }
+        refreshUnreadCounts();
     } catch (error) {
         console.error('Error refreshing feed:', error);
     } finally {
@@ -134,11 +439,13 @@ function renderFeeds(feeds, allFolders = []) {
 
     // First, initialize all folders (including empty ones)
     allFolders.forEach(folder => {
-        foldersMap.set(folder.id, {
+        foldersMap.set(Number(folder.id), {
             id: folder.id,
+            parent_id: folder.parent_id ? Number(folder.parent_id) : null,
             name: folder.name,
             sort_order: folder.sort_order || 0,
-            feeds: []
+            feeds: [],
+            subfolders: []
         });
     });
 
@@ -148,9 +455,11 @@ function renderFeeds(feeds, allFolders = []) {
             if (!foldersMap.has(feed.folder_id)) {
                 foldersMap.set(feed.folder_id, {
                     id: feed.folder_id,
+                    parent_id: null,
                     name: feed.folder_name,
                     sort_order: feed.folder_sort_order || 0,
-                    feeds: []
+                    feeds: [],
+                    subfolders: []
                 });
             }
             foldersMap.get(feed.folder_id).feeds.push(feed);
@@ -159,132 +468,309 @@ function renderFeeds(feeds, allFolders = []) {
         }
     });
 
-    // Sort folders by sort_order, then name
-    const folders = Array.from(foldersMap.values()).sort((a, b) => {
-        if (a.sort_order !== b.sort_order) return a.sort_order - b.sort_order;
-        return a.name.localeCompare(b.name);
+    // Nest folders in their parents (a folder whose parent isn't listed goes to the top level)
+    const folders = [];
+    foldersMap.forEach(folder => {
+        const parent = folder.parent_id ? foldersMap.get(folder.parent_id) : null;
+        (parent ? parent.subfolders : folders).push(folder);
     });
 
+    // Sort folders by sort_order, then name, at every level
+    const sortFolders = list => {
+        list.sort((a, b) => {
+            if (a.sort_order !== b.sort_order) return a.sort_order - b.sort_order;
+            return a.name.localeCompare(b.name);
+        });
+        list.forEach(folder => sortFolders(folder.subfolders));
+    };
+    sortFolders(folders);
+
     // Build HTML
     let html = '';
 
+    // Render virtual feeds (e.g. Starred) pinned at the top
+    VIRTUAL_FEEDS.forEach(feed => {
+        html += renderVirtualFeedItem(feed);
+    });
+
+    // Saved searches follow the built-in virtual feeds
+    if (typeof renderSavedSearchItem === 'function') {
+        getSavedSearchesState().forEach(savedSearch => {
+            html += renderSavedSearchItem(savedSearch);
+        });
+    }
+
     // Render feeds without folder first
     feedsWithoutFolder.forEach(feed => {
         html += renderFeedItem(feed);
     });
 
-    // Render folders with their feeds
+    // Render folders with their feeds and subfolders
     folders.forEach(folder => {
-        const folderId = typeof folder.id === 'string' ? parseInt(folder.id, 10) : Number(folder.id);
-        const isCollapsed = window.collapsedFolders.has(folderId) || window.collapsedFolders.has(String(folderId));
-        html += `
-            <div class="folder-item" data-folder-id="${folderId}">
-                <div class="folder-header" data-folder-id="${folderId}">
-                    <span class="folder-toggle">${isCollapsed ? '▶' : '▼'}</span>
-                    <span class="folder-name">${escapeHtml(folder.name)}</span>
-                    <button class="folder-edit-btn" data-folder-id="${folderId}" title="Edit folder">✎</button>
-                    <button class="folder-delete-btn" data-folder-id="${folderId}" title="Delete folder">×</button>
-                </div>
-                <div class="folder-feeds ${isCollapsed ? 'collapsed' : ''}">
-                    ${folder.feeds.map(feed => renderFeedItem(feed)).join('')}
-                </div>
-            </div>
-        `;
+        html += renderFolderItem(folder, 0);
     });
 
     feedsList.innerHTML = html;
+}
 
-    // Add click handlers for feeds
-    feedsList.querySelectorAll('.feed-item').forEach(item => {
-        const feedItemContent = item.querySelector('.feed-item-content');
-        if (feedItemContent) {
-            feedItemContent.addEventListener('click', () => {
-                const feedId = parseInt(item.dataset.feedId);
-                if (typeof selectFeed === 'function') {
-                    selectFeed(feedId);
-                }
-            });
-        }
-    });
+/**
+ * Render a folder with its feeds, then its subfolders.
+ * 
+ * @param {Object} folder - Folder with its feeds and subfolders (as built by renderFeeds)
+ * @param {number} depth - Nesting level (0 for top-level folders)
+ * @returns {string} HTML string
+ */
+function renderFolderItem(folder, depth) {
+    const folderId = typeof folder.id === 'string' ? parseInt(folder.id, 10) : Number(folder.id);
+    const isCollapsed = isFolderCollapsed(folderId);
+    const isActive = getState('currentFeedId') === FOLDER_FEED_PREFIX + folderId;
+    return `
+        <div class="folder-item" data-folder-id="${folderId}" style="--folder-depth: ${depth}">
+            <div class="folder-header ${isActive ? 'active' : ''}" data-folder-id="${folderId}" draggable="true" tabindex="0" aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown Alt+ArrowLeft Alt+ArrowRight">
+                <span class="folder-toggle">${isCollapsed ? '▶' : '▼'}</span>
+                <span class="folder-name" title="Show all items in this folder">${escapeHtml(folder.name)}</span>
+                ${renderFolderUnreadCount(getFolderUnreadCount(folder))}
+                <button class="folder-edit-btn" data-folder-id="${folderId}" title="Edit folder">✎</button>
+                <button class="folder-delete-btn" data-folder-id="${folderId}" title="Delete folder">×</button>
+            </div>
+            <div class="folder-feeds ${isCollapsed ? 'collapsed' : ''}">
+                ${folder.feeds.map(feed => renderFeedItem(feed)).join('')}
+                ${folder.subfolders.map(subfolder => renderFolderItem(subfolder, depth + 1)).join('')}
+            </div>
+        </div>
+    `;
+}
 
-    // Add delete button handlers for feeds
-    feedsList.querySelectorAll('.feed-delete-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const feedId = parseInt(btn.dataset.feedId);
-            if (confirm('Are you sure you want to delete this feed?')) {
-                await deleteFeed(feedId);
+/**
+ * Count the unread items of a folder's feeds, including those in its subfolders.
+ * 
+ * @param {Object} folder - Folder with its feeds and subfolders (as built by renderFeeds)
+ * @returns {number} Unread items
+ */
+function getFolderUnreadCount(folder) {
+    return folder.feeds.reduce((sum, feed) => sum + (parseInt(feed.unread_count, 10) || 0), 0) +
+        folder.subfolders.reduce((sum, subfolder) => sum + getFolderUnreadCount(subfolder), 0);
+}
+
+/**
+ * Get the IDs of folders and all the folders nested in them.
+ * 
+ * @param {Array} folders - All folders ({ id, parent_id })
+ * @param {Set<number>} folderIds - IDs of the top folders
+ * @returns {Set<number>} The folder IDs and the IDs of their subfolders
+ */
+function getFolderSubtreeIds(folders, folderIds) {
+    const subtreeIds = new Set(folderIds);
+    let added = true;
+    while (added) {
+        added = false;
+        folders.forEach(folder => {
+            if (folder.parent_id && subtreeIds.has(Number(folder.parent_id)) && !subtreeIds.has(Number(folder.id))) {
+                subtreeIds.add(Number(folder.id));
+                added = true;
             }
         });
-    });
+    }
+    return subtreeIds;
+}
 
-    // Add folder toggle handlers
-    feedsList.querySelectorAll('.folder-header').forEach(header => {
-        const toggle = header.querySelector('.folder-toggle');
-        const folderName = header.querySelector('.folder-name');
-        const folderFeeds = header.parentElement.querySelector('.folder-feeds');
-        const folderId = parseInt(header.dataset.folderId);
-        if (toggle && folderFeeds && folderId) {
-            // Toggle function to be used by both toggle arrow and folder name
-            const toggleFolder = (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const isCollapsed = folderFeeds.classList.toggle('collapsed');
-                toggle.textContent = isCollapsed ? '▶' : '▼';
-                if (isCollapsed) {
-                    window.collapsedFolders.add(folderId);
-                } else {
-                    window.collapsedFolders.delete(folderId);
-                }
-                // Save collapsed state to localStorage
-                if (typeof window.saveCollapsedFolders === 'function') {
-                    window.saveCollapsedFolders();
-                }
-            };
-            
-            // Make toggle arrow clickable
-            toggle.style.cursor = 'pointer';
-            toggle.addEventListener('click', toggleFolder);
-            
-            // Make folder name clickable to toggle
-            if (folderName) {
-                folderName.style.cursor = 'pointer';
-                folderName.addEventListener('click', toggleFolder);
-            }
+/**
+ * Handle clicks in the feeds list (set up once; the list is re-rendered without re-binding).
+ * 
+ * @param {MouseEvent} e - The click event
+ */
+async function handleFeedsListClick(e) {
+    const target = e.target;
 
-            // Prevent edit/delete buttons from triggering toggle
-            header.querySelectorAll('.folder-edit-btn, .folder-delete-btn').forEach(btn => {
-                btn.addEventListener('click', (e) => e.stopPropagation());
-            });
+    if (typeof handleSavedSearchClick === 'function' && await handleSavedSearchClick(e)) {
+        return;
+    }
+
+    if (target.closest('.feed-health-badge')) {
+        e.stopPropagation();
+        if (typeof openFeedHealth === 'function') {
+            await openFeedHealth();
         }
-    });
+        return;
+    }
 
-    // Add folder edit handlers
-    feedsList.querySelectorAll('.folder-edit-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const folderId = parseInt(btn.dataset.folderId);
-            const folderHeader = btn.closest('.folder-item');
+    const feedSettingsBtn = target.closest('.feed-settings-btn');
+    if (feedSettingsBtn) {
+        e.stopPropagation();
+        if (typeof openFeedSettings === 'function') {
+            await openFeedSettings(parseInt(feedSettingsBtn.dataset.feedId, 10));
+        }
+        return;
+    }
+
+    const feedDeleteBtn = target.closest('.feed-delete-btn');
+    if (feedDeleteBtn) {
+        e.stopPropagation();
+        await deleteFeed(parseInt(feedDeleteBtn.dataset.feedId, 10));
+        return;
+    }
+
+    const folderHeader = target.closest('.folder-header');
+    if (folderHeader) {
+        const folderId = parseInt(folderHeader.dataset.folderId, 10);
+        if (target.closest('.folder-edit-btn')) {
             const folderName = folderHeader.querySelector('.folder-name').textContent;
             const newName = prompt('Enter new folder name:', folderName);
             if (newName && newName.trim() && newName.trim() !== folderName && typeof updateFolderName === 'function') {
                 await updateFolderName(folderId, newName.trim());
             }
-        });
-    });
-
-    // Add folder delete handlers
-    feedsList.querySelectorAll('.folder-delete-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const folderId = parseInt(btn.dataset.folderId);
-            if (confirm('Are you sure you want to delete this folder? Feeds in this folder will be moved to the root.') && typeof deleteFolder === 'function') {
+        } else if (target.closest('.folder-delete-btn')) {
+            if (typeof deleteFolder === 'function') {
                 await deleteFolder(folderId);
             }
-        });
+        } else if (target.closest('.folder-toggle')) {
+            e.preventDefault();
+            setFolderCollapsed(folderId, !isFolderCollapsed(folderId));
+        } else if (target.closest('.folder-name')) {
+            // Folder name opens the folder's merged item stream
+            if (typeof selectFeed === 'function') {
+                selectFeed(FOLDER_FEED_PREFIX + folderId);
+            }
+        }
+        return;
+    }
+
+    const feedItemContent = target.closest('.feed-item-content');
+    if (feedItemContent && typeof selectFeed === 'function') {
+        selectFeed(parseFeedId(feedItemContent.closest('.feed-item').dataset.feedId));
+    }
+}
+
+/**
+ * Show a folder as collapsed or expanded.
+ * 
+ * @param {number} folderId - Folder ID
+ * @param {boolean} collapsed - Collapsed state
+ */
+function renderFolderCollapsed(folderId, collapsed) {
+    const folderItem = document.querySelector(`.folder-item[data-folder-id="${folderId}"]`);
+    if (!folderItem) return;
+
+    folderItem.querySelector(':scope > .folder-feeds').classList.toggle('collapsed', collapsed);
+    folderItem.querySelector(':scope > .folder-header .folder-toggle').textContent = collapsed ? '▶' : '▼';
+}
+
+/**
+ * Highlight the selected feed, virtual feed or folder in the feeds list.
+ * 
+ * @param {number|string|null} feedId - Selected feed ID
+ */
+function highlightSelectedFeed(feedId) {
+    document.querySelectorAll('#feeds-list .feed-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.feedId === String(feedId));
+    });
+    document.querySelectorAll('#feeds-list .folder-header').forEach(header => {
+        header.classList.toggle('active', String(feedId) === FOLDER_FEED_PREFIX + header.dataset.folderId);
     });
 }
 
+/**
+ * Update a feed's entry (and its folder's unread count) after its counts or folder changed.
+ * 
+ * @param {Object} feed - Feed from the store
+ * @param {number|null} previousFolderId - Folder the feed was in before the change
+ */
+function renderFeedChange(feed, previousFolderId) {
+    const feedItem = document.querySelector(`#feeds-list .feed-item[data-feed-id="${feed.id}"]`);
+    if (!feedItem) return;
+
+    feedItem.classList.toggle('unread', feed.unread_count > 0);
+    feedItem.querySelector('.feed-item-meta').innerHTML = renderFeedMeta(feed);
+    const healthBadge = feedItem.querySelector('.feed-health-badge');
+    if (healthBadge) {
+        healthBadge.remove();
+    }
+    feedItem.querySelector('.feed-item-content').insertAdjacentHTML('afterend', renderFeedHealthBadge(feed));
+    const icon = feedItem.querySelector(':scope > .feed-icon');
+    if (icon && (icon.tagName === 'IMG') !== Boolean(feed.has_icon)) {
+        icon.outerHTML = renderFeedIcon(feed.id, feed.has_icon);
+    }
+
+    if (feed.folder_id !== previousFolderId) {
+        const folderFeeds = feed.folder_id ? getFeedsContainer(feed.folder_id) : null;
+        appendFeedItem(folderFeeds || document.getElementById('feeds-list'), feedItem);
+        if (previousFolderId) {
+            updateFolderUnreadCount(previousFolderId);
+        }
+    }
+    if (feed.folder_id) {
+        updateFolderUnreadCount(feed.folder_id);
+    }
+}
+
+/**
+ * Update the unread count badges of a folder and the folders it is nested in from the store.
+ * 
+ * A folder's count includes the feeds of its subfolders.
+ * 
+ * @param {number} folderId - Folder ID
+ */
+function updateFolderUnreadCount(folderId) {
+    let folderItem = document.querySelector(`#feeds-list .folder-item[data-folder-id="${folderId}"]`);
+    while (folderItem) {
+        const header = folderItem.querySelector('.folder-header');
+        const unreadCount = Array.from(folderItem.querySelectorAll('.feed-item')).reduce((sum, item) => {
+            const feed = getFeedState(item.dataset.feedId);
+            return sum + (feed ? feed.unread_count : 0);
+        }, 0);
+        const badge = header.querySelector('.folder-unread-count');
+        if (badge) {
+            badge.remove();
+        }
+        header.querySelector('.folder-name').insertAdjacentHTML('afterend', renderFolderUnreadCount(unreadCount));
+
+        folderItem = folderItem.parentElement.closest('.folder-item');
+    }
+}
+
+/**
+ * Render a folder's unread count badge.
+ * 
+ * @param {number} unreadCount - Unread items in the folder
+ * @returns {string} HTML string (empty when there are no unread items)
+ */
+function renderFolderUnreadCount(unreadCount) {
+    return unreadCount > 0 ? `<span class="folder-unread-count" title="${unreadCount} unread">${unreadCount}</span>` : '';
+}
+
+/**
+ * Set up the feeds list: click delegation and updates from the store.
+ * 
+ * @param {HTMLElement} feedsList - The feeds list container element
+ */
+function setupFeedsList(feedsList) {
+    if (!feedsList) return;
+
+    feedsList.addEventListener('click', handleFeedsListClick);
+    // Error events don't bubble, so broken icons (here and in search results) are caught on the way down
+    document.addEventListener('error', handleFeedIconError, true);
+    onStateChange('currentFeedId', highlightSelectedFeed);
+    onStateChange('collapsedFolders', renderFolderCollapsed);
+    onStateChange('feedChanged', renderFeedChange);
+}
+
+/**
+ * Render a virtual feed entry (not draggable or deletable).
+ * 
+ * @param {Object} feed - Virtual feed definition from VIRTUAL_FEEDS
+ * @returns {string} HTML string for the virtual feed entry
+ */
+function renderVirtualFeedItem(feed) {
+    return `
+        <div class="feed-item virtual-feed-item ${feed.id === getState('currentFeedId') ? 'active' : ''}" 
+             data-feed-id="${feed.id}">
+            <div class="feed-item-content">
+                <div class="feed-item-title"><span class="virtual-feed-icon" aria-hidden="true">${feed.icon}</span> ${escapeHtml(feed.title)}</div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Render a single feed item.
  * 
@@ -293,22 +779,79 @@ function renderFeeds(feeds, allFolders = []) {
  */
 function renderFeedItem(feed) {
     return `
-        <div class="feed-item ${feed.id === window.currentFeedId ? 'active' : ''} ${feed.unread_count > 0 ? 'unread' : ''}" 
-             data-feed-id="${feed.id}" draggable="true">
+        <div class="feed-item ${Number(feed.id) === getState('currentFeedId') ? 'active' : ''} ${feed.unread_count > 0 ? 'unread' : ''} ${Number(feed.paused) ? 'paused' : ''}" 
+             data-feed-id="${feed.id}" draggable="true" tabindex="0" aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown">
+            ${renderFeedIcon(feed.id, feed.has_icon)}
             <div class="feed-item-content">
                 <div class="feed-item-title">${escapeHtml(decodeHtmlEntities(feed.title))}</div>
-                <div class="feed-item-meta">
-                    ${feed.item_count} items
-                    ${feed.unread_count > 0 ? `• ${feed.unread_count} unread` : ''}
-                </div>
+                <div class="feed-item-meta">${renderFeedMeta(feed)}</div>
             </div>
+            ${renderFeedHealthBadge(feed)}
+            <button class="feed-settings-btn" data-feed-id="${feed.id}" title="Feed settings">⚙</button>
             <button class="feed-delete-btn" data-feed-id="${feed.id}" title="Delete feed">×</button>
         </div>
     `;
 }
 
 /**
- * Set up drag-and-drop functionality for feed reordering and folder assignment.
+ * Render a feed's site icon, served from the app's icon cache so the browser
+ * never contacts the feed's site, or an empty placeholder of the same size.
+ * 
+ * @param {number} feedId - Feed ID
+ * @param {boolean} hasIcon - Whether the server has an icon for the feed
+ * @returns {string} HTML string
+ */
+function renderFeedIcon(feedId, hasIcon) {
+    return hasIcon
+        ? `<img class="feed-icon" src="/feeds/${feedId}/icon" alt="" loading="lazy">`
+        : '<span class="feed-icon" aria-hidden="true"></span>';
+}
+
+/**
+ * Replace a feed icon that failed to load (e.g. evicted from the cache) with the placeholder.
+ * 
+ * @param {Event} e - The error event
+ */
+function handleFeedIconError(e) {
+    if (e.target instanceof HTMLImageElement && e.target.classList.contains('feed-icon')) {
+        e.target.outerHTML = renderFeedIcon(null, false);
+    }
+}
+
+/**
+ * Render the warning badge of a failing or stale feed; its tooltip gives the problem.
+ * 
+ * @param {Object} feed - Feed object
+ * @returns {string} HTML string (empty for healthy feeds)
+ */
+function renderFeedHealthBadge(feed) {
+    if (!feed.health || feed.health === 'ok') return '';
+
+    const message = feed.health_message || (feed.health === 'failing' ? 'Updates are failing' : 'Not updated recently');
+    const tooltip = escapeHtml(message).replace(/"/g, '&quot;');
+    return `<button class="feed-health-badge health-${feed.health === 'failing' ? 'failing' : 'stale'}" data-feed-id="${feed.id}" title="${tooltip}" aria-label="${tooltip}">⚠</button>`;
+}
+
+/**
+ * Render a feed's item and unread counts (and whether its updates are paused).
+ * 
+ * @param {Object} feed - Feed object
+ * @returns {string} HTML string
+ */
+function renderFeedMeta(feed) {
+    return `${feed.item_count} items${feed.unread_count > 0 ? ` • ${feed.unread_count} unread` : ''}${Number(feed.paused) ? ' • Paused' : ''}`;
+}
+
+/**
+ * Set up drag-and-drop reordering of feeds and folders.
+ * 
+ * A feed can be dropped before or after another feed (in any folder or at the
+ * root), onto a folder header (it goes to the end of the folder) or onto the
+ * list background (it leaves its folder for the end of the root feeds). A
+ * folder can be dropped before or after another folder, into another folder
+ * (onto the middle of its header) or onto the list background (it becomes the
+ * last top-level folder). Focused feeds and folders can also be moved with
+ * Alt+Up/Down, and folders in and out of other folders with Alt+Right/Left.
  * 
  * @param {HTMLElement} feedsList - The feeds list container element
  */
@@ -316,64 +859,393 @@ function setupFeedDragDrop(feedsList) {
     if (!feedsList) return;
 
     feedsList.addEventListener('dragstart', (e) => {
-        const item = e.target.closest('.feed-item');
-        if (!item) return;
-        e.dataTransfer.setData('text/plain', item.dataset.feedId);
+        const feedItem = e.target.closest('.feed-item[draggable="true"]');
+        const folderHeader = e.target.closest('.folder-header[draggable="true"]');
+        if (feedItem) {
+            draggedFeedsListEntry = { type: 'feed', id: parseInt(feedItem.dataset.feedId, 10), element: feedItem };
+        } else if (folderHeader) {
+            draggedFeedsListEntry = { type: 'folder', id: parseInt(folderHeader.dataset.folderId, 10), element: folderHeader.closest('.folder-item') };
+        } else {
+            return;
+        }
+        // Some browsers only start a drag that carries data
+        e.dataTransfer.setData('text/plain', String(draggedFeedsListEntry.id));
         e.dataTransfer.effectAllowed = 'move';
-        item.classList.add('dragging');
+        draggedFeedsListEntry.element.classList.add('dragging');
     });
 
-    feedsList.addEventListener('dragend', (e) => {
-        const item = e.target.closest('.feed-item');
-        if (item) item.classList.remove('dragging');
-        feedsList.querySelectorAll('.folder-header').forEach(header => {
-            header.classList.remove('drag-over');
-        });
+    feedsList.addEventListener('dragend', () => {
+        if (draggedFeedsListEntry) {
+            draggedFeedsListEntry.element.classList.remove('dragging');
+        }
+        draggedFeedsListEntry = null;
+        showFeedsListDropTarget(feedsList, null);
     });
 
     feedsList.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        const feedId = e.dataTransfer.getData('text/plain');
-        if (!feedId) return;
-        
-        const folderHeader = e.target.closest('.folder-header');
-        if (folderHeader) {
+        if (!draggedFeedsListEntry) return;
+
+        const target = getFeedsListDropTarget(e, feedsList);
+        showFeedsListDropTarget(feedsList, target);
+        if (target) {
+            e.preventDefault();
             e.dataTransfer.dropEffect = 'move';
-            feedsList.querySelectorAll('.folder-header').forEach(header => {
-                header.classList.remove('drag-over');
-            });
-            folderHeader.classList.add('drag-over');
+        }
+    });
+
+    feedsList.addEventListener('dragleave', (e) => {
+        // Only when leaving the list, not when moving between its entries
+        if (!feedsList.contains(e.relatedTarget)) {
+            showFeedsListDropTarget(feedsList, null);
         }
     });
 
     feedsList.addEventListener('drop', async (e) => {
         e.preventDefault();
-        const feedId = parseInt(e.dataTransfer.getData('text/plain'));
-        if (!feedId) return;
-        
-        const folderHeader = e.target.closest('.folder-header');
-        if (folderHeader && typeof assignFeedToFolder === 'function') {
-            const folderId = parseInt(folderHeader.dataset.folderId);
-            await assignFeedToFolder(feedId, folderId);
+        const entry = draggedFeedsListEntry;
+        const target = feedsListDropTarget;
+        showFeedsListDropTarget(feedsList, null);
+        if (!entry || !target) return;
+
+        if (entry.type === 'feed') {
+            await moveFeed(entry.id, target.folderId, target.reference, target.position);
+        } else {
+            await moveFolder(entry.id, target.reference, target.position);
         }
-        
-        feedsList.querySelectorAll('.folder-header').forEach(header => {
-            header.classList.remove('drag-over');
-        });
     });
+
+    feedsList.addEventListener('keydown', handleFeedsListMoveKey);
+}
+
+/**
+ * Work out where the entry being dragged would be dropped.
+ * 
+ * @param {DragEvent} e - The dragover event
+ * @param {HTMLElement} feedsList - The feeds list container element
+ * @returns {Object|null} Drop target ({ folderId, reference, position }), or null where it can't be dropped
+ */
+function getFeedsListDropTarget(e, feedsList) {
+    const entry = draggedFeedsListEntry;
+
+    if (e.target === feedsList) {
+        return { folderId: null, reference: null, position: 'end' };
+    }
+
+    if (entry.type === 'folder') {
+        const header = e.target.closest('.folder-header');
+        if (!header) return null;
+
+        const folderItem = header.closest('.folder-item');
+        // A folder can't go into itself or one of its subfolders
+        if (entry.element.contains(folderItem)) return null;
+
+        return { folderId: parseInt(folderItem.dataset.folderId, 10), reference: folderItem, position: getFolderDropPosition(e, header) };
+    }
+
+    const feedItem = e.target.closest('.feed-item');
+    if (feedItem) {
+        // Virtual feeds and saved searches stay pinned at the top
+        if (feedItem.getAttribute('draggable') !== 'true' || feedItem === entry.element) return null;
+
+        const folderItem = feedItem.closest('.folder-item');
+        return {
+            folderId: folderItem ? parseInt(folderItem.dataset.folderId, 10) : null,
+            reference: feedItem,
+            position: getDropPosition(e, feedItem)
+        };
+    }
+
+    const folderItem = e.target.closest('.folder-item');
+    if (folderItem) {
+        return { folderId: parseInt(folderItem.dataset.folderId, 10), reference: folderItem, position: 'into' };
+    }
+
+    return null;
+}
+
+/**
+ * Whether a drop lands before or after an entry (above or below its middle).
+ * 
+ * @param {DragEvent} e - The dragover event
+ * @param {HTMLElement} element - The entry under the pointer
+ * @returns {string} 'before' or 'after'
+ */
+function getDropPosition(e, element) {
+    const rect = element.getBoundingClientRect();
+    return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+}
+
+/**
+ * Whether a folder dropped on a folder header lands before the folder, after
+ * it (top or bottom quarter of the header) or into it (the middle).
+ * 
+ * @param {DragEvent} e - The dragover event
+ * @param {HTMLElement} header - The folder header under the pointer
+ * @returns {string} 'before', 'after' or 'into'
+ */
+function getFolderDropPosition(e, header) {
+    const rect = header.getBoundingClientRect();
+    if (e.clientY < rect.top + rect.height / 4) return 'before';
+    if (e.clientY > rect.bottom - rect.height / 4) return 'after';
+    return 'into';
+}
+
+/**
+ * Show the drop position indicator (and remember the drop target).
+ * 
+ * @param {HTMLElement} feedsList - The feeds list container element
+ * @param {Object|null} target - Drop target from getFeedsListDropTarget, or null to clear
+ */
+function showFeedsListDropTarget(feedsList, target) {
+    feedsList.querySelectorAll('.drop-before, .drop-after, .drag-over').forEach(element => {
+        element.classList.remove('drop-before', 'drop-after', 'drag-over');
+    });
+    feedsList.classList.remove('drop-root');
+    feedsListDropTarget = target;
+    if (!target) return;
+
+    if (target.position === 'end') {
+        feedsList.classList.add('drop-root');
+    } else if (target.position === 'into') {
+        target.reference.querySelector(':scope > .folder-header').classList.add('drag-over');
+    } else {
+        target.reference.classList.add(`drop-${target.position}`);
+    }
+}
+
+/**
+ * Move a focused feed or folder with Alt+Up/Down, or a focused folder out of
+ * or into a folder with Alt+Left/Right (the keyboard alternative to dragging).
+ * 
+ * @param {KeyboardEvent} e - The keydown event
+ */
+async function handleFeedsListMoveKey(e) {
+    if (!e.altKey || !['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+
+    const vertical = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+    if (vertical && e.target.matches('.feed-item[draggable="true"]')) {
+        e.preventDefault();
+        await moveFeedByKey(e.target, e.key === 'ArrowUp');
+    } else if (e.target.matches('.folder-header[draggable="true"]')) {
+        e.preventDefault();
+        await moveFolderByKey(e.target.closest('.folder-item'), e.key);
+    }
+}
+
+/**
+ * Move a feed one place up or down.
+ * 
+ * From the top or bottom of its folder, the feed moves to the end of the
+ * folder above or the start of the folder below (in list order, subfolders
+ * included); the root feeds count as the folder above the first folder. A
+ * collapsed folder is expanded to show it.
+ * 
+ * @param {HTMLElement} feedItem - The feed's entry
+ * @param {boolean} up - Move up (true) or down (false)
+ */
+async function moveFeedByKey(feedItem, up) {
+    const feedId = parseInt(feedItem.dataset.feedId, 10);
+    const folderItem = feedItem.closest('.folder-item');
+    const folderId = folderItem ? parseInt(folderItem.dataset.folderId, 10) : null;
+    const siblings = getReorderableFeedItems(feedItem.parentElement);
+    const neighbour = siblings[siblings.indexOf(feedItem) + (up ? -1 : 1)];
+
+    if (neighbour) {
+        await moveFeed(feedId, folderId, neighbour, up ? 'before' : 'after');
+        return;
+    }
+
+    const folderItems = [null, ...document.querySelectorAll('#feeds-list .folder-item')];
+    const targetFolderItem = folderItems[folderItems.indexOf(folderItem) + (up ? -1 : 1)];
+    if (targetFolderItem === undefined) return;
+
+    const targetFolderId = targetFolderItem ? parseInt(targetFolderItem.dataset.folderId, 10) : null;
+    for (let item = targetFolderItem; item; item = item.parentElement.closest('.folder-item')) {
+        setFolderCollapsed(parseInt(item.dataset.folderId, 10), false);
+    }
+    const targetFeeds = getReorderableFeedItems(getFeedsContainer(targetFolderId));
+    if (up || targetFeeds.length === 0) {
+        await moveFeed(feedId, targetFolderId);
+    } else {
+        await moveFeed(feedId, targetFolderId, targetFeeds[0], 'before');
+    }
+}
+
+/**
+ * Move a folder with the arrow keys.
+ * 
+ * Up and Down move it among the folders at its level; Right moves it into the
+ * folder above it (at the end) and Left moves it out of its parent folder,
+ * to just after the parent.
+ * 
+ * @param {HTMLElement} folderItem - The folder's entry
+ * @param {string} key - 'ArrowUp', 'ArrowDown', 'ArrowLeft' or 'ArrowRight'
+ */
+async function moveFolderByKey(folderItem, key) {
+    const folderId = parseInt(folderItem.dataset.folderId, 10);
+    const siblings = Array.from(folderItem.parentElement.children).filter(element => element.matches('.folder-item'));
+    const index = siblings.indexOf(folderItem);
+
+    if (key === 'ArrowLeft') {
+        const parentItem = folderItem.parentElement.closest('.folder-item');
+        if (parentItem) {
+            await moveFolder(folderId, parentItem, 'after');
+        }
+    } else if (key === 'ArrowRight') {
+        if (index > 0) {
+            await moveFolder(folderId, siblings[index - 1], 'into');
+        }
+    } else {
+        const neighbour = siblings[index + (key === 'ArrowUp' ? -1 : 1)];
+        if (neighbour) {
+            await moveFolder(folderId, neighbour, key === 'ArrowUp' ? 'before' : 'after');
+        }
+    }
+}
+
+/**
+ * Get the element holding a folder's feeds and subfolders (or the root feeds and folders).
+ * 
+ * @param {number|null} folderId - Folder ID (null for feeds without a folder)
+ * @returns {HTMLElement|null} The container element
+ */
+function getFeedsContainer(folderId) {
+    const feedsList = document.getElementById('feeds-list');
+    return folderId
+        ? feedsList.querySelector(`.folder-item[data-folder-id="${folderId}"] > .folder-feeds`)
+        : feedsList;
+}
+
+/**
+ * Get the feed entries directly in a container (virtual feeds and saved searches excluded).
+ * 
+ * @param {HTMLElement} container - Container from getFeedsContainer
+ * @returns {Array<HTMLElement>} Feed entries in display order
+ */
+function getReorderableFeedItems(container) {
+    return Array.from(container.children).filter(element => element.matches('.feed-item[draggable="true"]'));
+}
+
+/**
+ * Add a feed entry at the end of a container's feeds, before its folders.
+ * 
+ * @param {HTMLElement} container - Container from getFeedsContainer
+ * @param {HTMLElement} feedItem - The feed's entry
+ */
+function appendFeedItem(container, feedItem) {
+    container.insertBefore(feedItem, container.querySelector(':scope > .folder-item'));
+}
+
+/**
+ * Update the nesting level (indentation) of a folder entry and its subfolders after it moved.
+ * 
+ * @param {HTMLElement} folderItem - The folder's entry
+ */
+function renderFolderDepths(folderItem) {
+    [folderItem, ...folderItem.querySelectorAll('.folder-item')].forEach(item => {
+        let depth = 0;
+        for (let parent = item.parentElement.closest('.folder-item'); parent; parent = parent.parentElement.closest('.folder-item')) {
+            depth++;
+        }
+        item.style.setProperty('--folder-depth', depth);
+    });
+}
+
+/**
+ * Move a feed in the feeds list and save its folder's new order.
+ * 
+ * The list is updated right away; it is reloaded if saving fails.
+ * 
+ * @param {number} feedId - Feed ID
+ * @param {number|null} folderId - Folder to move the feed to (null for none)
+ * @param {HTMLElement|null} reference - Feed entry to place the feed next to
+ * @param {string} position - 'before' or 'after' the reference; anything else puts the feed at the end
+ */
+async function moveFeed(feedId, folderId, reference = null, position = 'end') {
+    const feedItem = document.querySelector(`#feeds-list .feed-item[data-feed-id="${feedId}"]`);
+    const container = getFeedsContainer(folderId);
+    if (!feedItem || !container) return;
+
+    const hadFocus = document.activeElement === feedItem;
+    const feed = getFeedState(feedId);
+    if (feed && feed.folder_id !== folderId) {
+        const folderName = folderId ? container.closest('.folder-item').querySelector('.folder-name').textContent : null;
+        // Moves the entry to its new folder and updates both folders' unread counts
+        updateFeedState(feedId, { folder_id: folderId, folder_name: folderName });
+    }
+
+    if (reference && position === 'before') {
+        reference.before(feedItem);
+    } else if (reference && position === 'after') {
+        reference.after(feedItem);
+    } else {
+        appendFeedItem(container, feedItem);
+    }
+    if (hadFocus) {
+        feedItem.focus();
+    }
+
+    const order = getReorderableFeedItems(container).map(item => parseInt(item.dataset.feedId, 10));
+    await saveFeedOrder(order, folderId);
+}
+
+/**
+ * Move a folder in the feeds list and save the new order of the folders at its new level.
+ * 
+ * @param {number} folderId - Folder ID
+ * @param {HTMLElement|null} reference - Folder entry to place the folder next to or into
+ * @param {string} position - 'before' or 'after' the reference, 'into' it (at the end), or 'end' of the top-level folders
+ */
+async function moveFolder(folderId, reference, position) {
+    const folderItem = document.querySelector(`#feeds-list .folder-item[data-folder-id="${folderId}"]`);
+    if (!folderItem || (reference && folderItem.contains(reference))) return;
+
+    const previousParentItem = folderItem.parentElement.closest('.folder-item');
+    const header = folderItem.querySelector('.folder-header');
+    const hadFocus = document.activeElement === header;
+    let parentId = null;
+    if (position === 'into' && reference) {
+        parentId = parseInt(reference.dataset.folderId, 10);
+        setFolderCollapsed(parentId, false);
+        reference.querySelector(':scope > .folder-feeds').appendChild(folderItem);
+    } else if (reference && (position === 'before' || position === 'after')) {
+        const parentItem = reference.parentElement.closest('.folder-item');
+        parentId = parentItem ? parseInt(parentItem.dataset.folderId, 10) : null;
+        reference[position](folderItem);
+    } else {
+        document.getElementById('feeds-list').appendChild(folderItem);
+    }
+    renderFolderDepths(folderItem);
+    if (hadFocus) {
+        header.focus();
+    }
+
+    // Both the old and the new parent folders' counts change
+    if (previousParentItem) {
+        updateFolderUnreadCount(parseInt(previousParentItem.dataset.folderId, 10));
+    }
+    updateFolderUnreadCount(folderId);
+
+    const order = Array.from(folderItem.parentElement.children)
+        .filter(element => element.matches('.folder-item'))
+        .map(item => parseInt(item.dataset.folderId, 10));
+    if (typeof saveFolderOrder === 'function') {
+        await saveFolderOrder(order, parentId);
+    }
 }
 
 /**
- * Save the new feed order after drag-and-drop reordering.
+ * Save the order of the feeds in a folder (or at the root) after a feed was moved.
  * 
- * @param {Array<number>} order - Array of feed IDs in the new order
+ * @param {Array<number>} order - IDs of the folder's feeds in their new order
+ * @param {number|null} [folderId] - Folder the feeds belong in (null for none); omit to leave their folders as they are
  */
-async function saveFeedOrder(order) {
+async function saveFeedOrder(order, folderId) {
     try {
         const response = await fetch('/feeds/reorder', addCsrfToken({
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ order })
+            body: JSON.stringify(folderId === undefined ? { order } : { order, folder_id: folderId })
         }));
 
         const result = await response.json();
@@ -384,88 +1256,100 @@ async function saveFeedOrder(order) {
     } catch (error) {
         console.error('Error saving feed order:', error);
         showError('Error saving feed order. Please try again.');
+        loadFeeds();
     }
 }
 
 /**
- * Add a new feed.
+ * Subscribe to a feed.
  * 
- * @param {string} url - The feed URL to add
+ * @param {string} url - The feed URL (or a website URL to discover the feed from)
+ * @param {number|null} folderId - Folder to put the feed in (null for none)
+ * @returns {Promise<Object>} Server response ({ success, feed_id } or { success: false, error })
  */
-async function addFeed(url) {
-    const modal = document.getElementById('add-feed-modal');
-    const form = document.getElementById('add-feed-form');
-    const submitBtn = form.querySelector('button[type="submit"]');
-    
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Adding...';
+async function addFeed(url, folderId = null) {
+    const formData = new FormData();
+    formData.append('url', url);
+    if (folderId) {
+        formData.append('folder_id', folderId);
+    }
 
-    try {
-        const formData = new FormData();
-        formData.append('url', url);
+    const response = await fetch('/feeds/add', addCsrfToken({
+        method: 'POST',
+        body: formData
+    }));
 
-        const response = await fetch('/feeds/add', addCsrfToken({
-            method: 'POST',
-            body: formData
-        }));
+    return response.json();
+}
 
-        const result = await response.json();
+/**
+ * Delete a feed.
+ * 
+ * The feed is removed from the list right away; the deletion is sent to the
+ * server once the undo toast closes without "Undo" being clicked.
+ * 
+ * @param {number} feedId - The feed ID to delete
+ */
+async function deleteFeed(feedId) {
+    const feedTitle = document.querySelector(`.feed-item[data-feed-id="${feedId}"] .feed-item-title`);
+    const title = feedTitle ? feedTitle.textContent : 'feed';
 
-        if (result.success) {
-            modal.classList.remove('show');
-            form.reset();
-            if (typeof loadFeeds === 'function') {
-                loadFeeds();
-            }
-            // Select the new feed
-            setTimeout(() => {
-                if (typeof selectFeed === 'function') {
-                    selectFeed(result.feed_id);
-                }
-            }, 100);
-        } else {
-            showError('Error: ' + (result.error || 'Failed to add feed'));
-        }
-    } catch (error) {
-        console.error('Error adding feed:', error);
-        showError('Error adding feed. Please try again.');
-    } finally {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Add Feed';
+    pendingDeletions.feeds.add(feedId);
+
+    // If deleted feed was selected, clear the view
+    if (getState('currentFeedId') === feedId) {
+        clearSelectedFeed();
     }
+    await loadFeeds();
+
+    showUndoToast(`Deleted "${title}"`, {
+        onUndo: () => {
+            pendingDeletions.feeds.delete(feedId);
+            loadFeeds();
+        },
+        onCommit: ({ keepalive = false }) => commitFeedDeletion(feedId, keepalive)
+    });
 }
 
 /**
- * Delete a feed.
+ * Send a feed deletion to the server.
  * 
  * @param {number} feedId - The feed ID to delete
+ * @param {boolean} keepalive - Let the request outlive the page
  */
-async function deleteFeed(feedId) {
+async function commitFeedDeletion(feedId, keepalive) {
     try {
         const response = await fetch(`/feeds/${feedId}/delete`, addCsrfToken({
-            method: 'POST'
+            method: 'POST',
+            keepalive
         }));
 
         const result = await response.json();
 
-        if (result.success) {
-            // If deleted feed was selected, clear the view
-            if (window.currentFeedId === feedId) {
-                window.currentFeedId = null;
-                window.currentItemId = null;
-                document.getElementById('items-list').innerHTML = '<div class="empty-state">Select a feed from the left to view items</div>';
-                document.getElementById('items-title').textContent = 'Select a feed';
-                document.getElementById('item-content').innerHTML = '<div class="empty-state">Select an item to read</div>';
-                document.getElementById('content-title').textContent = 'Item';
-            }
-            if (typeof loadFeeds === 'function') {
-                loadFeeds();
-            }
-        } else {
+        if (!result.success) {
             showError('Error: ' + (result.error || 'Failed to delete feed'));
         }
     } catch (error) {
         console.error('Error deleting feed:', error);
         showError('Error deleting feed. Please try again.');
+    } finally {
+        pendingDeletions.feeds.delete(feedId);
+        loadFeeds();
+    }
+}
+
+/**
+ * Clear the items and content panes after the selected feed goes away.
+ */
+function clearSelectedFeed() {
+    setState('currentFeedId', null);
+    setState('currentItemId', null);
+    document.getElementById('items-list').innerHTML = '<div class="empty-state">Select a feed from the left to view items</div>';
+    document.getElementById('items-title').textContent = 'Select a feed';
+    document.getElementById('item-content').innerHTML = '<div class="empty-state">Select an item to read</div>';
+    document.getElementById('content-title').textContent = 'Item';
+    const paneHeaderActions = document.querySelector('.pane-header-actions');
+    if (paneHeaderActions) {
+        paneHeaderActions.style.display = 'none';
     }
 }
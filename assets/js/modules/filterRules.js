@@ -0,0 +1,398 @@
+/**
+ * Filter rules module.
+ *
+ * Manages the filter rules listed in the preferences modal. A rule matches a
+ * keyword or regular expression against an item's title, content, author or
+ * link, and marks matching items as read, stars, hides or tags them. Rules
+ * apply to new items as they are fetched; "Run now" applies a rule to existing
+ * items. The form previews how many existing items a rule would change, and
+ * the list counts them for a saved rule on request.
+ *
+ * Dependencies:
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showSuccess, showUndoToast)
+ * - utils/ui.js (escapeHtml)
+ * - modules/feeds.js (loadFeeds)
+ * - modules/folders.js (listFoldersAsTree)
+ */
+
+/** Delay (ms) after the last form change before the preview count is requested */
+const FILTER_RULE_PREVIEW_DELAY = 400;
+
+/** Labels of the fields a rule can match */
+const FILTER_RULE_FIELD_LABELS = {
+    title: 'Title',
+    content: 'Content',
+    author: 'Author',
+    link: 'Link',
+    any: 'Any field'
+};
+
+/** Labels of the actions a rule can take */
+const FILTER_RULE_ACTION_LABELS = {
+    mark_read: 'Mark as read',
+    star: 'Star',
+    hide: 'Hide',
+    tag: 'Tag'
+};
+
+let filterRulePreviewTimer = null;
+let filterRulePreviewRequestId = 0;
+
+/**
+ * Load the filter rules and the feeds and folders they can be limited to.
+ */
+async function loadFilterRules() {
+    const list = document.getElementById('filter-rules-list');
+    if (!list) return;
+
+    try {
+        const response = await fetch('/filter-rules');
+        const result = await response.json();
+
+        if (result.success) {
+            renderFilterRuleScopes(result.feeds || [], result.folders || []);
+            renderFilterRules(result.filter_rules || []);
+        } else {
+            list.innerHTML = '<div class="filter-rules-empty">Could not load filter rules</div>';
+        }
+    } catch (error) {
+        console.error('Error loading filter rules:', error);
+        list.innerHTML = '<div class="filter-rules-empty">Could not load filter rules</div>';
+    }
+}
+
+/**
+ * Fill the scope select of the filter rule form.
+ *
+ * @param {Array} feeds - The user's feeds ({ id, title })
+ * @param {Array} folders - The user's folders ({ id, parent_id, name })
+ */
+function renderFilterRuleScopes(feeds, folders) {
+    const select = document.getElementById('filter-rule-scope');
+    if (!select) return;
+
+    const current = select.value;
+    let html = '<option value="">All feeds</option>';
+    if (folders.length > 0) {
+        html += '<optgroup label="Folders">' + listFoldersAsTree(folders).map(folder =>
+            `<option value="folder:${folder.id}">${escapeHtml(folder.path)}</option>`
+        ).join('') + '</optgroup>';
+    }
+    if (feeds.length > 0) {
+        html += '<optgroup label="Feeds">' + feeds.map(feed =>
+            `<option value="feed:${feed.id}">${escapeHtml(feed.title)}</option>`
+        ).join('') + '</optgroup>';
+    }
+    select.innerHTML = html;
+
+    if (select.querySelector(`option[value="${current}"]`)) {
+        select.value = current;
+    }
+}
+
+/**
+ * Render the list of filter rules.
+ *
+ * @param {Array} rules - Filter rules from the server
+ */
+function renderFilterRules(rules) {
+    const list = document.getElementById('filter-rules-list');
+    if (!list) return;
+
+    if (rules.length === 0) {
+        list.innerHTML = '<div class="filter-rules-empty">No filter rules yet</div>';
+        return;
+    }
+
+    list.innerHTML = rules.map(rule => `
+        <div class="filter-rule" data-rule-id="${rule.id}">
+            <div class="filter-rule-description">
+                ${describeFilterRule(rule)}
+                <small class="filter-rule-count">
+                    <button type="button" class="filter-rule-count-btn" data-rule-id="${rule.id}">Count affected items</button>
+                </small>
+            </div>
+            <button type="button" class="btn btn-secondary btn-sm filter-rule-run-btn" data-rule-id="${rule.id}" title="Apply to existing items">Run now</button>
+            <button type="button" class="filter-rule-delete-btn" data-rule-id="${rule.id}" title="Delete filter rule">×</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Describe a filter rule in words.
+ *
+ * @param {Object} rule - Filter rule
+ * @returns {string} HTML string, e.g. 'If title contains "sponsored" in Tech: Mark as read'
+ */
+function describeFilterRule(rule) {
+    const field = (FILTER_RULE_FIELD_LABELS[rule.field] || rule.field).toLowerCase();
+    const match = rule.match_type === 'regex' ? 'matches' : 'contains';
+    let scope = 'all feeds';
+    if (rule.feed_id) {
+        scope = escapeHtml(rule.feed_title || 'feed');
+    } else if (rule.folder_id) {
+        scope = escapeHtml(rule.folder_name || 'folder');
+    }
+    let action = FILTER_RULE_ACTION_LABELS[rule.action] || rule.action;
+    if (rule.action === 'tag') {
+        action += ` <span class="item-tag">${escapeHtml(rule.tag || '')}</span>`;
+    }
+
+    return `If ${field} ${match} <code>${escapeHtml(rule.pattern)}</code> in ${scope}: <strong>${action}</strong>`;
+}
+
+/**
+ * Format the number of existing items a rule would change.
+ *
+ * @param {number} count - Number of items
+ * @returns {string} Text for the count
+ */
+function formatFilterRuleCount(count) {
+    if (count === 0) return 'No existing items affected';
+    return count === 1 ? 'Would affect 1 existing item' : `Would affect ${count} existing items`;
+}
+
+/**
+ * Show how many existing items a saved rule would change, in its list entry.
+ *
+ * Counting matches every item in the rule's scope, so it runs only when asked.
+ *
+ * @param {HTMLElement} button - The rule's "Count affected items" button
+ */
+async function countFilterRuleItems(button) {
+    const count = button.parentElement;
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`/filter-rules/${button.dataset.ruleId}/preview`);
+        const result = await response.json();
+
+        if (result.success) {
+            count.textContent = formatFilterRuleCount(result.count);
+        } else {
+            button.disabled = false;
+            showError('Error: ' + (result.error || 'Failed to count affected items'));
+        }
+    } catch (error) {
+        console.error('Error counting filter rule items:', error);
+        button.disabled = false;
+        showError('Error counting affected items. Please try again.');
+    }
+}
+
+/**
+ * Read the filter rule form.
+ *
+ * @returns {Object} Rule fields as sent to the server
+ */
+function getFilterRuleFormValues() {
+    const scope = document.getElementById('filter-rule-scope').value;
+    const action = document.getElementById('filter-rule-action').value;
+    return {
+        feed_id: scope.startsWith('feed:') ? parseInt(scope.slice(5), 10) : null,
+        folder_id: scope.startsWith('folder:') ? parseInt(scope.slice(7), 10) : null,
+        field: document.getElementById('filter-rule-field').value,
+        match_type: document.getElementById('filter-rule-match-type').value,
+        pattern: document.getElementById('filter-rule-pattern').value.trim(),
+        action,
+        tag: action === 'tag' ? document.getElementById('filter-rule-tag').value.trim() : null
+    };
+}
+
+/**
+ * Show how many existing items the rule in the form would change, shortly after it was edited.
+ */
+function scheduleFilterRulePreview() {
+    clearTimeout(filterRulePreviewTimer);
+    filterRulePreviewTimer = setTimeout(previewFilterRule, FILTER_RULE_PREVIEW_DELAY);
+}
+
+/**
+ * Show how many existing items the rule in the form would change.
+ */
+async function previewFilterRule() {
+    const preview = document.getElementById('filter-rule-preview');
+    if (!preview) return;
+
+    const rule = getFilterRuleFormValues();
+    if (rule.pattern === '' || (rule.action === 'tag' && !rule.tag)) {
+        preview.textContent = '';
+        return;
+    }
+
+    // Ignore responses to earlier edits
+    const requestId = ++filterRulePreviewRequestId;
+
+    try {
+        const response = await fetch('/filter-rules/preview', addCsrfToken({
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(rule)
+        }));
+
+        const result = await response.json();
+        if (requestId !== filterRulePreviewRequestId) return;
+
+        preview.classList.toggle('error', !result.success);
+        preview.textContent = result.success ? formatFilterRuleCount(result.count) : (result.error || 'Invalid rule');
+    } catch (error) {
+        console.error('Error previewing filter rule:', error);
+        if (requestId === filterRulePreviewRequestId) {
+            preview.textContent = '';
+        }
+    }
+}
+
+/**
+ * Create a filter rule from the form.
+ */
+async function createFilterRule() {
+    const rule = getFilterRuleFormValues();
+    if (rule.pattern === '') {
+        showError('Enter a keyword or regular expression');
+        return;
+    }
+
+    try {
+        const response = await fetch('/filter-rules', addCsrfToken({
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(rule)
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            document.getElementById('filter-rule-pattern').value = '';
+            document.getElementById('filter-rule-tag').value = '';
+            document.getElementById('filter-rule-preview').textContent = '';
+            showSuccess('Filter rule added. Use "Run now" to apply it to existing items.');
+            await loadFilterRules();
+        } else {
+            showError('Error: ' + (result.error || 'Failed to add filter rule'));
+        }
+    } catch (error) {
+        console.error('Error adding filter rule:', error);
+        showError('Error adding filter rule. Please try again.');
+    }
+}
+
+/**
+ * Apply a filter rule to existing items.
+ *
+ * @param {number} ruleId - Filter rule ID
+ */
+async function runFilterRule(ruleId) {
+    try {
+        const response = await fetch(`/filter-rules/${ruleId}/run`, addCsrfToken({
+            method: 'POST'
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            showSuccess(result.count === 1 ? 'Filter rule applied to 1 item' : `Filter rule applied to ${result.count} items`);
+            await loadFilterRules();
+            if (result.count > 0 && typeof loadFeeds === 'function') {
+                await loadFeeds();
+            }
+        } else {
+            showError('Error: ' + (result.error || 'Failed to run filter rule'));
+        }
+    } catch (error) {
+        console.error('Error running filter rule:', error);
+        showError('Error running filter rule. Please try again.');
+    }
+}
+
+/**
+ * Delete a filter rule, with a short window to undo.
+ *
+ * The rule is hidden from the list right away and deleted on the server once
+ * the undo toast closes. Items it already changed keep their state.
+ *
+ * @param {number} ruleId - Filter rule ID
+ */
+function deleteFilterRule(ruleId) {
+    const entry = document.querySelector(`#filter-rules-list .filter-rule[data-rule-id="${ruleId}"]`);
+    if (entry) entry.hidden = true;
+
+    showUndoToast('Deleted filter rule', {
+        onUndo: () => {
+            if (entry) entry.hidden = false;
+        },
+        onCommit: ({ keepalive = false }) => commitFilterRuleDeletion(ruleId, keepalive)
+    });
+}
+
+/**
+ * Send a filter rule deletion to the server.
+ *
+ * @param {number} ruleId - Filter rule ID
+ * @param {boolean} keepalive - Let the request outlive the page
+ */
+async function commitFilterRuleDeletion(ruleId, keepalive) {
+    try {
+        const response = await fetch(`/filter-rules/${ruleId}`, addCsrfToken({
+            method: 'DELETE',
+            keepalive
+        }));
+
+        const result = await response.json();
+
+        if (!result.success) {
+            showError('Error: ' + (result.error || 'Failed to delete filter rule'));
+        }
+    } catch (error) {
+        console.error('Error deleting filter rule:', error);
+        showError('Error deleting filter rule. Please try again.');
+    } finally {
+        loadFilterRules();
+    }
+}
+
+/**
+ * Set up the filter rule form and list in the preferences modal (set up once).
+ */
+function setupFilterRules() {
+    const form = document.getElementById('filter-rule-form');
+    const list = document.getElementById('filter-rules-list');
+    if (!form || !list) return;
+
+    const actionSelect = document.getElementById('filter-rule-action');
+    const tagInput = document.getElementById('filter-rule-tag');
+    actionSelect.addEventListener('change', () => {
+        tagInput.hidden = actionSelect.value !== 'tag';
+    });
+
+    form.addEventListener('input', scheduleFilterRulePreview);
+    form.addEventListener('change', scheduleFilterRulePreview);
+
+    // The rule form is inside the preferences form: Enter adds the rule instead of saving preferences
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+            createFilterRule();
+        }
+    });
+
+    document.getElementById('filter-rule-add-btn').addEventListener('click', createFilterRule);
+
+    list.addEventListener('click', (e) => {
+        const runBtn = e.target.closest('.filter-rule-run-btn');
+        const deleteBtn = e.target.closest('.filter-rule-delete-btn');
+        const countBtn = e.target.closest('.filter-rule-count-btn');
+        if (countBtn) {
+            countFilterRuleItems(countBtn);
+        } else if (runBtn) {
+            runFilterRule(parseInt(runBtn.dataset.ruleId, 10));
+        } else if (deleteBtn) {
+            deleteFilterRule(parseInt(deleteBtn.dataset.ruleId, 10));
+        }
+    });
+}
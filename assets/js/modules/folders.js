@@ -1,12 +1,13 @@
 /**
  * Folder management module.
  * 
- * Handles folder creation, updating, deletion, and feed assignment.
+ * Handles folder creation, updating, deletion, ordering and nesting, and feed assignment.
  * 
  * Dependencies:
+ * - utils/store.js (getState, setFolderCollapsed, getFeedState, updateFeedState)
  * - utils/csrf.js (addCsrfToken)
- * - utils/toast.js (showError)
- * - modules/feeds.js (loadFeeds)
+ * - utils/toast.js (showError, showUndoToast)
+ * - modules/feeds.js (loadFeeds, pendingDeletions, clearSelectedFeed)
  */
 
 /**
@@ -65,31 +66,60 @@ async function updateFolderName(folderId, name) {
 /**
  * Delete a folder.
  * 
+ * The folder and its subfolders are removed from the list right away (their
+ * feeds move to the root); the deletion is sent to the server once the undo toast closes without
+ * "Undo" being clicked.
+ * 
  * @param {number} folderId - Folder ID
  */
 async function deleteFolder(folderId) {
+    const folderName = document.querySelector(`.folder-header[data-folder-id="${folderId}"] .folder-name`);
+    const name = folderName ? folderName.textContent : 'folder';
+
+    pendingDeletions.folders.add(folderId);
+
+    // Clear the items pane if the deleted folder's stream is open
+    if (getState('currentFeedId') === `folder:${folderId}` && typeof clearSelectedFeed === 'function') {
+        clearSelectedFeed();
+    }
+    await loadFeeds();
+
+    showUndoToast(`Deleted folder "${name}"`, {
+        onUndo: () => {
+            pendingDeletions.folders.delete(folderId);
+            loadFeeds();
+        },
+        onCommit: ({ keepalive = false }) => commitFolderDeletion(folderId, keepalive)
+    });
+}
+
+/**
+ * Send a folder deletion to the server.
+ * 
+ * @param {number} folderId - Folder ID
+ * @param {boolean} keepalive - Let the request outlive the page
+ */
+async function commitFolderDeletion(folderId, keepalive) {
     try {
         const response = await fetch(`/folders/${folderId}`, addCsrfToken({
-            method: 'DELETE'
+            method: 'DELETE',
+            keepalive
         }));
 
         const result = await response.json();
 
         if (result.success) {
             // Remove folder from collapsed state
-            if (window.collapsedFolders && window.collapsedFolders.has(folderId)) {
-                window.collapsedFolders.delete(folderId);
-                if (typeof window.saveCollapsedFolders === 'function') {
-                    window.saveCollapsedFolders();
-                }
-            }
-            loadFeeds();
+            setFolderCollapsed(folderId, false);
         } else {
             showError('Error: ' + (result.error || 'Failed to delete folder'));
         }
     } catch (error) {
         console.error('Error deleting folder:', error);
         showError('Error deleting folder. Please try again.');
+    } finally {
+        pendingDeletions.folders.delete(folderId);
+        loadFeeds();
     }
 }
 
@@ -110,7 +140,10 @@ async function assignFeedToFolder(feedId, folderId) {
         const result = await response.json();
 
         if (result.success) {
-            if (typeof loadFeeds === 'function') {
+            // Move the feed in the list in place (counts of both folders follow)
+            if (getFeedState(feedId)) {
+                updateFeedState(feedId, { folder_id: folderId });
+            } else if (typeof loadFeeds === 'function') {
                 loadFeeds();
             }
         } else {
@@ -121,3 +154,57 @@ async function assignFeedToFolder(feedId, folderId) {
         showError('Error assigning feed to folder. Please try again.');
     }
 }
+
+/**
+ * Save the folder order after a folder was moved in the feeds list.
+ * 
+ * @param {Array<number>} order - IDs of the folders at the moved folder's level, in their new order
+ * @param {number|null} [parentId] - Folder they are nested in (null for top-level folders); omit to leave their parents as they are
+ */
+async function saveFolderOrder(order, parentId) {
+    try {
+        const response = await fetch('/folders/reorder', addCsrfToken({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(parentId === undefined ? { order } : { order, parent_id: parentId })
+        }));
+
+        const result = await response.json();
+        if (!result.success) {
+            showError('Error: ' + (result.error || 'Failed to save folder order'));
+            loadFeeds(); // revert by reloading
+        }
+    } catch (error) {
+        console.error('Error saving folder order:', error);
+        showError('Error saving folder order. Please try again.');
+        loadFeeds();
+    }
+}
+
+/**
+ * List folders in tree order (each folder followed by its subfolders), for folder pickers.
+ * 
+ * @param {Array} folders - Folders from the server in display order ({ id, parent_id, name })
+ * @returns {Array} Folders with their `path` (e.g. "Tech › Security")
+ */
+function listFoldersAsTree(folders) {
+    const byParent = new Map();
+    const ids = new Set(folders.map(folder => Number(folder.id)));
+    folders.forEach(folder => {
+        // A folder whose parent isn't listed is shown at the top level
+        const parentId = folder.parent_id && ids.has(Number(folder.parent_id)) ? Number(folder.parent_id) : null;
+        if (!byParent.has(parentId)) byParent.set(parentId, []);
+        byParent.get(parentId).push(folder);
+    });
+
+    const list = [];
+    const addLevel = (parentId, parentPath) => {
+        (byParent.get(parentId) || []).forEach(folder => {
+            const path = parentPath ? `${parentPath} › ${folder.name}` : folder.name;
+            list.push({ ...folder, path });
+            addLevel(Number(folder.id), path);
+        });
+    };
+    addLevel(null, '');
+    return list;
+}
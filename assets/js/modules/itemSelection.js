@@ -0,0 +1,315 @@
+/**
+ * Item selection module.
+ *
+ * Ctrl/Cmd-click toggles an item's selection in the items list and
+ * Shift-click selects the range from the last clicked item. While items are
+ * selected, a bulk action bar marks them read or unread, stars them, tags
+ * them, or marks everything above or below them as read. Actions are sent to
+ * the bulk /items/bulk endpoint. The selection survives loading more pages
+ * and is cleared when another feed is selected.
+ *
+ * Dependencies:
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showUndoToast)
+ * - utils/store.js (getState)
+ * - modules/feeds.js (refreshUnreadCounts)
+ * - modules/items.js (itemsListState, findLoadedItem, setLoadedItemReadState, setLoadedItemStarState,
+ *   renderItemEntry, getItemCursor, loadItemContent, updateStarButton, undoReadBatches, BULK_READ_CHUNK_SIZE)
+ */
+
+/**
+ * Selected items.
+ *
+ * `anchorId` is the item Shift-click ranges start from (the last item clicked
+ * with Ctrl/Cmd, or the open item).
+ */
+const itemSelection = {
+    ids: new Set(),
+    anchorId: null
+};
+
+/**
+ * Check whether an item is selected.
+ *
+ * @param {number} itemId - The item ID
+ * @returns {boolean} True if the item is selected
+ */
+function isItemSelected(itemId) {
+    return itemSelection.ids.has(itemId);
+}
+
+/**
+ * Get the selected items that are loaded in the items list, in list order.
+ *
+ * @returns {Array} Selected item objects
+ */
+function getSelectedItems() {
+    return itemsListState.items.filter(item => itemSelection.ids.has(item.id));
+}
+
+/**
+ * Handle a click on an item entry that changes the selection.
+ *
+ * A plain click clears the selection and is left to open the item.
+ *
+ * @param {MouseEvent} e - The click event
+ * @param {HTMLElement} entry - The clicked item entry
+ * @returns {boolean} True if the click changed the selection (the item isn't opened)
+ */
+function handleItemSelectionClick(e, entry) {
+    const itemId = parseInt(entry.dataset.itemId, 10);
+
+    if (e.shiftKey) {
+        const ids = itemsListState.items.map(item => item.id);
+        const anchorId = itemSelection.anchorId !== null ? itemSelection.anchorId : getState('currentItemId');
+        const anchorIndex = ids.indexOf(anchorId);
+        const index = ids.indexOf(itemId);
+        // Keep the browser from selecting the text between the two clicks
+        window.getSelection().removeAllRanges();
+        if (!e.ctrlKey && !e.metaKey) {
+            itemSelection.ids.clear();
+        }
+        if (anchorIndex === -1) {
+            itemSelection.ids.add(itemId);
+            itemSelection.anchorId = itemId;
+        } else {
+            ids.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .forEach(id => itemSelection.ids.add(id));
+        }
+        renderItemSelection();
+        return true;
+    }
+
+    if (e.ctrlKey || e.metaKey) {
+        if (itemSelection.ids.has(itemId)) {
+            itemSelection.ids.delete(itemId);
+        } else {
+            itemSelection.ids.add(itemId);
+        }
+        itemSelection.anchorId = itemId;
+        renderItemSelection();
+        return true;
+    }
+
+    if (itemSelection.ids.size > 0) {
+        clearItemSelection();
+    }
+    itemSelection.anchorId = itemId;
+    return false;
+}
+
+/**
+ * Clear the selection (e.g. when another feed is selected).
+ */
+function clearItemSelection() {
+    itemSelection.ids.clear();
+    itemSelection.anchorId = null;
+    renderItemSelection();
+}
+
+/**
+ * Show the selection in the items list and the bulk action bar.
+ */
+function renderItemSelection() {
+    document.querySelectorAll('#items-list .item-entry').forEach(entry => {
+        entry.classList.toggle('selected', itemSelection.ids.has(parseInt(entry.dataset.itemId, 10)));
+    });
+
+    const bar = document.getElementById('item-bulk-bar');
+    if (!bar) return;
+
+    const count = getSelectedItems().length;
+    bar.hidden = count === 0;
+    document.getElementById('item-bulk-count').textContent = `${count} selected`;
+}
+
+/**
+ * Send one bulk action request to the server.
+ *
+ * @param {Object} body - Request body ('action' and the action's fields)
+ * @returns {Promise<Object>} The server's result
+ */
+async function postBulkItemAction(body) {
+    const response = await fetch('/items/bulk', addCsrfToken({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }));
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to update items');
+    }
+    return result;
+}
+
+/**
+ * Send a bulk action to the server, in chunks of at most BULK_READ_CHUNK_SIZE items.
+ *
+ * @param {string} action - 'mark_unread', 'star', 'unstar' or 'tag'
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {string|null} [tag] - Tag to add (for 'tag')
+ * @returns {Promise<Array<number>>} IDs of the items that changed
+ */
+async function sendBulkItemAction(action, itemIds, tag = null) {
+    const changedIds = [];
+    for (let start = 0; start < itemIds.length; start += BULK_READ_CHUNK_SIZE) {
+        const result = await postBulkItemAction({ action, item_ids: itemIds.slice(start, start + BULK_READ_CHUNK_SIZE), tag });
+        changedIds.push(...(result.item_ids || []));
+    }
+    return changedIds;
+}
+
+/**
+ * Mark items read, with an undo toast.
+ *
+ * @param {Array<number>} itemIds - Item IDs
+ */
+async function markItemsRead(itemIds) {
+    const feedId = itemsListState.feedId;
+    const batches = [];
+    for (let start = 0; start < itemIds.length; start += BULK_READ_CHUNK_SIZE) {
+        batches.push(await postBulkItemAction({ action: 'mark_read', item_ids: itemIds.slice(start, start + BULK_READ_CHUNK_SIZE) }));
+    }
+    showItemsMarkedRead(itemIds, batches, feedId);
+}
+
+/**
+ * Mark every item above or below an item of the open list as read, with an undo toast.
+ *
+ * The server works through the whole list, including pages not loaded yet.
+ *
+ * @param {string} action - 'read_above' or 'read_below'
+ * @param {Object} item - The loaded item to start from
+ */
+async function markItemsReadBeside(action, item) {
+    const feedId = itemsListState.feedId;
+    const result = await postBulkItemAction({ action, scope: String(feedId), cursor: getItemCursor(item) });
+
+    const index = itemsListState.items.findIndex(loaded => loaded.id === item.id);
+    const loadedItems = action === 'read_above' ? itemsListState.items.slice(0, index) : itemsListState.items.slice(index + 1);
+    showItemsMarkedRead(loadedItems.map(loaded => loaded.id), [result], feedId);
+
+    // Items that weren't loaded changed too
+    if (typeof refreshUnreadCounts === 'function') {
+        refreshUnreadCounts();
+    }
+}
+
+/**
+ * Show loaded items a bulk action marked as read, and offer to undo it.
+ *
+ * @param {Array<number>} itemIds - IDs of the loaded items the action applied to
+ * @param {Array<Object>} batches - The server's results ('count' and 'batch_id')
+ * @param {number|string} feedId - The list the items were marked in
+ */
+function showItemsMarkedRead(itemIds, batches, feedId) {
+    const newlyReadIds = itemIds.filter(itemId => {
+        const item = findLoadedItem(itemId);
+        return item && !item.is_read;
+    });
+    itemIds.forEach(itemId => setLoadedItemReadState(itemId, true));
+    refreshOpenItemIfChanged(newlyReadIds);
+
+    const count = batches.reduce((total, batch) => total + batch.count, 0);
+    if (count > 0) {
+        showUndoToast(`Marked ${count} ${count === 1 ? 'item' : 'items'} as read`, {
+            onUndo: () => undoReadBatches(batches.map(batch => batch.batch_id), feedId)
+        });
+    }
+}
+
+/**
+ * Reload the open item's content if a bulk action changed it (its read and star buttons follow).
+ *
+ * @param {Array<number>} changedIds - IDs of the items that changed
+ */
+function refreshOpenItemIfChanged(changedIds) {
+    const currentItemId = getState('currentItemId');
+    if (currentItemId && changedIds.includes(currentItemId) && typeof loadItemContent === 'function') {
+        loadItemContent(currentItemId);
+    }
+}
+
+/**
+ * Run an action from the bulk action bar on the selected items.
+ *
+ * @param {string} action - 'mark_read', 'mark_unread', 'star', 'tag', 'read_above', 'read_below' or 'clear'
+ */
+async function runItemBulkAction(action) {
+    const selected = getSelectedItems();
+    if (action === 'clear' || selected.length === 0) {
+        clearItemSelection();
+        return;
+    }
+
+    const selectedIds = selected.map(item => item.id);
+    try {
+        if (action === 'mark_read') {
+            await markItemsRead(selectedIds);
+        } else if (action === 'read_above') {
+            await markItemsReadBeside('read_above', selected[0]);
+        } else if (action === 'read_below') {
+            await markItemsReadBeside('read_below', selected[selected.length - 1]);
+        } else if (action === 'mark_unread') {
+            const changedIds = await sendBulkItemAction('mark_unread', selectedIds);
+            changedIds.forEach(itemId => setLoadedItemReadState(itemId, false));
+            refreshOpenItemIfChanged(changedIds);
+        } else if (action === 'star') {
+            // Stars the selection, or unstars it if every selected item is starred already
+            const unstar = selected.every(item => item.is_starred);
+            const changedIds = await sendBulkItemAction(unstar ? 'unstar' : 'star', selectedIds);
+            changedIds.forEach(itemId => setLoadedItemStarState(itemId, !unstar));
+            if (changedIds.includes(getState('currentItemId'))) {
+                updateStarButton(!unstar);
+            }
+        } else if (action === 'tag') {
+            const input = prompt('Tag the selected items with:');
+            // Tags are stored in lowercase (see FilterRules::normalizeTag())
+            const tag = input ? input.trim().toLowerCase() : '';
+            if (!tag) return;
+
+            const changedIds = await sendBulkItemAction('tag', selectedIds, tag);
+            changedIds.forEach(itemId => addLoadedItemTag(itemId, tag));
+        }
+    } catch (error) {
+        console.error('Error updating selected items:', error);
+        showError('Error updating the selected items. Please try again.');
+    }
+}
+
+/**
+ * Add a tag to a loaded item and re-render its entry (if rendered).
+ *
+ * @param {number} itemId - The item ID
+ * @param {string} tag - Tag to add
+ */
+function addLoadedItemTag(itemId, tag) {
+    const item = findLoadedItem(itemId);
+    if (!item) return;
+
+    item.tags = [...(item.tags || []), tag].sort();
+    const entry = document.querySelector(`#items-list .item-entry[data-item-id="${itemId}"]`);
+    if (entry) {
+        entry.outerHTML = renderItemEntry(item);
+    }
+}
+
+/**
+ * Set up the bulk action bar (set up once).
+ */
+function setupItemSelection() {
+    const bar = document.getElementById('item-bulk-bar');
+    if (!bar) return;
+
+    bar.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-bulk-action]');
+        if (!btn) return;
+
+        btn.disabled = true;
+        try {
+            await runItemBulkAction(btn.dataset.bulkAction);
+        } finally {
+            btn.disabled = false;
+        }
+    });
+}
@@ -3,12 +3,21 @@
  * 
  * Handles loading, rendering, and managing feed items (mark as read/unread, display content).
  * 
+ * The items list has three layouts, chosen per feed or in the preferences:
+ * "compact" (title and meta), "comfortable" (with a two-line excerpt) and
+ * "cards" (a grid with the thumbnail found when the item was parsed).
+ * 
  * Dependencies:
+ * - utils/store.js (getState, setState, getFeedState, adjustFeedUnreadCount)
  * - utils/csrf.js (addCsrfToken)
- * - utils/toast.js (showError, showSuccess)
+ * - utils/toast.js (showError, showSuccess, showUndoToast)
  * - utils/dateFormat.js (formatDate)
  * - utils/ui.js (escapeHtml, stripHtml)
- * - modules/feeds.js (loadFeeds)
+ * - modules/feeds.js (refreshUnreadCounts, getVirtualFeed)
+ * - modules/search.js (performSearch)
+ * - modules/scrollRead.js (isMarkReadOnScrollEnabled, handleItemContentShown, handleItemMarkedUnread)
+ * - modules/itemSelection.js (isItemSelected, handleItemSelectionClick, clearItemSelection)
+ * - modules/mediaPlayer.js (renderMediaPlayer, setupMediaPlayer, stopMediaPlayback)
  */
 
 /**
@@ -38,27 +47,27 @@ function getItemDisplayTitle(item) {
 /**
  * Select a feed and load its items.
  * 
- * @param {number} feedId - The feed ID to select
+ * @param {number|string} feedId - The feed ID to select (string for virtual feeds such as 'starred')
  */
 async function selectFeed(feedId) {
-    window.currentFeedId = feedId;
-    window.currentItemId = null;
-    
-    // Update active state in feeds list
-    document.querySelectorAll('.feed-item').forEach(item => {
-        item.classList.toggle('active', parseInt(item.dataset.feedId) === feedId);
-    });
+    // The feeds list highlights the selection when currentFeedId changes
+    setState('currentFeedId', feedId);
+    setState('currentItemId', null);
+    if (typeof clearItemSelection === 'function') {
+        clearItemSelection();
+    }
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(feedId) : undefined;
     
     // Update items title
-    const feedItem = document.querySelector(`[data-feed-id="${feedId}"]`);
-    const feedTitle = feedItem ? feedItem.querySelector('.feed-item-title').textContent : 'Feed';
+    const feedItem = document.querySelector(`.feed-item[data-feed-id="${feedId}"]`);
+    let feedTitle = feedItem ? feedItem.querySelector('.feed-item-title').textContent : 'Feed';
+    if (virtualFeed) {
+        feedTitle = virtualFeed.title;
+    }
     document.getElementById('items-title').textContent = feedTitle;
     
-    // Show action buttons
-    const paneHeaderActions = document.querySelector('.pane-header-actions');
-    if (paneHeaderActions) {
-        paneHeaderActions.style.display = 'flex';
-    }
+    // Show action buttons (virtual feeds only show the actions they support)
+    updatePaneHeaderActions(virtualFeed);
     
     // Update button states
     if (typeof updateHideReadButton === 'function') {
@@ -76,59 +85,481 @@ async function selectFeed(feedId) {
     document.getElementById('content-title').textContent = 'Item';
 }
 
+/** Pane header buttons for each virtual feed action */
+const PANE_HEADER_ACTION_BUTTONS = {
+    refresh: 'refresh-feed-btn',
+    sort: 'toggle-item-sort-btn',
+    hideRead: 'toggle-hide-read-btn',
+    markAllRead: 'mark-all-read-btn'
+};
+
+/**
+ * Show the pane header action buttons that apply to the selected feed.
+ *
+ * @param {Object|undefined} virtualFeed - Virtual feed definition, or undefined for real feeds
+ */
+function updatePaneHeaderActions(virtualFeed) {
+    const paneHeaderActions = document.querySelector('.pane-header-actions');
+    if (!paneHeaderActions) return;
+
+    const actions = virtualFeed ? virtualFeed.actions : getFeedPaneHeaderActions(getState('currentFeedId'));
+    Object.keys(PANE_HEADER_ACTION_BUTTONS).forEach(action => {
+        const btn = document.getElementById(PANE_HEADER_ACTION_BUTTONS[action]);
+        if (btn) {
+            btn.style.display = actions.includes(action) ? '' : 'none';
+        }
+    });
+    paneHeaderActions.style.display = actions.length > 0 ? 'flex' : 'none';
+}
+
+/**
+ * Get the pane header actions for a real feed.
+ *
+ * The sort and read items toggles change the user's preferences, so they are
+ * left out for a feed whose own settings override them.
+ *
+ * @param {number} feedId - Feed ID
+ * @returns {Array<string>} Action names (keys of PANE_HEADER_ACTION_BUTTONS)
+ */
+function getFeedPaneHeaderActions(feedId) {
+    const feed = getFeedState(feedId);
+    return Object.keys(PANE_HEADER_ACTION_BUTTONS).filter(action => {
+        if (!feed) return true;
+        if (action === 'sort') return !feed.item_sort_order;
+        if (action === 'hideRead') return feed.hide_read_items === null || feed.hide_read_items === undefined;
+        return true;
+    });
+}
+
+/** Number of items requested per page from /feeds/:id/items */
+const ITEMS_PAGE_SIZE = 50;
+
+/** Distance (px) outside the visible list within which item chunks stay rendered */
+const ITEMS_RENDER_MARGIN = 1500;
+
+/**
+ * State for the paginated items list.
+ *
+ * Items are appended a page at a time into "chunks"; chunks that scroll far
+ * out of view are collapsed into fixed-height placeholders so only a window
+ * of DOM nodes stays alive. All loaded item data is kept in `items`.
+ */
+const itemsListState = {
+    feedId: null,
+    layout: 'compact',
+    items: [],
+    hasMore: false,
+    loading: false,
+    requestId: 0,
+    observer: null,
+    // Newest item stored when the list was loaded (see markAllAsRead)
+    maxItemId: null
+};
+
+/**
+ * Reset the paginated items list state (e.g. when switching feeds).
+ *
+ * @param {number|null} feedId - The feed whose items will be loaded
+ * @returns {number} Request ID; responses for older requests are ignored
+ */
+function resetItemsListState(feedId) {
+    if (itemsListState.observer) {
+        itemsListState.observer.disconnect();
+        itemsListState.observer = null;
+    }
+    itemsListState.feedId = feedId;
+    itemsListState.items = [];
+    itemsListState.hasMore = false;
+    itemsListState.loading = false;
+    itemsListState.maxItemId = null;
+    itemsListState.requestId++;
+    return itemsListState.requestId;
+}
+
+/**
+ * Fetch one page of items for a feed.
+ *
+ * @param {number|string} feedId - The feed ID (or virtual feed ID)
+ * The first page comes with the ID of the newest item stored when it was
+ * loaded (the X-Max-Item-Id header).
+ *
+ * @param {string|null} cursor - Cursor ("sort_date,id") of the last loaded item, or null for the first page
+ * @returns {Promise<{items: Array, maxItemId: number|null}>} Item objects, and the newest item ID (first page only)
+ */
+async function fetchItemsPage(feedId, cursor) {
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(feedId) : undefined;
+    const endpoint = virtualFeed ? virtualFeed.endpoint : `/feeds/${feedId}/items`;
+    let url = `${endpoint}?limit=${ITEMS_PAGE_SIZE}`;
+    if (cursor) {
+        url += `&before=${encodeURIComponent(cursor)}`;
+    }
+
+    const response = await fetch(url);
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to load items');
+    }
+    return {
+        items: result,
+        maxItemId: parseInt(response.headers.get('X-Max-Item-Id'), 10) || null
+    };
+}
+
+/**
+ * Get the pagination cursor for the last loaded item.
+ *
+ * @returns {string|null} Cursor string, or null if no items are loaded
+ */
+function getItemsCursor() {
+    const last = itemsListState.items[itemsListState.items.length - 1];
+    return last ? getItemCursor(last) : null;
+}
+
 /**
- * Load feed items for a specific feed.
+ * Get the pagination cursor ("sort_date,id") of an item: its position in the list.
+ *
+ * @param {Object} item - Loaded item object
+ * @returns {string} Cursor string
+ */
+function getItemCursor(item) {
+    return `${item.sort_date},${item.id}`;
+}
+
+/**
+ * Find a loaded item by ID.
+ *
+ * @param {number} itemId - The item ID
+ * @returns {Object|undefined} Item object if it has been loaded
+ */
+function findLoadedItem(itemId) {
+    return itemsListState.items.find(item => item.id === itemId);
+}
+
+/**
+ * Update the read state of a loaded item and its list entry (if rendered).
+ *
+ * The item's feed unread count in the feeds list follows the change.
+ *
+ * @param {number} itemId - The item ID
+ * @param {boolean} isRead - New read state
+ */
+function setLoadedItemReadState(itemId, isRead) {
+    const item = findLoadedItem(itemId);
+    if (item) {
+        if (!!item.is_read !== isRead) {
+            adjustFeedUnreadCount(item.feed_id, isRead ? -1 : 1);
+        }
+        item.is_read = isRead ? 1 : 0;
+    }
+    const itemElement = document.querySelector(`.item-entry[data-item-id="${itemId}"]`);
+    if (itemElement) {
+        itemElement.classList.toggle('unread', !isRead);
+    }
+}
+
+/**
+ * Update the starred state of a loaded item and its list entry (if rendered).
+ *
+ * @param {number} itemId - The item ID
+ * @param {boolean} isStarred - New starred state
+ */
+function setLoadedItemStarState(itemId, isStarred) {
+    const item = findLoadedItem(itemId);
+    if (item) {
+        item.is_starred = isStarred ? 1 : 0;
+    }
+    const itemElement = document.querySelector(`.item-entry[data-item-id="${itemId}"]`);
+    if (itemElement) {
+        itemElement.classList.toggle('starred', isStarred);
+    }
+}
+
+/**
+ * Load feed items for a specific feed (first page).
+ * 
+ * Saved searches run their query and list the results as search results.
  * 
- * @param {number} feedId - The feed ID
+ * @param {number|string} feedId - The feed ID
  */
 async function loadFeedItems(feedId) {
     const itemsList = document.getElementById('items-list');
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(feedId) : undefined;
+    if (virtualFeed && virtualFeed.query !== undefined) {
+        if (virtualFeed.query && typeof performSearch === 'function') {
+            await performSearch(virtualFeed.query, virtualFeed);
+        } else {
+            itemsList.innerHTML = '<div class="empty-state">Saved search not found</div>';
+        }
+        return;
+    }
+
     itemsList.innerHTML = '<div class="loading">Loading items...</div>';
+    const requestId = resetItemsListState(feedId);
     
     try {
-        const response = await fetch(`/feeds/${feedId}/items`);
-        const items = await response.json();
+        const { items, maxItemId } = await fetchItemsPage(feedId, null);
+        if (requestId !== itemsListState.requestId) return;
+        itemsListState.maxItemId = maxItemId;
         renderItems(items);
     } catch (error) {
+        if (requestId !== itemsListState.requestId) return;
         console.error('Error loading feed items:', error);
         itemsList.innerHTML = '<div class="empty-state">Error loading items</div>';
     }
 }
 
 /**
- * Render feed items in the items list.
+ * Load the next page of items for the current feed and append it to the list.
+ */
+async function loadMoreItems() {
+    const state = itemsListState;
+    if (state.loading || !state.hasMore || !state.feedId) return;
+
+    const sentinel = document.querySelector('#items-list .items-sentinel');
+    if (!sentinel) return;
+
+    const requestId = state.requestId;
+    state.loading = true;
+    sentinel.textContent = 'Loading more items...';
+
+    try {
+        const { items } = await fetchItemsPage(state.feedId, getItemsCursor());
+        if (requestId !== state.requestId) return;
+
+        state.hasMore = items.length === ITEMS_PAGE_SIZE;
+        if (items.length > 0) {
+            const start = state.items.length;
+            state.items.push(...items);
+            appendItemsChunk(start, items.length);
+        }
+    } catch (error) {
+        if (requestId !== state.requestId) return;
+        console.error('Error loading more items:', error);
+        showError('Error loading more items. Please try again.');
+    } finally {
+        if (requestId === state.requestId) {
+            state.loading = false;
+            sentinel.textContent = '';
+        }
+    }
+}
+
+/** Layouts of the items list */
+const ITEMS_LAYOUTS = ['compact', 'comfortable', 'cards'];
+
+/** Longest excerpt shown in the comfortable and cards layouts (characters) */
+const ITEM_EXCERPT_LENGTH = 300;
+
+/** Excerpts of the loaded items, computed when first rendered */
+const itemExcerpts = new WeakMap();
+
+/**
+ * Get the items list layout for a feed.
  * 
- * @param {Array} items - Array of item objects
+ * @param {number|string|null} feedId - The feed ID (or virtual/folder feed ID)
+ * @returns {string} The feed's own layout, else the one chosen in the preferences
  */
-function renderItems(items) {
-    const itemsList = document.getElementById('items-list');
-    
-    if (items.length === 0) {
-        itemsList.innerHTML = '<div class="empty-state">No items in this feed</div>';
-        return;
+function getItemsLayout(feedId) {
+    // Virtual and folder feed IDs match no feed
+    const feed = feedId !== null && feedId !== undefined ? getFeedState(feedId) : undefined;
+    const layout = (feed && feed.items_layout) || window.itemsLayout;
+    return ITEMS_LAYOUTS.includes(layout) ? layout : 'compact';
+}
+
+/**
+ * Get the plain-text excerpt of an item.
+ * 
+ * The HTML is parsed in a separate document, so its images aren't loaded.
+ * 
+ * @param {Object} item - Item object with 'summary' and 'content'
+ * @returns {string} Excerpt (empty if the item has no text)
+ */
+function getItemExcerpt(item) {
+    if (!itemExcerpts.has(item)) {
+        const html = item.summary || item.content || '';
+        const text = html
+            ? (new DOMParser().parseFromString(html, 'text/html').body.textContent || '').replace(/\s+/g, ' ').trim()
+            : '';
+        itemExcerpts.set(item, text.length > ITEM_EXCERPT_LENGTH ? `${text.slice(0, ITEM_EXCERPT_LENGTH)}…` : text);
     }
+    return itemExcerpts.get(item);
+}
 
-    itemsList.innerHTML = items.map(item => {
-        const displayTitle = getItemDisplayTitle(item);
-        return `
-        <div class="item-entry ${item.is_read ? '' : 'unread'} ${item.id === window.currentItemId ? 'active' : ''}" 
+/**
+ * Render a single entry in the items list, in the list's layout.
+ * 
+ * @param {Object} item - Item object
+ * @returns {string} HTML string for the item entry
+ */
+function renderItemEntry(item) {
+    const displayTitle = getItemDisplayTitle(item);
+    const selected = typeof isItemSelected === 'function' && isItemSelected(item.id);
+    const layout = itemsListState.layout;
+    const excerpt = layout === 'compact' ? '' : getItemExcerpt(item);
+    const thumbnail = layout === 'cards' && item.thumbnail_url
+        ? `<img class="item-entry-thumbnail" src="${escapeHtml(item.thumbnail_url)}" alt="" loading="lazy" referrerpolicy="no-referrer">`
+        : '';
+    return `
+        <div class="item-entry ${item.is_read ? '' : 'unread'} ${item.is_starred ? 'starred' : ''} ${item.id === getState('currentItemId') ? 'active' : ''} ${selected ? 'selected' : ''}" 
              data-item-id="${item.id}">
-            <div class="item-entry-title">${escapeHtml(decodeHtmlEntities(displayTitle))}</div>
+            ${thumbnail}
+            <div class="item-entry-title"><span class="item-star" aria-label="Starred">★</span>${renderItemMediaIcon(item)}${escapeHtml(decodeHtmlEntities(displayTitle))}</div>
             <div class="item-entry-meta">
+                ${item.feed_title ? `<span class="item-feed-name">${escapeHtml(decodeHtmlEntities(item.feed_title))}</span> •` : ''}
                 ${item.published_at ? formatDate(item.published_at, { year: 'numeric', month: 'short', day: 'numeric' }) : ''}
                 ${item.author ? `• ${escapeHtml(decodeHtmlEntities(item.author))}` : ''}
             </div>
+            ${excerpt ? `<div class="item-entry-excerpt">${escapeHtml(excerpt)}</div>` : ''}
+            ${renderItemTags(item.tags)}
         </div>
         `;
-    }).join('');
+}
 
-    // Add click handlers
-    itemsList.querySelectorAll('.item-entry').forEach(item => {
-        item.addEventListener('click', () => {
-            const itemId = parseInt(item.dataset.itemId);
-            selectItem(itemId);
-        });
+/**
+ * Remove thumbnails that fail to load (error events don't bubble, so chunks listen in the capture phase).
+ * 
+ * @param {Event} e - Error event
+ */
+function handleItemThumbnailError(e) {
+    if (e.target instanceof HTMLImageElement && e.target.classList.contains('item-entry-thumbnail')) {
+        e.target.remove();
+    }
+}
+
+/**
+ * Render the play icon of an item with audio or video (e.g. a podcast episode).
+ * 
+ * @param {Object} item - Item object
+ * @returns {string} HTML string (empty if the item has no media)
+ */
+function renderItemMediaIcon(item) {
+    if (!item.has_media) return '';
+    return `<svg class="item-media-icon" viewBox="0 0 24 24" role="img" aria-label="Has audio or video"><title>Audio or video</title><polygon points="6 4 20 12 6 20 6 4" fill="currentColor"/></svg>`;
+}
+
+/**
+ * Render the tags given to an item by filter rules.
+ * 
+ * @param {Array<string>} [tags] - Item tags
+ * @returns {string} HTML string (empty if the item has no tags)
+ */
+function renderItemTags(tags) {
+    if (!tags || tags.length === 0) return '';
+    return `<div class="item-tags">${tags.map(tag => `<span class="item-tag">${escapeHtml(tag)}</span>`).join('')}</div>`;
+}
+
+/**
+ * Render the entries of a chunk from the loaded item data.
+ * 
+ * @param {HTMLElement} chunk - Chunk element
+ */
+function fillItemsChunk(chunk) {
+    const start = parseInt(chunk.dataset.start);
+    const count = parseInt(chunk.dataset.count);
+    chunk.innerHTML = itemsListState.items.slice(start, start + count).map(renderItemEntry).join('');
+    chunk.style.height = '';
+    chunk.dataset.rendered = '1';
+}
+
+/**
+ * Replace a chunk's entries with an empty placeholder of the same height.
+ * 
+ * @param {HTMLElement} chunk - Chunk element
+ */
+function collapseItemsChunk(chunk) {
+    chunk.style.height = `${chunk.offsetHeight}px`;
+    chunk.innerHTML = '';
+    chunk.dataset.rendered = '0';
+}
+
+/**
+ * Append a chunk of loaded items to the list, before the scroll sentinel.
+ * 
+ * @param {number} start - Index of the first item in itemsListState.items
+ * @param {number} count - Number of items in the chunk
+ */
+function appendItemsChunk(start, count) {
+    const itemsList = document.getElementById('items-list');
+    const sentinel = itemsList.querySelector('.items-sentinel');
+    if (!sentinel) return;
+
+    const chunk = document.createElement('div');
+    chunk.className = `items-chunk items-layout-${itemsListState.layout}`;
+    chunk.dataset.start = start;
+    chunk.dataset.count = count;
+    fillItemsChunk(chunk);
+
+    chunk.addEventListener('click', (e) => {
+        const entry = e.target.closest('.item-entry');
+        if (!entry) return;
+
+        // Ctrl/Cmd-click and Shift-click select items instead of opening them
+        if (typeof handleItemSelectionClick === 'function' && handleItemSelectionClick(e, entry)) return;
+
+        selectItem(parseInt(entry.dataset.itemId));
     });
+    chunk.addEventListener('error', handleItemThumbnailError, true);
+
+    itemsList.insertBefore(chunk, sentinel);
+    if (itemsListState.observer) {
+        itemsListState.observer.observe(chunk);
+    }
+}
+
+/**
+ * Handle visibility changes of item chunks and the scroll sentinel.
+ * 
+ * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+ */
+function handleItemsIntersection(entries) {
+    entries.forEach(entry => {
+        const target = entry.target;
+        if (target.classList.contains('items-sentinel')) {
+            if (entry.isIntersecting) {
+                loadMoreItems();
+            }
+        } else if (entry.isIntersecting && target.dataset.rendered !== '1') {
+            fillItemsChunk(target);
+        } else if (!entry.isIntersecting && target.dataset.rendered === '1') {
+            collapseItemsChunk(target);
+        }
+    });
+}
+
+/**
+ * Render the first page of feed items in the items list.
+ * 
+ * Further pages are loaded as the user scrolls (see loadMoreItems).
+ * 
+ * @param {Array} items - Array of item objects
+ */
+function renderItems(items) {
+    const itemsList = document.getElementById('items-list');
+    
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(itemsListState.feedId) : undefined;
+    itemsListState.items = items.slice();
+    itemsListState.hasMore = items.length === ITEMS_PAGE_SIZE && !(virtualFeed && virtualFeed.paginated === false);
+    itemsListState.layout = getItemsLayout(itemsListState.feedId);
+
+    if (items.length === 0) {
+        itemsList.innerHTML = '<div class="empty-state">No items in this feed</div>';
+        return;
+    }
+
+    itemsList.innerHTML = '<div class="items-sentinel" aria-hidden="true"></div>';
+
+    if (itemsListState.observer) {
+        itemsListState.observer.disconnect();
+    }
+    if (typeof IntersectionObserver === 'function') {
+        itemsListState.observer = new IntersectionObserver(handleItemsIntersection, {
+            root: itemsList,
+            rootMargin: `${ITEMS_RENDER_MARGIN}px 0px`
+        });
+        itemsListState.observer.observe(itemsList.querySelector('.items-sentinel'));
+    }
+
+    appendItemsChunk(0, items.length);
 }
 
 /**
@@ -137,15 +568,18 @@ function renderItems(items) {
  * @param {number} itemId - The item ID to select
  */
 async function selectItem(itemId) {
-    window.currentItemId = itemId;
+    setState('currentItemId', itemId);
     
     // Update active state in items list
     document.querySelectorAll('.item-entry').forEach(item => {
         item.classList.toggle('active', parseInt(item.dataset.itemId) === itemId);
     });
     
-    // Mark as read first
-    await markAsRead(itemId);
+    // Mark as read first (unless it's marked read once its content is scrolled through)
+    const markReadOnScroll = typeof isMarkReadOnScrollEnabled === 'function' && isMarkReadOnScrollEnabled();
+    if (!markReadOnScroll) {
+        await markAsRead(itemId);
+    }
     
     // Load item content
     await loadItemContent(itemId);
@@ -157,6 +591,11 @@ async function selectItem(itemId) {
  * @param {number} itemId - The item ID
  */
 async function loadItemContent(itemId) {
+    // Save where the open item's audio or video was left off
+    if (typeof stopMediaPlayback === 'function') {
+        stopMediaPlayback();
+    }
+
     const itemContent = document.getElementById('item-content');
     itemContent.innerHTML = '<div class="loading">Loading content...</div>';
     
@@ -166,13 +605,19 @@ async function loadItemContent(itemId) {
         
         // Check if item is read
         let isRead = true;
+        const loadedItem = findLoadedItem(itemId);
         const itemElement = document.querySelector(`[data-item-id="${itemId}"]`);
-        if (itemElement) {
+        if (loadedItem) {
+            isRead = !!loadedItem.is_read;
+        } else if (itemElement) {
             isRead = !itemElement.classList.contains('unread');
         }
         item.is_read = isRead;
         
         renderItemContent(item);
+        if (typeof handleItemContentShown === 'function') {
+            handleItemContentShown(itemId);
+        }
         
         // Update content title
         const displayTitle = getReaderTitle(item);
@@ -209,10 +654,13 @@ function renderItemContent(item) {
 
     contentTitle.textContent = decodeHtmlEntities(displayTitle);
 
-    const content = item.content || item.summary || 'No content available';
+    const showFullArticle = !!item.full_content;
+    const content = showFullArticle ? item.full_content : (item.content || item.summary || 'No content available');
     const link = item.link ? `<a href="${escapeHtml(item.link)}" target="_blank">Read original</a>` : '';
     const isRead = item.is_read !== undefined ? item.is_read : true;
     
+    const isStarred = !!item.is_starred;
+    
     const markUnreadButton = isRead ? 
         `<button id="mark-unread-btn" class="btn btn-icon btn-sm" aria-label="Mark as unread" title="Mark as unread">
             <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
@@ -220,13 +668,23 @@ function renderItemContent(item) {
             </svg>
         </button>` : '';
 
-    // Build title row with mark unread button on the right
-    const titleRow = markUnreadButton ? `
+    const starButton = `
+        <button id="star-btn" class="btn btn-icon btn-sm ${isStarred ? 'starred' : ''}" aria-pressed="${isStarred}" aria-label="${isStarred ? 'Unstar' : 'Star'}" title="${isStarred ? 'Unstar' : 'Star'}">
+            <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+            </svg>
+        </button>`;
+
+    // Build title row with star and mark unread buttons on the right
+    const titleRow = `
         <div class="item-content-title-row">
             <h1 class="item-content-title">${escapeHtml(decodeHtmlEntities(displayTitle))}</h1>
-            ${markUnreadButton}
+            <div class="item-content-actions">
+                ${starButton}
+                ${markUnreadButton}
+            </div>
         </div>
-    ` : `<h1 class="item-content-title">${escapeHtml(displayTitle)}</h1>`;
+    `;
 
     // Build meta row with "read original" link on the right
     const metaContent = `
@@ -241,25 +699,37 @@ function renderItemContent(item) {
         </div>
     ` : `<div class="item-content-meta">${metaContent}</div>`;
 
-    // Sanitize HTML content with DOMPurify if available (defense in depth)
-    const sanitizedContent = (typeof DOMPurify !== 'undefined') 
-        ? DOMPurify.sanitize(content, { 
-            ALLOWED_TAGS: ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span', 'table', 'thead', 'tbody', 'tr', 'td', 'th'],
-            ALLOWED_ATTR: ['href', 'title', 'target', 'src', 'alt', 'width', 'height', 'style', 'rel'],
-            ALLOW_DATA_ATTR: false
-        })
-        : content; // Fallback if DOMPurify not loaded
+    // Full article controls (only for items that link to a web page)
+    const fullArticleControls = item.link ? `
+        <div class="item-full-article-controls">
+            <button id="full-article-btn" class="btn btn-secondary btn-sm" data-showing="${showFullArticle ? 'full' : 'feed'}">
+                ${showFullArticle ? 'Show feed version' : 'Load full article'}
+            </button>
+            <label class="checkbox-label">
+                <input type="checkbox" id="always-full-article" ${item.always_load_full_article ? 'checked' : ''}>
+                Always load full articles for this feed
+            </label>
+        </div>
+    ` : '';
     
+    const mediaPlayer = typeof renderMediaPlayer === 'function' ? renderMediaPlayer(item) : '';
+
     itemContent.innerHTML = `
         <div class="item-content-body">
             ${titleRow}
             ${metaRow}
+            ${fullArticleControls}
+            ${mediaPlayer}
             <div class="item-content-text">
-                ${sanitizedContent}
+                ${sanitizeItemHtml(content)}
             </div>
         </div>
     `;
     
+    if (mediaPlayer) {
+        setupMediaPlayer(item);
+    }
+
     // Add click handler for mark unread button
     const markUnreadBtn = document.getElementById('mark-unread-btn');
     if (markUnreadBtn) {
@@ -267,6 +737,177 @@ function renderItemContent(item) {
             markAsUnread(item.id);
         });
     }
+
+    // Add click handler for star button
+    const starBtn = document.getElementById('star-btn');
+    if (starBtn) {
+        starBtn.addEventListener('click', () => {
+            toggleStar(item.id);
+        });
+    }
+
+    // Add handlers for the full article button and per-feed setting
+    const fullArticleBtn = document.getElementById('full-article-btn');
+    if (fullArticleBtn) {
+        fullArticleBtn.addEventListener('click', () => {
+            toggleFullArticle(item);
+        });
+    }
+    const alwaysFullArticle = document.getElementById('always-full-article');
+    if (alwaysFullArticle) {
+        alwaysFullArticle.addEventListener('change', () => {
+            setAlwaysLoadFullArticle(item, alwaysFullArticle.checked);
+        });
+    }
+
+    if (item.always_load_full_article && !showFullArticle && item.link) {
+        toggleFullArticle(item);
+    }
+}
+
+/**
+ * Sanitize item HTML with DOMPurify if available (defense in depth; the server sanitizes too).
+ * 
+ * @param {string} html - Item HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeItemHtml(html) {
+    if (typeof DOMPurify === 'undefined') {
+        return html; // Fallback if DOMPurify not loaded
+    }
+    return DOMPurify.sanitize(html, { 
+        ALLOWED_TAGS: ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'span', 'table', 'thead', 'tbody', 'tr', 'td', 'th'],
+        ALLOWED_ATTR: ['href', 'title', 'target', 'src', 'alt', 'width', 'height', 'style', 'rel'],
+        ALLOW_DATA_ATTR: false
+    });
+}
+
+/**
+ * Switch the content pane between the feed's version of an item and its full article,
+ * loading the full article from the item's web page the first time.
+ * 
+ * @param {Object} item - Item object shown in the content pane
+ */
+async function toggleFullArticle(item) {
+    const btn = document.getElementById('full-article-btn');
+    const contentText = document.querySelector('#item-content .item-content-text');
+    if (!btn || !contentText) return;
+
+    if (btn.dataset.showing === 'full') {
+        contentText.innerHTML = sanitizeItemHtml(item.content || item.summary || 'No content available');
+        btn.dataset.showing = 'feed';
+        btn.textContent = item.full_content ? 'Show full article' : 'Load full article';
+        return;
+    }
+
+    if (!item.full_content) {
+        btn.disabled = true;
+        btn.textContent = 'Loading full article...';
+        try {
+            const response = await fetch(`/items/${item.id}/full-article`, addCsrfToken({
+                method: 'POST'
+            }));
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load the full article');
+            }
+            item.full_content = result.full_content;
+        } catch (error) {
+            console.error('Error loading full article:', error);
+            showError('Error: ' + (error.message || 'Failed to load the full article'));
+        } finally {
+            btn.disabled = false;
+        }
+
+        // The user may have moved on to another item while the article loaded
+        if (getState('currentItemId') !== item.id) return;
+        if (!item.full_content) {
+            btn.textContent = 'Load full article';
+            return;
+        }
+    }
+
+    contentText.innerHTML = sanitizeItemHtml(item.full_content);
+    btn.dataset.showing = 'full';
+    btn.textContent = 'Show feed version';
+}
+
+/**
+ * Turn the "always load full articles" setting of an item's feed on or off.
+ * 
+ * @param {Object} item - Item object shown in the content pane
+ * @param {boolean} enabled - New setting
+ */
+async function setAlwaysLoadFullArticle(item, enabled) {
+    try {
+        const response = await fetch(`/feeds/${item.feed_id}/full-article`, addCsrfToken({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ always_load_full_article: enabled })
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            item.always_load_full_article = enabled ? 1 : 0;
+            const btn = document.getElementById('full-article-btn');
+            if (enabled && btn && btn.dataset.showing !== 'full') {
+                await toggleFullArticle(item);
+            }
+        } else {
+            showError('Error: ' + (result.error || 'Failed to update feed setting'));
+        }
+    } catch (error) {
+        console.error('Error updating feed setting:', error);
+        showError('Error updating feed setting. Please try again.');
+    }
+}
+
+/**
+ * Update the star button in the content pane to reflect the starred state.
+ * 
+ * @param {boolean} isStarred - Whether the item is starred
+ */
+function updateStarButton(isStarred) {
+    const starBtn = document.getElementById('star-btn');
+    if (!starBtn) return;
+
+    const label = isStarred ? 'Unstar' : 'Star';
+    starBtn.classList.toggle('starred', isStarred);
+    starBtn.setAttribute('aria-pressed', String(isStarred));
+    starBtn.setAttribute('aria-label', label);
+    starBtn.title = label;
+}
+
+/**
+ * Star or unstar an item, based on its current state.
+ * 
+ * @param {number} itemId - The item ID
+ */
+async function toggleStar(itemId) {
+    const starBtn = document.getElementById('star-btn');
+    const isStarred = starBtn ? starBtn.classList.contains('starred') : !!(findLoadedItem(itemId) || {}).is_starred;
+    const action = isStarred ? 'unstar' : 'star';
+
+    try {
+        const response = await fetch(`/items/${itemId}/${action}`, addCsrfToken({
+            method: 'POST'
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            setLoadedItemStarState(itemId, !isStarred);
+            if (getState('currentItemId') === itemId) {
+                updateStarButton(!isStarred);
+            }
+        } else {
+            showError('Error: ' + (result.error || `Failed to ${action} item`));
+        }
+    } catch (error) {
+        console.error(`Error trying to ${action} item:`, error);
+        showError(`Error trying to ${action} item. Please try again.`);
+    }
 }
 
 /**
@@ -280,15 +921,13 @@ async function markAsRead(itemId) {
             method: 'POST'
         }));
         
-        // Update UI - remove unread class but keep item visible
-        const itemElement = document.querySelector(`[data-item-id="${itemId}"]`);
-        if (itemElement) {
-            itemElement.classList.remove('unread');
-        }
+        // Update UI - remove unread class but keep item visible (updates the feed's unread count)
+        const isLoaded = !!findLoadedItem(itemId);
+        setLoadedItemReadState(itemId, true);
         
-        // Reload feeds to update unread counts
-        if (typeof loadFeeds === 'function') {
-            loadFeeds();
+        // Items outside the loaded list (e.g. search results) get their counts from the server
+        if (!isLoaded && typeof refreshUnreadCounts === 'function') {
+            refreshUnreadCounts();
         }
         
         // Note: We don't reload items here - items will remain visible
@@ -313,27 +952,19 @@ async function markAsUnread(itemId) {
         const result = await response.json();
 
         if (result.success) {
-            // Update item in list to show as unread
-            const itemElement = document.querySelector(`[data-item-id="${itemId}"]`);
-            if (itemElement) {
-                itemElement.classList.add('unread');
-            }
-
-            // Reload feeds to update unread counts
-            if (typeof loadFeeds === 'function') {
-                loadFeeds();
+            // Update item in list to show as unread (in place, so loaded pages and scroll position are kept)
+            const isLoaded = !!findLoadedItem(itemId);
+            setLoadedItemReadState(itemId, false);
+            if (typeof handleItemMarkedUnread === 'function') {
+                handleItemMarkedUnread(itemId);
             }
 
-            // If hide read is enabled, reload items (item will reappear in list)
-            if (window.currentFeedId && window.hideReadItems) {
-                await loadFeedItems(window.currentFeedId);
-            } else if (window.currentFeedId) {
-                // Just update the current item in the list
-                await loadFeedItems(window.currentFeedId);
+            if (!isLoaded && typeof refreshUnreadCounts === 'function') {
+                refreshUnreadCounts();
             }
 
             // Update the content view to remove the button
-            if (window.currentItemId === itemId) {
+            if (getState('currentItemId') === itemId) {
                 await loadItemContent(itemId);
             }
         } else {
@@ -345,33 +976,96 @@ async function markAsUnread(itemId) {
     }
 }
 
+/** Maximum number of item IDs sent per bulk read-state request */
+const BULK_READ_CHUNK_SIZE = 500;
+
 /**
- * Mark all items in a feed as read.
+ * Mark all items in a feed (or a virtual feed that supports it) as read.
  * 
- * @param {number} feedId - The feed ID
+ * Loaded items are shown as read right away, and a toast offers to undo
+ * the batch for a few seconds.
+ * 
+ * @param {number|string} feedId - The feed ID
  */
 async function markAllAsRead(feedId) {
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(feedId) : undefined;
+    if (virtualFeed && !virtualFeed.markAllReadEndpoint) return;
+    let endpoint = virtualFeed ? virtualFeed.markAllReadEndpoint : `/feeds/${feedId}/mark-all-read`;
+
+    if (itemsListState.feedId === feedId) {
+        // Optimistically show loaded items as read
+        itemsListState.items.forEach(item => setLoadedItemReadState(item.id, true));
+
+        // Items stored after the list was loaded (e.g. before a request queued offline is sent) stay unread
+        if (itemsListState.maxItemId) {
+            endpoint += `?max_item_id=${itemsListState.maxItemId}`;
+        }
+    }
+
     try {
-        const response = await fetch(`/feeds/${feedId}/mark-all-read`, addCsrfToken({
+        const response = await fetch(endpoint, addCsrfToken({
             method: 'POST'
         }));
 
         const result = await response.json();
 
         if (result.success) {
-            // Reload feeds to update unread counts
-            if (typeof loadFeeds === 'function') {
-                loadFeeds();
-            }
-            // Reload items to update read status
-            if (window.currentFeedId === feedId) {
-                await loadFeedItems(feedId);
+            await refreshAfterReadStateChange(feedId);
+
+            if (result.count > 0) {
+                showUndoToast(`Marked ${result.count} ${result.count === 1 ? 'item' : 'items'} as read`, {
+                    onUndo: () => undoReadBatches([result.batch_id], feedId)
+                });
             }
         } else {
             showError('Error: ' + (result.error || 'Failed to mark all as read'));
+            await refreshAfterReadStateChange(feedId);
         }
     } catch (error) {
         console.error('Error marking all as read:', error);
         showError('Error marking all as read. Please try again.');
+        await refreshAfterReadStateChange(feedId);
+    }
+}
+
+/**
+ * Undo mark-as-read batches by marking their items unread again.
+ * 
+ * The server knows which items each batch marked, so this works for items
+ * that were never loaded too.
+ * 
+ * @param {Array<string>} batchIds - 'batch_id' values returned by the mark-as-read endpoints
+ * @param {number|string} feedId - The feed the batches were marked in
+ */
+async function undoReadBatches(batchIds, feedId) {
+    try {
+        for (const batchId of batchIds) {
+            const response = await fetch(`/items/read-batches/${encodeURIComponent(batchId)}`, addCsrfToken({
+                method: 'DELETE'
+            }));
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to restore unread items');
+            }
+        }
+    } catch (error) {
+        console.error('Error restoring unread items:', error);
+        showError('Error undoing mark all as read. Please try again.');
+    }
+
+    await refreshAfterReadStateChange(feedId);
+}
+
+/**
+ * Reload unread counts, and the items list if the feed is still selected.
+ * 
+ * @param {number|string} feedId - The feed whose read state changed
+ */
+async function refreshAfterReadStateChange(feedId) {
+    if (typeof refreshUnreadCounts === 'function') {
+        refreshUnreadCounts();
+    }
+    if (getState('currentFeedId') === feedId) {
+        await loadFeedItems(feedId);
     }
 }
@@ -0,0 +1,368 @@
+/**
+ * Keyboard shortcuts module.
+ *
+ * Handles keyboard navigation (next/previous item and feed, toggle read, open original, etc.),
+ * the shortcuts help overlay, and remapping shortcuts from the preferences modal.
+ *
+ * Dependencies:
+ * - utils/store.js (getState)
+ * - modules/items.js (selectFeed, selectItem, markAsRead, markAsUnread, markAllAsRead, toggleStar)
+ * - modules/feeds.js (refreshFeed, refreshAllFeeds, parseFeedId, getVirtualFeed)
+ * - utils/ui.js (escapeHtml)
+ */
+
+/**
+ * Default key bindings for each action. Keys use KeyboardEvent.key values,
+ * with "Shift+" prefixed to upper-case letters (e.g. "Shift+A").
+ *
+ * Must stay in sync with FeedController::KEYBOARD_SHORTCUT_ACTIONS.
+ */
+const DEFAULT_SHORTCUTS = {
+    nextItem: ['j'],
+    prevItem: ['k'],
+    nextFeed: ['n'],
+    prevFeed: ['p'],
+    toggleRead: ['m'],
+    toggleStar: ['s'],
+    openOriginal: ['o', 'Enter'],
+    markAllRead: ['Shift+A'],
+    refresh: ['r'],
+    focusSearch: ['/'],
+    showHelp: ['?']
+};
+
+/** Human-readable descriptions for each action, in display order */
+const SHORTCUT_DESCRIPTIONS = {
+    nextItem: 'Next item',
+    prevItem: 'Previous item',
+    nextFeed: 'Next feed',
+    prevFeed: 'Previous feed',
+    toggleRead: 'Toggle read/unread',
+    toggleStar: 'Star/unstar item',
+    openOriginal: 'Open original article',
+    markAllRead: 'Mark all as read',
+    refresh: 'Refresh feed (or all feeds)',
+    focusSearch: 'Focus search',
+    showHelp: 'Show this help'
+};
+
+/**
+ * Get the effective key bindings (user overrides merged over defaults).
+ *
+ * @returns {Object} Map of action => array of keys
+ */
+function getShortcutBindings() {
+    const overrides = window.keyboardShortcuts || {};
+    const bindings = {};
+    Object.keys(DEFAULT_SHORTCUTS).forEach(action => {
+        bindings[action] = Array.isArray(overrides[action]) ? overrides[action] : DEFAULT_SHORTCUTS[action];
+    });
+    return bindings;
+}
+
+/**
+ * Convert a keyboard event to a shortcut string.
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ * @returns {string|null} Shortcut string (e.g. "j", "Shift+A", "Enter"), or null if modifiers are held
+ */
+function eventToShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+        return null;
+    }
+    if (e.key.length === 1 && /[a-z]/i.test(e.key)) {
+        return e.shiftKey ? 'Shift+' + e.key.toUpperCase() : e.key.toLowerCase();
+    }
+    return e.key;
+}
+
+/**
+ * Check whether an element accepts text input (shortcuts are ignored there).
+ *
+ * @param {Element} el - The event target
+ * @returns {boolean} True if the element is a text input target
+ */
+function isTypingTarget(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+}
+
+/**
+ * Check whether a key press activates the focused element, as Enter and Space
+ * do on buttons and links (shortcuts bound to those keys are ignored there).
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ * @returns {boolean} True if the browser would activate the target
+ */
+function isActivationKeypress(e) {
+    if ((e.key !== 'Enter' && e.key !== ' ') || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) {
+        return false;
+    }
+    return !!(e.target && e.target.closest && e.target.closest('button, a, [role="button"]'));
+}
+
+/**
+ * Move the item selection by an offset within the items list.
+ *
+ * @param {number} offset - 1 for next, -1 for previous
+ */
+function moveItemSelection(offset) {
+    const entries = Array.from(document.querySelectorAll('#items-list .item-entry'));
+    if (entries.length === 0) return;
+
+    const currentIndex = entries.findIndex(entry => parseInt(entry.dataset.itemId) === getState('currentItemId'));
+    let nextIndex = currentIndex === -1 ? 0 : currentIndex + offset;
+    nextIndex = Math.max(0, Math.min(entries.length - 1, nextIndex));
+    if (nextIndex === currentIndex) return;
+
+    const entry = entries[nextIndex];
+    entry.scrollIntoView({ block: 'nearest' });
+    if (typeof selectItem === 'function') {
+        selectItem(parseInt(entry.dataset.itemId));
+    }
+}
+
+/**
+ * Move the feed selection by an offset among the visible feeds.
+ *
+ * @param {number} offset - 1 for next, -1 for previous
+ */
+function moveFeedSelection(offset) {
+    const feeds = Array.from(document.querySelectorAll('#feeds-list .feed-item'))
+        .filter(feed => feed.offsetParent !== null);
+    if (feeds.length === 0) return;
+
+    const currentIndex = feeds.findIndex(feed => feed.dataset.feedId === String(getState('currentFeedId')));
+    let nextIndex = currentIndex === -1 ? 0 : currentIndex + offset;
+    nextIndex = Math.max(0, Math.min(feeds.length - 1, nextIndex));
+    if (nextIndex === currentIndex) return;
+
+    const feed = feeds[nextIndex];
+    feed.scrollIntoView({ block: 'nearest' });
+    if (typeof selectFeed === 'function') {
+        selectFeed(parseFeedId(feed.dataset.feedId));
+    }
+}
+
+/**
+ * Check whether the selected feed supports a pane header action.
+ *
+ * @param {string} action - Action name ('refresh', 'sort', 'hideRead', 'markAllRead')
+ * @returns {boolean} True if a feed is selected and it supports the action
+ */
+function selectedFeedSupports(action) {
+    if (!getState('currentFeedId')) return false;
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(getState('currentFeedId')) : undefined;
+    return !virtualFeed || virtualFeed.actions.includes(action);
+}
+
+/**
+ * Toggle the read state of the currently selected item.
+ */
+async function toggleCurrentItemRead() {
+    const itemId = getState('currentItemId');
+    if (!itemId) return;
+
+    const entry = document.querySelector(`.item-entry[data-item-id="${itemId}"]`);
+    const isUnread = entry ? entry.classList.contains('unread') : false;
+    if (isUnread && typeof markAsRead === 'function') {
+        await markAsRead(itemId);
+    } else if (!isUnread && typeof markAsUnread === 'function') {
+        await markAsUnread(itemId);
+    }
+}
+
+/**
+ * Open the original article of the currently selected item in a new tab.
+ */
+function openCurrentItemOriginal() {
+    const link = document.querySelector('#item-content .item-content-link a');
+    if (link && link.href) {
+        window.open(link.href, '_blank', 'noopener');
+    }
+}
+
+/**
+ * Run the handler for a shortcut action.
+ *
+ * @param {string} action - Action name (key of DEFAULT_SHORTCUTS)
+ */
+function runShortcutAction(action) {
+    switch (action) {
+        case 'nextItem':
+            moveItemSelection(1);
+            break;
+        case 'prevItem':
+            moveItemSelection(-1);
+            break;
+        case 'nextFeed':
+            moveFeedSelection(1);
+            break;
+        case 'prevFeed':
+            moveFeedSelection(-1);
+            break;
+        case 'toggleRead':
+            toggleCurrentItemRead();
+            break;
+        case 'toggleStar':
+            if (getState('currentItemId') && typeof toggleStar === 'function') {
+                toggleStar(getState('currentItemId'));
+            }
+            break;
+        case 'openOriginal':
+            openCurrentItemOriginal();
+            break;
+        case 'markAllRead':
+            if (selectedFeedSupports('markAllRead') && typeof markAllAsRead === 'function') {
+                markAllAsRead(getState('currentFeedId'));
+            }
+            break;
+        case 'refresh':
+            if (selectedFeedSupports('refresh') && typeof refreshFeed === 'function') {
+                refreshFeed(getState('currentFeedId'));
+            } else if (typeof refreshAllFeeds === 'function') {
+                refreshAllFeeds();
+            }
+            break;
+        case 'focusSearch': {
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) {
+                searchInput.focus();
+                searchInput.select();
+            }
+            break;
+        }
+        case 'showHelp':
+            showShortcutsHelp();
+            break;
+    }
+}
+
+/**
+ * Handle a keydown event on the document.
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ */
+function handleShortcutKeydown(e) {
+    const helpModal = document.getElementById('shortcuts-modal');
+    if (e.key === 'Escape' && helpModal && helpModal.classList.contains('show')) {
+        helpModal.classList.remove('show');
+        return;
+    }
+
+    if (isTypingTarget(e.target) || isActivationKeypress(e) || document.querySelector('.modal.show')) {
+        return;
+    }
+
+    const shortcut = eventToShortcut(e);
+    if (!shortcut) return;
+
+    const bindings = getShortcutBindings();
+    const action = Object.keys(bindings).find(name => bindings[name].includes(shortcut));
+    if (!action) return;
+
+    e.preventDefault();
+    runShortcutAction(action);
+}
+
+/**
+ * Render a list of keys as <kbd> elements.
+ *
+ * @param {Array<string>} keys - Keys bound to an action
+ * @returns {string} HTML string
+ */
+function renderShortcutKeys(keys) {
+    if (keys.length === 0) {
+        return '<span class="shortcut-unbound">Not set</span>';
+    }
+    return keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' / ');
+}
+
+/**
+ * Show the keyboard shortcuts help overlay.
+ */
+function showShortcutsHelp() {
+    const modal = document.getElementById('shortcuts-modal');
+    const list = document.getElementById('shortcuts-list');
+    if (!modal || !list) return;
+
+    const bindings = getShortcutBindings();
+    list.innerHTML = Object.keys(SHORTCUT_DESCRIPTIONS).map(action => `
+        <dt>${renderShortcutKeys(bindings[action])}</dt>
+        <dd>${escapeHtml(SHORTCUT_DESCRIPTIONS[action])}</dd>
+    `).join('') + `
+        <dt>${renderShortcutKeys(['Alt+ArrowUp', 'Alt+ArrowDown'])}</dt>
+        <dd>Move the focused feed or folder up / down</dd>
+        <dt>${renderShortcutKeys(['Alt+ArrowLeft', 'Alt+ArrowRight'])}</dt>
+        <dd>Move the focused folder out of its parent / into the folder above</dd>
+    `;
+
+    modal.classList.add('show');
+}
+
+/**
+ * Render the shortcut remapping inputs in the preferences modal.
+ *
+ * @param {Object} [overrides] - Map of action => keys to show (defaults to current bindings)
+ */
+function renderShortcutSettings(overrides) {
+    const container = document.getElementById('keyboard-shortcuts-settings');
+    if (!container) return;
+
+    const bindings = overrides || getShortcutBindings();
+    container.innerHTML = Object.keys(SHORTCUT_DESCRIPTIONS).map(action => `
+        <div class="shortcut-setting">
+            <label for="shortcut-${action}">${escapeHtml(SHORTCUT_DESCRIPTIONS[action])}</label>
+            <input type="text" id="shortcut-${action}" data-action="${action}"
+                   value="${escapeHtml((bindings[action] || []).join(', '))}" autocomplete="off" spellcheck="false">
+        </div>
+    `).join('');
+}
+
+/**
+ * Collect shortcut bindings from the preferences modal inputs.
+ *
+ * @returns {Object|null} Map of action => keys, or null if the settings are not rendered
+ */
+function collectShortcutPreferences() {
+    const inputs = document.querySelectorAll('#keyboard-shortcuts-settings input[data-action]');
+    if (inputs.length === 0) return null;
+
+    const shortcuts = {};
+    inputs.forEach(input => {
+        shortcuts[input.dataset.action] = input.value
+            .split(',')
+            .map(key => key.trim())
+            .filter(key => key !== '');
+    });
+    return shortcuts;
+}
+
+/**
+ * Set up keyboard shortcut handling, the help overlay, and the preferences reset button.
+ */
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', handleShortcutKeydown);
+
+    const modal = document.getElementById('shortcuts-modal');
+    const closeBtn = document.getElementById('shortcuts-close');
+    if (modal && closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('show');
+        });
+
+        window.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.classList.remove('show');
+            }
+        });
+    }
+
+    const resetBtn = document.getElementById('reset-shortcuts-btn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            renderShortcutSettings(DEFAULT_SHORTCUTS);
+        });
+    }
+}
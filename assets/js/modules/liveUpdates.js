@@ -0,0 +1,175 @@
+/**
+ * Live updates module.
+ *
+ * Subscribes to the /api/events Server-Sent Events stream, which announces
+ * each feed the background worker has fetched. Sidebar unread counts are
+ * updated as events arrive; if the open feed got new items, a "N new items"
+ * banner at the top of the items list loads them when clicked. A dropped
+ * stream is reopened with exponential backoff, resuming after the last event
+ * received.
+ *
+ * Dependencies:
+ * - utils/store.js (getState, getFeedState, updateFeedState)
+ * - modules/feeds.js (getVirtualFeed, refreshUnreadCounts, FOLDER_FEED_PREFIX)
+ * - modules/items.js (loadFeedItems)
+ */
+
+/** Delay before the first reconnect attempt (milliseconds) */
+const LIVE_UPDATES_MIN_RETRY_DELAY = 1000;
+
+/** Longest delay between reconnect attempts (milliseconds) */
+const LIVE_UPDATES_MAX_RETRY_DELAY = 60000;
+
+/**
+ * Event stream connection.
+ *
+ * `lastEventId` is the ID of the last event received, so a reconnected
+ * stream resumes after it.
+ */
+const liveUpdatesState = {
+    source: null,
+    lastEventId: null,
+    retryDelay: LIVE_UPDATES_MIN_RETRY_DELAY,
+    retryTimer: null
+};
+
+/**
+ * Open the event stream.
+ */
+function connectLiveUpdates() {
+    clearTimeout(liveUpdatesState.retryTimer);
+    liveUpdatesState.retryTimer = null;
+
+    const url = liveUpdatesState.lastEventId
+        ? `/api/events?last_event_id=${encodeURIComponent(liveUpdatesState.lastEventId)}`
+        : '/api/events';
+    const source = new EventSource(url);
+    liveUpdatesState.source = source;
+
+    source.addEventListener('open', () => {
+        liveUpdatesState.retryDelay = LIVE_UPDATES_MIN_RETRY_DELAY;
+    });
+    source.addEventListener('feed-update', handleFeedUpdateEvent);
+    source.addEventListener('error', () => {
+        // The browser's own retry uses a fixed delay, so reconnect with backoff instead
+        source.close();
+        if (liveUpdatesState.source === source) {
+            liveUpdatesState.source = null;
+            scheduleLiveUpdatesReconnect();
+        }
+    });
+}
+
+/**
+ * Reopen the event stream after the current backoff delay, doubling the delay for the next attempt.
+ */
+function scheduleLiveUpdatesReconnect() {
+    if (liveUpdatesState.retryTimer) return;
+
+    liveUpdatesState.retryTimer = setTimeout(connectLiveUpdates, liveUpdatesState.retryDelay);
+    liveUpdatesState.retryDelay = Math.min(liveUpdatesState.retryDelay * 2, LIVE_UPDATES_MAX_RETRY_DELAY);
+}
+
+/**
+ * Handle a feed-update event: update the feed's counts and announce new items in the open feed.
+ *
+ * @param {MessageEvent} e - The event ('data' holds feed_id, new_items, item_count and unread_count)
+ */
+function handleFeedUpdateEvent(e) {
+    if (e.lastEventId) {
+        liveUpdatesState.lastEventId = e.lastEventId;
+    }
+
+    let update;
+    try {
+        update = JSON.parse(e.data);
+    } catch (error) {
+        console.error('Error parsing feed update:', error);
+        return;
+    }
+
+    const feed = getFeedState(update.feed_id);
+    if (feed) {
+        if (feed.item_count !== update.item_count || feed.unread_count !== update.unread_count) {
+            updateFeedState(update.feed_id, {
+                item_count: update.item_count,
+                unread_count: update.unread_count
+            });
+        }
+    } else if (update.new_items > 0 && typeof refreshUnreadCounts === 'function') {
+        // The feed isn't listed yet (e.g. hidden while it had no unread items)
+        refreshUnreadCounts();
+    }
+
+    if (update.new_items > 0 && isFeedShownInItemsList(update.feed_id)) {
+        showNewItemsBanner(update.new_items);
+    }
+}
+
+/**
+ * Check whether new items of a feed belong in the open items list.
+ *
+ * @param {number} feedId - The feed ID
+ * @returns {boolean} True if the open feed, folder or virtual feed lists the feed's new items
+ */
+function isFeedShownInItemsList(feedId) {
+    const currentFeedId = getState('currentFeedId');
+    if (currentFeedId === null || currentFeedId === undefined || window.isSearchMode) return false;
+    if (Number(currentFeedId) === feedId) return true;
+
+    if (typeof currentFeedId === 'string' && currentFeedId.startsWith(FOLDER_FEED_PREFIX)) {
+        const folderId = currentFeedId.slice(FOLDER_FEED_PREFIX.length);
+        return !!document.querySelector(
+            `#feeds-list .folder-item[data-folder-id="${folderId}"] .feed-item[data-feed-id="${feedId}"]`
+        );
+    }
+
+    const virtualFeed = typeof getVirtualFeed === 'function' ? getVirtualFeed(currentFeedId) : undefined;
+    return !!(virtualFeed && virtualFeed.showsNewItems);
+}
+
+/**
+ * Show (or add to) the "N new items" banner at the top of the items list.
+ *
+ * The banner goes away when the list is reloaded, so its count starts over
+ * for each feed.
+ *
+ * @param {number} count - Number of new items to add
+ */
+function showNewItemsBanner(count) {
+    const itemsList = document.getElementById('items-list');
+    if (!itemsList) return;
+
+    let banner = itemsList.querySelector(':scope > .new-items-banner');
+    if (!banner) {
+        banner = document.createElement('button');
+        banner.type = 'button';
+        banner.className = 'new-items-banner';
+        banner.dataset.count = '0';
+        banner.addEventListener('click', () => {
+            banner.remove();
+            loadFeedItems(getState('currentFeedId'));
+        });
+        itemsList.prepend(banner);
+    }
+
+    const total = parseInt(banner.dataset.count, 10) + count;
+    banner.dataset.count = String(total);
+    banner.textContent = `${total} new ${total === 1 ? 'item' : 'items'}`;
+}
+
+/**
+ * Subscribe to live feed updates (set up once).
+ */
+function setupLiveUpdates() {
+    if (typeof EventSource !== 'function') return;
+
+    connectLiveUpdates();
+
+    // Don't wait out the backoff delay once the connection is back
+    window.addEventListener('online', () => {
+        if (!liveUpdatesState.source) {
+            connectLiveUpdates();
+        }
+    });
+}
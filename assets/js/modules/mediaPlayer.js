@@ -0,0 +1,215 @@
+/**
+ * Media player module.
+ *
+ * Plays the audio or video enclosures of podcast episodes and other media
+ * items in the reader, with a playback speed control (the chosen speed is
+ * remembered in this browser). The playback position is saved on the server
+ * while playing, on pause and seek, and when the page is left, so an episode
+ * resumes where it was left off on any device.
+ *
+ * Dependencies:
+ * - utils/csrf.js (getCsrfToken, addCsrfToken)
+ * - utils/ui.js (escapeHtml)
+ */
+
+/** Playback speeds offered by the player */
+const MEDIA_PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+/** localStorage key for the chosen playback speed */
+const MEDIA_PLAYBACK_RATE_STORAGE_KEY = 'vibereader_playback_rate';
+
+/** How often the position is saved while playing (milliseconds) */
+const MEDIA_POSITION_SAVE_INTERVAL = 15000;
+
+/** Positions this close to the end count as finished, so playback starts over (seconds) */
+const MEDIA_FINISHED_MARGIN = 5;
+
+/**
+ * The player of the open item.
+ *
+ * `savedPosition` is the position last sent to the server, and
+ * `lastSaveTime` when it was sent.
+ */
+const mediaPlayerState = {
+    item: null,
+    element: null,
+    savedPosition: 0,
+    lastSaveTime: 0
+};
+
+/**
+ * Render the player for an item's enclosures.
+ *
+ * Enclosures of the same kind (audio or video) as the first one are offered
+ * as alternative sources, so the browser plays the first format it supports.
+ *
+ * @param {Object} item - Item object with 'enclosures'
+ * @returns {string} HTML string (empty if the item has no media)
+ */
+function renderMediaPlayer(item) {
+    const enclosures = item.enclosures || [];
+    if (enclosures.length === 0) return '';
+
+    const kind = enclosures[0].type.startsWith('video/') ? 'video' : 'audio';
+    const sources = enclosures
+        .filter(enclosure => enclosure.type.startsWith(`${kind}/`))
+        .map(enclosure => `<source src="${escapeHtml(enclosure.url)}" type="${escapeHtml(enclosure.type)}">`)
+        .join('');
+    const rate = getMediaPlaybackRate();
+    const rateOptions = MEDIA_PLAYBACK_RATES
+        .map(value => `<option value="${value}" ${value === rate ? 'selected' : ''}>${value}×</option>`)
+        .join('');
+    const duration = enclosures[0].duration ? formatMediaDuration(enclosures[0].duration) : '';
+
+    return `
+        <div class="item-media">
+            <${kind} id="item-media-player" class="item-media-player" controls preload="metadata">${sources}</${kind}>
+            <div class="item-media-controls">
+                <label class="item-media-rate">
+                    Speed
+                    <select id="item-media-rate">${rateOptions}</select>
+                </label>
+                ${duration ? `<span class="item-media-duration">${duration}</span>` : ''}
+                <a href="${escapeHtml(enclosures[0].url)}" target="_blank" rel="noopener">Download</a>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Set up the player rendered by renderMediaPlayer(): restore the item's
+ * playback position and speed, and save the position as it plays.
+ *
+ * @param {Object} item - Item object with 'id' and 'playback_position'
+ */
+function setupMediaPlayer(item) {
+    const element = document.getElementById('item-media-player');
+    if (!element) return;
+
+    mediaPlayerState.item = item;
+    mediaPlayerState.element = element;
+    mediaPlayerState.savedPosition = item.playback_position || 0;
+    mediaPlayerState.lastSaveTime = Date.now();
+
+    element.playbackRate = getMediaPlaybackRate();
+    element.addEventListener('loadedmetadata', () => {
+        const position = item.playback_position || 0;
+        if (position > 0 && !(position >= element.duration - MEDIA_FINISHED_MARGIN)) {
+            element.currentTime = position;
+        }
+        // Loading a new source resets the speed
+        element.playbackRate = getMediaPlaybackRate();
+    }, { once: true });
+
+    element.addEventListener('timeupdate', () => {
+        if (!element.paused && Date.now() - mediaPlayerState.lastSaveTime >= MEDIA_POSITION_SAVE_INTERVAL) {
+            saveMediaPosition();
+        }
+    });
+    element.addEventListener('pause', () => saveMediaPosition());
+    element.addEventListener('seeked', () => saveMediaPosition());
+    element.addEventListener('ended', () => saveMediaPosition());
+
+    const rateSelect = document.getElementById('item-media-rate');
+    if (rateSelect) {
+        rateSelect.addEventListener('change', () => {
+            const rate = parseFloat(rateSelect.value);
+            element.playbackRate = rate;
+            try {
+                localStorage.setItem(MEDIA_PLAYBACK_RATE_STORAGE_KEY, String(rate));
+            } catch (e) {
+                console.error('Error saving playback speed to localStorage:', e);
+            }
+        });
+    }
+}
+
+/**
+ * Save the open player's position and stop playback (before another item is shown).
+ */
+function stopMediaPlayback() {
+    const element = mediaPlayerState.element;
+    if (!element) return;
+
+    saveMediaPosition();
+    element.pause();
+    mediaPlayerState.item = null;
+    mediaPlayerState.element = null;
+}
+
+/**
+ * Send the open player's position to the server, if it moved since it was last saved.
+ *
+ * A finished episode is saved as position 0, so it starts over next time.
+ *
+ * @param {boolean} [useBeacon=false] - Send with navigator.sendBeacon (when the page is being left)
+ */
+function saveMediaPosition(useBeacon = false) {
+    const { item, element } = mediaPlayerState;
+    if (!item || !element) return;
+
+    let position = element.currentTime;
+    if (element.ended || (element.duration && position >= element.duration - MEDIA_FINISHED_MARGIN)) {
+        position = 0;
+    }
+    if (Math.abs(position - mediaPlayerState.savedPosition) < 1) return;
+
+    mediaPlayerState.savedPosition = position;
+    mediaPlayerState.lastSaveTime = Date.now();
+    item.playback_position = position;
+
+    const url = `/items/${item.id}/playback`;
+    const formData = new FormData();
+    formData.append('position', position.toFixed(1));
+
+    if (useBeacon && typeof navigator.sendBeacon === 'function') {
+        const token = getCsrfToken();
+        if (token) {
+            formData.append('_token', token);
+        }
+        navigator.sendBeacon(url, formData);
+        return;
+    }
+
+    fetch(url, addCsrfToken({ method: 'POST', body: formData }))
+        .catch(error => console.error('Error saving playback position:', error));
+}
+
+/**
+ * Get the chosen playback speed.
+ *
+ * @returns {number} Playback rate (1 unless another speed was chosen)
+ */
+function getMediaPlaybackRate() {
+    try {
+        const rate = parseFloat(localStorage.getItem(MEDIA_PLAYBACK_RATE_STORAGE_KEY));
+        return MEDIA_PLAYBACK_RATES.includes(rate) ? rate : 1;
+    } catch (e) {
+        return 1;
+    }
+}
+
+/**
+ * Format a duration for display.
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} "M:SS", or "H:MM:SS" for an hour or more
+ */
+function formatMediaDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Save the playback position when the page is left or hidden (set up once).
+ */
+function setupMediaPlayerPersistence() {
+    window.addEventListener('pagehide', () => saveMediaPosition(true));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            saveMediaPosition(true);
+        }
+    });
+}
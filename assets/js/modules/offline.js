@@ -0,0 +1,160 @@
+/**
+ * Offline reading module.
+ *
+ * Registers the service worker (assets/js/sw.js, served at /sw.js), shows an
+ * offline indicator with the number of read-state changes waiting to be sent,
+ * and replays those changes with a fresh CSRF token once the connection returns.
+ *
+ * Dependencies:
+ * - utils/offlineStore.js (getPendingChanges, deletePendingChange, countPendingChanges)
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/store.js (getState)
+ * - modules/feeds.js (refreshUnreadCounts)
+ * - modules/items.js (loadFeedItems)
+ */
+
+/** Whether a replay of queued changes is in progress */
+let isReplayingPendingChanges = false;
+
+/**
+ * Register the service worker.
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('/sw.js', { scope: '/' });
+    } catch (error) {
+        console.error('Error registering service worker:', error);
+    }
+}
+
+/**
+ * Update the offline indicator in the header.
+ */
+async function updateOfflineIndicator() {
+    const indicator = document.getElementById('offline-indicator');
+    if (!indicator) return;
+
+    let pendingCount = 0;
+    try {
+        pendingCount = await countPendingChanges();
+    } catch (error) {
+        console.error('Error counting pending changes:', error);
+    }
+
+    const isOffline = !navigator.onLine;
+    if (!isOffline && pendingCount === 0) {
+        indicator.hidden = true;
+        return;
+    }
+
+    let text = isOffline ? 'Offline' : 'Syncing';
+    if (pendingCount > 0) {
+        text += ` · ${pendingCount} pending ${pendingCount === 1 ? 'change' : 'changes'}`;
+    }
+    indicator.textContent = text;
+    indicator.classList.toggle('offline', isOffline);
+    indicator.hidden = false;
+}
+
+/**
+ * Fetch the current CSRF token and update the page's meta tag, so replayed
+ * requests use a valid token even if the one the page loaded with has expired.
+ */
+async function refreshCsrfToken() {
+    const response = await fetch('/csrf-token');
+    const result = await response.json();
+    const metaTag = document.querySelector('meta[name="csrf-token"]');
+    if (result.success && result.token && metaTag) {
+        metaTag.setAttribute('content', result.token);
+    }
+}
+
+/**
+ * Send queued read-state changes to the server, oldest first.
+ *
+ * Replay stops at the first network or server error and resumes the next
+ * time the connection returns. Changes the server rejects (4xx) are dropped,
+ * as are changes queued by another user.
+ */
+async function replayPendingChanges() {
+    if (isReplayingPendingChanges || !navigator.onLine) return;
+    isReplayingPendingChanges = true;
+
+    let replayed = 0;
+    try {
+        const changes = await getPendingChanges();
+        if (changes.length === 0) return;
+
+        await refreshCsrfToken();
+
+        for (const change of changes) {
+            // Changes queued under another account (e.g. before a different user
+            // signed in on this browser) must not be applied to this one
+            if (String(change.userId) !== String(window.currentUserId)) {
+                await deletePendingChange(change.id);
+                continue;
+            }
+
+            const headers = { 'X-Offline-Replay': '1' };
+            if (change.contentType) {
+                headers['Content-Type'] = change.contentType;
+            }
+
+            const response = await fetch(change.url, addCsrfToken({
+                method: change.method,
+                headers,
+                body: change.body || undefined
+            }));
+            // A redirect means the session ended; keep the change for the next sign-in
+            if (response.redirected || response.status >= 500) break;
+
+            await deletePendingChange(change.id);
+            replayed++;
+            updateOfflineIndicator();
+        }
+    } catch (error) {
+        console.error('Error replaying offline changes:', error);
+    } finally {
+        isReplayingPendingChanges = false;
+        updateOfflineIndicator();
+    }
+
+    if (replayed > 0) {
+        // Reload counts and the open list with the server's read states
+        if (typeof refreshUnreadCounts === 'function') {
+            refreshUnreadCounts();
+        }
+        if (getState('currentFeedId') && typeof loadFeedItems === 'function') {
+            loadFeedItems(getState('currentFeedId'));
+        }
+    }
+}
+
+/**
+ * Set up offline support: service worker, indicator, and replay when back online.
+ */
+function setupOfflineSupport() {
+    if (!('indexedDB' in window)) return;
+
+    registerServiceWorker();
+
+    window.addEventListener('online', () => {
+        updateOfflineIndicator();
+        replayPendingChanges();
+    });
+    window.addEventListener('offline', updateOfflineIndicator);
+
+    if ('serviceWorker' in navigator) {
+        // The service worker reports when it queues a change
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'pending-changes') {
+                updateOfflineIndicator();
+            }
+        });
+    }
+
+    updateOfflineIndicator();
+    replayPendingChanges();
+}
@@ -4,11 +4,13 @@
  * Handles user preferences including theme, timezone, font, and display options.
  * 
  * Dependencies:
+ * - utils/store.js (getState)
  * - utils/csrf.js (addCsrfToken)
  * - utils/toast.js (showError)
  * - utils/ui.js (initializeTheme)
  * - modules/items.js (loadFeedItems)
  * - modules/feeds.js (loadFeeds)
+ * - modules/keyboard.js (renderShortcutSettings, collectShortcutPreferences)
  */
 
 // SVG icons for buttons
@@ -119,8 +121,8 @@ async function toggleItemSortOrder() {
             updateItemSortButton();
             
             // Reload items with new sort order
-            if (window.currentFeedId && typeof loadFeedItems === 'function') {
-                await loadFeedItems(window.currentFeedId);
+            if (getState('currentFeedId') && typeof loadFeedItems === 'function') {
+                await loadFeedItems(getState('currentFeedId'));
             }
         } else {
             showError('Error: ' + (result.error || 'Failed to toggle sort order'));
@@ -147,8 +149,8 @@ async function toggleHideRead() {
             updateHideReadButton();
             
             // Reload items with new filter
-            if (window.currentFeedId && typeof loadFeedItems === 'function') {
-                await loadFeedItems(window.currentFeedId);
+            if (getState('currentFeedId') && typeof loadFeedItems === 'function') {
+                await loadFeedItems(getState('currentFeedId'));
             }
         } else {
             showError('Error: ' + (result.error || 'Failed to toggle preference'));
@@ -219,6 +221,18 @@ async function loadPreferences() {
             if (document.getElementById('font-family')) {
                 document.getElementById('font-family').value = result.font_family || 'system';
             }
+            if (typeof renderShortcutSettings === 'function') {
+                window.keyboardShortcuts = result.keyboard_shortcuts || {};
+                renderShortcutSettings();
+            }
+            const markReadOnScrollInput = document.getElementById('mark-read-on-scroll');
+            if (markReadOnScrollInput) {
+                markReadOnScrollInput.checked = !!result.mark_read_on_scroll;
+            }
+            const itemsLayoutSelect = document.getElementById('items-layout');
+            if (itemsLayoutSelect) {
+                itemsLayoutSelect.value = result.items_layout || 'compact';
+            }
         }
     } catch (error) {
         console.error('Error loading preferences:', error);
@@ -232,6 +246,11 @@ async function savePreferences() {
     const timezone = document.getElementById('timezone').value;
     const defaultThemeMode = document.getElementById('default-theme-mode').value;
     const fontFamily = document.getElementById('font-family') ? document.getElementById('font-family').value : null;
+    const keyboardShortcuts = typeof collectShortcutPreferences === 'function' ? collectShortcutPreferences() : null;
+    const markReadOnScrollInput = document.getElementById('mark-read-on-scroll');
+    const markReadOnScroll = markReadOnScrollInput ? markReadOnScrollInput.checked : null;
+    const itemsLayoutSelect = document.getElementById('items-layout');
+    const itemsLayout = itemsLayoutSelect ? itemsLayoutSelect.value : null;
 
     try {
         const response = await fetch('/preferences', addCsrfToken({
@@ -240,7 +259,10 @@ async function savePreferences() {
             body: JSON.stringify({
                 timezone,
                 default_theme_mode: defaultThemeMode,
-                font_family: fontFamily
+                font_family: fontFamily,
+                keyboard_shortcuts: keyboardShortcuts,
+                mark_read_on_scroll: markReadOnScroll,
+                items_layout: itemsLayout
             })
         }));
 
@@ -251,6 +273,9 @@ async function savePreferences() {
             if (timezone) window.userTimezone = timezone;
             if (defaultThemeMode) window.defaultThemeMode = defaultThemeMode;
             if (fontFamily) window.fontFamily = fontFamily;
+            if (keyboardShortcuts) window.keyboardShortcuts = result.keyboard_shortcuts || keyboardShortcuts;
+            if (markReadOnScroll !== null) window.markReadOnScroll = markReadOnScroll;
+            if (itemsLayout) window.itemsLayout = itemsLayout;
             
             // Reinitialize theme if it changed
             if (defaultThemeMode && typeof initializeTheme === 'function') {
@@ -0,0 +1,292 @@
+/**
+ * Saved searches module.
+ *
+ * Saved searches are listed in the feeds list as virtual feeds ("saved-search:<id>")
+ * with a live count of unread matches. Opening one runs its query and lists the
+ * results like a typed search; "Mark all as read" marks every match as read.
+ *
+ * Dependencies:
+ * - utils/store.js (getState, onStateChange, saved search state functions)
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError, showSuccess, showUndoToast)
+ * - utils/ui.js (escapeHtml)
+ * - modules/feeds.js (loadFeeds, pendingDeletions, clearSelectedFeed)
+ * - modules/search.js (getSearchResultsCountLabel)
+ */
+
+/** Prefix of the virtual feed IDs used for saved searches (e.g. "saved-search:3") */
+const SAVED_SEARCH_FEED_PREFIX = 'saved-search:';
+
+/** Delay (ms) before recounting matches after read states change, so bursts are batched */
+const SAVED_SEARCH_COUNT_REFRESH_DELAY = 1000;
+
+let savedSearchCountRefreshTimer = null;
+
+/**
+ * Build the virtual feed definition for a saved search.
+ *
+ * @param {string} feedId - Virtual feed ID ("saved-search:<id>")
+ * @returns {Object|undefined} Virtual feed definition, or undefined if it isn't a saved search
+ */
+function getSavedSearchVirtualFeed(feedId) {
+    if (typeof feedId !== 'string' || !feedId.startsWith(SAVED_SEARCH_FEED_PREFIX)) {
+        return undefined;
+    }
+
+    const savedSearchId = parseInt(feedId.slice(SAVED_SEARCH_FEED_PREFIX.length), 10);
+    const savedSearch = getSavedSearchState(savedSearchId);
+    return {
+        id: feedId,
+        savedSearchId,
+        title: savedSearch ? savedSearch.name : 'Saved search',
+        query: savedSearch ? savedSearch.query : '',
+        markAllReadEndpoint: `/saved-searches/${savedSearchId}/mark-all-read`,
+        actions: ['markAllRead'],
+        paginated: false
+    };
+}
+
+/**
+ * Fetch the saved searches with their unread match counts.
+ *
+ * @returns {Promise<Array>} Saved searches (empty if they couldn't be loaded)
+ */
+async function fetchSavedSearches() {
+    try {
+        const response = await fetch('/saved-searches');
+        const result = await response.json();
+        return result.success ? (result.saved_searches || []) : [];
+    } catch (error) {
+        console.error('Error loading saved searches:', error);
+        return [];
+    }
+}
+
+/**
+ * Reload the unread match counts of the saved searches and update them in place.
+ */
+async function refreshSavedSearchCounts() {
+    if (getSavedSearchesState().length === 0) return;
+
+    const savedSearches = await fetchSavedSearches();
+    savedSearches.forEach(savedSearch => {
+        const current = getSavedSearchState(savedSearch.id);
+        const unreadCount = parseInt(savedSearch.unread_count, 10) || 0;
+        if (current && current.unread_count !== unreadCount) {
+            updateSavedSearchState(savedSearch.id, { unread_count: unreadCount });
+        }
+    });
+}
+
+/**
+ * Recount saved search matches shortly after read states change.
+ */
+function scheduleSavedSearchCountsRefresh() {
+    if (getSavedSearchesState().length === 0) return;
+
+    clearTimeout(savedSearchCountRefreshTimer);
+    savedSearchCountRefreshTimer = setTimeout(refreshSavedSearchCounts, SAVED_SEARCH_COUNT_REFRESH_DELAY);
+}
+
+/**
+ * Render a saved search entry for the feeds list.
+ *
+ * @param {Object} savedSearch - Saved search from the store
+ * @returns {string} HTML string for the saved search entry
+ */
+function renderSavedSearchItem(savedSearch) {
+    const feedId = SAVED_SEARCH_FEED_PREFIX + savedSearch.id;
+    return `
+        <div class="feed-item virtual-feed-item saved-search-item ${feedId === getState('currentFeedId') ? 'active' : ''} ${savedSearch.unread_count > 0 ? 'unread' : ''}"
+             data-feed-id="${feedId}" data-saved-search-id="${savedSearch.id}">
+            <div class="feed-item-content">
+                <div class="feed-item-title" title="${escapeHtml(savedSearch.query)}"><span class="virtual-feed-icon" aria-hidden="true">⌕</span> <span class="saved-search-name">${escapeHtml(savedSearch.name)}</span></div>
+                <div class="feed-item-meta">${renderSavedSearchMeta(savedSearch)}</div>
+            </div>
+            <button class="saved-search-edit-btn" data-saved-search-id="${savedSearch.id}" title="Rename saved search">✎</button>
+            <button class="saved-search-delete-btn" data-saved-search-id="${savedSearch.id}" title="Delete saved search">×</button>
+        </div>
+    `;
+}
+
+/**
+ * Render a saved search's unread match count.
+ *
+ * @param {Object} savedSearch - Saved search object
+ * @returns {string} HTML string
+ */
+function renderSavedSearchMeta(savedSearch) {
+    return savedSearch.unread_count > 0 ? `${savedSearch.unread_count} unread` : 'No unread matches';
+}
+
+/**
+ * Update a saved search's entry after its name or count changed.
+ *
+ * @param {Object} savedSearch - Saved search from the store
+ */
+function renderSavedSearchChange(savedSearch) {
+    const entry = document.querySelector(`#feeds-list .saved-search-item[data-saved-search-id="${savedSearch.id}"]`);
+    if (!entry) return;
+
+    entry.classList.toggle('unread', savedSearch.unread_count > 0);
+    entry.querySelector('.saved-search-name').textContent = savedSearch.name;
+    entry.querySelector('.feed-item-meta').innerHTML = renderSavedSearchMeta(savedSearch);
+
+    if (getState('currentFeedId') === SAVED_SEARCH_FEED_PREFIX + savedSearch.id) {
+        document.getElementById('items-title').textContent = `${savedSearch.name} (${getSearchResultsCountLabel()})`;
+    }
+}
+
+/**
+ * Save a search query, asking the user for a name.
+ *
+ * @param {string} query - The search query
+ */
+async function saveSearch(query) {
+    const name = prompt('Name this saved search:', query);
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch('/saved-searches', addCsrfToken({
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: name.trim(), query })
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            showSuccess(`Saved search "${name.trim()}"`);
+            if (typeof loadFeeds === 'function') {
+                await loadFeeds();
+            }
+        } else {
+            showError('Error: ' + (result.error || 'Failed to save search'));
+        }
+    } catch (error) {
+        console.error('Error saving search:', error);
+        showError('Error saving search. Please try again.');
+    }
+}
+
+/**
+ * Rename a saved search.
+ *
+ * @param {number} savedSearchId - Saved search ID
+ * @param {string} name - New name
+ */
+async function renameSavedSearch(savedSearchId, name) {
+    try {
+        const response = await fetch(`/saved-searches/${savedSearchId}`, addCsrfToken({
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name })
+        }));
+
+        const result = await response.json();
+
+        if (result.success) {
+            updateSavedSearchState(savedSearchId, { name });
+        } else {
+            showError('Error: ' + (result.error || 'Failed to rename saved search'));
+        }
+    } catch (error) {
+        console.error('Error renaming saved search:', error);
+        showError('Error renaming saved search. Please try again.');
+    }
+}
+
+/**
+ * Delete a saved search, with a short window to undo.
+ *
+ * The saved search is hidden from the feeds list right away; the deletion is
+ * sent to the server once the undo toast closes without "Undo" being clicked.
+ *
+ * @param {number} savedSearchId - Saved search ID
+ */
+async function deleteSavedSearch(savedSearchId) {
+    const savedSearch = getSavedSearchState(savedSearchId);
+    const name = savedSearch ? savedSearch.name : 'saved search';
+
+    pendingDeletions.savedSearches.add(savedSearchId);
+
+    if (getState('currentFeedId') === SAVED_SEARCH_FEED_PREFIX + savedSearchId && typeof clearSelectedFeed === 'function') {
+        clearSelectedFeed();
+    }
+    await loadFeeds();
+
+    showUndoToast(`Deleted saved search "${name}"`, {
+        onUndo: () => {
+            pendingDeletions.savedSearches.delete(savedSearchId);
+            loadFeeds();
+        },
+        onCommit: ({ keepalive = false }) => commitSavedSearchDeletion(savedSearchId, keepalive)
+    });
+}
+
+/**
+ * Send a saved search deletion to the server.
+ *
+ * @param {number} savedSearchId - Saved search ID
+ * @param {boolean} keepalive - Let the request outlive the page
+ */
+async function commitSavedSearchDeletion(savedSearchId, keepalive) {
+    try {
+        const response = await fetch(`/saved-searches/${savedSearchId}`, addCsrfToken({
+            method: 'DELETE',
+            keepalive
+        }));
+
+        const result = await response.json();
+
+        if (!result.success) {
+            showError('Error: ' + (result.error || 'Failed to delete saved search'));
+        }
+    } catch (error) {
+        console.error('Error deleting saved search:', error);
+        showError('Error deleting saved search. Please try again.');
+    } finally {
+        pendingDeletions.savedSearches.delete(savedSearchId);
+        loadFeeds();
+    }
+}
+
+/**
+ * Handle clicks on a saved search's rename and delete buttons in the feeds list.
+ *
+ * @param {MouseEvent} e - The click event
+ * @returns {Promise<boolean>} True if the click was handled
+ */
+async function handleSavedSearchClick(e) {
+    const editBtn = e.target.closest('.saved-search-edit-btn');
+    const deleteBtn = e.target.closest('.saved-search-delete-btn');
+    if (!editBtn && !deleteBtn) return false;
+
+    e.stopPropagation();
+    const savedSearchId = parseInt((editBtn || deleteBtn).dataset.savedSearchId, 10);
+
+    if (editBtn) {
+        const savedSearch = getSavedSearchState(savedSearchId);
+        const currentName = savedSearch ? savedSearch.name : '';
+        const newName = prompt('Enter new saved search name:', currentName);
+        if (newName && newName.trim() && newName.trim() !== currentName) {
+            await renameSavedSearch(savedSearchId, newName.trim());
+        }
+    } else {
+        await deleteSavedSearch(savedSearchId);
+    }
+    return true;
+}
+
+/**
+ * Set up in-place updates of saved search entries (set up once).
+ */
+function setupSavedSearches() {
+    onStateChange('savedSearchChanged', renderSavedSearchChange);
+    // Read states changed somewhere: the number of unread matches may have too
+    onStateChange('feedChanged', scheduleSavedSearchCountsRefresh);
+}
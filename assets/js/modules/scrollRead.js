@@ -0,0 +1,191 @@
+/**
+ * Mark as read on scroll module.
+ *
+ * When the "mark as read on scroll" preference is enabled, items are marked read
+ * as they scroll past the top of the items list, or once their content has been
+ * scrolled to the end in the content pane (selecting an item no longer marks it
+ * read on its own). Marks are batched and sent to the bulk /items/read endpoint.
+ *
+ * Dependencies:
+ * - utils/csrf.js (addCsrfToken)
+ * - utils/toast.js (showError)
+ * - utils/store.js (getState)
+ * - modules/items.js (findLoadedItem, setLoadedItemReadState)
+ */
+
+/** Delay (ms) before queued read marks are sent to the server */
+const SCROLL_READ_FLUSH_DELAY = 1000;
+
+/** Distance (px) from the bottom of the content pane that counts as "fully scrolled" */
+const SCROLL_READ_CONTENT_THRESHOLD = 20;
+
+/**
+ * State for batched read marks.
+ *
+ * `skipItemId` is the open item the user explicitly marked unread; it is not
+ * re-marked by scrolling its content until another item is selected.
+ */
+const scrollReadState = {
+    pending: new Set(),
+    timer: null,
+    frame: null,
+    skipItemId: null
+};
+
+/**
+ * Check whether mark as read on scroll is enabled.
+ *
+ * @returns {boolean} True if the preference is enabled
+ */
+function isMarkReadOnScrollEnabled() {
+    return !!window.markReadOnScroll;
+}
+
+/**
+ * Queue items to be marked as read and update them in the list right away.
+ *
+ * @param {Array<number>} itemIds - Item IDs to mark as read
+ */
+function queueItemsRead(itemIds) {
+    itemIds.forEach(itemId => {
+        scrollReadState.pending.add(itemId);
+        setLoadedItemReadState(itemId, true);
+    });
+
+    if (scrollReadState.pending.size > 0 && !scrollReadState.timer) {
+        scrollReadState.timer = setTimeout(flushReadQueue, SCROLL_READ_FLUSH_DELAY);
+    }
+}
+
+/**
+ * Send all queued read marks to the server in one request.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page (used on unload)
+ */
+async function flushReadQueue(options = {}) {
+    clearTimeout(scrollReadState.timer);
+    scrollReadState.timer = null;
+
+    const itemIds = Array.from(scrollReadState.pending);
+    scrollReadState.pending.clear();
+    if (itemIds.length === 0) return;
+
+    try {
+        const response = await fetch('/items/read', addCsrfToken({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ item_ids: itemIds }),
+            keepalive: !!options.keepalive
+        }));
+
+        const result = await response.json();
+
+        // Unread counts were already updated when the items were queued
+        if (!result.success) {
+            itemIds.forEach(itemId => setLoadedItemReadState(itemId, false));
+            showError('Error: ' + (result.error || 'Failed to mark items as read'));
+        }
+    } catch (error) {
+        itemIds.forEach(itemId => setLoadedItemReadState(itemId, false));
+        console.error('Error marking items as read:', error);
+        showError('Error marking items as read. Please try again.');
+    }
+}
+
+/**
+ * Queue unread items whose entries have scrolled past the top of the items list.
+ */
+function markItemsScrolledPast() {
+    const itemsList = document.getElementById('items-list');
+    if (!itemsList) return;
+
+    const listTop = itemsList.getBoundingClientRect().top;
+    const itemIds = [];
+    itemsList.querySelectorAll('.item-entry.unread').forEach(entry => {
+        const itemId = parseInt(entry.dataset.itemId);
+        if (itemId !== scrollReadState.skipItemId && entry.getBoundingClientRect().bottom <= listTop) {
+            itemIds.push(itemId);
+        }
+    });
+
+    queueItemsRead(itemIds);
+}
+
+/**
+ * Queue the open item if its content has been scrolled to the end
+ * (or fits in the content pane without scrolling).
+ */
+function markContentIfFullyScrolled() {
+    const itemId = getState('currentItemId');
+    const itemContent = document.getElementById('item-content');
+    if (!itemId || !itemContent || itemId === scrollReadState.skipItemId) return;
+
+    const item = typeof findLoadedItem === 'function' ? findLoadedItem(itemId) : null;
+    if (!item || item.is_read || scrollReadState.pending.has(itemId)) return;
+
+    const remaining = itemContent.scrollHeight - itemContent.scrollTop - itemContent.clientHeight;
+    if (remaining <= SCROLL_READ_CONTENT_THRESHOLD) {
+        queueItemsRead([itemId]);
+    }
+}
+
+/**
+ * Run a scroll check at most once per animation frame.
+ *
+ * @param {Function} check - The check to run
+ */
+function scheduleScrollReadCheck(check) {
+    if (!isMarkReadOnScrollEnabled() || scrollReadState.frame) return;
+
+    scrollReadState.frame = requestAnimationFrame(() => {
+        scrollReadState.frame = null;
+        check();
+    });
+}
+
+/**
+ * Notify the module that an item's content was rendered in the content pane.
+ *
+ * @param {number} itemId - The item ID
+ */
+function handleItemContentShown(itemId) {
+    if (scrollReadState.skipItemId !== itemId) {
+        scrollReadState.skipItemId = null;
+    }
+    scheduleScrollReadCheck(markContentIfFullyScrolled);
+}
+
+/**
+ * Notify the module that an item was explicitly marked unread.
+ *
+ * @param {number} itemId - The item ID
+ */
+function handleItemMarkedUnread(itemId) {
+    scrollReadState.pending.delete(itemId);
+    if (itemId === getState('currentItemId')) {
+        scrollReadState.skipItemId = itemId;
+    }
+}
+
+/**
+ * Set up scroll listeners for mark as read on scroll.
+ */
+function setupScrollRead() {
+    const itemsList = document.getElementById('items-list');
+    if (itemsList) {
+        itemsList.addEventListener('scroll', () => scheduleScrollReadCheck(markItemsScrolledPast), { passive: true });
+    }
+
+    const itemContent = document.getElementById('item-content');
+    if (itemContent) {
+        itemContent.addEventListener('scroll', () => scheduleScrollReadCheck(markContentIfFullyScrolled), { passive: true });
+    }
+
+    // Send any queued marks before leaving the page
+    window.addEventListener('pagehide', () => {
+        if (scrollReadState.pending.size > 0) {
+            flushReadQueue({ keepalive: true });
+        }
+    });
+}
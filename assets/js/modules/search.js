@@ -1,58 +1,200 @@
 /**
  * Search functionality module.
  * 
- * Handles searching across all feeds and displaying search results.
+ * Handles searching across all feeds and displaying search results (ranked
+ * by relevance or sorted by date, with highlighted excerpts and further pages
+ * loaded on scroll), with inline hints for the query syntax (feed:, is:unread,
+ * -word, OR, ...) and errors reported by the server's query parser.
  * 
  * Dependencies:
+ * - utils/store.js (getState, getFeedState)
  * - utils/dateFormat.js (formatDate)
+ * - utils/toast.js (showError)
  * - utils/ui.js (escapeHtml)
- * - modules/items.js (selectItem, getItemDisplayTitle, loadFeedItems)
+ * - modules/items.js (selectItem, getItemDisplayTitle, renderItemTags, renderItemMediaIcon, loadFeedItems, resetItemsListState, updatePaneHeaderActions)
+ * - modules/feeds.js (getVirtualFeed, renderFeedIcon)
+ * - modules/savedSearches.js (saveSearch)
+ * - modules/itemSelection.js (clearItemSelection)
  */
 
 // Search state (global)
 window.isSearchMode = false;
 window.searchResults = [];
 
+/** Number of results requested per page (see /api/search) */
+const SEARCH_PAGE_SIZE = 50;
+
+/**
+ * Current search: query, sort order and paging.
+ * 
+ * requestId is bumped for every new search so responses to older
+ * searches (or pages of them) are ignored.
+ */
+const searchState = {
+    query: null,
+    savedSearchFeed: null,
+    sort: 'relevance',
+    hasMore: false,
+    loading: false,
+    requestId: 0,
+    observer: null
+};
+
+/** Syntax error for the current query (shown instead of hints) */
+let searchQueryError = null;
+
+/** Query operators offered as hints under the search box */
+const SEARCH_OPERATORS = [
+    { syntax: 'feed:"Name"', insert: 'feed:"', description: 'Items from a feed' },
+    { syntax: 'folder:"Name"', insert: 'folder:"', description: 'Items from feeds in a folder' },
+    { syntax: 'author:name', insert: 'author:', description: 'Items by an author' },
+    { syntax: 'tag:name', insert: 'tag:', description: 'Items tagged by a filter rule' },
+    { syntax: 'is:unread', insert: 'is:unread ', description: 'Unread items' },
+    { syntax: 'is:read', insert: 'is:read ', description: 'Read items' },
+    { syntax: 'is:starred', insert: 'is:starred ', description: 'Starred items' },
+    { syntax: 'before:YYYY-MM-DD', insert: 'before:', description: 'Published before a date' },
+    { syntax: 'after:YYYY-MM-DD', insert: 'after:', description: 'Published on or after a date' },
+    { syntax: '"exact phrase"', insert: '"', description: 'Words in this order' },
+    { syntax: '-word', insert: '-', description: 'Exclude items that match' },
+    { syntax: 'OR', insert: 'OR ', description: 'Match either side' }
+];
+
+/**
+ * Fetch a page of search results.
+ * 
+ * @param {string} query - Search query string
+ * @param {number} offset - Number of results to skip
+ * @returns {Promise<Response>} The fetch response
+ */
+function fetchSearchPage(query, offset) {
+    const params = new URLSearchParams({
+        q: query,
+        sort: searchState.sort,
+        limit: SEARCH_PAGE_SIZE,
+        offset
+    });
+    return fetch(`/api/search?${params}`);
+}
+
 /**
  * Perform a search query.
  * 
+ * Loads the first page of results; further pages are loaded as the user
+ * scrolls to the end of the list (see loadMoreSearchResults).
+ * 
  * @param {string} query - Search query string
+ * @param {Object|null} savedSearchFeed - Saved search virtual feed being shown, or null for a typed search
  */
-async function performSearch(query) {
+async function performSearch(query, savedSearchFeed = null) {
     if (!query || query.trim().length === 0) {
         clearSearch();
         return;
     }
 
     window.isSearchMode = true;
+    searchState.query = query;
+    searchState.savedSearchFeed = savedSearchFeed;
+    searchState.loading = false;
+    const requestId = ++searchState.requestId;
     try {
-        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+        const response = await fetchSearchPage(query, 0);
         const results = await response.json();
+        if (requestId !== searchState.requestId) return;
+        // Another feed was selected while the saved search was running
+        if (savedSearchFeed && getState('currentFeedId') !== savedSearchFeed.id) return;
+
+        // Syntax errors are shown under the search box; the last results stay listed
+        if (!response.ok || !Array.isArray(results)) {
+            showSearchQueryError(results.error || 'Invalid search');
+            return;
+        }
+
         window.searchResults = results;
-        displaySearchResults(results);
+        searchState.hasMore = results.length === SEARCH_PAGE_SIZE;
+        displaySearchResults(results, savedSearchFeed);
     } catch (error) {
         console.error('Error performing search:', error);
         document.getElementById('items-list').innerHTML = '<div class="empty-state">Error performing search</div>';
     }
 }
 
+/**
+ * Load the next page of results for the current search and append it to the list.
+ */
+async function loadMoreSearchResults() {
+    if (!window.isSearchMode || searchState.loading || !searchState.hasMore) return;
+
+    searchState.loading = true;
+    const requestId = searchState.requestId;
+    try {
+        const response = await fetchSearchPage(searchState.query, window.searchResults.length);
+        const results = await response.json();
+        if (requestId !== searchState.requestId) return;
+
+        if (!response.ok || !Array.isArray(results)) {
+            throw new Error(results.error || 'Failed to load results');
+        }
+
+        window.searchResults = window.searchResults.concat(results);
+        searchState.hasMore = results.length === SEARCH_PAGE_SIZE;
+        appendSearchResults(results);
+    } catch (error) {
+        console.error('Error loading more search results:', error);
+        showError('Error loading more results. Please try again.');
+    } finally {
+        if (requestId === searchState.requestId) {
+            searchState.loading = false;
+        }
+    }
+}
+
+/**
+ * Change the sort order of the search results and run the search again.
+ * 
+ * The order is kept for later searches.
+ * 
+ * @param {string} sort - 'relevance' or 'date'
+ */
+function setSearchSort(sort) {
+    if (sort === searchState.sort) return;
+
+    searchState.sort = sort;
+    if (window.isSearchMode && searchState.query) {
+        performSearch(searchState.query, searchState.savedSearchFeed);
+    }
+}
+
+/**
+ * Get the result count shown in the items title ("50+" while more pages can be loaded).
+ * 
+ * @returns {string} Result count label
+ */
+function getSearchResultsCountLabel() {
+    return `${window.searchResults.length}${searchState.hasMore ? '+' : ''}`;
+}
+
 /**
  * Clear search and restore normal view.
  */
 function clearSearch() {
     window.isSearchMode = false;
     window.searchResults = [];
+    searchState.query = null;
+    searchState.savedSearchFeed = null;
+    searchState.hasMore = false;
+    searchState.requestId++;
+    disconnectSearchResultsObserver();
     
     // Restore normal view - show current feed items or empty state
-    if (window.currentFeedId && typeof loadFeedItems === 'function') {
-        loadFeedItems(window.currentFeedId);
+    if (getState('currentFeedId') && typeof loadFeedItems === 'function') {
+        loadFeedItems(getState('currentFeedId'));
     } else {
         document.getElementById('items-list').innerHTML = '<div class="empty-state">Select a feed from the left to view items</div>';
         document.getElementById('items-title').textContent = 'Select a feed';
     }
     
     // Clear item content if no item selected
-    if (!window.currentItemId) {
+    if (!getState('currentItemId')) {
         document.getElementById('item-content').innerHTML = '<div class="empty-state">Select an item to read</div>';
         document.getElementById('content-title').textContent = 'Item';
     }
@@ -67,49 +209,329 @@ function clearSearch() {
 /**
  * Display search results in the items list.
  * 
- * @param {Array} results - Array of search result items
+ * Results show an excerpt with the matching words highlighted, under a bar
+ * to sort them by relevance or date. Typed searches also get a "Save this
+ * search" button; saved searches keep their title and "Mark all as read" action.
+ * 
+ * @param {Array} results - Array of search result items (first page)
+ * @param {Object|null} savedSearchFeed - Saved search virtual feed being shown, or null for a typed search
  */
-function displaySearchResults(results) {
+function displaySearchResults(results, savedSearchFeed = null) {
     const itemsList = document.getElementById('items-list');
     const itemsTitle = document.getElementById('items-title');
     
-    itemsTitle.textContent = `Search Results (${results.length})`;
+    // Stop feed pagination while results are shown
+    if (typeof resetItemsListState === 'function') {
+        resetItemsListState(null);
+    }
+    if (typeof clearItemSelection === 'function') {
+        clearItemSelection();
+    }
+    disconnectSearchResultsObserver();
+    
+    itemsTitle.textContent = `${savedSearchFeed ? savedSearchFeed.title : 'Search Results'} (${getSearchResultsCountLabel()})`;
+
+    // Saved searches show their own actions; typed searches hide the feed action buttons
+    const paneHeaderActions = document.querySelector('.pane-header-actions');
+    if (savedSearchFeed && typeof updatePaneHeaderActions === 'function') {
+        updatePaneHeaderActions(savedSearchFeed);
+    } else if (paneHeaderActions) {
+        paneHeaderActions.style.display = 'none';
+    }
+
+    const sortOptions = [['relevance', 'Relevance'], ['date', 'Date']];
+    const actionsHtml = `
+        <div class="search-results-actions">
+            <div class="search-sort" role="group" aria-label="Sort results by">
+                ${sortOptions.map(([sort, label]) => `
+                    <button type="button" class="search-sort-btn ${searchState.sort === sort ? 'active' : ''}"
+                            data-sort="${sort}" aria-pressed="${searchState.sort === sort}">${label}</button>
+                `).join('')}
+            </div>
+            ${savedSearchFeed ? '' : '<button type="button" class="btn btn-secondary btn-sm save-search-btn">Save this search</button>'}
+        </div>
+    `;
 
     if (results.length === 0) {
-        itemsList.innerHTML = '<div class="empty-state">No results found</div>';
+        itemsList.innerHTML = actionsHtml + '<div class="empty-state">No results found</div>';
+        bindSearchResultsActions(itemsList);
         document.getElementById('item-content').innerHTML = '<div class="empty-state">No results found</div>';
         document.getElementById('content-title').textContent = 'Search Results';
         return;
     }
 
-    itemsList.innerHTML = results.map(item => {
-        const displayTitle = getItemDisplayTitle(item);
-        return `
+    itemsList.innerHTML = actionsHtml + `
+        <div class="search-results-entries">${results.map(renderSearchResultEntry).join('')}</div>
+        <button type="button" class="btn btn-secondary btn-sm search-load-more" ${searchState.hasMore ? '' : 'hidden'}>Load more results</button>
+    `;
+
+    // Add click handlers for search results (delegated, so appended pages work too)
+    itemsList.querySelector('.search-results-entries').addEventListener('click', (e) => {
+        const entry = e.target.closest('.item-entry');
+        if (entry && typeof selectItem === 'function') {
+            selectItem(parseInt(entry.dataset.itemId, 10));
+        }
+    });
+    bindSearchResultsActions(itemsList);
+
+    // Load the next page when "Load more" is clicked or scrolled into view
+    const loadMoreBtn = itemsList.querySelector('.search-load-more');
+    loadMoreBtn.addEventListener('click', loadMoreSearchResults);
+    if (typeof IntersectionObserver === 'function') {
+        searchState.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadMoreSearchResults();
+            }
+        }, { root: itemsList });
+        searchState.observer.observe(loadMoreBtn);
+    }
+}
+
+/**
+ * Render a search result entry for the items list.
+ * 
+ * @param {Object} item - Search result item
+ * @returns {string} HTML string for the entry
+ */
+function renderSearchResultEntry(item) {
+    const displayTitle = getItemDisplayTitle(item);
+    return `
         <div class="item-entry ${item.is_read ? '' : 'unread'}" 
              data-item-id="${item.id}">
-            <div class="item-entry-title">${escapeHtml(decodeHtmlEntities(displayTitle))}</div>
+            <div class="item-entry-title">${renderItemMediaIcon(item)}${escapeHtml(decodeHtmlEntities(displayTitle))}</div>
+            ${item.snippet ? `<div class="item-entry-snippet">${formatSearchSnippet(item.snippet)}</div>` : ''}
             <div class="item-entry-meta">
+                ${renderSearchResultFeedIcon(item.feed_id)}
                 <span class="item-feed-name">${escapeHtml(decodeHtmlEntities(item.feed_title || 'Unknown Feed'))}</span>
                 ${item.published_at ? `• ${formatDate(item.published_at, { year: 'numeric', month: 'short', day: 'numeric' })}` : ''}
                 ${item.author ? `• ${escapeHtml(decodeHtmlEntities(item.author))}` : ''}
             </div>
+            ${renderItemTags(item.tags)}
         </div>
-        `;
-    }).join('');
-
-    // Add click handlers for search results
-    itemsList.querySelectorAll('.item-entry').forEach(item => {
-        item.addEventListener('click', () => {
-            const itemId = parseInt(item.dataset.itemId);
-            if (typeof selectItem === 'function') {
-                selectItem(itemId);
-            }
-        });
+    `;
+}
+
+/**
+ * Render the site icon of a result's feed.
+ * 
+ * Feeds missing from the sidebar (e.g. hidden without unread items) try
+ * loading their icon; a missing one is replaced by the placeholder.
+ * 
+ * @param {number} feedId - The result's feed ID
+ * @returns {string} HTML string
+ */
+function renderSearchResultFeedIcon(feedId) {
+    if (typeof renderFeedIcon !== 'function') return '';
+
+    const feed = getFeedState(feedId);
+    return renderFeedIcon(feedId, feed ? feed.has_icon : true);
+}
+
+/**
+ * Prepare a result snippet for display.
+ * 
+ * Snippets arrive HTML-escaped with matches wrapped in <mark>; any other
+ * tag is escaped so only the highlighting is rendered.
+ * 
+ * @param {string} snippet - Snippet HTML from the search API
+ * @returns {string} Safe HTML string
+ */
+function formatSearchSnippet(snippet) {
+    return snippet.replace(/<(?!\/?mark>)/g, '&lt;');
+}
+
+/**
+ * Append a further page of results to the list.
+ * 
+ * @param {Array} results - Search result items
+ */
+function appendSearchResults(results) {
+    const itemsList = document.getElementById('items-list');
+    const entries = itemsList.querySelector('.search-results-entries');
+    const loadMoreBtn = itemsList.querySelector('.search-load-more');
+    if (!entries || !loadMoreBtn) return;
+
+    entries.insertAdjacentHTML('beforeend', results.map(renderSearchResultEntry).join(''));
+    loadMoreBtn.hidden = !searchState.hasMore;
+
+    // Look the saved search up again, in case it was renamed
+    const savedSearchFeed = searchState.savedSearchFeed && typeof getVirtualFeed === 'function'
+        ? getVirtualFeed(searchState.savedSearchFeed.id)
+        : searchState.savedSearchFeed;
+    const title = savedSearchFeed ? savedSearchFeed.title : 'Search Results';
+    document.getElementById('items-title').textContent = `${title} (${getSearchResultsCountLabel()})`;
+
+    // Observe again so a button that stayed in view loads the next page too
+    if (searchState.observer) {
+        searchState.observer.unobserve(loadMoreBtn);
+        if (searchState.hasMore) {
+            searchState.observer.observe(loadMoreBtn);
+        }
+    }
+}
+
+/**
+ * Stop loading further result pages on scroll.
+ */
+function disconnectSearchResultsObserver() {
+    if (searchState.observer) {
+        searchState.observer.disconnect();
+        searchState.observer = null;
+    }
+}
+
+/**
+ * Bind the sort toggle and "Save this search" button above the results.
+ * 
+ * @param {HTMLElement} itemsList - The items list element
+ */
+function bindSearchResultsActions(itemsList) {
+    itemsList.querySelectorAll('.search-sort-btn').forEach(btn => {
+        btn.addEventListener('click', () => setSearchSort(btn.dataset.sort));
     });
+    bindSaveSearchButton(itemsList);
+}
 
-    // Hide feed action buttons when in search mode
-    const paneHeaderActions = document.querySelector('.pane-header-actions');
-    if (paneHeaderActions) {
-        paneHeaderActions.style.display = 'none';
+/**
+ * Bind the "Save this search" button rendered above typed search results.
+ * 
+ * @param {HTMLElement} itemsList - The items list element
+ */
+function bindSaveSearchButton(itemsList) {
+    const saveBtn = itemsList.querySelector('.save-search-btn');
+    if (!saveBtn) return;
+
+    const query = searchState.query;
+    saveBtn.addEventListener('click', () => {
+        if (query && typeof saveSearch === 'function') {
+            saveSearch(query);
+        }
+    });
+}
+
+/**
+ * Set up syntax hints and error display for the search box.
+ *
+ * @param {HTMLInputElement} input - The search input
+ */
+function setupSearchHints(input) {
+    const hints = document.getElementById('search-hints');
+    if (!hints) return;
+
+    input.addEventListener('focus', () => updateSearchHints(input));
+    input.addEventListener('blur', () => {
+        hints.hidden = true;
+    });
+    input.addEventListener('input', () => {
+        searchQueryError = null;
+        updateSearchHints(input);
+    });
+
+    // Keep focus in the input while a hint is clicked
+    hints.addEventListener('mousedown', (e) => e.preventDefault());
+    hints.addEventListener('click', (e) => {
+        const hint = e.target.closest('.search-hint');
+        if (hint) {
+            applySearchHint(input, SEARCH_OPERATORS[parseInt(hint.dataset.index, 10)]);
+        }
+    });
+}
+
+/**
+ * Get the word being typed at the caret.
+ *
+ * @param {HTMLInputElement} input - The search input
+ * @returns {string} Text from the last space before the caret up to the caret
+ */
+function getSearchTokenAtCaret(input) {
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = beforeCaret.match(/\S*$/);
+    return match ? match[0] : '';
+}
+
+/**
+ * Show the hints matching the word being typed, or the current syntax error.
+ *
+ * All operators are listed while the box is empty; otherwise only operators
+ * that start with the current word (e.g. "is:" lists the is: filters).
+ *
+ * @param {HTMLInputElement} input - The search input
+ */
+function updateSearchHints(input) {
+    const hints = document.getElementById('search-hints');
+    if (!hints) return;
+
+    if (searchQueryError) {
+        hints.innerHTML = `<div class="search-hints-error">${escapeHtml(searchQueryError)}</div>`;
+        hints.hidden = false;
+        return;
+    }
+
+    let matches = [];
+    if (input.value.trim() === '') {
+        matches = SEARCH_OPERATORS;
+    } else {
+        const token = getSearchTokenAtCaret(input).replace(/^-/, '').toLowerCase();
+        if (token) {
+            matches = SEARCH_OPERATORS.filter(op => /^[a-z]/i.test(op.insert)
+                && op.insert.toLowerCase().startsWith(token)
+                && op.insert.trim().toLowerCase() !== token);
+        }
+    }
+
+    if (matches.length === 0 || document.activeElement !== input) {
+        hints.hidden = true;
+        return;
+    }
+
+    hints.innerHTML = matches.map(op => `
+        <button type="button" class="search-hint" data-index="${SEARCH_OPERATORS.indexOf(op)}">
+            <code>${escapeHtml(op.syntax)}</code>
+            <span>${escapeHtml(op.description)}</span>
+        </button>
+    `).join('');
+    hints.hidden = false;
+}
+
+/**
+ * Show a query syntax error under the search box.
+ *
+ * @param {string} message - Error message from the server
+ */
+function showSearchQueryError(message) {
+    searchQueryError = message;
+    const input = document.getElementById('search-input');
+    const hints = document.getElementById('search-hints');
+    if (input && hints) {
+        updateSearchHints(input);
+        // Errors stay visible even when the input isn't focused
+        hints.hidden = false;
+    }
+}
+
+/**
+ * Insert an operator from a hint in place of the word being typed.
+ *
+ * Complete operators (e.g. is:unread) run the search; operators that need a
+ * value leave the caret after the colon or quote.
+ *
+ * @param {HTMLInputElement} input - The search input
+ * @param {Object} operator - Entry from SEARCH_OPERATORS
+ */
+function applySearchHint(input, operator) {
+    if (!operator) return;
+
+    const caret = input.selectionStart;
+    const token = getSearchTokenAtCaret(input);
+    const prefix = token.startsWith('-') && operator.insert !== '-' ? '-' : '';
+    const before = input.value.slice(0, caret - token.length) + prefix + operator.insert;
+
+    input.value = before + input.value.slice(caret);
+    input.setSelectionRange(before.length, before.length);
+
+    if (operator.insert.endsWith(' ')) {
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+        updateSearchHints(input);
     }
 }
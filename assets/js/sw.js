@@ -0,0 +1,321 @@
+/**
+ * VibeReader service worker (served from /sw.js so it controls the whole app).
+ *
+ * - Caches the app shell (dashboard, CSS, JavaScript) for offline use
+ * - Stores feed lists, item lists and items in IndexedDB as they load, and
+ *   serves them when the network is unavailable
+ * - Queues read/unread/mark-all-read requests made offline and answers them
+ *   optimistically; the dashboard replays the queue when back online
+ *
+ * Dependencies:
+ * - utils/offlineStore.js (IndexedDB helpers)
+ */
+
+importScripts('/assets/js/utils/offlineStore.js');
+
+/** Bump when the app shell list changes to drop old caches */
+const SHELL_CACHE = 'vibereader-shell-v10';
+
+/** Static files cached at install time */
+const APP_SHELL = [
+    '/assets/css/style.css',
+    '/assets/js/app.js',
+    '/assets/js/utils/store.js',
+    '/assets/js/utils/csrf.js',
+    '/assets/js/utils/toast.js',
+    '/assets/js/utils/dateFormat.js',
+    '/assets/js/utils/ui.js',
+    '/assets/js/utils/resizer.js',
+    '/assets/js/utils/offlineStore.js',
+    '/assets/js/modules/feeds.js',
+    '/assets/js/modules/feedDiscovery.js',
+    '/assets/js/modules/items.js',
+    '/assets/js/modules/itemSelection.js',
+    '/assets/js/modules/folders.js',
+    '/assets/js/modules/search.js',
+    '/assets/js/modules/savedSearches.js',
+    '/assets/js/modules/feedSettings.js',
+    '/assets/js/modules/feedHealth.js',
+    '/assets/js/modules/filterRules.js',
+    '/assets/js/modules/preferences.js',
+    '/assets/js/modules/keyboard.js',
+    '/assets/js/modules/scrollRead.js',
+    '/assets/js/modules/offline.js',
+    '/assets/js/modules/liveUpdates.js',
+    '/assets/js/modules/mediaPlayer.js',
+    '/favicon.svg'
+];
+
+/** JSON endpoints whose responses are stored for offline reading */
+const DATA_ROUTES = [
+    /^\/api\/feeds$/,
+    /^\/folders$/,
+    /^\/saved-searches$/,
+    /^\/preferences$/,
+    /^\/feeds\/\d+\/items$/,
+    /^\/folders\/\d+\/items$/,
+    /^\/items\/(starred|unread|today|recently-read)$/,
+    /^\/items\/\d+$/
+];
+
+/** Read-state endpoints that are queued when offline */
+const QUEUEABLE_ROUTES = [
+    /^\/items\/\d+\/(read|unread)$/,
+    /^\/items\/(read|unread)$/,
+    /^\/feeds\/\d+\/mark-all-read$/,
+    /^\/folders\/\d+\/mark-all-read$/,
+    /^\/items\/(unread|today)\/mark-all-read$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        // Third-party scripts (e.g. DOMPurify from the CDN)
+        if (request.method === 'GET' && request.destination === 'script') {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    if (request.method === 'GET') {
+        if (url.pathname === '/dashboard') {
+            event.respondWith(networkFirstPage(request));
+        } else if (url.pathname.startsWith('/assets/') || url.pathname === '/favicon.svg') {
+            event.respondWith(staleWhileRevalidate(request));
+        } else if (DATA_ROUTES.some(route => route.test(url.pathname))) {
+            event.respondWith(networkFirstData(request, url));
+        }
+        return;
+    }
+
+    if (request.method === 'POST' && !request.headers.has('X-Offline-Replay')
+        && QUEUEABLE_ROUTES.some(route => route.test(url.pathname))) {
+        event.respondWith(sendOrQueue(request, url));
+    }
+});
+
+/**
+ * Serve from the cache, falling back to (and caching) the network.
+ *
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Serve from the cache while updating it in the background.
+ *
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/**
+ * Load the dashboard from the network, falling back to the last cached copy.
+ *
+ * @param {Request} request - The navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        // Don't cache the login page served after a redirect
+        if (response.ok && !response.redirected) {
+            cache.put('/dashboard', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match('/dashboard');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Load JSON data from the network and store it; serve the stored copy when offline.
+ *
+ * @param {Request} request - The request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirstData(request, url) {
+    const key = url.pathname + url.search;
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            storeDataResponse(key, url.pathname, response.clone()).catch(() => {});
+        }
+        return response;
+    } catch (error) {
+        const stored = await getOfflineResponse(key);
+        let data = stored ? stored.data : undefined;
+        if (data === undefined && /^\/items\/\d+$/.test(url.pathname)) {
+            data = await getOfflineItem(parseInt(url.pathname.split('/')[2], 10));
+        }
+        if (data === undefined) {
+            return jsonResponse({ success: false, error: 'Not available offline' }, 503);
+        }
+        // Keep the list's mark-all-read bound, so items stored since stay unread
+        const headers = stored && stored.maxItemId ? { 'X-Max-Item-Id': String(stored.maxItemId) } : {};
+        return jsonResponse(applyPendingReadState(url.pathname, data, await getPendingChanges()), 200, headers);
+    }
+}
+
+/**
+ * Store a successful JSON response and the items it contains.
+ *
+ * @param {string} key - Storage key (path and query)
+ * @param {string} pathname - Request path
+ * @param {Response} response - Cloned response
+ * @returns {Promise<void>}
+ */
+async function storeDataResponse(key, pathname, response) {
+    const data = await response.json();
+    await putOfflineResponse(key, data, parseInt(response.headers.get('X-Max-Item-Id'), 10) || null);
+
+    const isItemList = Array.isArray(data) && pathname !== '/api/feeds';
+    if (isItemList || /^\/items\/\d+$/.test(pathname)) {
+        await putOfflineItems(isItemList ? data : [data]);
+        await pruneOfflineStore('items', OFFLINE_MAX_ITEMS);
+    }
+    await pruneOfflineStore('responses', OFFLINE_MAX_RESPONSES);
+}
+
+/**
+ * Send a read-state change, or queue it and answer optimistically when offline.
+ *
+ * @param {Request} request - The POST request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} Response
+ */
+async function sendOrQueue(request, url) {
+    const contentType = request.headers.get('Content-Type') || '';
+    const body = await request.clone().text();
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // The CSRF token is dropped here and a fresh one is added on replay;
+        // form-encoded bodies carry nothing but the token.
+        let payload = null;
+        if (contentType.includes('application/json') && body) {
+            const data = JSON.parse(body);
+            delete data._token;
+            payload = JSON.stringify(data);
+        }
+        await addPendingChange({
+            url: url.pathname + url.search,
+            method: 'POST',
+            contentType: payload ? 'application/json' : null,
+            body: payload,
+            userId: request.headers.get('X-User-Id')
+        });
+        notifyClients({ type: 'pending-changes' });
+        return jsonResponse({ success: true, queued: true, count: 0, item_ids: [], batch_id: null }, 202);
+    }
+}
+
+/**
+ * Apply queued read-state changes to stored data, so offline views match what the user did.
+ *
+ * @param {string} pathname - Path of the data being served
+ * @param {Array|Object} data - Stored item list or item
+ * @param {Array<Object>} changes - Queued changes, oldest first
+ * @returns {Array|Object} Data with read states updated
+ */
+function applyPendingReadState(pathname, data, changes) {
+    if (!Array.isArray(data) && !(data && data.id)) return data;
+
+    const items = Array.isArray(data) ? data.map(item => ({ ...item })) : [{ ...data }];
+    changes.forEach(change => {
+        // Mark-all-read requests carry the newest item stored when the list was loaded, as
+        // 'max_item_id' (issued by the server with the list's first page; IDs follow storage order)
+        const [changePath, changeQuery] = change.url.split('?');
+        const maxItemId = parseInt(new URLSearchParams(changeQuery || '').get('max_item_id'), 10) || Infinity;
+        const setRead = (matches, isRead) => items.forEach(item => {
+            if (matches(item) && (!isRead || item.id <= maxItemId)) item.is_read = isRead ? 1 : 0;
+        });
+
+        let match;
+        if ((match = changePath.match(/^\/items\/(\d+)\/(read|unread)$/))) {
+            setRead(item => item.id === parseInt(match[1], 10), match[2] === 'read');
+        } else if ((match = changePath.match(/^\/items\/(read|unread)$/))) {
+            const ids = (JSON.parse(change.body || '{}').item_ids) || [];
+            setRead(item => ids.includes(item.id), match[1] === 'read');
+        } else if ((match = changePath.match(/^\/feeds\/(\d+)\/mark-all-read$/))) {
+            setRead(item => item.feed_id === parseInt(match[1], 10), true);
+        } else if ((match = changePath.match(/^(.*)\/mark-all-read$/))) {
+            // Folder and smart views: applies to the list the batch was marked in
+            const listPath = match[1].startsWith('/folders/') ? `${match[1]}/items` : match[1];
+            if (pathname === listPath) {
+                setRead(() => true, true);
+            }
+        }
+    });
+
+    return Array.isArray(data) ? items : items[0];
+}
+
+/**
+ * Build a JSON response.
+ *
+ * @param {*} data - Response body
+ * @param {number} [status=200] - HTTP status
+ * @param {Object} [headers={}] - Extra response headers
+ * @returns {Response} Response
+ */
+function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'X-Offline-Response': '1', ...headers }
+    });
+}
+
+/**
+ * Post a message to every open dashboard.
+ *
+ * @param {Object} message - Message data
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
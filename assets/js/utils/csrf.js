@@ -37,6 +37,11 @@ function addCsrfToken(options = {}) {
     
     // Add to headers
     options.headers['X-CSRF-Token'] = token;
+
+    // Lets the service worker tag requests it queues offline with their user
+    if (typeof currentUserId !== 'undefined') {
+        options.headers['X-User-Id'] = String(currentUserId);
+    }
     
     // Also add to body if it's a form data or JSON
     if (options.body) {
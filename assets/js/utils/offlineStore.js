@@ -0,0 +1,191 @@
+/**
+ * IndexedDB storage for offline reading.
+ *
+ * Shared by the service worker (via importScripts) and the dashboard. Stores:
+ * - responses: JSON responses of feed/item list endpoints, keyed by URL
+ * - items: recently loaded items (with content), keyed by item ID
+ * - pending: read-state changes made offline, replayed when back online
+ */
+
+const OFFLINE_DB_NAME = 'vibereader-offline';
+const OFFLINE_DB_VERSION = 1;
+
+/** Maximum number of items kept for offline reading (oldest are pruned first) */
+const OFFLINE_MAX_ITEMS = 1000;
+
+/** Maximum number of list responses kept for offline reading */
+const OFFLINE_MAX_RESPONSES = 200;
+
+let offlineDbPromise = null;
+
+/**
+ * Open (and create or upgrade) the offline database.
+ *
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('responses')) {
+                    db.createObjectStore('responses', { keyPath: 'url' }).createIndex('storedAt', 'storedAt');
+                }
+                if (!db.objectStoreNames.contains('items')) {
+                    db.createObjectStore('items', { keyPath: 'id' }).createIndex('storedAt', 'storedAt');
+                }
+                if (!db.objectStoreNames.contains('pending')) {
+                    db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                offlineDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return offlineDbPromise;
+}
+
+/**
+ * Run a callback in a transaction and resolve with its result once the transaction completes.
+ *
+ * @param {string|Array<string>} storeNames - Object store name(s)
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; may return an IDBRequest whose result is resolved
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+async function withOfflineStore(storeNames, mode, callback) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const request = callback(tx);
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Store a JSON response for offline use.
+ *
+ * @param {string} url - Request URL (path and query)
+ * @param {*} data - Parsed JSON body
+ * @param {number|null} [maxItemId=null] - Item list bound sent with the response (X-Max-Item-Id header)
+ * @returns {Promise<void>}
+ */
+function putOfflineResponse(url, data, maxItemId = null) {
+    return withOfflineStore('responses', 'readwrite', tx => {
+        tx.objectStore('responses').put({ url, data, maxItemId, storedAt: Date.now() });
+    });
+}
+
+/**
+ * Get a stored JSON response.
+ *
+ * @param {string} url - Request URL (path and query)
+ * @returns {Promise<{data: *, maxItemId: number|null}|undefined>} Parsed JSON body and item list bound, or undefined if not stored
+ */
+async function getOfflineResponse(url) {
+    const entry = await withOfflineStore('responses', 'readonly', tx => tx.objectStore('responses').get(url));
+    return entry ? { data: entry.data, maxItemId: entry.maxItemId || null } : undefined;
+}
+
+/**
+ * Store items (with content) for offline reading.
+ *
+ * @param {Array<Object>} items - Item objects
+ * @returns {Promise<void>}
+ */
+function putOfflineItems(items) {
+    const storedAt = Date.now();
+    return withOfflineStore('items', 'readwrite', tx => {
+        const store = tx.objectStore('items');
+        items.forEach(item => {
+            if (item && item.id) {
+                store.put({ ...item, storedAt });
+            }
+        });
+    });
+}
+
+/**
+ * Get a stored item.
+ *
+ * @param {number} itemId - The item ID
+ * @returns {Promise<Object|undefined>} Item object, or undefined if not stored
+ */
+function getOfflineItem(itemId) {
+    return withOfflineStore('items', 'readonly', tx => tx.objectStore('items').get(itemId));
+}
+
+/**
+ * Delete the oldest entries of a store beyond a maximum count.
+ *
+ * @param {string} storeName - 'responses' or 'items'
+ * @param {number} maxEntries - Number of entries to keep
+ * @returns {Promise<void>}
+ */
+function pruneOfflineStore(storeName, maxEntries) {
+    return withOfflineStore(storeName, 'readwrite', tx => {
+        const store = tx.objectStore(storeName);
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - maxEntries;
+            if (excess <= 0) return;
+
+            store.index('storedAt').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        };
+    });
+}
+
+/**
+ * Queue a read-state change made while offline.
+ *
+ * @param {Object} change - { url, method, contentType, body, userId }
+ * @returns {Promise<void>}
+ */
+function addPendingChange(change) {
+    return withOfflineStore('pending', 'readwrite', tx => {
+        tx.objectStore('pending').add({ ...change, createdAt: Date.now() });
+    });
+}
+
+/**
+ * Get all queued changes, oldest first.
+ *
+ * @returns {Promise<Array<Object>>} Queued changes (each with its 'id')
+ */
+function getPendingChanges() {
+    return withOfflineStore('pending', 'readonly', tx => tx.objectStore('pending').getAll());
+}
+
+/**
+ * Remove a queued change after it has been replayed.
+ *
+ * @param {number} changeId - Queue entry ID
+ * @returns {Promise<void>}
+ */
+function deletePendingChange(changeId) {
+    return withOfflineStore('pending', 'readwrite', tx => {
+        tx.objectStore('pending').delete(changeId);
+    });
+}
+
+/**
+ * Count queued changes.
+ *
+ * @returns {Promise<number>} Number of queued changes
+ */
+function countPendingChanges() {
+    return withOfflineStore('pending', 'readonly', tx => tx.objectStore('pending').count());
+}
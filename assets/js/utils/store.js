@@ -0,0 +1,264 @@
+/**
+ * Client-side state store.
+ *
+ * Holds the current selection, collapsed folders and the sidebar's feed and
+ * saved search data, and notifies subscribers when a value changes. Modules read and write state
+ * through these functions instead of window globals, and update only the parts
+ * of the page affected by a change.
+ *
+ * Events:
+ * - currentFeedId, currentItemId: the selection changed (value, previous value)
+ * - collapsedFolders: a folder was collapsed or expanded (folder ID, collapsed)
+ * - feeds: the sidebar feed list was replaced (array of feeds)
+ * - feedChanged: a sidebar feed's counts or folder changed (feed, previous folder ID)
+ * - savedSearches: the saved search list was replaced (array of saved searches)
+ * - savedSearchChanged: a saved search's name or unread count changed (saved search)
+ */
+
+/** localStorage key for the collapsed folder IDs */
+const COLLAPSED_FOLDERS_STORAGE_KEY = 'vibereader_collapsed_folders';
+
+const appState = {
+    currentFeedId: null,
+    currentItemId: null,
+    collapsedFolders: new Set(),
+    feeds: [],
+    savedSearches: []
+};
+
+/** @type {Map<string, Set<Function>>} Subscribers by event name */
+const stateListeners = new Map();
+
+/**
+ * Subscribe to a state event.
+ *
+ * @param {string} event - Event name (see module docs)
+ * @param {Function} listener - Called with the event's arguments
+ * @returns {Function} Call to unsubscribe
+ */
+function onStateChange(event, listener) {
+    if (!stateListeners.has(event)) {
+        stateListeners.set(event, new Set());
+    }
+    stateListeners.get(event).add(listener);
+    return () => stateListeners.get(event).delete(listener);
+}
+
+/**
+ * Notify the subscribers of a state event.
+ *
+ * @param {string} event - Event name
+ * @param {...*} args - Event arguments
+ */
+function emitStateChange(event, ...args) {
+    const listeners = stateListeners.get(event);
+    if (!listeners) return;
+
+    listeners.forEach(listener => {
+        try {
+            listener(...args);
+        } catch (e) {
+            console.error(`Error in ${event} listener:`, e);
+        }
+    });
+}
+
+/**
+ * Get a state value.
+ *
+ * @param {string} key - 'currentFeedId' or 'currentItemId'
+ * @returns {*} The value
+ */
+function getState(key) {
+    return appState[key];
+}
+
+/**
+ * Set a state value and notify subscribers if it changed.
+ *
+ * @param {string} key - 'currentFeedId' or 'currentItemId'
+ * @param {*} value - New value
+ */
+function setState(key, value) {
+    const previous = appState[key];
+    if (previous === value) return;
+
+    appState[key] = value;
+    emitStateChange(key, value, previous);
+}
+
+/**
+ * Check whether a folder is collapsed in the sidebar.
+ *
+ * @param {number} folderId - Folder ID
+ * @returns {boolean} True if collapsed
+ */
+function isFolderCollapsed(folderId) {
+    return appState.collapsedFolders.has(Number(folderId));
+}
+
+/**
+ * Collapse or expand a folder and remember it across sessions.
+ *
+ * @param {number} folderId - Folder ID
+ * @param {boolean} collapsed - New collapsed state
+ */
+function setFolderCollapsed(folderId, collapsed) {
+    folderId = Number(folderId);
+    if (isFolderCollapsed(folderId) === collapsed) return;
+
+    if (collapsed) {
+        appState.collapsedFolders.add(folderId);
+    } else {
+        appState.collapsedFolders.delete(folderId);
+    }
+    saveCollapsedFolders();
+    emitStateChange('collapsedFolders', folderId, collapsed);
+}
+
+/**
+ * Load collapsed folder IDs from localStorage.
+ */
+function loadCollapsedFolders() {
+    try {
+        const saved = localStorage.getItem(COLLAPSED_FOLDERS_STORAGE_KEY);
+        if (saved) {
+            JSON.parse(saved).forEach(id => appState.collapsedFolders.add(Number(id)));
+        }
+    } catch (e) {
+        console.error('Error loading collapsed folders from localStorage:', e);
+    }
+}
+
+/**
+ * Save collapsed folder IDs to localStorage.
+ */
+function saveCollapsedFolders() {
+    try {
+        localStorage.setItem(COLLAPSED_FOLDERS_STORAGE_KEY, JSON.stringify(Array.from(appState.collapsedFolders)));
+    } catch (e) {
+        console.error('Error saving collapsed folders to localStorage:', e);
+    }
+}
+
+/**
+ * Replace the sidebar feed list (as returned by /api/feeds).
+ *
+ * @param {Array<Object>} feeds - Feed objects
+ */
+function setFeedsState(feeds) {
+    appState.feeds = feeds.map(feed => ({
+        ...feed,
+        id: Number(feed.id),
+        folder_id: feed.folder_id ? Number(feed.folder_id) : null,
+        item_count: parseInt(feed.item_count, 10) || 0,
+        unread_count: parseInt(feed.unread_count, 10) || 0
+    }));
+    emitStateChange('feeds', appState.feeds);
+}
+
+/**
+ * Get the sidebar feeds.
+ *
+ * @returns {Array<Object>} Feed objects
+ */
+function getFeedsState() {
+    return appState.feeds;
+}
+
+/**
+ * Get a sidebar feed by ID.
+ *
+ * @param {number} feedId - Feed ID
+ * @returns {Object|undefined} Feed object
+ */
+function getFeedState(feedId) {
+    return appState.feeds.find(feed => feed.id === Number(feedId));
+}
+
+/**
+ * Get the sidebar feeds in a folder.
+ *
+ * @param {number} folderId - Folder ID
+ * @returns {Array<Object>} Feed objects
+ */
+function getFolderFeedsState(folderId) {
+    return appState.feeds.filter(feed => feed.folder_id === Number(folderId));
+}
+
+/**
+ * Update fields of a sidebar feed and notify subscribers.
+ *
+ * @param {number} feedId - Feed ID
+ * @param {Object} changes - Fields to change (e.g. unread_count, item_count, folder_id)
+ */
+function updateFeedState(feedId, changes) {
+    const feed = getFeedState(feedId);
+    if (!feed) return;
+
+    const previousFolderId = feed.folder_id;
+    Object.assign(feed, changes);
+    emitStateChange('feedChanged', feed, previousFolderId);
+}
+
+/**
+ * Change a feed's unread count by a delta (e.g. -1 when an item is read).
+ *
+ * @param {number} feedId - Feed ID
+ * @param {number} delta - Amount to add to the unread count
+ */
+function adjustFeedUnreadCount(feedId, delta) {
+    const feed = getFeedState(feedId);
+    if (!feed) return;
+
+    updateFeedState(feedId, { unread_count: Math.max(0, feed.unread_count + delta) });
+}
+
+/**
+ * Replace the saved search list (as returned by /saved-searches).
+ *
+ * @param {Array<Object>} savedSearches - Saved search objects
+ */
+function setSavedSearchesState(savedSearches) {
+    appState.savedSearches = savedSearches.map(savedSearch => ({
+        ...savedSearch,
+        id: Number(savedSearch.id),
+        unread_count: parseInt(savedSearch.unread_count, 10) || 0
+    }));
+    emitStateChange('savedSearches', appState.savedSearches);
+}
+
+/**
+ * Get the saved searches.
+ *
+ * @returns {Array<Object>} Saved search objects
+ */
+function getSavedSearchesState() {
+    return appState.savedSearches;
+}
+
+/**
+ * Get a saved search by ID.
+ *
+ * @param {number} savedSearchId - Saved search ID
+ * @returns {Object|undefined} Saved search object
+ */
+function getSavedSearchState(savedSearchId) {
+    return appState.savedSearches.find(savedSearch => savedSearch.id === Number(savedSearchId));
+}
+
+/**
+ * Update fields of a saved search and notify subscribers.
+ *
+ * @param {number} savedSearchId - Saved search ID
+ * @param {Object} changes - Fields to change (e.g. name, unread_count)
+ */
+function updateSavedSearchState(savedSearchId, changes) {
+    const savedSearch = getSavedSearchState(savedSearchId);
+    if (!savedSearch) return;
+
+    Object.assign(savedSearch, changes);
+    emitStateChange('savedSearchChanged', savedSearch);
+}
+
+loadCollapsedFolders();
@@ -2,17 +2,26 @@
  * Toast notification utility for displaying non-blocking messages.
  * 
  * Provides success, error, info, and warning toast notifications
- * that automatically dismiss after a configurable duration.
+ * that automatically dismiss after a configurable duration, optional
+ * action buttons, and undo toasts for destructive actions.
  */
 
+/** Default time (ms) an undo toast stays open before the action is committed */
+const UNDO_TOAST_DURATION = 6000;
+
+/** Commit callbacks of open undo toasts, run early if the page is closed */
+const pendingUndoCommits = new Set();
+
 /**
  * Show a toast notification.
  * 
  * @param {string} message - The message to display
  * @param {string} type - Toast type: 'success', 'error', 'info', 'warning' (default: 'info')
  * @param {number} duration - Duration in milliseconds before auto-dismiss (default: 4000)
+ * @param {Array<{label: string, onClick: Function}>} actions - Action buttons (e.g. "Undo"); clicking one runs its callback and dismisses the toast
+ * @returns {HTMLElement} The toast element
  */
-function showToast(message, type = 'info', duration = 4000) {
+function showToast(message, type = 'info', duration = 4000, actions = []) {
     // Create toast container if it doesn't exist
     let container = document.getElementById('toast-container');
     if (!container) {
@@ -46,6 +55,17 @@ function showToast(message, type = 'info', duration = 4000) {
     // Assemble toast
     toast.appendChild(icon);
     toast.appendChild(messageEl);
+    actions.forEach(action => {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = action.label;
+        actionBtn.onclick = () => {
+            dismissToast(toast);
+            action.onClick();
+        };
+        toast.appendChild(actionBtn);
+    });
     toast.appendChild(closeBtn);
     
     // Add to container
@@ -106,6 +126,60 @@ function dismissToast(toast) {
     }, 300);
 }
 
+/**
+ * Show a toast for an action that can be undone for a few seconds.
+ * 
+ * The caller applies the action to the UI right away. If "Undo" is clicked,
+ * onUndo reverts it; otherwise onCommit runs when the toast closes (or early,
+ * with { keepalive: true }, if the page is being closed).
+ * 
+ * @param {string} message - The message to display
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onUndo - Reverts the action
+ * @param {Function} [handlers.onCommit] - Commits the action, receives { keepalive }
+ * @param {number} [duration] - Duration in milliseconds (default: UNDO_TOAST_DURATION)
+ * @returns {HTMLElement} The toast element
+ */
+function showUndoToast(message, { onUndo, onCommit = null }, duration = UNDO_TOAST_DURATION) {
+    let settled = false;
+    const commit = (options = {}) => {
+        if (settled) return;
+        settled = true;
+        pendingUndoCommits.delete(commit);
+        if (onCommit) {
+            onCommit(options);
+        }
+    };
+    pendingUndoCommits.add(commit);
+
+    const toast = showToast(message, 'info', 0, [{
+        label: 'Undo',
+        onClick: () => {
+            if (settled) return;
+            settled = true;
+            pendingUndoCommits.delete(commit);
+            onUndo();
+        }
+    }]);
+
+    // Closing the toast (or letting it time out) commits the action
+    toast.querySelector('.toast-close').onclick = () => {
+        dismissToast(toast);
+        commit();
+    };
+    setTimeout(() => {
+        dismissToast(toast);
+        commit();
+    }, duration);
+
+    return toast;
+}
+
+// Commit pending undoable actions before the page goes away
+window.addEventListener('pagehide', () => {
+    Array.from(pendingUndoCommits).forEach(commit => commit({ keepalive: true }));
+});
+
 /**
  * Show a success toast.
  * 
@@ -4,6 +4,7 @@ require_once __DIR__ . '/vendor/autoload.php';
 use PhpRss\Config;
 use PhpRss\Router;
 use PhpRss\Database;
+use PhpRss\SecurityHeaders;
 
 // Configure secure session settings before starting session
 $sessionConfig = Config::get('session', []);
@@ -28,15 +29,8 @@ if (!isset($_SESSION['created'])) {
 // Initialize database connection
 Database::init();
 
-// Set security headers
-header('X-Content-Type-Options: nosniff');
-header('X-Frame-Options: DENY');
-header('X-XSS-Protection: 1; mode=block');
-header('Referrer-Policy: strict-origin-when-cross-origin');
-
-// Content Security Policy (adjust as needed for your application)
-$csp = "default-src 'self'; script-src 'self' 'unsafe-inline' https://fonts.googleapis.com; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data: https:; connect-src 'self';";
-header("Content-Security-Policy: $csp");
+// Set security headers (including the Content Security Policy)
+SecurityHeaders::send();
 
 // Route the request
 $router = new Router();
@@ -6,6 +6,10 @@
  * Queues feed refresh jobs for all feeds that need updating.
  * Should be run periodically via cron (e.g., every 15-30 minutes).
  * 
+ * Feeds use their own refresh interval if set in their settings (so it
+ * can't be shorter than the cron period), otherwise --interval. Paused
+ * feeds are skipped.
+ * 
  * Usage:
  *   php scheduler.php [--interval=minutes]
  * 
@@ -43,13 +47,14 @@ $db = Database::getConnection();
 $dbType = Database::getDbType();
 
 // Get all feeds that need refreshing
-// Refresh feeds that haven't been fetched in the last N minutes
+// Refresh unpaused feeds that haven't been fetched within their interval (default N minutes)
 if ($dbType === 'pgsql') {
     $stmt = $db->query("
         SELECT id, url, last_fetched
         FROM feeds
-        WHERE last_fetched IS NULL 
-           OR last_fetched < CURRENT_TIMESTAMP - INTERVAL '{$refreshInterval} minutes'
+        WHERE COALESCE(paused, 0) = 0
+          AND (last_fetched IS NULL 
+           OR last_fetched < CURRENT_TIMESTAMP - COALESCE(refresh_interval, {$refreshInterval}) * INTERVAL '1 minute')
         ORDER BY last_fetched ASC NULLS FIRST
     ");
 } else {
@@ -57,8 +62,9 @@ if ($dbType === 'pgsql') {
     $stmt = $db->query("
         SELECT id, url, last_fetched
         FROM feeds
-        WHERE last_fetched IS NULL 
-           OR last_fetched < datetime('now', '-{$refreshInterval} minutes')
+        WHERE COALESCE(paused, 0) = 0
+          AND (last_fetched IS NULL 
+           OR last_fetched < datetime('now', '-' || COALESCE(refresh_interval, {$refreshInterval}) || ' minutes'))
         ORDER BY last_fetched ASC
     ");
 }
@@ -0,0 +1,29 @@
+<?php
+/**
+ * Rebuild the full-text search index from the stored feed items.
+ * 
+ * The index is created and filled automatically by Database::setup() and kept
+ * in sync as items are fetched; run this to repair it (e.g. after restoring a
+ * database backup or importing items directly). It can be safely run multiple times.
+ * 
+ * Usage:
+ *   php scripts/rebuild_search_index.php
+ *   
+ * Or with Docker:
+ *   docker-compose exec vibereader php scripts/rebuild_search_index.php
+ */
+
+require_once __DIR__ . '/../vendor/autoload.php';
+
+use PhpRss\Database;
+use PhpRss\SearchIndex;
+
+echo "Rebuilding search index...\n";
+
+// Initialize database (creates the index if it doesn't exist yet)
+Database::init();
+Database::setup();
+
+$count = SearchIndex::rebuild();
+
+echo "Indexed {$count} item(s).\n";
@@ -0,0 +1,309 @@
+<?php
+
+namespace PhpRss;
+
+/**
+ * Full-article extraction ("reader view") for feeds that only publish summaries.
+ *
+ * Finds the main content of a web page with a readability-style algorithm:
+ * paragraphs are scored by length and punctuation, scores are propagated to
+ * their parent and grandparent elements, adjusted by class/id hints and link
+ * density, and the best-scoring element (plus related siblings) is returned.
+ */
+class ArticleExtractor
+{
+    /**
+     * Minimum text length (characters) of an extracted article.
+     */
+    private const MIN_ARTICLE_LENGTH = 250;
+
+    /**
+     * Minimum text length for a paragraph to contribute to its container's score.
+     */
+    private const MIN_PARAGRAPH_LENGTH = 25;
+
+    /**
+     * Elements removed before scoring (never part of an article body).
+     */
+    private const REMOVED_TAGS = ['script', 'style', 'noscript', 'iframe', 'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'svg', 'canvas', 'object', 'embed'];
+
+    /**
+     * Class/id patterns that suggest an element holds the article.
+     */
+    private const POSITIVE_PATTERN = '/article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i';
+
+    /**
+     * Class/id patterns that suggest an element is page furniture.
+     */
+    private const NEGATIVE_PATTERN = '/comment|meta|footer|footnote|sidebar|widget|share|social|related|promo|sponsor|advert|\bad-|banner|masthead|menu|nav|popup|subscribe|newsletter|cookie|combx|skyscraper/i';
+
+    /**
+     * Extract the main article HTML from a web page.
+     *
+     * Relative links and image sources are resolved against the page URL.
+     * The result is not sanitized; pass it through HtmlSanitizer before storing.
+     *
+     * @param string $html The page HTML
+     * @param string $url The page URL (used to resolve relative URLs)
+     * @return string|null Article HTML, or null if no article could be found
+     */
+    public static function extract(string $html, string $url): ?string
+    {
+        if (trim($html) === '') {
+            return null;
+        }
+
+        libxml_use_internal_errors(true);
+        $dom = new \DOMDocument();
+        // Prefix an encoding declaration so UTF-8 pages aren't read as Latin-1
+        @$dom->loadHTML('<?xml encoding="UTF-8">' . $html, LIBXML_NOERROR | LIBXML_NOWARNING);
+        libxml_clear_errors();
+
+        self::removeUnlikelyElements($dom);
+
+        $candidate = self::findBestCandidate($dom);
+        if ($candidate === null) {
+            return null;
+        }
+
+        $article = self::collectArticle($dom, $candidate['node'], $candidate['score']);
+        self::resolveRelativeUrls($article, $url);
+
+        if (strlen(trim($article->textContent)) < self::MIN_ARTICLE_LENGTH) {
+            return null;
+        }
+
+        $output = '';
+        foreach ($article->childNodes as $child) {
+            $output .= $dom->saveHTML($child);
+        }
+
+        return trim($output) !== '' ? $output : null;
+    }
+
+    /**
+     * Remove elements that never belong to an article body.
+     *
+     * @param \DOMDocument $dom The page document
+     * @return void
+     */
+    private static function removeUnlikelyElements(\DOMDocument $dom): void
+    {
+        $remove = [];
+        foreach (self::REMOVED_TAGS as $tag) {
+            foreach ($dom->getElementsByTagName($tag) as $node) {
+                $remove[] = $node;
+            }
+        }
+
+        // Headers outside the article (site mastheads); headers inside <article> are kept
+        foreach ($dom->getElementsByTagName('header') as $node) {
+            if (! self::hasAncestor($node, 'article')) {
+                $remove[] = $node;
+            }
+        }
+
+        // Containers whose class/id marks them as furniture, unless they also look like content
+        $xpath = new \DOMXPath($dom);
+        foreach ($xpath->query('//body//*[@class or @id]') as $node) {
+            $hint = $node->getAttribute('class') . ' ' . $node->getAttribute('id');
+            if (in_array($node->nodeName, ['body', 'article', 'main'], true)) {
+                continue;
+            }
+            if (preg_match(self::NEGATIVE_PATTERN, $hint) && ! preg_match(self::POSITIVE_PATTERN, $hint)) {
+                $remove[] = $node;
+            }
+        }
+
+        foreach ($remove as $node) {
+            if ($node->parentNode) {
+                $node->parentNode->removeChild($node);
+            }
+        }
+    }
+
+    /**
+     * Score containers by the paragraphs they hold and return the best one.
+     *
+     * @param \DOMDocument $dom The page document
+     * @return array|null ['node' => \DOMElement, 'score' => float], or null if nothing scored
+     */
+    private static function findBestCandidate(\DOMDocument $dom): ?array
+    {
+        $scores = new \SplObjectStorage();
+
+        $xpath = new \DOMXPath($dom);
+        foreach ($xpath->query('//p | //pre | //td | //blockquote') as $paragraph) {
+            $text = trim($paragraph->textContent);
+            $length = strlen($text);
+            if ($length < self::MIN_PARAGRAPH_LENGTH) {
+                continue;
+            }
+
+            // One point per paragraph, plus commas and length (up to 3 points)
+            $score = 1 + substr_count($text, ',') + min(floor($length / 100), 3);
+
+            $parent = $paragraph->parentNode;
+            $grandparent = $parent ? $parent->parentNode : null;
+            foreach ([[$parent, 1], [$grandparent, 2]] as [$node, $divisor]) {
+                if (! $node instanceof \DOMElement) {
+                    continue;
+                }
+                if (! $scores->contains($node)) {
+                    $scores[$node] = self::initialScore($node);
+                }
+                $scores[$node] += $score / $divisor;
+            }
+        }
+
+        $best = null;
+        foreach ($scores as $node) {
+            // Prefer containers that are text, not lists of links
+            $score = $scores[$node] * (1 - self::linkDensity($node));
+            if ($best === null || $score > $best['score']) {
+                $best = ['node' => $node, 'score' => $score];
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Starting score for a container, from its tag and class/id hints.
+     *
+     * @param \DOMElement $node The container
+     * @return float Initial score
+     */
+    private static function initialScore(\DOMElement $node): float
+    {
+        $score = match ($node->nodeName) {
+            'article', 'main' => 10,
+            'div' => 5,
+            'pre', 'td', 'blockquote' => 3,
+            'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form' => -3,
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'th' => -5,
+            default => 0,
+        };
+
+        $hint = $node->getAttribute('class') . ' ' . $node->getAttribute('id');
+        if (preg_match(self::POSITIVE_PATTERN, $hint)) {
+            $score += 25;
+        }
+        if (preg_match(self::NEGATIVE_PATTERN, $hint)) {
+            $score -= 25;
+        }
+
+        return $score;
+    }
+
+    /**
+     * Fraction of an element's text that is inside links.
+     *
+     * @param \DOMElement $node The element
+     * @return float Link density between 0 and 1
+     */
+    private static function linkDensity(\DOMElement $node): float
+    {
+        $textLength = strlen(trim($node->textContent));
+        if ($textLength === 0) {
+            return 0.0;
+        }
+
+        $linkLength = 0;
+        foreach ($node->getElementsByTagName('a') as $link) {
+            $linkLength += strlen(trim($link->textContent));
+        }
+
+        return min(1.0, (float) $linkLength / $textLength);
+    }
+
+    /**
+     * Build the article from the best candidate and its related siblings.
+     *
+     * Siblings are included when they are paragraphs of real text (e.g. an
+     * article split across several containers by the page layout).
+     *
+     * @param \DOMDocument $dom The page document
+     * @param \DOMElement $candidate The best-scoring container
+     * @param float $candidateScore The candidate's score
+     * @return \DOMElement A detached <div> holding the article
+     */
+    private static function collectArticle(\DOMDocument $dom, \DOMElement $candidate, float $candidateScore): \DOMElement
+    {
+        $article = $dom->createElement('div');
+        $siblingThreshold = max(10, $candidateScore * 0.2);
+
+        $siblings = $candidate->parentNode ? iterator_to_array($candidate->parentNode->childNodes) : [$candidate];
+        foreach ($siblings as $sibling) {
+            if ($sibling === $candidate) {
+                $article->appendChild($sibling->cloneNode(true));
+                continue;
+            }
+            if (! $sibling instanceof \DOMElement) {
+                continue;
+            }
+
+            $include = false;
+            $text = trim($sibling->textContent);
+            if ($sibling->nodeName === 'p') {
+                $length = strlen($text);
+                $density = self::linkDensity($sibling);
+                $include = ($length > 80 && $density < 0.25)
+                    || ($length > 0 && $density === 0.0 && preg_match('/\.( |$)/', $text));
+            } elseif (self::initialScore($sibling) >= $siblingThreshold) {
+                $include = true;
+            }
+
+            if ($include) {
+                $article->appendChild($sibling->cloneNode(true));
+            }
+        }
+
+        return $article;
+    }
+
+    /**
+     * Resolve relative link and image URLs against the page URL.
+     *
+     * @param \DOMElement $article The extracted article
+     * @param string $baseUrl The page URL
+     * @return void
+     */
+    private static function resolveRelativeUrls(\DOMElement $article, string $baseUrl): void
+    {
+        foreach (['a' => 'href', 'img' => 'src'] as $tag => $attribute) {
+            foreach ($article->getElementsByTagName($tag) as $node) {
+                $value = trim($node->getAttribute($attribute));
+                if ($value !== '') {
+                    $node->setAttribute($attribute, Utils::resolveUrl($baseUrl, $value) ?? $value);
+                }
+            }
+        }
+
+        // Lazy-loaded images keep the real source in data-src
+        foreach ($article->getElementsByTagName('img') as $img) {
+            $lazySource = trim($img->getAttribute('data-src'));
+            if ($lazySource !== '' && ! preg_match('#^https?://#i', $img->getAttribute('src'))) {
+                $img->setAttribute('src', Utils::resolveUrl($baseUrl, $lazySource) ?? $lazySource);
+            }
+        }
+    }
+
+    /**
+     * Check whether a node is inside an element with the given tag.
+     *
+     * @param \DOMNode $node The node
+     * @param string $tag The ancestor tag name
+     * @return bool True if an ancestor has the tag
+     */
+    private static function hasAncestor(\DOMNode $node, string $tag): bool
+    {
+        for ($parent = $node->parentNode; $parent !== null; $parent = $parent->parentNode) {
+            if ($parent->nodeName === $tag) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
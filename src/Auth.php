@@ -36,7 +36,7 @@ class Auth
         }
 
         $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT id, username, email, COALESCE(hide_read_items, 1) as hide_read_items, COALESCE(dark_mode, 0) as dark_mode, COALESCE(timezone, 'UTC') as timezone, COALESCE(default_theme_mode, 'system') as default_theme_mode, COALESCE(font_family, 'system') as font_family, COALESCE(hide_feeds_with_no_unread, 0) as hide_feeds_with_no_unread, COALESCE(item_sort_order, 'newest') as item_sort_order FROM users WHERE id = ?");
+        $stmt = $db->prepare("SELECT id, username, email, COALESCE(hide_read_items, 1) as hide_read_items, COALESCE(dark_mode, 0) as dark_mode, COALESCE(timezone, 'UTC') as timezone, COALESCE(default_theme_mode, 'system') as default_theme_mode, COALESCE(font_family, 'system') as font_family, COALESCE(hide_feeds_with_no_unread, 0) as hide_feeds_with_no_unread, COALESCE(item_sort_order, 'newest') as item_sort_order, keyboard_shortcuts, COALESCE(mark_read_on_scroll, 0) as mark_read_on_scroll, COALESCE(items_layout, 'compact') as items_layout FROM users WHERE id = ?");
         $stmt->execute([$_SESSION['user_id']]);
         $user = $stmt->fetch();
 
@@ -48,6 +48,9 @@ class Auth
             $_SESSION['font_family'] = $user['font_family'] ?? 'system';
             $_SESSION['hide_feeds_with_no_unread'] = (bool)($user['hide_feeds_with_no_unread'] ?? 0);
             $_SESSION['item_sort_order'] = $user['item_sort_order'] ?? 'newest';
+            $_SESSION['keyboard_shortcuts'] = $user['keyboard_shortcuts'] ?? null;
+            $_SESSION['mark_read_on_scroll'] = (bool)($user['mark_read_on_scroll'] ?? 0);
+            $_SESSION['items_layout'] = $user['items_layout'] ?? 'compact';
         }
 
         return $user ?: null;
@@ -77,7 +80,7 @@ class Auth
             $_SESSION['user_id'] = $user['id'];
             $_SESSION['username'] = $user['username'];
             // Load user preferences
-            $stmt = $db->prepare("SELECT COALESCE(hide_read_items, 1) as hide_read_items, COALESCE(dark_mode, 0) as dark_mode, COALESCE(timezone, 'UTC') as timezone, COALESCE(default_theme_mode, 'system') as default_theme_mode, COALESCE(font_family, 'system') as font_family, COALESCE(hide_feeds_with_no_unread, 0) as hide_feeds_with_no_unread, COALESCE(item_sort_order, 'newest') as item_sort_order FROM users WHERE id = ?");
+            $stmt = $db->prepare("SELECT COALESCE(hide_read_items, 1) as hide_read_items, COALESCE(dark_mode, 0) as dark_mode, COALESCE(timezone, 'UTC') as timezone, COALESCE(default_theme_mode, 'system') as default_theme_mode, COALESCE(font_family, 'system') as font_family, COALESCE(hide_feeds_with_no_unread, 0) as hide_feeds_with_no_unread, COALESCE(item_sort_order, 'newest') as item_sort_order, keyboard_shortcuts, COALESCE(mark_read_on_scroll, 0) as mark_read_on_scroll, COALESCE(items_layout, 'compact') as items_layout FROM users WHERE id = ?");
             $stmt->execute([$user['id']]);
             $pref = $stmt->fetch();
             $_SESSION['hide_read_items'] = (bool)($pref['hide_read_items'] ?? 1);
@@ -87,6 +90,9 @@ class Auth
             $_SESSION['font_family'] = $pref['font_family'] ?? 'system';
             $_SESSION['hide_feeds_with_no_unread'] = (bool)($pref['hide_feeds_with_no_unread'] ?? 0);
             $_SESSION['item_sort_order'] = $pref['item_sort_order'] ?? 'newest';
+            $_SESSION['keyboard_shortcuts'] = $pref['keyboard_shortcuts'] ?? null;
+            $_SESSION['mark_read_on_scroll'] = (bool)($pref['mark_read_on_scroll'] ?? 0);
+            $_SESSION['items_layout'] = $pref['items_layout'] ?? 'compact';
 
             return true;
         }
@@ -87,6 +87,7 @@ class Config
                 'user_agent' => getenv('FEED_USER_AGENT') ?: Version::getVersionString(),
                 'retention_days' => (int)(getenv('FEED_RETENTION_DAYS') ?: '90'), // Keep items for 90 days
                 'retention_count' => getenv('FEED_RETENTION_COUNT') ? (int)getenv('FEED_RETENTION_COUNT') : null, // Keep max N items per feed (null = unlimited)
+                'stale_after_days' => (int)(getenv('FEED_STALE_AFTER_DAYS') ?: '7'), // Warn about feeds not updated for 7 days
             ],
 
             'upload' => [
@@ -129,6 +130,11 @@ class Config
                 'worker_sleep' => (int)(getenv('JOBS_WORKER_SLEEP') ?: '5'), // seconds
                 'max_attempts' => (int)(getenv('JOBS_MAX_ATTEMPTS') ?: '3'),
                 'cleanup_days' => (int)(getenv('JOBS_CLEANUP_DAYS') ?: '7'),
+                'refresh_concurrency' => (int)(getenv('JOBS_REFRESH_CONCURRENCY') ?: '4'), // feeds fetched at once by "refresh all" without a worker
+            ],
+            'events' => [
+                'poll_interval' => (int)(getenv('EVENTS_POLL_INTERVAL') ?: '2'), // seconds between checks for new events
+                'stream_duration' => (int)(getenv('EVENTS_STREAM_DURATION') ?: '300'), // seconds before the client reconnects
             ],
             'sanitization' => [
                 'enabled' => filter_var(getenv('SANITIZATION_ENABLED') !== false ? getenv('SANITIZATION_ENABLED') : '1', FILTER_VALIDATE_BOOLEAN) !== false,
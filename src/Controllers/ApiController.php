@@ -4,9 +4,15 @@ namespace PhpRss\Controllers;
 
 use PDO;
 use PhpRss\Auth;
+use PhpRss\Config;
 use PhpRss\Csrf;
 use PhpRss\Database;
+use PhpRss\FeedEvents;
+use PhpRss\FilterRules;
+use PhpRss\ItemMedia;
 use PhpRss\Response;
+use PhpRss\SearchIndex;
+use PhpRss\SearchQuery;
 use PhpRss\Services\FeedService;
 
 /**
@@ -18,11 +24,27 @@ use PhpRss\Services\FeedService;
  */
 class ApiController
 {
+    /**
+     * Default number of search results returned per page.
+     */
+    private const SEARCH_PAGE_SIZE = 50;
+
+    /**
+     * Maximum number of search results a client may request per page.
+     */
+    private const SEARCH_MAX_PAGE_SIZE = 100;
+
+    /**
+     * Seconds without events after which streamEvents() sends a keep-alive comment.
+     */
+    private const EVENTS_HEARTBEAT_SECONDS = 15;
+
     /**
      * Get all feeds for the current user with counts.
      *
      * Returns JSON array of feeds including folder associations, item counts,
-     * and unread counts. Dates are formatted for JSON (ISO 8601 UTC).
+     * unread counts and health status (see FeedHealth). Dates are formatted for
+     * JSON (ISO 8601 UTC).
      *
      * @return void Outputs JSON array of feed data
      */
@@ -38,7 +60,7 @@ class ApiController
 
         // Format dates for JSON (convert to ISO 8601 with UTC timezone)
         $feeds = array_map(function ($feed) {
-            return \PhpRss\Utils::formatDatesForJson($feed);
+            return \PhpRss\Utils::formatDatesForJson($feed, ['created_at', 'last_fetched', 'last_success_at']);
         }, $feeds);
 
         Response::json($feeds);
@@ -92,13 +114,22 @@ class ApiController
     /**
      * Search feed items across all user feeds.
      *
-     * Searches in title, content, summary, and author fields. Uses case-insensitive
-     * matching (ILIKE for PostgreSQL, LIKE for SQLite). Returns up to 100 results
-     * ordered by publication date. Dates are formatted for JSON.
+     * The query is parsed by SearchQuery, which supports plain words, "exact
+     * phrases", feed:, folder:, author:, is:unread/read/starred, before:/after:
+     * dates, -exclusions and OR. Words are looked up in the full-text search
+     * index (SearchIndex) over title, content, summary, and author.
+     * Results are ranked by relevance (then date) or by date, and each has a
+     * 'snippet': an HTML-escaped excerpt with matching words wrapped in <mark>.
+     * Dates are formatted for JSON.
      *
-     * Query parameter: 'q' - the search query string
+     * Query parameters:
+     * - 'q' - the search query string
+     * - 'sort' - 'relevance' (default) or 'date' (newest first)
+     * - 'limit' - Page size (default 50, maximum 100)
+     * - 'offset' - Number of results to skip (for the next page)
      *
-     * @return void Outputs JSON array of matching feed items
+     * @return void Outputs JSON array of matching feed items, or a 400 error
+     *              with a user-facing message if the query has a syntax error
      */
     public function searchItems(): void
     {
@@ -111,15 +142,49 @@ class ApiController
             return;
         }
 
+        try {
+            $groups = SearchQuery::parse($query);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
+
+            return;
+        }
+
+        if (empty($groups)) {
+            Response::json([]);
+
+            return;
+        }
+
+        $sort = $_GET['sort'] ?? 'relevance';
+        if (! in_array($sort, ['relevance', 'date'], true)) {
+            Response::error('Invalid sort. Use relevance or date', 400);
+
+            return;
+        }
+
+        $limit = (int)($_GET['limit'] ?? self::SEARCH_PAGE_SIZE);
+        if ($limit < 1) {
+            $limit = self::SEARCH_PAGE_SIZE;
+        }
+        $limit = min($limit, self::SEARCH_MAX_PAGE_SIZE);
+        $offset = max(0, (int)($_GET['offset'] ?? 0));
+
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Search in title, content, summary, and author
-        // Use ILIKE for PostgreSQL (case-insensitive) or LIKE for SQLite
-        $dbType = Database::getDbType();
-        $likeOperator = $dbType === 'pgsql' ? 'ILIKE' : 'LIKE';
+        $timezone = $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC';
+        [$where, $whereParams] = SearchQuery::toSql($groups, $timezone);
 
-        $searchPattern = '%' . str_replace(['%', '_'], ['\\%', '\\_'], $query) . '%';
+        // Only searched words rank results; queries of operators alone are sorted by date
+        $phrases = SearchQuery::textPhrases($groups);
+        $rankJoin = '';
+        $rankParams = [];
+        $orderBy = Database::itemSortDateExpression() . ' DESC, fi.id DESC';
+        if ($sort === 'relevance' && ! empty($phrases)) {
+            [$rankJoin, $rankParams] = SearchIndex::rankJoin($phrases);
+            $orderBy = 'COALESCE(sr.score, 0) DESC, ' . $orderBy;
+        }
 
         $stmt = $db->prepare("
             SELECT 
@@ -133,39 +198,94 @@ class ApiController
                 f.id as feed_id,
                 f.title as feed_title,
                 CASE WHEN ri.id IS NULL THEN 0 ELSE 1 END as is_read
-            FROM feed_items fi
-            INNER JOIN feeds f ON fi.feed_id = f.id
-            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = ?
-            WHERE f.user_id = ?
-            AND (
-                fi.title {$likeOperator} ? OR
-                fi.content {$likeOperator} ? OR
-                fi.summary {$likeOperator} ? OR
-                fi.author {$likeOperator} ?
-            )
-            ORDER BY fi.published_at DESC
-            LIMIT 100
+            " . SearchQuery::itemsFromClause() . "
+            {$rankJoin}
+            WHERE f.user_id = ? AND fi.hidden = 0
+            AND {$where}
+            ORDER BY {$orderBy}
+            LIMIT {$limit} OFFSET {$offset}
         ");
 
-        $stmt->execute([
+        $stmt->execute(array_merge([
             $user['id'],
             $user['id'],
-            $searchPattern,
-            $searchPattern,
-            $searchPattern,
-            $searchPattern,
-        ]);
+        ], $rankParams, [
+            $user['id'],
+        ], $whereParams));
+
+        $results = ItemMedia::withMediaFlags(FilterRules::withTags($stmt->fetchAll(PDO::FETCH_ASSOC)));
 
-        $results = $stmt->fetchAll(PDO::FETCH_ASSOC);
+        $words = array_merge([], ...$phrases);
+        $results = array_map(function ($item) use ($words) {
+            $item['snippet'] = SearchIndex::snippet($item['content'] ?: $item['summary'], $words);
 
-        // Format dates for JSON
-        $results = array_map(function ($item) {
+            // Format dates for JSON
             return \PhpRss\Utils::formatDatesForJson($item);
         }, $results);
 
         Response::json($results);
     }
 
+    /**
+     * Stream feed updates to the dashboard as Server-Sent Events.
+     *
+     * Sends a "feed-update" event each time the worker finishes fetching one
+     * of the user's feeds (see FeedEvents), with data
+     * { feed_id, new_items, item_count, unread_count }. The stream resumes after
+     * the Last-Event-ID header (or last_event_id query parameter) if given, and
+     * otherwise starts with the next event. It ends after events.stream_duration
+     * seconds; the dashboard then reconnects.
+     *
+     * @return void Outputs a text/event-stream response
+     */
+    public function streamEvents(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $lastEventId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? $_GET['last_event_id'] ?? null;
+        $lastEventId = is_numeric($lastEventId) ? (int)$lastEventId : FeedEvents::latestId($user['id']);
+
+        // Release the session lock, or the user's other requests would wait for the stream to end
+        session_write_close();
+
+        $duration = max(1, (int)Config::get('events.stream_duration', 300));
+        $pollInterval = max(1, (int)Config::get('events.poll_interval', 2));
+        set_time_limit($duration + 30);
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        // Keep nginx from buffering the stream
+        header('X-Accel-Buffering: no');
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        $deadline = time() + $duration;
+        $lastSentAt = 0;
+        while (time() < $deadline && ! connection_aborted()) {
+            foreach (FeedEvents::since($user['id'], $lastEventId) as $event) {
+                echo "id: {$event['id']}\nevent: feed-update\ndata: " . json_encode([
+                    'feed_id' => $event['feed_id'],
+                    'new_items' => $event['new_items'],
+                    'item_count' => $event['item_count'],
+                    'unread_count' => $event['unread_count'],
+                ]) . "\n\n";
+                $lastEventId = $event['id'];
+                $lastSentAt = time();
+            }
+
+            // A comment line keeps proxies from closing an idle stream (and detects closed connections)
+            if (time() - $lastSentAt >= self::EVENTS_HEARTBEAT_SECONDS) {
+                echo ": keep-alive\n\n";
+                $lastSentAt = time();
+            }
+
+            flush();
+            sleep($pollInterval);
+        }
+    }
+
     /**
      * Get application version information.
      *
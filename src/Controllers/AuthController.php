@@ -6,6 +6,7 @@ use PhpRss\Auth;
 use PhpRss\Config;
 use PhpRss\Csrf;
 use PhpRss\Middleware\RateLimiter;
+use PhpRss\Response;
 use PhpRss\View;
 
 /**
@@ -169,16 +170,33 @@ class AuthController
         View::render('register', ['error' => 'Username or email already exists']);
     }
 
+    /**
+     * Get a current CSRF token.
+     *
+     * Used by the dashboard to refresh its token before replaying changes
+     * queued while offline (the token in a long-open page may have expired).
+     *
+     * @return void Outputs JSON with 'success' boolean and 'token'
+     */
+    public function csrfToken(): void
+    {
+        Auth::requireAuth();
+
+        Response::success(['token' => Csrf::token()]);
+    }
+
     /**
      * Handle user logout.
      *
-     * Destroys the session and redirects to the login page.
+     * Destroys the session, clears the browser's offline copies of the user's
+     * data (service worker caches and IndexedDB), and redirects to the login page.
      *
      * @return void
      */
     public function logout(): void
     {
         Auth::logout();
+        header('Clear-Site-Data: "cache", "storage"');
         header('Location: /');
         exit;
     }
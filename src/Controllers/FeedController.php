@@ -3,26 +3,94 @@
 namespace PhpRss\Controllers;
 
 use PDO;
+use PhpRss\ArticleExtractor;
 use PhpRss\Auth;
 use PhpRss\Config;
 use PhpRss\Csrf;
 use PhpRss\Database;
 use PhpRss\FeedDiscovery;
 use PhpRss\FeedFetcher;
+use PhpRss\FeedHealth;
+use PhpRss\FeedIcon;
 use PhpRss\FeedParser;
+use PhpRss\FilterRules;
+use PhpRss\ItemMedia;
 use PhpRss\Logger;
+use PhpRss\Queue\JobQueue;
+use PhpRss\Queue\Worker;
 use PhpRss\Response;
+use PhpRss\SearchIndex;
+use PhpRss\SearchQuery;
 use PhpRss\Services\FeedService;
+use PhpRss\Services\FolderService;
+use PhpRss\Utils\HtmlSanitizer;
 
 /**
  * Controller for handling feed-related operations.
  *
  * Manages feed CRUD operations, feed item retrieval, folder management,
- * OPML import/export, user preferences, and feed updates. Provides both
+ * saved searches, filter rules, OPML import/export, user preferences, and feed updates. Provides both
  * JSON API responses and handles feed fetching, parsing, and storage.
  */
 class FeedController
 {
+    /**
+     * Actions that can be bound to keyboard shortcuts in the dashboard.
+     *
+     * Must stay in sync with DEFAULT_SHORTCUTS in assets/js/modules/keyboard.js.
+     */
+    private const KEYBOARD_SHORTCUT_ACTIONS = [
+        'nextItem',
+        'prevItem',
+        'nextFeed',
+        'prevFeed',
+        'toggleRead',
+        'toggleStar',
+        'openOriginal',
+        'markAllRead',
+        'refresh',
+        'focusSearch',
+        'showHelp',
+    ];
+
+    /**
+     * Named keys (KeyboardEvent.key values) that can be bound to shortcuts.
+     */
+    private const KEYBOARD_SHORTCUT_NAMED_KEYS = [
+        'Enter',
+        'Escape',
+        'Backspace',
+        'Delete',
+        'Home',
+        'End',
+        'PageUp',
+        'PageDown',
+        'ArrowUp',
+        'ArrowDown',
+        'ArrowLeft',
+        'ArrowRight',
+    ];
+
+    /**
+     * Default number of items returned per page by getItems().
+     */
+    private const ITEMS_PAGE_SIZE = 50;
+
+    /**
+     * Maximum number of items a client may request per page.
+     */
+    private const ITEMS_MAX_PAGE_SIZE = 200;
+
+    /**
+     * Maximum number of items markItemsAsRead(), markItemsAsUnread() and bulkUpdateItems() accept in one request.
+     */
+    private const BULK_READ_MAX_ITEMS = 500;
+
+    /**
+     * Actions bulkUpdateItems() can apply.
+     */
+    private const BULK_ITEM_ACTIONS = ['mark_read', 'mark_unread', 'star', 'unstar', 'tag'];
+
     /**
      * Add a new feed to the user's feed list.
      *
@@ -31,7 +99,8 @@ class FeedController
      * duplicates, and creates/updates the feed record. Fetches initial feed
      * items after adding.
      *
-     * POST parameter: 'url' - the feed URL or website URL
+     * POST parameters: 'url' - the feed URL or website URL; 'folder_id' - optional
+     * folder to put the feed in
      *
      * @return void Outputs JSON with 'success' boolean and optional 'error' message
      */
@@ -56,6 +125,13 @@ class FeedController
             return;
         }
 
+        $folderId = ! empty($_POST['folder_id']) ? (int)$_POST['folder_id'] : null;
+        if ($folderId !== null && ! self::folderBelongsToUser($folderId, Auth::user()['id'])) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
         try {
             $user = Auth::user();
             $db = Database::getConnection();
@@ -111,7 +187,7 @@ class FeedController
                 $feedId = $existingFeed['id'];
                 $stmt = $db->prepare("
                     UPDATE feeds 
-                    SET title = ?, feed_type = ?, description = ?, last_fetched = CURRENT_TIMESTAMP
+                    SET title = COALESCE(custom_title, ?), feed_type = ?, description = ?, last_fetched = CURRENT_TIMESTAMP
                     WHERE id = ?
                 ");
                 $stmt->execute([
@@ -138,12 +214,18 @@ class FeedController
                 $feedId = $db->lastInsertId();
             }
 
+            if ($folderId !== null) {
+                $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?");
+                $stmt->execute([$folderId, $feedId]);
+            }
+
             // Insert feed items
             $dbType = Database::getDbType();
             $insertSql = $dbType === 'pgsql'
-                ? "INSERT INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid) VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (feed_id, guid) DO NOTHING"
-                : "INSERT OR IGNORE INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid) VALUES (?, ?, ?, ?, ?, ?, ?, ?)";
+                ? "INSERT INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid, thumbnail_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (feed_id, guid) DO NOTHING"
+                : "INSERT OR IGNORE INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid, thumbnail_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)";
 
+            $newItems = [];
             foreach ($parsed['items'] as $item) {
                 $stmt = $db->prepare($insertSql);
                 $stmt->execute([
@@ -155,9 +237,21 @@ class FeedController
                     $item['author'],
                     $item['published_at'],
                     $item['guid'],
+                    $item['thumbnail_url'] ?? null,
                 ]);
+
+                if ($stmt->rowCount() > 0) {
+                    $item['id'] = (int) $db->lastInsertId();
+                    SearchIndex::indexItem($item['id'], $item);
+                    ItemMedia::storeEnclosures($item['id'], $item['enclosures'] ?? []);
+                    $newItems[] = $item;
+                }
             }
 
+            // Run the user's global filter rules on the new feed's items
+            FilterRules::applyToNewItems((int)$feedId, $newItems);
+            FeedHealth::recordSuccess((int)$feedId);
+
             // Check if we got any items
             if (empty($parsed['items'])) {
                 Response::error('Feed was parsed but contains no items. The feed might be empty or the format is not fully supported.', 400);
@@ -165,6 +259,8 @@ class FeedController
                 return;
             }
 
+            FeedIcon::queueRefresh((int)$feedId, FeedFetcher::siteUrl($parsed, $feedUrl));
+
             // Invalidate cache for user's feeds
             FeedService::invalidateUserCache($user['id']);
 
@@ -188,11 +284,64 @@ class FeedController
         }
     }
 
+    /**
+     * Discover the feeds a website offers, for the user to choose from.
+     *
+     * Lists every feed linked from the page (or the URL itself if it is a
+     * feed) with its type, title and latest item titles. Feeds the user is
+     * already subscribed to are marked 'subscribed'.
+     *
+     * POST parameter: 'url' - the website or feed URL
+     *
+     * @return void Outputs JSON with 'success' boolean and 'feeds' array
+     */
+    public function discover(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $url = trim($_POST['url'] ?? '');
+        if (empty($url)) {
+            Response::error('URL is required', 400);
+
+            return;
+        }
+
+        if (! filter_var($url, FILTER_VALIDATE_URL)) {
+            Response::error('Invalid URL', 400);
+
+            return;
+        }
+
+        $candidates = FeedDiscovery::discoverCandidates($url);
+        if (empty($candidates)) {
+            Response::error("No feed found at this URL. The page doesn't contain feed links and common feed paths don't work. Please try providing a direct feed URL.", 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT url FROM feeds WHERE user_id = ?");
+        $stmt->execute([$user['id']]);
+        $subscribedUrls = array_flip($stmt->fetchAll(PDO::FETCH_COLUMN));
+
+        $candidates = array_map(function ($candidate) use ($subscribedUrls) {
+            $candidate['subscribed'] = isset($subscribedUrls[$candidate['url']]);
+
+            return $candidate;
+        }, $candidates);
+
+        Response::success(['feeds' => $candidates]);
+    }
+
     /**
      * Get list of all feeds for the current user with counts.
      *
-     * Returns JSON array of feeds with folder associations, item counts, and
-     * unread counts. Dates are formatted for JSON (ISO 8601 UTC).
+     * Returns JSON array of feeds with folder associations, item counts,
+     * unread counts and health status. Dates are formatted for JSON (ISO 8601 UTC).
      *
      * @return void Outputs JSON array of feed data
      */
@@ -208,7 +357,7 @@ class FeedController
 
         // Format dates for JSON (convert to ISO 8601 with UTC timezone)
         $feeds = array_map(function ($feed) {
-            return \PhpRss\Utils::formatDatesForJson($feed);
+            return \PhpRss\Utils::formatDatesForJson($feed, ['created_at', 'last_fetched', 'last_success_at']);
         }, $feeds);
 
         Response::json($feeds);
@@ -217,8 +366,20 @@ class FeedController
     /**
      * Get feed items for a specific feed.
      *
-     * Returns feed items with read status. Respects user's hide_read_items
-     * preference. Items are ordered by published date (newest first).
+     * Returns one page of feed items with read and starred status. Respects the
+     * feed's hide read and sort order settings, falling back to the user's
+     * hide_read_items and item_sort_order preferences. Items are ordered by
+     * published date (falling back to created date) and ID, newest first by default.
+     *
+     * Uses keyset pagination so pages stay stable while items are marked
+     * read or new items arrive. Each item includes a 'sort_date' field; pass
+     * the last item's "sort_date,id" as 'before' to get the next page. The
+     * first page carries the bound for marking the feed read (see
+     * sendSeenItemsBound()).
+     *
+     * Query parameters:
+     * - 'before' - Cursor "<sort_date>,<id>" of the last item already loaded (optional)
+     * - 'limit' - Page size (default 50, maximum 200)
      *
      * @param array $params Route parameters including 'id' (feed ID)
      * @return void Outputs JSON array of feed items
@@ -234,54 +395,163 @@ class FeedController
             return;
         }
 
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+        $cursor = $pagination['cursor'];
+
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Verify feed belongs to user using FeedService
-        if (! FeedService::verifyFeedOwnership($feedId, $user['id'])) {
+        // Verify feed belongs to user (and get its settings)
+        $stmt = $db->prepare("SELECT item_sort_order, hide_read_items FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        $feed = $stmt->fetch();
+        if (! $feed) {
             Response::error('Feed not found', 404);
 
             return;
         }
 
-        // Check if user wants to hide read items
-        $hideReadItems = $_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true);
+        // Check if user wants to hide read items (the feed's setting overrides the preference)
+        $hideReadItems = $feed['hide_read_items'] ?? ($_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true));
 
-        // Get sort order preference (newest or oldest)
-        $sortOrder = $_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest');
+        // Get sort order (newest or oldest; the feed's setting overrides the preference)
+        $sortOrder = $feed['item_sort_order'] ?? ($_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest'));
         $sortDirection = ($sortOrder === 'oldest') ? 'ASC' : 'DESC';
+        $cursorOperator = ($sortOrder === 'oldest') ? '>' : '<';
+        $sortDate = Database::itemSortDateExpression();
 
         $sql = "
             SELECT fi.*, 
-                   CASE WHEN ri.id IS NOT NULL THEN 1 ELSE 0 END as is_read
+                   {$sortDate} as sort_date,
+                   CASE WHEN ri.id IS NOT NULL THEN 1 ELSE 0 END as is_read,
+                   CASE WHEN si.id IS NOT NULL THEN 1 ELSE 0 END as is_starred
             FROM feed_items fi
             LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = ?
-            WHERE fi.feed_id = ?
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = ?
+            WHERE fi.feed_id = ? AND fi.hidden = 0
         ";
+        $queryParams = [$user['id'], $user['id'], $feedId];
 
         if ($hideReadItems) {
             $sql .= " AND ri.id IS NULL";
         }
 
+        // Continue after the cursor position in the current sort order
+        if ($cursor !== null) {
+            $sql .= " AND ({$sortDate} {$cursorOperator} ? OR ({$sortDate} = ? AND fi.id {$cursorOperator} ?))";
+            $queryParams[] = $cursor['sort_date'];
+            $queryParams[] = $cursor['sort_date'];
+            $queryParams[] = $cursor['id'];
+        }
+
         // Order by published date based on user preference (newest first by default)
-        $sql .= " ORDER BY fi.published_at {$sortDirection}, fi.created_at {$sortDirection}";
+        $sql .= " ORDER BY {$sortDate} {$sortDirection}, fi.id {$sortDirection}";
+        $sql .= " LIMIT " . $pagination['limit'];
 
         $stmt = $db->prepare($sql);
-        $stmt->execute([$user['id'], $feedId]);
-        $items = $stmt->fetchAll();
+        $stmt->execute($queryParams);
+        $items = ItemMedia::withMediaFlags(FilterRules::withTags($stmt->fetchAll()));
 
         // Format dates for JSON (convert to ISO 8601 with UTC timezone)
         $items = array_map(function ($item) {
-            return \PhpRss\Utils::formatDatesForJson($item);
+            return \PhpRss\Utils::formatDatesForJson($item, ['published_at', 'created_at', 'sort_date']);
         }, $items);
 
+        self::sendSeenItemsBound($user['id'], $pagination);
         Response::json($items);
     }
 
+    /**
+     * Send the bound for marking a list read with the list's first page.
+     *
+     * The first page (no 'before' cursor) carries the newest item ID stored
+     * for the user in an X-Max-Item-Id header. The dashboard sends it back
+     * as 'max_item_id' when it marks the list read (see withSeenItemsBound()).
+     * Lists are sorted by date while IDs follow the order items were stored,
+     * so the IDs of the loaded items can't serve as the bound.
+     *
+     * @param int $userId The user ID
+     * @param array $pagination Pagination parameters from getPaginationParams()
+     * @return void
+     */
+    private static function sendSeenItemsBound(int $userId, array $pagination): void
+    {
+        if ($pagination['cursor'] === null) {
+            header('X-Max-Item-Id: ' . FeedService::latestItemId($userId));
+        }
+    }
+
+    /**
+     * Read item pagination parameters ('before' and 'limit') from the query string.
+     *
+     * @return array|null Array with 'limit' (int) and 'cursor' (array|null), or null if the cursor is invalid
+     */
+    private static function getPaginationParams(): ?array
+    {
+        $limit = (int)($_GET['limit'] ?? self::ITEMS_PAGE_SIZE);
+        if ($limit < 1) {
+            $limit = self::ITEMS_PAGE_SIZE;
+        }
+        $limit = min($limit, self::ITEMS_MAX_PAGE_SIZE);
+
+        $cursor = null;
+        $before = trim($_GET['before'] ?? '');
+        if ($before !== '') {
+            $cursor = self::parseItemsCursor($before);
+            if ($cursor === null) {
+                return null;
+            }
+        }
+
+        return [
+            'limit' => $limit,
+            'cursor' => $cursor,
+        ];
+    }
+
+    /**
+     * Parse an items pagination cursor of the form "<sort_date>,<id>".
+     *
+     * @param string $before Cursor value from the 'before' query parameter
+     * @return array|null Array with 'sort_date' (Y-m-d H:i:s, UTC) and 'id', or null if invalid
+     */
+    private static function parseItemsCursor(string $before): ?array
+    {
+        $separator = strrpos($before, ',');
+        if ($separator === false) {
+            return null;
+        }
+
+        $date = substr($before, 0, $separator);
+        $id = substr($before, $separator + 1);
+        if (! ctype_digit($id) || $date === '') {
+            return null;
+        }
+
+        try {
+            $dt = new \DateTime($date, new \DateTimeZone('UTC'));
+            $dt->setTimezone(new \DateTimeZone('UTC'));
+        } catch (\Exception $e) {
+            return null;
+        }
+
+        return [
+            'sort_date' => $dt->format('Y-m-d H:i:s'),
+            'id' => (int)$id,
+        ];
+    }
+
     /**
      * Get a single feed item by ID.
      *
-     * Returns the full feed item data including feed title. Verifies that
+     * Returns the full feed item data including feed title, starred status,
+     * tags, audio/video enclosures and the user's playback position in them.
+     * Verifies that
      * the item belongs to the current user's feeds.
      *
      * @param array $params Route parameters including 'id' (item ID)
@@ -303,9 +573,12 @@ class FeedController
 
         // Verify item belongs to user's feed; include feed title for untitled posts
         $stmt = $db->prepare("
-            SELECT fi.*, f.title AS feed_title
+            SELECT fi.*, f.title AS feed_title,
+                   COALESCE(f.always_load_full_article, 0) as always_load_full_article,
+                   CASE WHEN si.id IS NOT NULL THEN 1 ELSE 0 END as is_starred
             FROM feed_items fi
             JOIN feeds f ON fi.feed_id = f.id
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = f.user_id
             WHERE fi.id = ? AND f.user_id = ?
         ");
         $stmt->execute([$itemId, $user['id']]);
@@ -317,6 +590,10 @@ class FeedController
             return;
         }
 
+        $item['tags'] = FilterRules::tagsForItems([$item['id']])[(int)$item['id']] ?? [];
+        $item['enclosures'] = ItemMedia::enclosuresForItem((int)$item['id']);
+        $item['playback_position'] = $item['enclosures'] ? ItemMedia::getPosition($user['id'], (int)$item['id']) : null;
+
         // Format dates for JSON (convert to ISO 8601 with UTC timezone)
         $item = \PhpRss\Utils::formatDatesForJson($item);
 
@@ -324,15 +601,15 @@ class FeedController
     }
 
     /**
-     * Mark a feed item as read for the current user.
+     * Load the full article of a feed item from its web page.
      *
-     * Creates a read_items record. Uses database-specific conflict handling
-     * (ON CONFLICT DO NOTHING for PostgreSQL, INSERT OR IGNORE for SQLite).
+     * Fetches the item's link, extracts the main article body, sanitizes it,
+     * and stores it on the item so later requests are served from the database.
      *
      * @param array $params Route parameters including 'id' (item ID)
-     * @return void Outputs JSON with 'success' boolean
+     * @return void Outputs JSON with 'success' boolean and 'full_content' HTML
      */
-    public function markAsRead(array $params): void
+    public function loadFullArticle(array $params): void
     {
         Auth::requireAuth();
 
@@ -349,52 +626,74 @@ class FeedController
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Verify item belongs to user's feed
         $stmt = $db->prepare("
-            SELECT fi.id
+            SELECT fi.id, fi.feed_id, fi.link, fi.full_content
             FROM feed_items fi
             JOIN feeds f ON fi.feed_id = f.id
             WHERE fi.id = ? AND f.user_id = ?
         ");
         $stmt->execute([$itemId, $user['id']]);
-        if (! $stmt->fetch()) {
+        $item = $stmt->fetch();
+
+        if (! $item) {
             Response::error('Item not found', 404);
 
             return;
         }
 
-        // Get feed ID for cache invalidation
-        $stmt = $db->prepare("SELECT feed_id FROM feed_items WHERE id = ?");
-        $stmt->execute([$itemId]);
-        $feedData = $stmt->fetch();
-        $feedId = $feedData['feed_id'] ?? null;
+        if (! empty($item['full_content'])) {
+            Response::success(['full_content' => $item['full_content']]);
 
-        // Mark as read
-        $dbType = Database::getDbType();
-        $insertSql = $dbType === 'pgsql'
-            ? "INSERT INTO read_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
-            : "INSERT OR IGNORE INTO read_items (user_id, feed_item_id) VALUES (?, ?)";
-        $stmt = $db->prepare($insertSql);
-        $stmt->execute([$user['id'], $itemId]);
+            return;
+        }
 
-        // Invalidate cache
-        if ($feedId) {
-            FeedService::invalidateFeedCache($feedId);
+        if (empty($item['link'])) {
+            Response::error('Item has no link to load the article from', 400);
+
+            return;
         }
-        FeedService::invalidateUserCache($user['id']);
 
-        Response::success();
+        try {
+            $html = FeedFetcher::fetch($item['link']);
+        } catch (\Exception $e) {
+            Logger::warning('Full article fetch failed', [
+                'item_id' => $item['id'],
+                'url' => $item['link'],
+                'error' => $e->getMessage(),
+            ]);
+            Response::error('Failed to load the article: ' . $e->getMessage(), 502);
+
+            return;
+        }
+
+        $article = ArticleExtractor::extract($html, $item['link']);
+        $fullContent = $article !== null ? HtmlSanitizer::sanitize($article) : null;
+        if (empty($fullContent)) {
+            Response::error('Could not find the article text on the page', 422);
+
+            return;
+        }
+
+        $stmt = $db->prepare("UPDATE feed_items SET full_content = ? WHERE id = ?");
+        $stmt->execute([$fullContent, $item['id']]);
+        SearchIndex::reindexItem((int)$item['id']);
+
+        // Item lists include the item's columns
+        FeedService::invalidateFeedCache((int)$item['feed_id']);
+
+        Response::success(['full_content' => $fullContent]);
     }
 
     /**
-     * Mark a feed item as unread (remove from read_items).
+     * Mark a feed item as read for the current user.
      *
-     * Deletes the read_items record for this user and item.
+     * Creates a read_items record. Uses database-specific conflict handling
+     * (ON CONFLICT DO NOTHING for PostgreSQL, INSERT OR IGNORE for SQLite).
      *
      * @param array $params Route parameters including 'id' (item ID)
      * @return void Outputs JSON with 'success' boolean
      */
-    public function markAsUnread(array $params): void
+    public function markAsRead(array $params): void
     {
         Auth::requireAuth();
 
@@ -411,102 +710,139 @@ class FeedController
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Verify item belongs to user's feed and get feed ID
+        // Verify item belongs to user's feed
         $stmt = $db->prepare("
-            SELECT fi.id, fi.feed_id
+            SELECT fi.id
             FROM feed_items fi
             JOIN feeds f ON fi.feed_id = f.id
             WHERE fi.id = ? AND f.user_id = ?
         ");
         $stmt->execute([$itemId, $user['id']]);
-        $itemData = $stmt->fetch();
-        if (! $itemData) {
+        if (! $stmt->fetch()) {
             Response::error('Item not found', 404);
 
             return;
         }
-        $feedId = $itemData['feed_id'];
 
-        // Mark as unread (delete from read_items)
-        $stmt = $db->prepare("DELETE FROM read_items WHERE user_id = ? AND feed_item_id = ?");
+        // Get feed ID for cache invalidation
+        $stmt = $db->prepare("SELECT feed_id FROM feed_items WHERE id = ?");
+        $stmt->execute([$itemId]);
+        $feedData = $stmt->fetch();
+        $feedId = $feedData['feed_id'] ?? null;
+
+        // Mark as read
+        $dbType = Database::getDbType();
+        $insertSql = $dbType === 'pgsql'
+            ? "INSERT INTO read_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+            : "INSERT OR IGNORE INTO read_items (user_id, feed_item_id) VALUES (?, ?)";
+        $stmt = $db->prepare($insertSql);
         $stmt->execute([$user['id'], $itemId]);
 
         // Invalidate cache
-        FeedService::invalidateFeedCache($feedId);
+        if ($feedId) {
+            FeedService::invalidateFeedCache($feedId);
+        }
         FeedService::invalidateUserCache($user['id']);
 
         Response::success();
     }
 
     /**
-     * Mark all items in a feed as read.
+     * Mark several feed items as read in one request.
      *
-     * Bulk inserts read_items records for all items in the specified feed.
-     * Uses database-specific conflict handling.
+     * Used by "mark as read on scroll", which batches the items scrolled past.
+     * Item IDs that don't belong to the user's feeds are ignored.
      *
-     * @param array $params Route parameters including 'id' (feed ID)
-     * @return void Outputs JSON with 'success' boolean and 'count' of marked items
+     * JSON body: { "item_ids": [1, 2, 3] }
+     *
+     * @return void Outputs JSON with 'success' boolean, 'count' of newly marked items and 'batch_id' (for undo)
      */
-    public function markAllAsRead(array $params): void
+    public function markItemsAsRead(): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $feedId = $params['id'] ?? null;
-        if (! $feedId) {
-            Response::error('Feed ID required', 400);
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $itemIds = $input['item_ids'] ?? null;
+
+        $error = self::validateBulkItemIds($itemIds);
+        if ($error !== null) {
+            Response::error($error, 400);
 
             return;
         }
 
         $user = Auth::user();
-        $db = Database::getConnection();
+        $itemIds = array_values(array_unique($itemIds));
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
 
-        // Verify feed belongs to user
-        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
-        $stmt->execute([$feedId, $user['id']]);
-        if (! $stmt->fetch()) {
-            Response::error('Feed not found', 404);
+        Response::success(self::markMatchingItemsAsRead($user['id'], "fi.id IN ({$placeholders})", $itemIds));
+    }
+
+    /**
+     * Mark several feed items as unread in one request.
+     *
+     * Item IDs that don't belong to the user's feeds are ignored. (Mark-all-read
+     * batches are undone with undoReadBatch().)
+     *
+     * JSON body: { "item_ids": [1, 2, 3] }
+     *
+     * @return void Outputs JSON with 'success' boolean and 'count' of items marked unread
+     */
+    public function markItemsAsUnread(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $itemIds = $input['item_ids'] ?? null;
+
+        $error = self::validateBulkItemIds($itemIds);
+        if ($error !== null) {
+            Response::error($error, 400);
 
             return;
         }
 
-        // Mark all items in the feed as read
-        $dbType = Database::getDbType();
-        $insertSql = $dbType === 'pgsql'
-            ? "INSERT INTO read_items (user_id, feed_item_id) SELECT ?, fi.id FROM feed_items fi WHERE fi.feed_id = ? ON CONFLICT (user_id, feed_item_id) DO NOTHING"
-            : "INSERT OR IGNORE INTO read_items (user_id, feed_item_id) SELECT ?, fi.id FROM feed_items fi WHERE fi.feed_id = ?";
-        $stmt = $db->prepare($insertSql);
-        $stmt->execute([$user['id'], $feedId]);
+        $user = Auth::user();
+        $db = Database::getConnection();
+        $itemIds = array_values(array_unique($itemIds));
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
 
-        // Invalidate cache
-        FeedService::invalidateFeedCache($feedId);
-        FeedService::invalidateUserCache($user['id']);
+        $stmt = $db->prepare("DELETE FROM read_items WHERE user_id = ? AND feed_item_id IN ({$placeholders})");
+        $stmt->execute(array_merge([$user['id']], $itemIds));
+
+        self::invalidateAllFeedCaches($user['id']);
 
         Response::success(['count' => $stmt->rowCount()]);
     }
 
     /**
-     * Fetch/update a feed by fetching latest content from the feed URL.
+     * Undo a mark-as-read batch by marking its items unread again.
      *
-     * Delegates to FeedFetcher::updateFeed() to fetch and parse the feed,
-     * then update feed metadata and insert new items.
+     * The batch ID comes from the 'batch_id' a mark-all-read endpoint (or a
+     * mark_read, read_above or read_below bulk action) returned. Items the
+     * user marked unread or read again since keep their state.
      *
-     * @param array $params Route parameters including 'id' (feed ID)
-     * @return void Outputs JSON with 'success' boolean
+     * @param array $params Route parameters including 'id' (batch ID)
+     * @return void Outputs JSON with 'success' boolean and 'count' of items marked unread
      */
-    public function fetch(array $params): void
+    public function undoReadBatch(array $params): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $feedId = $params['id'] ?? null;
-        if (! $feedId) {
-            Response::error('Feed ID required', 400);
+        $batchId = (string)($params['id'] ?? '');
+        if (! preg_match('/^[0-9a-f]{32}$/', $batchId)) {
+            Response::error('Invalid batch ID', 400);
 
             return;
         }
@@ -514,24 +850,1021 @@ class FeedController
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Verify feed belongs to user
-        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
-        $stmt->execute([$feedId, $user['id']]);
-        if (! $stmt->fetch()) {
-            Response::error('Feed not found', 404);
-
-            return;
-        }
+        $stmt = $db->prepare("DELETE FROM read_items WHERE user_id = ? AND batch_id = ?");
+        $stmt->execute([$user['id'], $batchId]);
 
-        // Check if this is a manual refresh (force immediate) or should use background jobs
-        // Check both GET (query params) and POST (body) for immediate parameter
-        $forceImmediate = false;
-        if (isset($_GET['immediate']) || isset($_POST['immediate'])) {
-            $value = $_POST['immediate'] ?? $_GET['immediate'] ?? 'false';
-            // Check for truthy values: 'true', '1', 'yes', 'on' (case-insensitive)
-            $forceImmediate = in_array(strtolower((string)$value), ['true', '1', 'yes', 'on'], true);
-        }
-        $useBackgroundJobs = Config::get('jobs.enabled', false) && ! $forceImmediate;
+        self::invalidateAllFeedCaches($user['id']);
+
+        Response::success(['count' => $stmt->rowCount()]);
+    }
+
+    /**
+     * Apply an action to several feed items in one request.
+     *
+     * Used by the bulk action bar of the items list. Item IDs that don't
+     * belong to the user's feeds are ignored.
+     *
+     * JSON body: { "action": "tag", "item_ids": [1, 2, 3], "tag": "later" }
+     * Actions: mark_read, mark_unread, star, unstar, tag (requires 'tag')
+     *
+     * read_above and read_below mark every item above or below an item of a
+     * list as read, including the pages the client hasn't loaded. They take
+     * the list as 'scope' (see itemListOrder()) and the item's pagination
+     * cursor instead of item IDs:
+     * { "action": "read_below", "scope": "12", "cursor": "2024-01-19T10:00:00Z,123" }
+     *
+     * mark_read, read_above and read_below output 'count' and 'batch_id' (for
+     * undo); the other actions output 'count' and 'item_ids' of the items that changed.
+     *
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function bulkUpdateItems(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $action = $input['action'] ?? null;
+
+        if ($action === 'read_above' || $action === 'read_below') {
+            $cursor = is_string($input['cursor'] ?? null) ? self::parseItemsCursor($input['cursor']) : null;
+            if ($cursor === null) {
+                Response::error('Invalid cursor', 400);
+
+                return;
+            }
+
+            $user = Auth::user();
+            $batch = self::markItemsReadBeside($user, $input['scope'] ?? null, $cursor, $action === 'read_below');
+            if ($batch === null) {
+                Response::error('Items list not found', 404);
+
+                return;
+            }
+
+            Response::success($batch);
+
+            return;
+        }
+
+        $itemIds = $input['item_ids'] ?? null;
+        $error = self::validateBulkItemIds($itemIds);
+        if ($error !== null) {
+            Response::error($error, 400);
+
+            return;
+        }
+
+        if (! in_array($action, self::BULK_ITEM_ACTIONS, true)) {
+            Response::error('Invalid action', 400);
+
+            return;
+        }
+
+        $tag = null;
+        if ($action === 'tag') {
+            $tag = FilterRules::normalizeTag((string)($input['tag'] ?? ''));
+            if ($tag === '') {
+                Response::error('Tag is required', 400);
+
+                return;
+            }
+            if (mb_strlen($tag) > FilterRules::MAX_TAG_LENGTH) {
+                Response::error('Tag is too long (maximum ' . FilterRules::MAX_TAG_LENGTH . ' characters)', 400);
+
+                return;
+            }
+        }
+
+        $user = Auth::user();
+        $itemIds = array_values(array_unique($itemIds));
+
+        if ($action === 'mark_read') {
+            $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
+            Response::success(self::markMatchingItemsAsRead($user['id'], "fi.id IN ({$placeholders})", $itemIds));
+
+            return;
+        }
+
+        $changedIds = self::applyBulkItemAction($user['id'], $action, $itemIds, $tag);
+
+        Response::success(['count' => count($changedIds), 'item_ids' => $changedIds]);
+    }
+
+    /**
+     * Apply a bulk action to those of a user's items it changes.
+     *
+     * @param int $userId The user ID
+     * @param string $action One of BULK_ITEM_ACTIONS except mark_read (see markMatchingItemsAsRead())
+     * @param array $itemIds Item IDs
+     * @param string|null $tag Tag to add (for the 'tag' action)
+     * @return array IDs of the items that changed
+     */
+    private static function applyBulkItemAction(int $userId, string $action, array $itemIds, ?string $tag): array
+    {
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
+
+        $db = Database::getConnection();
+        $pgsql = Database::getDbType() === 'pgsql';
+        $selectParams = array_merge([$userId], $itemIds);
+
+        switch ($action) {
+            case 'mark_unread':
+                $condition = "EXISTS (SELECT 1 FROM read_items ri WHERE ri.feed_item_id = fi.id AND ri.user_id = f.user_id)";
+                $sql = "DELETE FROM read_items WHERE user_id = ? AND feed_item_id = ?";
+                $params = fn ($itemId) => [$userId, $itemId];
+
+                break;
+            case 'star':
+                $condition = "NOT EXISTS (SELECT 1 FROM starred_items si WHERE si.feed_item_id = fi.id AND si.user_id = f.user_id)";
+                $sql = $pgsql
+                    ? "INSERT INTO starred_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+                    : "INSERT OR IGNORE INTO starred_items (user_id, feed_item_id) VALUES (?, ?)";
+                $params = fn ($itemId) => [$userId, $itemId];
+
+                break;
+            case 'unstar':
+                $condition = "EXISTS (SELECT 1 FROM starred_items si WHERE si.feed_item_id = fi.id AND si.user_id = f.user_id)";
+                $sql = "DELETE FROM starred_items WHERE user_id = ? AND feed_item_id = ?";
+                $params = fn ($itemId) => [$userId, $itemId];
+
+                break;
+            default:
+                $condition = "NOT EXISTS (SELECT 1 FROM item_tags it WHERE it.feed_item_id = fi.id AND it.tag = ?)";
+                $selectParams[] = $tag;
+                $sql = $pgsql
+                    ? "INSERT INTO item_tags (feed_item_id, tag) VALUES (?, ?) ON CONFLICT (feed_item_id, tag) DO NOTHING"
+                    : "INSERT OR IGNORE INTO item_tags (feed_item_id, tag) VALUES (?, ?)";
+                $params = fn ($itemId) => [$itemId, $tag];
+        }
+
+        $stmt = $db->prepare("
+            SELECT fi.id
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            WHERE f.user_id = ? AND fi.id IN ({$placeholders}) AND {$condition}
+        ");
+        $stmt->execute($selectParams);
+        $changedIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+
+        $stmt = $db->prepare($sql);
+        $db->beginTransaction();
+        try {
+            foreach ($changedIds as $itemId) {
+                $stmt->execute($params($itemId));
+            }
+            $db->commit();
+        } catch (\Exception $e) {
+            $db->rollBack();
+
+            throw $e;
+        }
+
+        self::invalidateAllFeedCaches($userId);
+
+        return $changedIds;
+    }
+
+    /**
+     * Mark every item above or below an item of a list as read.
+     *
+     * "Above" and "below" follow the list's order, so for a newest-first list
+     * "below" means older items.
+     *
+     * @param array $user Current user row
+     * @param mixed $scope The list (see itemListOrder())
+     * @param array $cursor The item's position, from parseItemsCursor()
+     * @param bool $below True for the items below the item, false for those above it
+     * @return array|null The batch (see markMatchingItemsAsRead()), or null if the list isn't the user's
+     */
+    private static function markItemsReadBeside(array $user, $scope, array $cursor, bool $below): ?array
+    {
+        $order = self::itemListOrder($user, $scope);
+        if ($order === null) {
+            return null;
+        }
+
+        [$sortDate, $direction, $where, $whereParams] = $order;
+        $operator = ($direction === 'DESC') === $below ? '<' : '>';
+        $where = "fi.hidden = 0 AND ({$where}) AND ({$sortDate} {$operator} ? OR ({$sortDate} = ? AND fi.id {$operator} ?))";
+        $whereParams = array_merge($whereParams, [$cursor['sort_date'], $cursor['sort_date'], $cursor['id']]);
+
+        return self::markMatchingItemsAsRead($user['id'], $where, $whereParams);
+    }
+
+    /**
+     * Get the order and condition of an items list, as its list endpoint uses them.
+     *
+     * @param array $user Current user row
+     * @param mixed $scope A feed ID, "folder:<id>", or unread, today, starred or recently-read
+     * @return array|null [sort date expression, 'ASC' or 'DESC', condition, parameters],
+     *                    or null if the list doesn't exist or isn't the user's
+     */
+    private static function itemListOrder(array $user, $scope): ?array
+    {
+        $sortDate = Database::itemSortDateExpression();
+        $scope = is_int($scope) ? (string)$scope : $scope;
+        if (! is_string($scope)) {
+            return null;
+        }
+
+        if (ctype_digit($scope)) {
+            $db = Database::getConnection();
+            $stmt = $db->prepare("SELECT item_sort_order FROM feeds WHERE id = ? AND user_id = ?");
+            $stmt->execute([(int)$scope, $user['id']]);
+            $feed = $stmt->fetch();
+            if (! $feed) {
+                return null;
+            }
+
+            // The feed's setting overrides the preference, as in getItems()
+            $sortOrder = $feed['item_sort_order'] ?? ($_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest'));
+
+            return [$sortDate, $sortOrder === 'oldest' ? 'ASC' : 'DESC', 'fi.feed_id = ?', [(int)$scope]];
+        }
+
+        if (preg_match('/^folder:(\d+)$/', $scope, $match)) {
+            if (! self::folderBelongsToUser((int)$match[1], $user['id'])) {
+                return null;
+            }
+
+            return [$sortDate, self::getItemSortDirection($user), ...FolderService::subtreeCondition((int)$match[1])];
+        }
+
+        switch ($scope) {
+            case 'unread':
+                return [$sortDate, self::getItemSortDirection($user), 'ri.id IS NULL', []];
+            case 'today':
+                return [$sortDate, self::getItemSortDirection($user), ...self::getTodayCondition($user)];
+            case 'starred':
+                return [self::secondsPrecision('si.starred_at'), 'DESC', 'si.id IS NOT NULL', []];
+            case 'recently-read':
+                return [self::secondsPrecision('ri.read_at'), 'DESC', 'ri.id IS NOT NULL', []];
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Validate the item IDs of a bulk read-state request.
+     *
+     * @param mixed $itemIds Decoded 'item_ids' request value
+     * @return string|null Error message, or null if valid
+     */
+    private static function validateBulkItemIds($itemIds): ?string
+    {
+        if (! is_array($itemIds) || empty($itemIds)) {
+            return 'Item IDs required';
+        }
+
+        if (count($itemIds) > self::BULK_READ_MAX_ITEMS) {
+            return 'Too many items (maximum ' . self::BULK_READ_MAX_ITEMS . ')';
+        }
+
+        foreach ($itemIds as $itemId) {
+            if (! is_int($itemId) || $itemId <= 0) {
+                return 'Invalid item ID';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Mark a feed item as unread (remove from read_items).
+     *
+     * Deletes the read_items record for this user and item.
+     *
+     * @param array $params Route parameters including 'id' (item ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function markAsUnread(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $itemId = $params['id'] ?? null;
+        if (! $itemId) {
+            Response::error('Item ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify item belongs to user's feed and get feed ID
+        $stmt = $db->prepare("
+            SELECT fi.id, fi.feed_id
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            WHERE fi.id = ? AND f.user_id = ?
+        ");
+        $stmt->execute([$itemId, $user['id']]);
+        $itemData = $stmt->fetch();
+        if (! $itemData) {
+            Response::error('Item not found', 404);
+
+            return;
+        }
+        $feedId = $itemData['feed_id'];
+
+        // Mark as unread (delete from read_items)
+        $stmt = $db->prepare("DELETE FROM read_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$user['id'], $itemId]);
+
+        // Invalidate cache
+        FeedService::invalidateFeedCache($feedId);
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
+    }
+
+    /**
+     * Star a feed item for the current user.
+     *
+     * Starred items are kept out of retention cleanup and listed in the
+     * "Starred" virtual feed. Uses database-specific conflict handling.
+     *
+     * @param array $params Route parameters including 'id' (item ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function starItem(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $itemId = $params['id'] ?? null;
+        if (! $itemId) {
+            Response::error('Item ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify item belongs to user's feed
+        if (! FeedService::verifyItemOwnership((int)$itemId, $user['id'])) {
+            Response::error('Item not found', 404);
+
+            return;
+        }
+
+        $dbType = Database::getDbType();
+        $insertSql = $dbType === 'pgsql'
+            ? "INSERT INTO starred_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+            : "INSERT OR IGNORE INTO starred_items (user_id, feed_item_id) VALUES (?, ?)";
+        $stmt = $db->prepare($insertSql);
+        $stmt->execute([$user['id'], $itemId]);
+
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
+    }
+
+    /**
+     * Unstar a feed item for the current user (remove from starred_items).
+     *
+     * @param array $params Route parameters including 'id' (item ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function unstarItem(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $itemId = $params['id'] ?? null;
+        if (! $itemId) {
+            Response::error('Item ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify item belongs to user's feed
+        if (! FeedService::verifyItemOwnership((int)$itemId, $user['id'])) {
+            Response::error('Item not found', 404);
+
+            return;
+        }
+
+        $stmt = $db->prepare("DELETE FROM starred_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$user['id'], $itemId]);
+
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
+    }
+
+    /**
+     * Save the current user's playback position in a feed item's audio or video.
+     *
+     * Called periodically by the reader's media player (and with
+     * navigator.sendBeacon when the page is left), so playback resumes there on
+     * any device. A position of 0 clears the saved position.
+     *
+     * @param array $params Route parameters including 'id' (item ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function savePlaybackPosition(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $itemId = $params['id'] ?? null;
+        if (! $itemId) {
+            Response::error('Item ID required', 400);
+
+            return;
+        }
+
+        $position = $_POST['position'] ?? null;
+        if (! is_numeric($position) || (float)$position < 0) {
+            Response::error('Position must be a number of seconds', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        // Verify item belongs to user's feed
+        if (! FeedService::verifyItemOwnership((int)$itemId, $user['id'])) {
+            Response::error('Item not found', 404);
+
+            return;
+        }
+
+        ItemMedia::savePosition($user['id'], (int)$itemId, (float)$position);
+
+        Response::success();
+    }
+
+    /**
+     * Get starred items from all of the current user's feeds.
+     *
+     * Returns one page of starred items (read or unread), most recently
+     * starred first. Pagination works like getItems(): 'sort_date' is the
+     * time the item was starred.
+     *
+     * Query parameters:
+     * - 'before' - Cursor "<sort_date>,<id>" of the last item already loaded (optional)
+     * - 'limit' - Page size (default 50, maximum 200)
+     *
+     * @return void Outputs JSON array of feed items
+     */
+    public function getStarredItems(): void
+    {
+        Auth::requireAuth();
+
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        $items = self::fetchItemPage(
+            $user['id'],
+            self::secondsPrecision('si.starred_at'),
+            'DESC',
+            'si.id IS NOT NULL',
+            [],
+            $pagination
+        );
+
+        Response::json($items);
+    }
+
+    /**
+     * Get unread items from all of the current user's feeds ("All unread" view).
+     *
+     * Items are ordered by published date using the user's item_sort_order
+     * preference. Pagination works like getItems().
+     *
+     * @return void Outputs JSON array of feed items
+     */
+    public function getUnreadItems(): void
+    {
+        Auth::requireAuth();
+
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        $items = self::fetchItemPage(
+            $user['id'],
+            Database::itemSortDateExpression(),
+            self::getItemSortDirection($user),
+            'ri.id IS NULL',
+            [],
+            $pagination
+        );
+
+        self::sendSeenItemsBound($user['id'], $pagination);
+        Response::json($items);
+    }
+
+    /**
+     * Get items published today, in the user's timezone, from all feeds ("Today" view).
+     *
+     * Respects the user's hide_read_items and item_sort_order preferences.
+     * Pagination works like getItems().
+     *
+     * @return void Outputs JSON array of feed items
+     */
+    public function getTodayItems(): void
+    {
+        Auth::requireAuth();
+
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        [$where, $whereParams] = self::getTodayCondition($user);
+
+        $hideReadItems = $_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true);
+        if ($hideReadItems) {
+            $where .= ' AND ri.id IS NULL';
+        }
+
+        $items = self::fetchItemPage(
+            $user['id'],
+            Database::itemSortDateExpression(),
+            self::getItemSortDirection($user),
+            $where,
+            $whereParams,
+            $pagination
+        );
+
+        self::sendSeenItemsBound($user['id'], $pagination);
+        Response::json($items);
+    }
+
+    /**
+     * Get the items the current user read most recently ("Recently read" view).
+     *
+     * Ordered by read time, newest first; 'sort_date' is the time the item
+     * was read. Returns the last 'limit' items (default 50).
+     *
+     * @return void Outputs JSON array of feed items
+     */
+    public function getRecentlyReadItems(): void
+    {
+        Auth::requireAuth();
+
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        $items = self::fetchItemPage(
+            $user['id'],
+            self::secondsPrecision('ri.read_at'),
+            'DESC',
+            'ri.id IS NOT NULL',
+            [],
+            $pagination
+        );
+
+        Response::json($items);
+    }
+
+    /**
+     * Mark every unread item in all of the current user's feeds as read.
+     *
+     * @return void Outputs JSON with 'success' boolean, 'count' of newly marked items and 'batch_id' (for undo)
+     */
+    public function markAllUnreadAsRead(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $user = Auth::user();
+        [$where, $whereParams] = self::withSeenItemsBound('1 = 1', []);
+        Response::success(self::markMatchingItemsAsRead($user['id'], $where, $whereParams));
+    }
+
+    /**
+     * Mark every item published today (in the user's timezone) as read.
+     *
+     * @return void Outputs JSON with 'success' boolean, 'count' of newly marked items and 'batch_id' (for undo)
+     */
+    public function markTodayAsRead(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $user = Auth::user();
+        [$where, $whereParams] = self::withSeenItemsBound(...self::getTodayCondition($user));
+        Response::success(self::markMatchingItemsAsRead($user['id'], $where, $whereParams));
+    }
+
+    /**
+     * Fetch one page of items across all of a user's feeds.
+     *
+     * Shared by the virtual feeds (Starred, All unread, Today, Recently read).
+     * Each item includes its feed title, read and starred status, and a
+     * 'sort_date' used for cursor pagination.
+     *
+     * @param int $userId The user ID
+     * @param string $sortDate SQL expression to order and paginate by (tables are aliased fi, f, ri, si)
+     * @param string $direction Sort direction, 'ASC' or 'DESC'
+     * @param string $where SQL condition selecting the view's items
+     * @param array $whereParams Parameters for the condition
+     * @param array $pagination Result of getPaginationParams()
+     * @return array Items with dates formatted for JSON
+     */
+    private static function fetchItemPage(int $userId, string $sortDate, string $direction, string $where, array $whereParams, array $pagination): array
+    {
+        $db = Database::getConnection();
+        $cursor = $pagination['cursor'];
+        $cursorOperator = $direction === 'ASC' ? '>' : '<';
+
+        $sql = "
+            SELECT fi.*, f.title AS feed_title,
+                   {$sortDate} as sort_date,
+                   CASE WHEN ri.id IS NOT NULL THEN 1 ELSE 0 END as is_read,
+                   CASE WHEN si.id IS NOT NULL THEN 1 ELSE 0 END as is_starred
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = f.user_id
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = f.user_id
+            WHERE f.user_id = ? AND fi.hidden = 0 AND ({$where})
+        ";
+        $queryParams = array_merge([$userId], $whereParams);
+
+        if ($cursor !== null) {
+            $sql .= " AND ({$sortDate} {$cursorOperator} ? OR ({$sortDate} = ? AND fi.id {$cursorOperator} ?))";
+            $queryParams[] = $cursor['sort_date'];
+            $queryParams[] = $cursor['sort_date'];
+            $queryParams[] = $cursor['id'];
+        }
+
+        $sql .= " ORDER BY {$sortDate} {$direction}, fi.id {$direction}";
+        $sql .= " LIMIT " . $pagination['limit'];
+
+        $stmt = $db->prepare($sql);
+        $stmt->execute($queryParams);
+        $items = ItemMedia::withMediaFlags(FilterRules::withTags($stmt->fetchAll()));
+
+        // Format dates for JSON (convert to ISO 8601 with UTC timezone)
+        return array_map(function ($item) {
+            return \PhpRss\Utils::formatDatesForJson($item, ['published_at', 'created_at', 'sort_date']);
+        }, $items);
+    }
+
+    /**
+     * Mark all of a user's items matching a condition as read.
+     *
+     * The read marks are stamped with a new batch ID, so the client can undo
+     * the whole batch with undoReadBatch() without knowing which items it held.
+     *
+     * @param int $userId The user ID
+     * @param string $where SQL condition on the item (tables are aliased fi, f, ri and si)
+     * @param array $whereParams Parameters for the condition
+     * @return array ['count' => number of items newly marked as read, 'batch_id' => batch ID]
+     */
+    private static function markMatchingItemsAsRead(int $userId, string $where, array $whereParams): array
+    {
+        $db = Database::getConnection();
+        $batchId = bin2hex(random_bytes(16));
+
+        $select = "
+            SELECT f.user_id, fi.id, CAST(? AS VARCHAR(32))
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = f.user_id
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = f.user_id
+            WHERE f.user_id = ? AND ri.id IS NULL AND ({$where})
+        ";
+        $sql = Database::getDbType() === 'pgsql'
+            ? "INSERT INTO read_items (user_id, feed_item_id, batch_id) {$select} ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+            : "INSERT OR IGNORE INTO read_items (user_id, feed_item_id, batch_id) {$select}";
+
+        $stmt = $db->prepare($sql);
+        $stmt->execute(array_merge([$batchId, $userId], $whereParams));
+        $count = $stmt->rowCount();
+
+        self::invalidateAllFeedCaches($userId);
+
+        return ['count' => $count, 'batch_id' => $batchId];
+    }
+
+    /**
+     * Limit a mark-all-read condition to the items the user had seen.
+     *
+     * The dashboard sends the bound it got with the list's first page (see
+     * sendSeenItemsBound()) as the 'max_item_id' query parameter, so items
+     * stored after the list was loaded (e.g. while a request queued offline
+     * waited to be sent) stay unread.
+     *
+     * @param string $where SQL condition on the item (tables are aliased fi and f)
+     * @param array $whereParams Parameters for the condition
+     * @return array [condition, parameters], with the bound added if one was sent
+     */
+    private static function withSeenItemsBound(string $where, array $whereParams): array
+    {
+        $maxItemId = filter_var($_GET['max_item_id'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+        if ($maxItemId === false) {
+            return [$where, $whereParams];
+        }
+
+        return ["({$where}) AND fi.id <= ?", array_merge($whereParams, [$maxItemId])];
+    }
+
+    /**
+     * Invalidate the cache of every feed of a user, and the user's feed list cache.
+     *
+     * @param int $userId The user ID
+     * @return void
+     */
+    private static function invalidateAllFeedCaches(int $userId): void
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE user_id = ?");
+        $stmt->execute([$userId]);
+        foreach ($stmt->fetchAll(PDO::FETCH_COLUMN) as $feedId) {
+            FeedService::invalidateFeedCache((int)$feedId);
+        }
+        FeedService::invalidateUserCache($userId);
+    }
+
+    /**
+     * Build the SQL condition for items published today in the user's timezone.
+     *
+     * @param array $user Current user row
+     * @return array Two elements: SQL condition (on alias fi) and its parameters (UTC bounds)
+     */
+    private static function getTodayCondition(array $user): array
+    {
+        $timezone = $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC';
+
+        try {
+            $tz = new \DateTimeZone($timezone);
+        } catch (\Exception $e) {
+            $tz = new \DateTimeZone('UTC');
+        }
+
+        $start = new \DateTime('today', $tz);
+        $end = (clone $start)->modify('+1 day');
+        $start->setTimezone(new \DateTimeZone('UTC'));
+        $end->setTimezone(new \DateTimeZone('UTC'));
+
+        $sortDate = Database::itemSortDateExpression();
+
+        return [
+            "{$sortDate} >= ? AND {$sortDate} < ?",
+            [$start->format('Y-m-d H:i:s'), $end->format('Y-m-d H:i:s')],
+        ];
+    }
+
+    /**
+     * Get the SQL sort direction from the user's item_sort_order preference.
+     *
+     * @param array $user Current user row
+     * @return string 'ASC' for oldest first, 'DESC' for newest first
+     */
+    private static function getItemSortDirection(array $user): string
+    {
+        $sortOrder = $_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest');
+
+        return ($sortOrder === 'oldest') ? 'ASC' : 'DESC';
+    }
+
+    /**
+     * Truncate a timestamp expression to whole seconds on PostgreSQL.
+     *
+     * Pagination cursors carry second precision (see Database::itemSortDateExpression).
+     *
+     * @param string $expression SQL timestamp expression
+     * @return string SQL expression
+     */
+    private static function secondsPrecision(string $expression): string
+    {
+        return Database::getDbType() === 'pgsql' ? "date_trunc('second', {$expression})" : $expression;
+    }
+
+    /**
+     * Mark all items in a feed as read.
+     *
+     * Bulk inserts read_items records for all unread items in the specified feed.
+     * The returned 'batch_id' can be passed to undoReadBatch()
+     * (DELETE /items/read-batches/:id) to undo.
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean, 'count' of newly marked items and 'batch_id' (for undo)
+     */
+    public function markAllAsRead(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify feed belongs to user
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        if (! $stmt->fetch()) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        // Mark all items in the feed as read
+        [$where, $whereParams] = self::withSeenItemsBound('fi.feed_id = ?', [(int)$feedId]);
+        Response::success(self::markMatchingItemsAsRead($user['id'], $where, $whereParams));
+    }
+
+    /**
+     * Get items from every feed in a folder as a single stream.
+     *
+     * Respects the user's hide_read_items and item_sort_order preferences.
+     * Each item includes its feed title. Pagination works like getItems().
+     *
+     * @param array $params Route parameters including 'id' (folder ID)
+     * @return void Outputs JSON array of feed items
+     */
+    public function getFolderItems(array $params): void
+    {
+        Auth::requireAuth();
+
+        $folderId = $params['id'] ?? null;
+        if (! $folderId) {
+            Response::error('Folder ID required', 400);
+
+            return;
+        }
+
+        $pagination = self::getPaginationParams();
+        if ($pagination === null) {
+            Response::error('Invalid cursor', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        if (! self::folderBelongsToUser((int)$folderId, $user['id'])) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
+        // The folder's stream includes the feeds of its subfolders
+        [$where, $params] = FolderService::subtreeCondition((int)$folderId);
+        $hideReadItems = $_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true);
+        if ($hideReadItems) {
+            $where .= ' AND ri.id IS NULL';
+        }
+
+        $items = self::fetchItemPage(
+            $user['id'],
+            Database::itemSortDateExpression(),
+            self::getItemSortDirection($user),
+            $where,
+            $params,
+            $pagination
+        );
+
+        self::sendSeenItemsBound($user['id'], $pagination);
+        Response::json($items);
+    }
+
+    /**
+     * Mark all items in every feed of a folder as read.
+     *
+     * @param array $params Route parameters including 'id' (folder ID)
+     * @return void Outputs JSON with 'success' boolean, 'count' of newly marked items and 'batch_id' (for undo)
+     */
+    public function markFolderAsRead(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $folderId = $params['id'] ?? null;
+        if (! $folderId) {
+            Response::error('Folder ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        if (! self::folderBelongsToUser((int)$folderId, $user['id'])) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
+        [$where, $whereParams] = self::withSeenItemsBound(...FolderService::subtreeCondition((int)$folderId));
+        Response::success(self::markMatchingItemsAsRead($user['id'], $where, $whereParams));
+    }
+
+    /**
+     * Check that a folder belongs to a user.
+     *
+     * @param int $folderId The folder ID
+     * @param int $userId The user ID
+     * @return bool True if the folder exists and is owned by the user
+     */
+    private static function folderBelongsToUser(int $folderId, int $userId): bool
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT id FROM folders WHERE id = ? AND user_id = ?");
+        $stmt->execute([$folderId, $userId]);
+
+        return (bool)$stmt->fetch();
+    }
+
+    /**
+     * Fetch/update a feed by fetching latest content from the feed URL.
+     *
+     * Delegates to FeedFetcher::updateFeed() to fetch and parse the feed,
+     * then update feed metadata and insert new items.
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function fetch(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify feed belongs to user
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        if (! $stmt->fetch()) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        // Check if this is a manual refresh (force immediate) or should use background jobs
+        // Check both GET (query params) and POST (body) for immediate parameter
+        $forceImmediate = false;
+        if (isset($_GET['immediate']) || isset($_POST['immediate'])) {
+            $value = $_POST['immediate'] ?? $_GET['immediate'] ?? 'false';
+            // Check for truthy values: 'true', '1', 'yes', 'on' (case-insensitive)
+            $forceImmediate = in_array(strtolower((string)$value), ['true', '1', 'yes', 'on'], true);
+        }
+        $useBackgroundJobs = Config::get('jobs.enabled', false) && ! $forceImmediate;
 
         if ($useBackgroundJobs) {
             // Queue the job for background processing
@@ -540,248 +1873,1498 @@ class FeedController
                 ['feed_id' => $feedId]
             );
 
-            Response::success(['job_id' => $jobId, 'message' => 'Feed update queued']);
-        } else {
-            // Process synchronously (original behavior or forced immediate)
-            if (FeedFetcher::updateFeed($feedId)) {
-                // Invalidate cache when feed is updated
-                FeedService::invalidateFeedCache($feedId);
-                FeedService::invalidateUserCache($user['id']);
-                Response::success();
-            } else {
-                Response::error('Failed to fetch feed', 500);
-            }
+            Response::success(['job_id' => $jobId, 'message' => 'Feed update queued']);
+        } else {
+            // Process synchronously (original behavior or forced immediate)
+            if (FeedFetcher::updateFeed($feedId)) {
+                // Invalidate cache when feed is updated
+                FeedService::invalidateFeedCache($feedId);
+                FeedService::invalidateUserCache($user['id']);
+                Response::success();
+            } else {
+                // The failure was recorded on the feed: show it in the feeds list
+                FeedService::invalidateUserCache($user['id']);
+
+                $stmt = $db->prepare("SELECT last_error FROM feeds WHERE id = ?");
+                $stmt->execute([$feedId]);
+                $error = $stmt->fetchColumn();
+                Response::error('Failed to fetch feed' . ($error ? ": {$error}" : ''), 500);
+            }
+        }
+    }
+
+    /**
+     * Queue a fetch of all the user's feeds (except paused ones) as one batch.
+     *
+     * If a batch queued earlier is still running (e.g. from another tab, or
+     * the refresh on page load), it is returned instead of queuing a new one.
+     * The background worker processes the batch when background jobs are
+     * enabled; otherwise the dashboard runs its jobs itself, at most
+     * jobs.refresh_concurrency at a time (see runRefreshAllJob()).
+     *
+     * @return void Outputs JSON with 'batch_id' (null if there are no feeds to fetch),
+     *              'background', 'concurrency' and the batch progress (see getRefreshAllProgress())
+     */
+    public function refreshAll(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Release the session lock, so the user's other requests don't wait for this one
+        session_write_close();
+
+        $batchId = JobQueue::findActiveBatch($user['id']);
+        if ($batchId === null) {
+            // Paused feeds are only fetched on request
+            $stmt = $db->prepare("SELECT id FROM feeds WHERE user_id = ? AND COALESCE(paused, 0) = 0 ORDER BY sort_order ASC, id ASC");
+            $stmt->execute([$user['id']]);
+            $feedIds = $stmt->fetchAll(PDO::FETCH_COLUMN);
+
+            if (! empty($feedIds)) {
+                $db->beginTransaction();
+                try {
+                    $batchId = JobQueue::createBatch($user['id']);
+                    foreach ($feedIds as $feedId) {
+                        JobQueue::push(JobQueue::TYPE_FETCH_FEED, ['feed_id' => (int)$feedId], $batchId);
+                    }
+                    $db->commit();
+                } catch (\Exception $e) {
+                    $db->rollBack();
+
+                    throw $e;
+                }
+            }
+        }
+
+        Response::success(array_merge([
+            'batch_id' => $batchId,
+            'background' => (bool)Config::get('jobs.enabled', false),
+            'concurrency' => max(1, (int)Config::get('jobs.refresh_concurrency', 4)),
+        ], self::refreshAllProgress($batchId)));
+    }
+
+    /**
+     * Get the progress of a "refresh all" batch.
+     *
+     * @param array $params Route parameters including 'id' (batch ID)
+     * @return void Outputs JSON with the batch progress: 'total', 'pending', 'processing',
+     *              'completed', 'failed' and 'finished'
+     */
+    public function getRefreshAllProgress(array $params): void
+    {
+        Auth::requireAuth();
+
+        $batchId = (int)($params['id'] ?? 0);
+        $user = Auth::user();
+        if (! JobQueue::batchBelongsToUser($batchId, $user['id'])) {
+            Response::error('Batch not found', 404);
+
+            return;
+        }
+
+        // Release the session lock, so progress polls don't wait for running jobs
+        session_write_close();
+
+        Response::success(self::refreshAllProgress($batchId));
+    }
+
+    /**
+     * Run the next pending job of a "refresh all" batch in this request.
+     *
+     * Used by the dashboard when background jobs are disabled; it keeps up to
+     * jobs.refresh_concurrency of these requests open until the batch is finished.
+     *
+     * @param array $params Route parameters including 'id' (batch ID)
+     * @return void Outputs JSON with the batch progress (see getRefreshAllProgress())
+     */
+    public function runRefreshAllJob(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $batchId = (int)($params['id'] ?? 0);
+        $user = Auth::user();
+        if (! JobQueue::batchBelongsToUser($batchId, $user['id'])) {
+            Response::error('Batch not found', 404);
+
+            return;
+        }
+
+        // Release the session lock while the feed is fetched, or the dashboard's
+        // parallel run requests (and all its other requests) would run one at a time
+        session_write_close();
+
+        Worker::processNext($batchId);
+
+        Response::success(self::refreshAllProgress($batchId));
+    }
+
+    /**
+     * Build the progress of a "refresh all" batch from its job statistics.
+     *
+     * Failed jobs are only counted once they have used up their retries.
+     *
+     * @param int|null $batchId Batch ID (null for an empty batch)
+     * @return array 'total', 'pending', 'processing', 'completed', 'failed' and 'finished'
+     */
+    private static function refreshAllProgress(?int $batchId): array
+    {
+        $stats = $batchId !== null
+            ? JobQueue::getStats($batchId)
+            : ['pending' => 0, 'processing' => 0, 'completed' => 0, 'failed' => 0];
+
+        return [
+            'total' => array_sum($stats),
+            'pending' => $stats['pending'],
+            'processing' => $stats['processing'],
+            'completed' => $stats['completed'],
+            'failed' => $stats['failed'],
+            'finished' => $stats['pending'] + $stats['processing'] === 0,
+        ];
+    }
+
+    /**
+     * Delete a feed from the user's feed list.
+     *
+     * Deletes the feed record. Database cascade will handle deletion of
+     * associated feed_items and read_items.
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function delete(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify feed belongs to user
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        if (! $stmt->fetch()) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        // Delete feed (cascade will handle feed_items and read_items)
+        $stmt = $db->prepare("DELETE FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+
+        // Invalidate cache
+        FeedIcon::forget((int)$feedId);
+        FeedService::invalidateFeedCache($feedId);
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
+    }
+
+    /**
+     * Set whether a feed always loads the full article of its items.
+     *
+     * JSON body: { "always_load_full_article": true }
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean and 'always_load_full_article' value
+     */
+    public function updateFullArticleSetting(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $enabled = $input['always_load_full_article'] ?? null;
+        if (! is_bool($enabled)) {
+            Response::error('Invalid always load full article setting', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify feed belongs to user
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        if (! $stmt->fetch()) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        $stmt = $db->prepare("UPDATE feeds SET always_load_full_article = ? WHERE id = ? AND user_id = ?");
+        $stmt->execute([$enabled ? 1 : 0, $feedId, $user['id']]);
+
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success(['always_load_full_article' => $enabled]);
+    }
+
+    /**
+     * Get the user's failing and stale feeds for the feed health panel.
+     *
+     * Each feed has its last successful fetch, last error, last HTTP status,
+     * consecutive failure count and average items per week, plus 'health'
+     * ('failing' or 'stale') and a 'health_message' describing the problem.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'feeds' array
+     */
+    public function getFeedHealth(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+
+        $feeds = array_map(function ($feed) {
+            return \PhpRss\Utils::formatDatesForJson($feed, ['last_fetched', 'last_success_at']);
+        }, FeedHealth::getUnhealthyFeeds($user['id']));
+
+        Response::success(['feeds' => $feeds]);
+    }
+
+    /**
+     * Serve a feed's cached site icon (see FeedIcon).
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs the icon image, or a JSON error (404 if the feed has no cached icon)
+     */
+    public function getFeedIcon(array $params): void
+    {
+        Auth::requireAuth();
+
+        $feedId = (int)($params['id'] ?? 0);
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify feed belongs to user
+        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $user['id']]);
+        $icon = $stmt->fetch() ? FeedIcon::get($feedId) : null;
+        if ($icon === null) {
+            Response::error('Icon not found', 404);
+
+            return;
+        }
+
+        header('Content-Type: ' . $icon['type']);
+        header('Content-Length: ' . strlen($icon['data']));
+        header('Cache-Control: private, max-age=86400');
+        echo $icon['data'];
+    }
+
+    /**
+     * Get a feed's settings.
+     *
+     * Settings that are null use the user's preference or the global default,
+     * listed in 'defaults' where known.
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean, 'settings' and 'defaults' objects
+     */
+    public function getFeedSettings(array $params): void
+    {
+        Auth::requireAuth();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        $settings = self::findFeedSettings((int)$feedId, $user['id']);
+        if (! $settings) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        Response::success([
+            'settings' => $settings,
+            'defaults' => [
+                'item_sort_order' => $_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest'),
+                'hide_read_items' => (bool)($_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true)),
+                'items_layout' => $_SESSION['items_layout'] ?? ($user['items_layout'] ?? 'compact'),
+                'retention_days' => Config::get('feed.retention_days', 90),
+                'retention_count' => Config::get('feed.retention_count', null),
+            ],
+        ]);
+    }
+
+    /**
+     * Update a feed's settings.
+     *
+     * Only the settings in the body are changed; null resets a setting to its
+     * default. A new URL must load as a feed: its items are stored right away.
+     * Clearing the custom title refreshes the feed to restore its own title.
+     *
+     * JSON body (all optional): { "custom_title": "Tech", "url": "https://...",
+     * "refresh_interval": 60, "item_sort_order": "oldest", "hide_read_items": false,
+     * "retention_days": 30, "retention_count": 200, "always_load_full_article": true,
+     * "paused": false, "items_layout": "cards" }
+     *
+     * @param array $params Route parameters including 'id' (feed ID)
+     * @return void Outputs JSON with 'success' boolean and the updated 'settings' or error
+     */
+    public function updateFeedSettings(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $feedId = $params['id'] ?? null;
+        if (! $feedId) {
+            Response::error('Feed ID required', 400);
+
+            return;
+        }
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+
+        try {
+            $settings = FeedService::normalizeSettings(is_array($input) ? $input : []);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
+
+            return;
+        }
+
+        if (empty($settings)) {
+            Response::error('No settings to update', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+        $feedId = (int)$feedId;
+
+        $current = self::findFeedSettings($feedId, $user['id']);
+        if (! $current) {
+            Response::error('Feed not found', 404);
+
+            return;
+        }
+
+        // A new URL must not duplicate another subscription and must load as a feed
+        $parsed = null;
+        if (isset($settings['url']) && $settings['url'] !== $current['url']) {
+            $stmt = $db->prepare("SELECT id FROM feeds WHERE user_id = ? AND url = ? AND id != ?");
+            $stmt->execute([$user['id'], $settings['url'], $feedId]);
+            if ($stmt->fetch()) {
+                Response::error('You are already subscribed to this feed URL', 400);
+
+                return;
+            }
+
+            try {
+                $content = FeedFetcher::fetch($settings['url']);
+                $parsed = FeedParser::parse($settings['url'], $content);
+                $settings['feed_type'] = FeedParser::detectFeedType($content);
+            } catch (\Exception $e) {
+                Logger::debug("Feed URL change failed for feed {$feedId}", ['url' => $settings['url'], 'error' => $e->getMessage()]);
+                Response::error('Could not load a feed from this URL: ' . $e->getMessage(), 400);
+
+                return;
+            }
+        }
+
+        // Column names come from FeedService::SETTINGS, never from the request
+        $columns = array_keys($settings);
+        $assignments = array_map(fn ($column) => "{$column} = ?", $columns);
+        $values = array_values($settings);
+        if (isset($settings['custom_title'])) {
+            $assignments[] = 'title = ?';
+            $values[] = $settings['custom_title'];
+        }
+
+        $stmt = $db->prepare("UPDATE feeds SET " . implode(', ', $assignments) . " WHERE id = ? AND user_id = ?");
+        $stmt->execute(array_merge($values, [$feedId, $user['id']]));
+
+        if ($parsed !== null) {
+            FeedFetcher::storeFeed($feedId, $parsed);
+            // The new URL may belong to another site
+            FeedIcon::forget($feedId);
+            FeedIcon::queueRefresh($feedId, FeedFetcher::siteUrl($parsed, $settings['url']));
+        } elseif (array_key_exists('custom_title', $settings) && $settings['custom_title'] === null && $current['custom_title'] !== null) {
+            // The feed's own title is only known from its content
+            FeedFetcher::updateFeed($feedId);
+        }
+
+        FeedService::invalidateFeedCache($feedId);
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success(['settings' => self::findFeedSettings($feedId, $user['id'])]);
+    }
+
+    /**
+     * Get a feed's settings if it belongs to the user.
+     *
+     * @param int $feedId The feed ID
+     * @param int $userId The user ID
+     * @return array|null Settings (with the feed's current 'title'), or null if not found
+     */
+    private static function findFeedSettings(int $feedId, int $userId): ?array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT title, " . implode(', ', FeedService::SETTINGS) . " FROM feeds WHERE id = ? AND user_id = ?");
+        $stmt->execute([$feedId, $userId]);
+        $feed = $stmt->fetch();
+        if (! $feed) {
+            return null;
+        }
+
+        $optionalInt = fn ($value) => $value !== null ? (int)$value : null;
+
+        return [
+            'title' => $feed['title'],
+            'custom_title' => $feed['custom_title'],
+            'url' => $feed['url'],
+            'refresh_interval' => $optionalInt($feed['refresh_interval']),
+            'item_sort_order' => $feed['item_sort_order'],
+            'hide_read_items' => $feed['hide_read_items'] !== null ? (bool)$feed['hide_read_items'] : null,
+            'retention_days' => $optionalInt($feed['retention_days']),
+            'retention_count' => $optionalInt($feed['retention_count']),
+            'always_load_full_article' => (bool)$feed['always_load_full_article'],
+            'paused' => (bool)$feed['paused'],
+            'items_layout' => $feed['items_layout'],
+        ];
+    }
+
+    /**
+     * Toggle the hide_read_items user preference.
+     *
+     * Toggles the user's preference for hiding read items and updates
+     * both the database and session.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'hide_read_items' value
+     */
+    public function toggleHideRead(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Toggle the preference
+        $currentValue = $_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true);
+        $newValue = ! $currentValue;
+
+        // Update database
+        $stmt = $db->prepare("UPDATE users SET hide_read_items = ? WHERE id = ?");
+        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+
+        // Update session
+        $_SESSION['hide_read_items'] = $newValue;
+
+        Response::success(['hide_read_items' => $newValue]);
+    }
+
+    /**
+     * Toggle the item_sort_order user preference between 'newest' and 'oldest'.
+     *
+     * Toggles the user's preference for sorting feed items by date (newest first
+     * or oldest first) and updates both the database and session.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'item_sort_order' value
+     */
+    public function toggleItemSortOrder(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Get current sort order preference
+        $currentOrder = $_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest');
+        // Toggle between 'newest' and 'oldest'
+        $newOrder = ($currentOrder === 'newest') ? 'oldest' : 'newest';
+
+        // Update database
+        $stmt = $db->prepare("UPDATE users SET item_sort_order = ? WHERE id = ?");
+        $stmt->execute([$newOrder, $user['id']]);
+
+        // Update session
+        $_SESSION['item_sort_order'] = $newOrder;
+
+        Response::success(['item_sort_order' => $newOrder]);
+    }
+
+    /**
+     * Toggle the hide_feeds_with_no_unread user preference.
+     *
+     * Toggles the user's preference for hiding feeds with no unread items
+     * and updates both the database and session.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'hide_feeds_with_no_unread' value
+     */
+    public function toggleHideFeedsWithNoUnread(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Toggle the preference
+        $currentValue = $_SESSION['hide_feeds_with_no_unread'] ?? ($user['hide_feeds_with_no_unread'] ?? false);
+        $newValue = ! $currentValue;
+
+        // Update database
+        $stmt = $db->prepare("UPDATE users SET hide_feeds_with_no_unread = ? WHERE id = ?");
+        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+
+        // Update session
+        $_SESSION['hide_feeds_with_no_unread'] = $newValue;
+
+        Response::success(['hide_feeds_with_no_unread' => $newValue]);
+    }
+
+    /**
+     * Toggle the dark_mode user preference.
+     *
+     * Toggles the user's theme preference between light and dark mode,
+     * updating both the database and session.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'dark_mode' value
+     */
+    public function toggleTheme(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        $currentValue = (bool)($_SESSION['dark_mode'] ?? $user['dark_mode'] ?? 0);
+        $newValue = ! $currentValue;
+
+        $stmt = $db->prepare("UPDATE users SET dark_mode = ? WHERE id = ?");
+        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+
+        $_SESSION['dark_mode'] = $newValue;
+
+        Response::success(['dark_mode' => $newValue]);
+    }
+
+    /**
+     * Update the sort order of feeds.
+     *
+     * Accepts a JSON array of feed IDs in the desired order and updates
+     * the sort_order field for each feed. When folder_id is given, the feeds
+     * are moved into that folder (null moves them out of their folder), so a
+     * feed dropped into another folder is moved and ordered in one request.
+     *
+     * JSON body: { "order": [feed_id1, feed_id2, ...], "folder_id": 3|null (optional) }
+     *
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function reorderFeeds(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $order = $input['order'] ?? [];
+        if (! is_array($order) || empty($order)) {
+            Response::error('Order array required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        $moveToFolder = array_key_exists('folder_id', $input);
+        $folderId = $moveToFolder && $input['folder_id'] !== null ? (int)$input['folder_id'] : null;
+        if ($folderId !== null && ! self::folderBelongsToUser($folderId, $user['id'])) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
+        $stmt = $moveToFolder
+            ? $db->prepare("UPDATE feeds SET sort_order = ?, folder_id = ? WHERE id = ? AND user_id = ?")
+            : $db->prepare("UPDATE feeds SET sort_order = ? WHERE id = ? AND user_id = ?");
+        foreach (array_values($order) as $i => $id) {
+            $stmt->execute($moveToFolder ? [$i, $folderId, (int)$id, $user['id']] : [$i, (int)$id, $user['id']]);
+        }
+
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
+    }
+
+    /**
+     * Get current user preferences.
+     *
+     * Returns timezone, default_theme_mode, font_family, and keyboard
+     * shortcut overrides from session or database (session takes precedence).
+     *
+     * @return void Outputs JSON with user preferences
+     */
+    public function getPreferences(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        Response::success([
+            'timezone' => $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC',
+            'default_theme_mode' => $_SESSION['default_theme_mode'] ?? $user['default_theme_mode'] ?? 'system',
+            'font_family' => $_SESSION['font_family'] ?? $user['font_family'] ?? 'system',
+            'keyboard_shortcuts' => (object)self::decodeKeyboardShortcuts($_SESSION['keyboard_shortcuts'] ?? $user['keyboard_shortcuts'] ?? null),
+            'mark_read_on_scroll' => (bool)($_SESSION['mark_read_on_scroll'] ?? $user['mark_read_on_scroll'] ?? false),
+            'items_layout' => $_SESSION['items_layout'] ?? $user['items_layout'] ?? 'compact',
+        ]);
+    }
+
+    /**
+     * Decode the stored keyboard shortcut overrides.
+     *
+     * @param string|null $json JSON-encoded map of action => array of keys
+     * @return array Map of action => array of keys (empty if none stored)
+     */
+    private static function decodeKeyboardShortcuts(?string $json): array
+    {
+        if ($json === null || $json === '') {
+            return [];
+        }
+
+        $decoded = \PhpRss\Utils::safeJsonDecode($json, [], true);
+
+        return is_array($decoded) ? $decoded : [];
+    }
+
+    /**
+     * Validate and normalize keyboard shortcut overrides from a request.
+     *
+     * Only known actions are accepted, each bound to a list of keys. Keys
+     * are stored in the form eventToShortcut() in keyboard.js produces, so
+     * "A" and "shift+a" become "Shift+A" and "enter" becomes "Enter"; keys
+     * no key press can produce (e.g. "Ctrl+J") are rejected. A key may not
+     * be bound to more than one action.
+     *
+     * @param mixed $shortcuts Decoded request value
+     * @return array|null Normalized map of action => keys, or null if invalid
+     */
+    private static function normalizeKeyboardShortcuts($shortcuts): ?array
+    {
+        if (! is_array($shortcuts)) {
+            return null;
+        }
+
+        $normalized = [];
+        $usedKeys = [];
+
+        foreach ($shortcuts as $action => $keys) {
+            if (! in_array($action, self::KEYBOARD_SHORTCUT_ACTIONS, true) || ! is_array($keys)) {
+                return null;
+            }
+
+            $normalized[$action] = [];
+            foreach ($keys as $key) {
+                if (! is_string($key)) {
+                    return null;
+                }
+                if (trim($key) === '') {
+                    continue;
+                }
+                $key = self::normalizeShortcutKey($key);
+                if ($key === null || isset($usedKeys[$key])) {
+                    return null;
+                }
+                $usedKeys[$key] = true;
+                $normalized[$action][] = $key;
+            }
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Normalize one shortcut key to the form eventToShortcut() in keyboard.js produces.
+     *
+     * @param string $key Key as typed in the preferences modal
+     * @return string|null "j", "Shift+A", "/", "Enter" etc., or null if no key press produces it
+     */
+    private static function normalizeShortcutKey(string $key): ?string
+    {
+        $key = trim($key);
+        $shift = false;
+        if (mb_strlen($key) > 1 && stripos($key, 'shift+') === 0) {
+            $shift = true;
+            $key = substr($key, 6);
+        }
+
+        if (preg_match('/^[a-z]$/i', $key)) {
+            return $shift || ctype_upper($key) ? 'Shift+' . strtoupper($key) : $key;
+        }
+        if ($shift) {
+            // Shift only changes the key name of letters
+            return null;
+        }
+        if (mb_strlen($key) === 1) {
+            // Any printable character, e.g. "/" or "?"
+            return preg_match('/^[^\s\p{C}]$/u', $key) ? $key : null;
+        }
+        foreach (self::KEYBOARD_SHORTCUT_NAMED_KEYS as $namedKey) {
+            if (strcasecmp($key, $namedKey) === 0) {
+                return $namedKey;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Update user preferences (timezone, theme mode, font family, keyboard shortcuts,
+     * mark as read on scroll, items list layout).
+     *
+     * Validates input values and updates database and session. Only
+     * updates fields that are provided in the request.
+     *
+     * JSON body: { "timezone": "...", "default_theme_mode": "...", "font_family": "...",
+     *              "keyboard_shortcuts": { "nextItem": ["j"], ... }, "mark_read_on_scroll": true,
+     *              "items_layout": "comfortable" }
+     *
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function updatePreferences(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $timezone = $input['timezone'] ?? null;
+        $defaultThemeMode = $input['default_theme_mode'] ?? null;
+        $fontFamily = $input['font_family'] ?? null;
+        $keyboardShortcuts = $input['keyboard_shortcuts'] ?? null;
+        $markReadOnScroll = $input['mark_read_on_scroll'] ?? null;
+        $itemsLayout = $input['items_layout'] ?? null;
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        $updates = [];
+        $params = [];
+
+        if ($timezone !== null) {
+            // Validate timezone
+            try {
+                new \DateTimeZone($timezone);
+                $updates[] = "timezone = ?";
+                $params[] = $timezone;
+            } catch (\Exception $e) {
+                Response::error('Invalid timezone', 400);
+
+                return;
+            }
+        }
+
+        if ($defaultThemeMode !== null) {
+            if (! in_array($defaultThemeMode, ['light', 'dark', 'system'])) {
+                Response::error('Invalid theme mode', 400);
+
+                return;
+            }
+            $updates[] = "default_theme_mode = ?";
+            $params[] = $defaultThemeMode;
+        }
+
+        if ($fontFamily !== null) {
+            $validFonts = ['system', 'Lato', 'Roboto', 'Noto Sans', 'Nunito', 'Mulish'];
+            if (! in_array($fontFamily, $validFonts)) {
+                Response::error('Invalid font family', 400);
+
+                return;
+            }
+            $updates[] = "font_family = ?";
+            $params[] = $fontFamily;
+        }
+
+        $keyboardShortcutsJson = null;
+        if ($keyboardShortcuts !== null) {
+            $normalizedShortcuts = self::normalizeKeyboardShortcuts($keyboardShortcuts);
+            if ($normalizedShortcuts === null) {
+                Response::error('Invalid keyboard shortcuts', 400);
+
+                return;
+            }
+            $keyboardShortcutsJson = json_encode((object)$normalizedShortcuts);
+            $updates[] = "keyboard_shortcuts = ?";
+            $params[] = $keyboardShortcutsJson;
+        }
+
+        if ($markReadOnScroll !== null) {
+            if (! is_bool($markReadOnScroll)) {
+                Response::error('Invalid mark as read on scroll setting', 400);
+
+                return;
+            }
+            $updates[] = "mark_read_on_scroll = ?";
+            $params[] = $markReadOnScroll ? 1 : 0;
+        }
+
+        if ($itemsLayout !== null) {
+            if (! in_array($itemsLayout, FeedService::ITEMS_LAYOUTS, true)) {
+                Response::error('Invalid layout', 400);
+
+                return;
+            }
+            $updates[] = "items_layout = ?";
+            $params[] = $itemsLayout;
+        }
+
+        if (empty($updates)) {
+            Response::error('No valid preferences to update', 400);
+
+            return;
+        }
+
+        $params[] = $user['id'];
+        $stmt = $db->prepare("UPDATE users SET " . implode(', ', $updates) . " WHERE id = ?");
+        $stmt->execute($params);
+
+        // Update session
+        if ($timezone !== null) {
+            $_SESSION['timezone'] = $timezone;
+        }
+        if ($defaultThemeMode !== null) {
+            $_SESSION['default_theme_mode'] = $defaultThemeMode;
+        }
+        if ($fontFamily !== null) {
+            $_SESSION['font_family'] = $fontFamily;
+        }
+        if ($keyboardShortcutsJson !== null) {
+            $_SESSION['keyboard_shortcuts'] = $keyboardShortcutsJson;
+        }
+        if ($markReadOnScroll !== null) {
+            $_SESSION['mark_read_on_scroll'] = $markReadOnScroll;
+        }
+        if ($itemsLayout !== null) {
+            $_SESSION['items_layout'] = $itemsLayout;
+        }
+
+        // Return the stored shortcuts, so the page binds the normalized keys
+        Response::success($keyboardShortcutsJson !== null ? ['keyboard_shortcuts' => (object)$normalizedShortcuts] : null);
+    }
+
+    /**
+     * Get all folders for the current user.
+     *
+     * Returns folders ordered by sort_order and name.
+     *
+     * @return void Outputs JSON with 'success' boolean and 'folders' array
+     */
+    public function getFolders(): void
+    {
+        Auth::requireAuth();
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("
+            SELECT * FROM folders 
+            WHERE user_id = ? 
+            ORDER BY sort_order ASC, name ASC
+        ");
+        $stmt->execute([$user['id']]);
+        $folders = $stmt->fetchAll();
+
+        Response::success(['folders' => $folders]);
+    }
+
+    /**
+     * Create a new folder for organizing feeds.
+     *
+     * Validates that the folder name is unique among the parent's subfolders
+     * and creates the folder at the end of them.
+     *
+     * JSON body: { "name": "Folder Name", "parent_id": 3 (optional, nests the folder) }
+     *
+     * @return void Outputs JSON with 'success' boolean and 'folder' data or error
+     */
+    public function createFolder(): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $name = trim($input['name'] ?? '');
+
+        if (empty($name)) {
+            Response::error('Folder name is required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        $parentId = ! empty($input['parent_id']) ? (int)$input['parent_id'] : null;
+        if ($parentId !== null && ! self::folderBelongsToUser($parentId, $user['id'])) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
+        // Check if folder with same name already exists at this level
+        if (FolderService::findByName($user['id'], $parentId, $name) !== null) {
+            Response::error('Folder with this name already exists', 400);
+
+            return;
+        }
+
+        // Get max sort_order for this user
+        $stmt = $db->prepare("SELECT COALESCE(MAX(sort_order), 0) + 1 as next_order FROM folders WHERE user_id = ?");
+        $stmt->execute([$user['id']]);
+        $result = $stmt->fetch();
+        $sortOrder = $result['next_order'] ?? 0;
+
+        $stmt = $db->prepare("INSERT INTO folders (user_id, parent_id, name, sort_order) VALUES (?, ?, ?, ?)");
+        $stmt->execute([$user['id'], $parentId, $name, $sortOrder]);
+
+        Response::success(['folder_id' => $db->lastInsertId()]);
+    }
+
+    /**
+     * Update a folder's name.
+     *
+     * Validates the folder belongs to the user and that the new name is unique
+     * among the folder's siblings.
+     *
+     * @param array $params Route parameters including 'id' (folder ID)
+     * JSON body: { "name": "New Folder Name" }
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function updateFolder(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $folderId = $params['id'] ?? null;
+        if (! $folderId) {
+            Response::error('Folder ID required', 400);
+
+            return;
+        }
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $name = trim($input['name'] ?? '');
+
+        if (empty($name)) {
+            Response::error('Folder name is required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+        $db = Database::getConnection();
+
+        // Verify folder belongs to user
+        $stmt = $db->prepare("SELECT id, parent_id FROM folders WHERE id = ? AND user_id = ?");
+        $stmt->execute([$folderId, $user['id']]);
+        $folder = $stmt->fetch();
+        if (! $folder) {
+            Response::error('Folder not found', 404);
+
+            return;
+        }
+
+        // Check if another folder with same name exists at this level
+        $parentId = $folder['parent_id'] !== null ? (int)$folder['parent_id'] : null;
+        if (FolderService::findByName($user['id'], $parentId, $name, (int)$folderId) !== null) {
+            Response::error('Folder with this name already exists', 400);
+
+            return;
         }
+
+        $stmt = $db->prepare("UPDATE folders SET name = ? WHERE id = ? AND user_id = ?");
+        $stmt->execute([$name, $folderId, $user['id']]);
+
+        Response::success();
     }
 
     /**
-     * Delete a feed from the user's feed list.
+     * Update the sort order of folders.
      *
-     * Deletes the feed record. Database cascade will handle deletion of
-     * associated feed_items and read_items.
+     * Accepts a JSON array of folder IDs in the desired order and updates
+     * the sort_order field for each folder. When parent_id is given, the
+     * folders are moved into that folder (null moves them to the top level);
+     * a folder can't be moved into itself or one of its subfolders, or next
+     * to a sibling with the same name.
+     *
+     * JSON body: { "order": [folder_id1, folder_id2, ...], "parent_id": 3|null (optional) }
      *
-     * @param array $params Route parameters including 'id' (feed ID)
      * @return void Outputs JSON with 'success' boolean
      */
-    public function delete(array $params): void
+    public function reorderFolders(): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $feedId = $params['id'] ?? null;
-        if (! $feedId) {
-            Response::error('Feed ID required', 400);
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $order = $input['order'] ?? [];
+        if (! is_array($order) || empty($order)) {
+            Response::error('Order array required', 400);
 
             return;
         }
 
         $user = Auth::user();
-        $db = Database::getConnection();
-
-        // Verify feed belongs to user
-        $stmt = $db->prepare("SELECT id FROM feeds WHERE id = ? AND user_id = ?");
-        $stmt->execute([$feedId, $user['id']]);
-        if (! $stmt->fetch()) {
-            Response::error('Feed not found', 404);
+        $moveToParent = array_key_exists('parent_id', $input);
+        $parentId = $moveToParent && $input['parent_id'] !== null ? (int)$input['parent_id'] : null;
+        if ($parentId !== null && ! self::folderBelongsToUser($parentId, $user['id'])) {
+            Response::error('Folder not found', 404);
 
             return;
         }
 
-        // Delete feed (cascade will handle feed_items and read_items)
-        $stmt = $db->prepare("DELETE FROM feeds WHERE id = ? AND user_id = ?");
-        $stmt->execute([$feedId, $user['id']]);
+        try {
+            FolderService::reorder($user['id'], $order, $moveToParent, $parentId);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
 
-        // Invalidate cache
-        FeedService::invalidateFeedCache($feedId);
+            return;
+        }
+
+        // Cached feeds carry their folder's sort order
         FeedService::invalidateUserCache($user['id']);
 
         Response::success();
     }
 
     /**
-     * Toggle the hide_read_items user preference.
+     * Delete a folder.
      *
-     * Toggles the user's preference for hiding read items and updates
-     * both the database and session.
+     * Deletes the folder and its subfolders. Feeds in them are moved to the
+     * top level (folder_id set to NULL).
      *
-     * @return void Outputs JSON with 'success' boolean and 'hide_read_items' value
+     * @param array $params Route parameters including 'id' (folder ID)
+     * @return void Outputs JSON with 'success' boolean
      */
-    public function toggleHideRead(): void
+    public function deleteFolder(array $params): void
     {
         Auth::requireAuth();
 
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $folderId = $params['id'] ?? null;
+        if (! $folderId) {
+            Response::error('Folder ID required', 400);
+
+            return;
+        }
+
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Toggle the preference
-        $currentValue = $_SESSION['hide_read_items'] ?? ($user['hide_read_items'] ?? true);
-        $newValue = ! $currentValue;
+        // Verify folder belongs to user
+        $stmt = $db->prepare("SELECT id FROM folders WHERE id = ? AND user_id = ?");
+        $stmt->execute([$folderId, $user['id']]);
+        if (! $stmt->fetch()) {
+            Response::error('Folder not found', 404);
 
-        // Update database
-        $stmt = $db->prepare("UPDATE users SET hide_read_items = ? WHERE id = ?");
-        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+            return;
+        }
 
-        // Update session
-        $_SESSION['hide_read_items'] = $newValue;
+        // Done here rather than by foreign key actions, which SQLite only applies when enabled
+        [$where, $params] = FolderService::subtreeCondition((int)$folderId, 'folder_id');
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = NULL WHERE user_id = ? AND {$where}");
+        $stmt->execute([$user['id'], ...$params]);
 
-        Response::success(['hide_read_items' => $newValue]);
+        [$where, $params] = FolderService::subtreeCondition((int)$folderId, 'id');
+        $stmt = $db->prepare("DELETE FROM folders WHERE user_id = ? AND {$where}");
+        $stmt->execute([$user['id'], ...$params]);
+
+        FeedService::invalidateUserCache($user['id']);
+
+        Response::success();
     }
 
     /**
-     * Toggle the item_sort_order user preference between 'newest' and 'oldest'.
+     * Get the current user's saved searches with their unread match counts.
      *
-     * Toggles the user's preference for sorting feed items by date (newest first
-     * or oldest first) and updates both the database and session.
+     * A saved search is shown in the feeds list as a virtual feed; its
+     * unread_count is the number of unread items matching its query.
      *
-     * @return void Outputs JSON with 'success' boolean and 'item_sort_order' value
+     * @return void Outputs JSON with 'success' boolean and 'saved_searches' array
      */
-    public function toggleItemSortOrder(): void
+    public function getSavedSearches(): void
     {
         Auth::requireAuth();
 
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Get current sort order preference
-        $currentOrder = $_SESSION['item_sort_order'] ?? ($user['item_sort_order'] ?? 'newest');
-        // Toggle between 'newest' and 'oldest'
-        $newOrder = ($currentOrder === 'newest') ? 'oldest' : 'newest';
-
-        // Update database
-        $stmt = $db->prepare("UPDATE users SET item_sort_order = ? WHERE id = ?");
-        $stmt->execute([$newOrder, $user['id']]);
+        $stmt = $db->prepare("
+            SELECT id, name, query, sort_order FROM saved_searches
+            WHERE user_id = ?
+            ORDER BY sort_order ASC, name ASC
+        ");
+        $stmt->execute([$user['id']]);
+        $savedSearches = $stmt->fetchAll();
 
-        // Update session
-        $_SESSION['item_sort_order'] = $newOrder;
+        foreach ($savedSearches as &$savedSearch) {
+            $savedSearch['unread_count'] = self::countSavedSearchUnread($user, $savedSearch['query']);
+        }
+        unset($savedSearch);
 
-        Response::success(['item_sort_order' => $newOrder]);
+        Response::success(['saved_searches' => $savedSearches]);
     }
 
     /**
-     * Toggle the hide_feeds_with_no_unread user preference.
+     * Save a search query for the current user.
      *
-     * Toggles the user's preference for hiding feeds with no unread items
-     * and updates both the database and session.
+     * The query must be valid search syntax (see SearchQuery) and the name
+     * unique for this user.
      *
-     * @return void Outputs JSON with 'success' boolean and 'hide_feeds_with_no_unread' value
+     * JSON body: { "name": "Search Name", "query": "feed:\"Tech News\" is:unread" }
+     *
+     * @return void Outputs JSON with 'success' boolean and 'saved_search_id' or error
      */
-    public function toggleHideFeedsWithNoUnread(): void
+    public function createSavedSearch(): void
     {
         Auth::requireAuth();
 
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $name = trim($input['name'] ?? '');
+        $query = trim($input['query'] ?? '');
+
+        if (empty($name)) {
+            Response::error('Saved search name is required', 400);
+
+            return;
+        }
+
+        if (empty($query)) {
+            Response::error('Search query is required', 400);
+
+            return;
+        }
+
+        try {
+            SearchQuery::parse($query);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
+
+            return;
+        }
+
         $user = Auth::user();
         $db = Database::getConnection();
 
-        // Toggle the preference
-        $currentValue = $_SESSION['hide_feeds_with_no_unread'] ?? ($user['hide_feeds_with_no_unread'] ?? false);
-        $newValue = ! $currentValue;
+        // Check if a saved search with the same name already exists for this user
+        $stmt = $db->prepare("SELECT id FROM saved_searches WHERE user_id = ? AND name = ?");
+        $stmt->execute([$user['id'], $name]);
+        if ($stmt->fetch()) {
+            Response::error('Saved search with this name already exists', 400);
 
-        // Update database
-        $stmt = $db->prepare("UPDATE users SET hide_feeds_with_no_unread = ? WHERE id = ?");
-        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+            return;
+        }
 
-        // Update session
-        $_SESSION['hide_feeds_with_no_unread'] = $newValue;
+        $stmt = $db->prepare("
+            INSERT INTO saved_searches (user_id, name, query, sort_order)
+            VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM saved_searches WHERE user_id = ?))
+        ");
+        $stmt->execute([$user['id'], $name, $query, $user['id']]);
 
-        Response::success(['hide_feeds_with_no_unread' => $newValue]);
+        Response::success(['saved_search_id' => $db->lastInsertId()]);
     }
 
     /**
-     * Toggle the dark_mode user preference.
+     * Rename a saved search.
      *
-     * Toggles the user's theme preference between light and dark mode,
-     * updating both the database and session.
-     *
-     * @return void Outputs JSON with 'success' boolean and 'dark_mode' value
+     * @param array $params Route parameters including 'id' (saved search ID)
+     * JSON body: { "name": "New Name" }
+     * @return void Outputs JSON with 'success' boolean
      */
-    public function toggleTheme(): void
+    public function updateSavedSearch(array $params): void
     {
         Auth::requireAuth();
 
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $savedSearchId = $params['id'] ?? null;
+        if (! $savedSearchId) {
+            Response::error('Saved search ID required', 400);
+
+            return;
+        }
+
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $name = trim($input['name'] ?? '');
+
+        if (empty($name)) {
+            Response::error('Saved search name is required', 400);
+
+            return;
+        }
+
         $user = Auth::user();
         $db = Database::getConnection();
 
-        $currentValue = (bool)($_SESSION['dark_mode'] ?? $user['dark_mode'] ?? 0);
-        $newValue = ! $currentValue;
+        if (! self::findSavedSearch((int)$savedSearchId, $user['id'])) {
+            Response::error('Saved search not found', 404);
 
-        $stmt = $db->prepare("UPDATE users SET dark_mode = ? WHERE id = ?");
-        $stmt->execute([$newValue ? 1 : 0, $user['id']]);
+            return;
+        }
 
-        $_SESSION['dark_mode'] = $newValue;
+        // Check if another saved search with same name exists
+        $stmt = $db->prepare("SELECT id FROM saved_searches WHERE user_id = ? AND name = ? AND id != ?");
+        $stmt->execute([$user['id'], $name, $savedSearchId]);
+        if ($stmt->fetch()) {
+            Response::error('Saved search with this name already exists', 400);
 
-        Response::success(['dark_mode' => $newValue]);
+            return;
+        }
+
+        $stmt = $db->prepare("UPDATE saved_searches SET name = ? WHERE id = ? AND user_id = ?");
+        $stmt->execute([$name, $savedSearchId, $user['id']]);
+
+        Response::success();
     }
 
     /**
-     * Update the sort order of feeds.
+     * Delete a saved search.
      *
-     * Accepts a JSON array of feed IDs in the desired order and updates
-     * the sort_order field for each feed.
+     * @param array $params Route parameters including 'id' (saved search ID)
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function deleteSavedSearch(array $params): void
+    {
+        Auth::requireAuth();
+
+        // Validate CSRF token
+        Csrf::requireValid();
+
+        $savedSearchId = $params['id'] ?? null;
+        if (! $savedSearchId) {
+            Response::error('Saved search ID required', 400);
+
+            return;
+        }
+
+        $user = Auth::user();
+
+        if (! self::findSavedSearch((int)$savedSearchId, $user['id'])) {
+            Response::error('Saved search not found', 404);
+
+            return;
+        }
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("DELETE FROM saved_searches WHERE id = ? AND user_id = ?");
+        $stmt->execute([$savedSearchId, $user['id']]);
+
+        Response::success();
+    }
+
+    /**
+     * Mark every item matching a saved search as read.
      *
-     * JSON body: { "order": [feed_id1, feed_id2, ...] }
+     * Applies to all matching items, not only the (up to 100) results shown.
      *
-     * @return void Outputs JSON with 'success' boolean
+     * @param array $params Route parameters including 'id' (saved search ID)
+     * @return void Outputs JSON with 'success', 'count' and 'batch_id' (for undo)
      */
-    public function reorderFeeds(): void
+    public function markSavedSearchAsRead(array $params): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $rawInput = file_get_contents('php://input');
-        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
-        $order = $input['order'] ?? [];
-        if (! is_array($order) || empty($order)) {
-            Response::error('Order array required', 400);
+        $savedSearchId = $params['id'] ?? null;
+        if (! $savedSearchId) {
+            Response::error('Saved search ID required', 400);
 
             return;
         }
 
         $user = Auth::user();
+
+        $savedSearch = self::findSavedSearch((int)$savedSearchId, $user['id']);
+        if (! $savedSearch) {
+            Response::error('Saved search not found', 404);
+
+            return;
+        }
+
+        try {
+            $groups = SearchQuery::parse($savedSearch['query']);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
+
+            return;
+        }
+
+        if (empty($groups)) {
+            Response::success(['count' => 0, 'batch_id' => null]);
+
+            return;
+        }
+
+        $timezone = $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC';
+        [$where, $whereParams] = self::withSeenItemsBound(...SearchQuery::toItemCondition($groups, $user['id'], $timezone));
+
+        Response::success(self::markMatchingItemsAsRead($user['id'], $where, $whereParams));
+    }
+
+    /**
+     * Get a saved search owned by a user.
+     *
+     * @param int $savedSearchId The saved search ID
+     * @param int $userId The user ID
+     * @return array|null Saved search row, or null if not found
+     */
+    private static function findSavedSearch(int $savedSearchId, int $userId): ?array
+    {
         $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT * FROM saved_searches WHERE id = ? AND user_id = ?");
+        $stmt->execute([$savedSearchId, $userId]);
+
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    /**
+     * Count the unread items matching a saved search query.
+     *
+     * @param array $user Current user row
+     * @param string $query The saved query
+     * @return int Number of unread matches (0 if the query no longer parses)
+     */
+    private static function countSavedSearchUnread(array $user, string $query): int
+    {
+        try {
+            $groups = SearchQuery::parse($query);
+        } catch (\InvalidArgumentException $e) {
+            return 0;
+        }
 
-        $stmt = $db->prepare("UPDATE feeds SET sort_order = ? WHERE id = ? AND user_id = ?");
-        foreach ($order as $i => $id) {
-            $stmt->execute([$i, (int)$id, $user['id']]);
+        if (empty($groups)) {
+            return 0;
         }
 
-        Response::success();
+        $timezone = $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC';
+        [$where, $whereParams] = SearchQuery::toSql($groups, $timezone);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT COUNT(*) " . SearchQuery::itemsFromClause() . "
+            WHERE f.user_id = ? AND fi.hidden = 0 AND ri.id IS NULL AND {$where}
+        ");
+        $stmt->execute(array_merge([$user['id'], $user['id'], $user['id']], $whereParams));
+
+        return (int)$stmt->fetchColumn();
     }
 
     /**
-     * Get current user preferences.
+     * Get the current user's filter rules.
      *
-     * Returns timezone, default_theme_mode, and font_family from session
-     * or database (session takes precedence).
+     * Each rule includes the title of its feed or name of its folder (null for
+     * rules on all feeds). The user's feeds and folders are included for
+     * choosing a rule's scope. Counting the items a rule would change means
+     * matching every item in its scope, so that is left to
+     * previewSavedFilterRule(), which the client calls per rule on request.
      *
-     * @return void Outputs JSON with user preferences
+     * @return void Outputs JSON with 'success' boolean, 'filter_rules', 'feeds' and 'folders' arrays
      */
-    public function getPreferences(): void
+    public function getFilterRules(): void
     {
         Auth::requireAuth();
 
         $user = Auth::user();
-        Response::success([
-            'timezone' => $_SESSION['timezone'] ?? $user['timezone'] ?? 'UTC',
-            'default_theme_mode' => $_SESSION['default_theme_mode'] ?? $user['default_theme_mode'] ?? 'system',
-            'font_family' => $_SESSION['font_family'] ?? $user['font_family'] ?? 'system',
-        ]);
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("
+            SELECT fr.id, fr.feed_id, fr.folder_id, fr.field, fr.match_type, fr.pattern, fr.action, fr.tag,
+                   f.title AS feed_title, fo.name AS folder_name
+            FROM filter_rules fr
+            LEFT JOIN feeds f ON f.id = fr.feed_id
+            LEFT JOIN folders fo ON fo.id = fr.folder_id
+            WHERE fr.user_id = ?
+            ORDER BY fr.id ASC
+        ");
+        $stmt->execute([$user['id']]);
+        $rules = $stmt->fetchAll();
+
+        // All feeds and folders a rule can be limited to (the sidebar may hide some feeds)
+        $stmt = $db->prepare("SELECT id, title FROM feeds WHERE user_id = ? ORDER BY title ASC");
+        $stmt->execute([$user['id']]);
+        $feeds = $stmt->fetchAll();
+
+        $stmt = $db->prepare("SELECT id, parent_id, name FROM folders WHERE user_id = ? ORDER BY sort_order ASC, name ASC");
+        $stmt->execute([$user['id']]);
+        $folders = $stmt->fetchAll();
+
+        Response::success(['filter_rules' => $rules, 'feeds' => $feeds, 'folders' => $folders]);
     }
 
     /**
-     * Update user preferences (timezone, theme mode, font family).
+     * Create a filter rule for the current user.
      *
-     * Validates input values and updates database and session. Only
-     * updates fields that are provided in the request.
+     * New items matching the rule get its action as they are fetched; use
+     * runFilterRule() to apply it to existing items.
      *
-     * JSON body: { "timezone": "...", "default_theme_mode": "...", "font_family": "..." }
+     * JSON body: { "feed_id": 1 or null, "folder_id": 2 or null, "field": "title",
+     * "match_type": "keyword", "pattern": "sponsored", "action": "mark_read", "tag": null }
      *
-     * @return void Outputs JSON with 'success' boolean
+     * @return void Outputs JSON with 'success' boolean and 'filter_rule_id' or error
      */
-    public function updatePreferences(): void
+    public function createFilterRule(): void
     {
         Auth::requireAuth();
 
@@ -790,250 +3373,272 @@ class FeedController
 
         $rawInput = file_get_contents('php://input');
         $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
-        $timezone = $input['timezone'] ?? null;
-        $defaultThemeMode = $input['default_theme_mode'] ?? null;
-        $fontFamily = $input['font_family'] ?? null;
-
         $user = Auth::user();
-        $db = Database::getConnection();
-
-        $updates = [];
-        $params = [];
 
-        if ($timezone !== null) {
-            // Validate timezone
-            try {
-                new \DateTimeZone($timezone);
-                $updates[] = "timezone = ?";
-                $params[] = $timezone;
-            } catch (\Exception $e) {
-                Response::error('Invalid timezone', 400);
+        try {
+            $rule = self::readFilterRule($input, $user['id']);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
 
-                return;
-            }
+            return;
         }
 
-        if ($defaultThemeMode !== null) {
-            if (! in_array($defaultThemeMode, ['light', 'dark', 'system'])) {
-                Response::error('Invalid theme mode', 400);
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            INSERT INTO filter_rules (user_id, feed_id, folder_id, field, match_type, pattern, action, tag)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ");
+        $stmt->execute([
+            $user['id'],
+            $rule['feed_id'],
+            $rule['folder_id'],
+            $rule['field'],
+            $rule['match_type'],
+            $rule['pattern'],
+            $rule['action'],
+            $rule['tag'],
+        ]);
 
-                return;
-            }
-            $updates[] = "default_theme_mode = ?";
-            $params[] = $defaultThemeMode;
-        }
+        Response::success(['filter_rule_id' => $db->lastInsertId()]);
+    }
 
-        if ($fontFamily !== null) {
-            $validFonts = ['system', 'Lato', 'Roboto', 'Noto Sans', 'Nunito', 'Mulish'];
-            if (! in_array($fontFamily, $validFonts)) {
-                Response::error('Invalid font family', 400);
+    /**
+     * Update a filter rule.
+     *
+     * @param array $params Route parameters including 'id' (filter rule ID)
+     * JSON body: same fields as createFilterRule()
+     * @return void Outputs JSON with 'success' boolean
+     */
+    public function updateFilterRule(array $params): void
+    {
+        Auth::requireAuth();
 
-                return;
-            }
-            $updates[] = "font_family = ?";
-            $params[] = $fontFamily;
-        }
+        // Validate CSRF token
+        Csrf::requireValid();
 
-        if (empty($updates)) {
-            Response::error('No valid preferences to update', 400);
+        $ruleId = $params['id'] ?? null;
+        if (! $ruleId) {
+            Response::error('Filter rule ID required', 400);
 
             return;
         }
 
-        $params[] = $user['id'];
-        $stmt = $db->prepare("UPDATE users SET " . implode(', ', $updates) . " WHERE id = ?");
-        $stmt->execute($params);
+        $rawInput = file_get_contents('php://input');
+        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
+        $user = Auth::user();
 
-        // Update session
-        if ($timezone !== null) {
-            $_SESSION['timezone'] = $timezone;
-        }
-        if ($defaultThemeMode !== null) {
-            $_SESSION['default_theme_mode'] = $defaultThemeMode;
-        }
-        if ($fontFamily !== null) {
-            $_SESSION['font_family'] = $fontFamily;
+        if (! self::findFilterRule((int)$ruleId, $user['id'])) {
+            Response::error('Filter rule not found', 404);
+
+            return;
         }
 
-        Response::success();
-    }
+        try {
+            $rule = self::readFilterRule($input, $user['id']);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
 
-    /**
-     * Get all folders for the current user.
-     *
-     * Returns folders ordered by sort_order and name.
-     *
-     * @return void Outputs JSON with 'success' boolean and 'folders' array
-     */
-    public function getFolders(): void
-    {
-        Auth::requireAuth();
+            return;
+        }
 
-        $user = Auth::user();
         $db = Database::getConnection();
-
         $stmt = $db->prepare("
-            SELECT * FROM folders 
-            WHERE user_id = ? 
-            ORDER BY sort_order ASC, name ASC
+            UPDATE filter_rules
+            SET feed_id = ?, folder_id = ?, field = ?, match_type = ?, pattern = ?, action = ?, tag = ?
+            WHERE id = ? AND user_id = ?
         ");
-        $stmt->execute([$user['id']]);
-        $folders = $stmt->fetchAll();
+        $stmt->execute([
+            $rule['feed_id'],
+            $rule['folder_id'],
+            $rule['field'],
+            $rule['match_type'],
+            $rule['pattern'],
+            $rule['action'],
+            $rule['tag'],
+            $ruleId,
+            $user['id'],
+        ]);
 
-        Response::success(['folders' => $folders]);
+        Response::success();
     }
 
     /**
-     * Create a new folder for organizing feeds.
-     *
-     * Validates that the folder name is unique for this user and creates
-     * the folder with appropriate sort_order.
+     * Delete a filter rule.
      *
-     * JSON body: { "name": "Folder Name" }
+     * Items the rule already acted on keep their read, starred, hidden or tag state.
      *
-     * @return void Outputs JSON with 'success' boolean and 'folder' data or error
+     * @param array $params Route parameters including 'id' (filter rule ID)
+     * @return void Outputs JSON with 'success' boolean
      */
-    public function createFolder(): void
+    public function deleteFilterRule(array $params): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $rawInput = file_get_contents('php://input');
-        $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
-        $name = trim($input['name'] ?? '');
-
-        if (empty($name)) {
-            Response::error('Folder name is required', 400);
+        $ruleId = $params['id'] ?? null;
+        if (! $ruleId) {
+            Response::error('Filter rule ID required', 400);
 
             return;
         }
 
         $user = Auth::user();
-        $db = Database::getConnection();
 
-        // Check if folder with same name already exists for this user
-        $stmt = $db->prepare("SELECT id FROM folders WHERE user_id = ? AND name = ?");
-        $stmt->execute([$user['id'], $name]);
-        if ($stmt->fetch()) {
-            Response::error('Folder with this name already exists', 400);
+        if (! self::findFilterRule((int)$ruleId, $user['id'])) {
+            Response::error('Filter rule not found', 404);
 
             return;
         }
 
-        // Get max sort_order for this user
-        $stmt = $db->prepare("SELECT COALESCE(MAX(sort_order), 0) + 1 as next_order FROM folders WHERE user_id = ?");
-        $stmt->execute([$user['id']]);
-        $result = $stmt->fetch();
-        $sortOrder = $result['next_order'] ?? 0;
-
-        $stmt = $db->prepare("INSERT INTO folders (user_id, name, sort_order) VALUES (?, ?, ?)");
-        $stmt->execute([$user['id'], $name, $sortOrder]);
+        $db = Database::getConnection();
+        $stmt = $db->prepare("DELETE FROM filter_rules WHERE id = ? AND user_id = ?");
+        $stmt->execute([$ruleId, $user['id']]);
 
-        Response::success(['folder_id' => $db->lastInsertId()]);
+        Response::success();
     }
 
     /**
-     * Update a folder's name.
+     * Count the existing items an (unsaved) filter rule would change.
      *
-     * Validates the folder belongs to the user and that the new name is unique.
+     * JSON body: same fields as createFilterRule()
      *
-     * @param array $params Route parameters including 'id' (folder ID)
-     * JSON body: { "name": "New Folder Name" }
-     * @return void Outputs JSON with 'success' boolean
+     * @return void Outputs JSON with 'success' boolean and 'count', or an error if the rule is invalid
      */
-    public function updateFolder(array $params): void
+    public function previewFilterRule(): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $folderId = $params['id'] ?? null;
-        if (! $folderId) {
-            Response::error('Folder ID required', 400);
-
-            return;
-        }
-
         $rawInput = file_get_contents('php://input');
         $input = \PhpRss\Utils::safeJsonDecode($rawInput !== false ? $rawInput : '', [], true);
-        $name = trim($input['name'] ?? '');
+        $user = Auth::user();
 
-        if (empty($name)) {
-            Response::error('Folder name is required', 400);
+        try {
+            $rule = self::readFilterRule($input, $user['id']);
+        } catch (\InvalidArgumentException $e) {
+            Response::error($e->getMessage(), 400);
 
             return;
         }
 
-        $user = Auth::user();
-        $db = Database::getConnection();
+        Response::success(['count' => FilterRules::preview($rule, $user['id'])]);
+    }
 
-        // Verify folder belongs to user
-        $stmt = $db->prepare("SELECT id FROM folders WHERE id = ? AND user_id = ?");
-        $stmt->execute([$folderId, $user['id']]);
-        if (! $stmt->fetch()) {
-            Response::error('Folder not found', 404);
+    /**
+     * Count the existing items a saved filter rule would change.
+     *
+     * @param array $params Route parameters including 'id' (filter rule ID)
+     * @return void Outputs JSON with 'success' boolean and 'count'
+     */
+    public function previewSavedFilterRule(array $params): void
+    {
+        Auth::requireAuth();
+
+        $ruleId = $params['id'] ?? null;
+        if (! $ruleId) {
+            Response::error('Filter rule ID required', 400);
 
             return;
         }
 
-        // Check if another folder with same name exists
-        $stmt = $db->prepare("SELECT id FROM folders WHERE user_id = ? AND name = ? AND id != ?");
-        $stmt->execute([$user['id'], $name, $folderId]);
-        if ($stmt->fetch()) {
-            Response::error('Folder with this name already exists', 400);
+        $user = Auth::user();
+
+        $rule = self::findFilterRule((int)$ruleId, $user['id']);
+        if (! $rule) {
+            Response::error('Filter rule not found', 404);
 
             return;
         }
 
-        $stmt = $db->prepare("UPDATE folders SET name = ? WHERE id = ? AND user_id = ?");
-        $stmt->execute([$name, $folderId, $user['id']]);
-
-        Response::success();
+        Response::success(['count' => FilterRules::preview($rule, $user['id'])]);
     }
 
     /**
-     * Delete a folder.
+     * Apply a filter rule to the existing items in its scope.
      *
-     * Deletes the folder. Feeds in the folder will have folder_id set to NULL
-     * (handled by foreign key ON DELETE SET NULL).
-     *
-     * @param array $params Route parameters including 'id' (folder ID)
-     * @return void Outputs JSON with 'success' boolean
+     * @param array $params Route parameters including 'id' (filter rule ID)
+     * @return void Outputs JSON with 'success' boolean and 'count' (items changed)
      */
-    public function deleteFolder(array $params): void
+    public function runFilterRule(array $params): void
     {
         Auth::requireAuth();
 
         // Validate CSRF token
         Csrf::requireValid();
 
-        $folderId = $params['id'] ?? null;
-        if (! $folderId) {
-            Response::error('Folder ID required', 400);
+        $ruleId = $params['id'] ?? null;
+        if (! $ruleId) {
+            Response::error('Filter rule ID required', 400);
 
             return;
         }
 
         $user = Auth::user();
-        $db = Database::getConnection();
 
-        // Verify folder belongs to user
-        $stmt = $db->prepare("SELECT id FROM folders WHERE id = ? AND user_id = ?");
-        $stmt->execute([$folderId, $user['id']]);
-        if (! $stmt->fetch()) {
-            Response::error('Folder not found', 404);
+        $rule = self::findFilterRule((int)$ruleId, $user['id']);
+        if (! $rule) {
+            Response::error('Filter rule not found', 404);
 
             return;
         }
 
-        // Delete folder (feeds will have folder_id set to NULL due to ON DELETE SET NULL)
-        $stmt = $db->prepare("DELETE FROM folders WHERE id = ? AND user_id = ?");
-        $stmt->execute([$folderId, $user['id']]);
+        $count = FilterRules::run($rule, $user['id']);
+        if ($count > 0) {
+            self::invalidateAllFeedCaches($user['id']);
+        }
 
-        Response::success();
+        Response::success(['count' => $count]);
+    }
+
+    /**
+     * Get a filter rule owned by a user.
+     *
+     * @param int $ruleId The filter rule ID
+     * @param int $userId The user ID
+     * @return array|null Filter rule row, or null if not found
+     */
+    private static function findFilterRule(int $ruleId, int $userId): ?array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT * FROM filter_rules WHERE id = ? AND user_id = ?");
+        $stmt->execute([$ruleId, $userId]);
+
+        return $stmt->fetch(PDO::FETCH_ASSOC) ?: null;
+    }
+
+    /**
+     * Validate filter rule input, including that its feed or folder belongs to the user.
+     *
+     * @param array $input Decoded JSON body
+     * @param int $userId The user ID
+     * @return array Rule fields from FilterRules::normalize() plus 'feed_id' and 'folder_id' (int or null)
+     * @throws \InvalidArgumentException If the rule is invalid (message is user-facing)
+     */
+    private static function readFilterRule(array $input, int $userId): array
+    {
+        $rule = FilterRules::normalize($input);
+
+        $feedId = ! empty($input['feed_id']) ? (int)$input['feed_id'] : null;
+        $folderId = ! empty($input['folder_id']) ? (int)$input['folder_id'] : null;
+
+        if ($feedId !== null && $folderId !== null) {
+            throw new \InvalidArgumentException('Choose a feed or a folder, not both');
+        }
+        if ($feedId !== null && ! FeedService::verifyFeedOwnership($feedId, $userId)) {
+            throw new \InvalidArgumentException('Feed not found');
+        }
+        if ($folderId !== null && ! self::folderBelongsToUser($folderId, $userId)) {
+            throw new \InvalidArgumentException('Folder not found');
+        }
+
+        $rule['feed_id'] = $feedId;
+        $rule['folder_id'] = $folderId;
+
+        return $rule;
     }
 
     /**
@@ -1101,8 +3706,9 @@ class FeedController
     /**
      * Export user's feeds as OPML format.
      *
-     * Generates OPML XML file containing all user feeds, organized by folders.
-     * Sets appropriate headers for file download.
+     * Generates OPML XML file containing all user feeds, organized by folders
+     * (subfolders as nested outlines), and the user's saved searches (as type="search" outlines, which other
+     * readers ignore). Sets appropriate headers for file download.
      *
      * @return void Outputs OPML XML and sets headers for download
      */
@@ -1116,27 +3722,33 @@ class FeedController
         // Get all feeds with folder information
         $stmt = $db->prepare("
             SELECT f.id, f.title, f.url, f.description, f.feed_type,
-                   fld.name as folder_name
+                   fld.id as folder_id
             FROM feeds f
             LEFT JOIN folders fld ON f.folder_id = fld.id
             WHERE f.user_id = ?
-            ORDER BY COALESCE(fld.sort_order, 999999) ASC, fld.name ASC, f.sort_order ASC
+            ORDER BY f.sort_order ASC, f.id ASC
         ");
         $stmt->execute([$user['id']]);
         $feeds = $stmt->fetchAll(PDO::FETCH_ASSOC);
 
-        // Group feeds by folder
-        $foldersMap = [];
-        $feedsWithoutFolder = [];
+        $stmt = $db->prepare("SELECT id, parent_id, name FROM folders WHERE user_id = ? ORDER BY sort_order ASC, name ASC");
+        $stmt->execute([$user['id']]);
+        $folders = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+        $stmt = $db->prepare("SELECT name, query FROM saved_searches WHERE user_id = ? ORDER BY sort_order ASC, name ASC");
+        $stmt->execute([$user['id']]);
+        $savedSearches = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+        // Group feeds and subfolders by the folder they are in (0 for the top level)
+        $feedsByFolder = [];
         foreach ($feeds as $feed) {
-            if ($feed['folder_name']) {
-                if (! isset($foldersMap[$feed['folder_name']])) {
-                    $foldersMap[$feed['folder_name']] = [];
-                }
-                $foldersMap[$feed['folder_name']][] = $feed;
-            } else {
-                $feedsWithoutFolder[] = $feed;
-            }
+            $feedsByFolder[(int)$feed['folder_id']][] = $feed;
+        }
+        $folderIds = array_map('intval', array_column($folders, 'id'));
+        $foldersByParent = [];
+        foreach ($folders as $folder) {
+            $parentId = (int)$folder['parent_id'];
+            $foldersByParent[in_array($parentId, $folderIds, true) ? $parentId : 0][] = $folder;
         }
 
         // Generate OPML XML
@@ -1149,26 +3761,13 @@ class FeedController
         $xml .= '  </head>' . "\n";
         $xml .= '  <body>' . "\n";
 
-        // Add feeds without folders
-        foreach ($feedsWithoutFolder as $feed) {
-            $xml .= '    <outline type="rss" text="' . htmlspecialchars($feed['title']) . '"';
-            if ($feed['description']) {
-                $xml .= ' description="' . htmlspecialchars($feed['description']) . '"';
-            }
-            $xml .= ' xmlUrl="' . htmlspecialchars($feed['url']) . '"/>' . "\n";
-        }
+        // Add feeds without folders, then folders with their feeds and subfolders
+        $xml .= self::renderOpmlOutlines(0, $foldersByParent, $feedsByFolder, '    ');
 
-        // Add folders with feeds
-        foreach ($foldersMap as $folderName => $folderFeeds) {
-            $xml .= '    <outline text="' . htmlspecialchars($folderName) . '">' . "\n";
-            foreach ($folderFeeds as $feed) {
-                $xml .= '      <outline type="rss" text="' . htmlspecialchars($feed['title']) . '"';
-                if ($feed['description']) {
-                    $xml .= ' description="' . htmlspecialchars($feed['description']) . '"';
-                }
-                $xml .= ' xmlUrl="' . htmlspecialchars($feed['url']) . '"/>' . "\n";
-            }
-            $xml .= '    </outline>' . "\n";
+        // Add saved searches
+        foreach ($savedSearches as $savedSearch) {
+            $xml .= '    <outline type="search" text="' . htmlspecialchars($savedSearch['name']) . '"';
+            $xml .= ' query="' . htmlspecialchars($savedSearch['query']) . '"/>' . "\n";
         }
 
         $xml .= '  </body>' . "\n";
@@ -1180,17 +3779,53 @@ class FeedController
         echo $xml;
     }
 
+    /**
+     * Render the OPML outlines of a folder's feeds and subfolders.
+     *
+     * Folders without feeds in them or in their subfolders are left out.
+     *
+     * @param int $folderId Folder ID (0 for the top level)
+     * @param array $foldersByParent Folders (id, name) grouped by parent folder ID
+     * @param array $feedsByFolder Feeds (title, description, url) grouped by folder ID
+     * @param string $indent Indentation of the outlines
+     * @return string OPML outline elements
+     */
+    private static function renderOpmlOutlines(int $folderId, array $foldersByParent, array $feedsByFolder, string $indent): string
+    {
+        $xml = '';
+        foreach ($feedsByFolder[$folderId] ?? [] as $feed) {
+            $xml .= $indent . '<outline type="rss" text="' . htmlspecialchars($feed['title']) . '"';
+            if ($feed['description']) {
+                $xml .= ' description="' . htmlspecialchars($feed['description']) . '"';
+            }
+            $xml .= ' xmlUrl="' . htmlspecialchars($feed['url']) . '"/>' . "\n";
+        }
+
+        foreach ($foldersByParent[$folderId] ?? [] as $folder) {
+            $children = self::renderOpmlOutlines((int)$folder['id'], $foldersByParent, $feedsByFolder, $indent . '  ');
+            if ($children === '') {
+                continue;
+            }
+            $xml .= $indent . '<outline text="' . htmlspecialchars($folder['name']) . '">' . "\n";
+            $xml .= $children;
+            $xml .= $indent . '</outline>' . "\n";
+        }
+
+        return $xml;
+    }
+
     /**
      * Import feeds from an OPML file.
      *
      * Parses uploaded OPML XML file, extracts feed URLs and folder structure,
-     * and adds feeds to the user's feed list. Handles nested folder structures
-     * and creates folders as needed. Uses output buffering to ensure only
+     * and adds feeds to the user's feed list. Nested folder outlines become
+     * nested folders, created as needed. Saved searches (type="search" outlines from
+     * our export) are restored unless one with the same name exists. Uses output buffering to ensure only
      * JSON is returned (no PHP errors/warnings in response).
      *
      * POST file upload: 'opml_file' - the OPML XML file
      *
-     * @return void Outputs JSON with 'success' boolean, 'added' count, and 'errors' array
+     * @return void Outputs JSON with 'success' boolean, 'added' count, 'saved_searches' count, and 'errors' array
      */
     public function importOpml(): void
     {
@@ -1305,10 +3940,11 @@ class FeedController
             $db = Database::getConnection();
             $addedCount = 0;
             $skippedCount = 0;
+            $savedSearchCount = 0;
             $errors = [];
 
             // Function to recursively process outlines
-            $processOutlines = function ($outlines, $folderId = null) use (&$processOutlines, $db, $user, &$addedCount, &$skippedCount, &$errors) {
+            $processOutlines = function ($outlines, $folderId = null) use (&$processOutlines, $db, $user, &$addedCount, &$skippedCount, &$savedSearchCount, &$errors) {
                 if (! $outlines) {
                     return;
                 }
@@ -1319,7 +3955,25 @@ class FeedController
                     // Check if this outline has an xmlUrl (it's a feed)
                     $xmlUrl = isset($attributes['xmlUrl']) ? (string)$attributes['xmlUrl'] : null;
 
-                    if ($xmlUrl) {
+                    if (isset($attributes['type'], $attributes['query']) && (string)$attributes['type'] === 'search') {
+                        // This is a saved search
+                        $searchName = trim((string)($attributes['text'] ?? ''));
+                        $searchQuery = trim((string)$attributes['query']);
+                        if ($searchName === '' || $searchQuery === '') {
+                            continue;
+                        }
+
+                        $stmt = $db->prepare("SELECT id FROM saved_searches WHERE user_id = ? AND name = ?");
+                        $stmt->execute([$user['id'], $searchName]);
+                        if (! $stmt->fetch()) {
+                            $stmt = $db->prepare("
+                            INSERT INTO saved_searches (user_id, name, query, sort_order)
+                            VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM saved_searches WHERE user_id = ?))
+                        ");
+                            $stmt->execute([$user['id'], $searchName, $searchQuery, $user['id']]);
+                            $savedSearchCount++;
+                        }
+                    } elseif ($xmlUrl) {
                         // This is a feed
                         $feedUrl = $xmlUrl;
                         $feedTitle = isset($attributes['text']) ? (string)$attributes['text'] : (isset($attributes['title']) ? (string)$attributes['title'] : 'Untitled Feed');
@@ -1378,22 +4032,21 @@ class FeedController
 
                         $currentFolderId = $folderId;
 
-                        // If it has a name and children, treat it as a folder
+                        // If it has a name and children, treat it as a folder (nested in the current one)
                         if ($folderName && $hasChildren) {
                             // Check if folder exists, create if not
-                            $stmt = $db->prepare("SELECT id FROM folders WHERE user_id = ? AND name = ?");
-                            $stmt->execute([$user['id'], $folderName]);
-                            $folder = $stmt->fetch(PDO::FETCH_ASSOC);
+                            $parentId = $folderId !== null ? (int)$folderId : null;
+                            $existingId = FolderService::findByName($user['id'], $parentId, $folderName);
 
-                            if ($folder) {
-                                $currentFolderId = $folder['id'];
+                            if ($existingId !== null) {
+                                $currentFolderId = $existingId;
                             } else {
                                 // Create folder
                                 $stmt = $db->prepare("
-                                INSERT INTO folders (user_id, name, sort_order) 
-                                VALUES (?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM folders WHERE user_id = ?))
+                                INSERT INTO folders (user_id, parent_id, name, sort_order) 
+                                VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM folders WHERE user_id = ?))
                             ");
-                                $stmt->execute([$user['id'], $folderName, $user['id']]);
+                                $stmt->execute([$user['id'], $parentId, $folderName, $user['id']]);
                                 $currentFolderId = $db->lastInsertId();
                             }
                         }
@@ -1419,6 +4072,7 @@ class FeedController
             Response::success([
                 'added' => $addedCount,
                 'skipped' => $skippedCount,
+                'saved_searches' => $savedSearchCount,
                 'errors' => $errors,
             ]);
         } catch (\Exception $e) {
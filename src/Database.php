@@ -127,6 +127,23 @@ class Database
         return self::$dbType;
     }
 
+    /**
+     * Get the SQL expression used to sort feed items by date.
+     *
+     * Items without a published date fall back to when they were stored.
+     * PostgreSQL timestamps are truncated to whole seconds so the value
+     * round-trips through pagination cursors, which carry second precision.
+     *
+     * @param string $alias Table alias prefix for feed_items (e.g. 'fi.'), or '' for none
+     * @return string SQL expression
+     */
+    public static function itemSortDateExpression(string $alias = 'fi.'): string
+    {
+        $expression = "COALESCE({$alias}published_at, {$alias}created_at)";
+
+        return self::getDbType() === 'pgsql' ? "date_trunc('second', {$expression})" : $expression;
+    }
+
     /**
      * Check if a column exists in a database table.
      *
@@ -168,8 +185,10 @@ class Database
     /**
      * Set up the database schema and run migrations.
      *
-     * Creates all necessary tables (users, folders, feeds, feed_items, read_items)
-     * if they don't exist, with syntax appropriate for the current database type.
+     * Creates all necessary tables (users, folders, feeds, feed_items, read_items, starred_items,
+     * saved_searches, filter_rules, item_tags, feed_events, item_enclosures,
+     * playback_positions) and the full-text search index if they don't exist, with syntax appropriate
+     * for the current database type.
      * Also creates indexes for performance and handles migrations by checking for
      * and adding columns that may not exist in older database schemas.
      *
@@ -201,17 +220,22 @@ class Database
                 font_family VARCHAR(100) DEFAULT 'system',
                 hide_feeds_with_no_unread INTEGER DEFAULT 0,
                 item_sort_order VARCHAR(20) DEFAULT 'newest',
+                keyboard_shortcuts TEXT,
+                mark_read_on_scroll INTEGER DEFAULT 0,
+                items_layout VARCHAR(20) DEFAULT 'compact',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )");
 
             $db->exec("CREATE TABLE IF NOT EXISTS folders (
                 id SERIAL PRIMARY KEY,
                 user_id INTEGER NOT NULL,
+                parent_id INTEGER,
                 name VARCHAR(255) NOT NULL,
                 sort_order INTEGER DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                UNIQUE(user_id, name)
+                FOREIGN KEY (parent_id) REFERENCES folders(id) ON DELETE CASCADE,
+                UNIQUE(user_id, parent_id, name)
             )");
 
             $db->exec("CREATE TABLE IF NOT EXISTS feeds (
@@ -224,6 +248,20 @@ class Database
                 description TEXT,
                 last_fetched TIMESTAMP,
                 sort_order INTEGER DEFAULT 0,
+                always_load_full_article INTEGER DEFAULT 0,
+                custom_title TEXT,
+                refresh_interval INTEGER,
+                item_sort_order VARCHAR(20),
+                hide_read_items INTEGER,
+                retention_days INTEGER,
+                retention_count INTEGER,
+                paused INTEGER DEFAULT 0,
+                items_layout VARCHAR(20),
+                last_success_at TIMESTAMP,
+                last_error TEXT,
+                last_http_status INTEGER,
+                failure_count INTEGER DEFAULT 0,
+                items_per_week REAL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE SET NULL,
@@ -240,6 +278,9 @@ class Database
                 author TEXT,
                 published_at TIMESTAMP,
                 guid TEXT,
+                full_content TEXT,
+                hidden INTEGER DEFAULT 0,
+                thumbnail_url TEXT,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (feed_id) REFERENCES feeds(id) ON DELETE CASCADE,
                 UNIQUE(feed_id, guid)
@@ -250,6 +291,84 @@ class Database
                 user_id INTEGER NOT NULL,
                 feed_item_id INTEGER NOT NULL,
                 read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                batch_id VARCHAR(32),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(user_id, feed_item_id)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS starred_items (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                feed_item_id INTEGER NOT NULL,
+                starred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(user_id, feed_item_id)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS saved_searches (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                query TEXT NOT NULL,
+                sort_order INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(user_id, name)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS filter_rules (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                feed_id INTEGER,
+                folder_id INTEGER,
+                field VARCHAR(20) NOT NULL,
+                match_type VARCHAR(20) NOT NULL,
+                pattern TEXT NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                tag VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_id) REFERENCES feeds(id) ON DELETE CASCADE,
+                FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS item_tags (
+                id SERIAL PRIMARY KEY,
+                feed_item_id INTEGER NOT NULL,
+                tag VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(feed_item_id, tag)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS feed_events (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                feed_id INTEGER NOT NULL,
+                new_items INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_id) REFERENCES feeds(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS item_enclosures (
+                id SERIAL PRIMARY KEY,
+                feed_item_id INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                type VARCHAR(100) NOT NULL,
+                length BIGINT,
+                duration INTEGER,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS playback_positions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                feed_item_id INTEGER NOT NULL,
+                position DOUBLE PRECISION NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
                 UNIQUE(user_id, feed_item_id)
@@ -268,11 +387,13 @@ class Database
             $db->exec("CREATE TABLE IF NOT EXISTS folders (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 user_id INTEGER NOT NULL,
+                parent_id INTEGER,
                 name TEXT NOT NULL,
                 sort_order INTEGER DEFAULT 0,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-                UNIQUE(user_id, name)
+                FOREIGN KEY (parent_id) REFERENCES folders(id) ON DELETE CASCADE,
+                UNIQUE(user_id, parent_id, name)
             )");
 
             $db->exec("CREATE TABLE IF NOT EXISTS feeds (
@@ -311,6 +432,84 @@ class Database
                 user_id INTEGER NOT NULL,
                 feed_item_id INTEGER NOT NULL,
                 read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                batch_id TEXT,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(user_id, feed_item_id)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS starred_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                feed_item_id INTEGER NOT NULL,
+                starred_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(user_id, feed_item_id)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS saved_searches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                query TEXT NOT NULL,
+                sort_order INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(user_id, name)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS filter_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                feed_id INTEGER,
+                folder_id INTEGER,
+                field TEXT NOT NULL,
+                match_type TEXT NOT NULL,
+                pattern TEXT NOT NULL,
+                action TEXT NOT NULL,
+                tag TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_id) REFERENCES feeds(id) ON DELETE CASCADE,
+                FOREIGN KEY (folder_id) REFERENCES folders(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS item_tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                feed_item_id INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
+                UNIQUE(feed_item_id, tag)
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS feed_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                feed_id INTEGER NOT NULL,
+                new_items INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (feed_id) REFERENCES feeds(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS item_enclosures (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                feed_item_id INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                type TEXT NOT NULL,
+                length INTEGER,
+                duration INTEGER,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE
+            )");
+
+            $db->exec("CREATE TABLE IF NOT EXISTS playback_positions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                feed_item_id INTEGER NOT NULL,
+                position REAL NOT NULL DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
                 FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE,
                 UNIQUE(user_id, feed_item_id)
@@ -322,6 +521,15 @@ class Database
         $db->exec("CREATE INDEX IF NOT EXISTS idx_feed_items_feed_id ON feed_items(feed_id)");
         $db->exec("CREATE INDEX IF NOT EXISTS idx_read_items_user_id ON read_items(user_id)");
         $db->exec("CREATE INDEX IF NOT EXISTS idx_read_items_feed_item_id ON read_items(feed_item_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_starred_items_user_id ON starred_items(user_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_starred_items_feed_item_id ON starred_items(feed_item_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_filter_rules_user_id ON filter_rules(user_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_item_tags_feed_item_id ON item_tags(feed_item_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_feed_events_user_id ON feed_events(user_id, id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_item_enclosures_feed_item_id ON item_enclosures(feed_item_id)");
+        // Supports keyset pagination of a feed's items (must match FeedController::getItems sort key)
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_feed_items_feed_sort ON feed_items(feed_id, (" . self::itemSortDateExpression('') . "), id)");
 
         // Add columns that might not exist (for migrations)
         if (! self::columnExists($db, 'users', 'hide_read_items')) {
@@ -358,6 +566,22 @@ class Database
             $db->exec("ALTER TABLE users ADD COLUMN item_sort_order {$type}");
         }
 
+        // Add keyboard_shortcuts column if it doesn't exist (JSON map of action => keys)
+        if (! self::columnExists($db, 'users', 'keyboard_shortcuts')) {
+            $db->exec("ALTER TABLE users ADD COLUMN keyboard_shortcuts TEXT");
+        }
+
+        // Add mark_read_on_scroll column if it doesn't exist
+        if (! self::columnExists($db, 'users', 'mark_read_on_scroll')) {
+            $db->exec("ALTER TABLE users ADD COLUMN mark_read_on_scroll INTEGER DEFAULT 0");
+        }
+
+        // Add items_layout column if it doesn't exist (compact, comfortable or cards)
+        if (! self::columnExists($db, 'users', 'items_layout')) {
+            $type = self::$dbType === 'pgsql' ? "VARCHAR(20) DEFAULT 'compact'" : "TEXT DEFAULT 'compact'";
+            $db->exec("ALTER TABLE users ADD COLUMN items_layout {$type}");
+        }
+
         if (! self::columnExists($db, 'feeds', 'sort_order')) {
             $db->exec("ALTER TABLE feeds ADD COLUMN sort_order INTEGER DEFAULT 0");
             // Backfill existing feeds with a stable order (by id)
@@ -369,6 +593,104 @@ class Database
             $db->exec("ALTER TABLE feeds ADD COLUMN folder_id INTEGER");
         }
 
+        // Nested folders: names become unique among a folder's siblings
+        if (! self::columnExists($db, 'folders', 'parent_id')) {
+            self::migrateNestedFolders($db);
+        }
+
+        // Per-feed "always load full article" setting
+        if (! self::columnExists($db, 'feeds', 'always_load_full_article')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN always_load_full_article INTEGER DEFAULT 0");
+        }
+
+        // Per-feed settings (NULL uses the user's preference or the global default)
+        if (! self::columnExists($db, 'feeds', 'custom_title')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN custom_title TEXT");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'refresh_interval')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN refresh_interval INTEGER");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'item_sort_order')) {
+            $type = self::$dbType === 'pgsql' ? "VARCHAR(20)" : "TEXT";
+            $db->exec("ALTER TABLE feeds ADD COLUMN item_sort_order {$type}");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'hide_read_items')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN hide_read_items INTEGER");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'retention_days')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN retention_days INTEGER");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'retention_count')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN retention_count INTEGER");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'paused')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN paused INTEGER DEFAULT 0");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'items_layout')) {
+            $type = self::$dbType === 'pgsql' ? "VARCHAR(20)" : "TEXT";
+            $db->exec("ALTER TABLE feeds ADD COLUMN items_layout {$type}");
+        }
+
+        // Feed health: outcome of the latest fetches (see FeedHealth)
+        if (! self::columnExists($db, 'feeds', 'last_success_at')) {
+            $type = self::$dbType === 'pgsql' ? "TIMESTAMP" : "DATETIME";
+            $db->exec("ALTER TABLE feeds ADD COLUMN last_success_at {$type}");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'last_error')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN last_error TEXT");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'last_http_status')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN last_http_status INTEGER");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'failure_count')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN failure_count INTEGER DEFAULT 0");
+        }
+
+        if (! self::columnExists($db, 'feeds', 'items_per_week')) {
+            $db->exec("ALTER TABLE feeds ADD COLUMN items_per_week REAL");
+        }
+
+        // Full article extracted from the item's web page (reader view)
+        if (! self::columnExists($db, 'feed_items', 'full_content')) {
+            $db->exec("ALTER TABLE feed_items ADD COLUMN full_content TEXT");
+        }
+
+        // Items hidden by a filter rule
+        if (! self::columnExists($db, 'feed_items', 'hidden')) {
+            $db->exec("ALTER TABLE feed_items ADD COLUMN hidden INTEGER DEFAULT 0");
+        }
+
+        // Thumbnail image for the cards layout (see FeedParser)
+        if (! self::columnExists($db, 'feed_items', 'thumbnail_url')) {
+            $db->exec("ALTER TABLE feed_items ADD COLUMN thumbnail_url TEXT");
+        }
+
+        // Batch of jobs queued together (e.g. "refresh all")
+        if (! self::columnExists($db, 'jobs', 'batch_id')) {
+            $db->exec("ALTER TABLE jobs ADD COLUMN batch_id INTEGER");
+        }
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs(batch_id)");
+
+        // Mark-all-read batch that marked the item read, so the batch can be undone
+        if (! self::columnExists($db, 'read_items', 'batch_id')) {
+            $type = self::$dbType === 'pgsql' ? "VARCHAR(32)" : "TEXT";
+            $db->exec("ALTER TABLE read_items ADD COLUMN batch_id {$type}");
+        }
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_read_items_batch_id ON read_items(user_id, batch_id)");
+
+        // Full-text search index (FTS5 / tsvector), built from existing items when first created
+        SearchIndex::setup($db, self::$dbType);
+
         // Create indexes for folders (after tables/columns exist)
         // Check if folders table exists by trying to create index (folder table should exist from CREATE TABLE)
         try {
@@ -380,6 +702,65 @@ class Database
 
         // Create index for folders
         $db->exec("CREATE INDEX IF NOT EXISTS idx_folders_user_id ON folders(user_id)");
+        $db->exec("CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(parent_id)");
         $db->exec("CREATE INDEX IF NOT EXISTS idx_feeds_folder_id ON feeds(folder_id)");
+
+        // UNIQUE(user_id, parent_id, name) never matches NULL parent_ids, so top-level names need their own index
+        $db->exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_top_level_name ON folders(user_id, name) WHERE parent_id IS NULL");
+    }
+
+    /**
+     * Add parent_id to folders and replace UNIQUE(user_id, name) with
+     * UNIQUE(user_id, parent_id, name). Top-level names stay unique through
+     * the partial index idx_folders_top_level_name, created in setup().
+     *
+     * SQLite can't drop a constraint, so the table is rebuilt with foreign
+     * keys off (dropping the old table must not clear the feeds' folder_id).
+     *
+     * @param PDO $db The database connection
+     * @return void
+     */
+    private static function migrateNestedFolders(PDO $db): void
+    {
+        if (self::$dbType === 'pgsql') {
+            $db->exec("ALTER TABLE folders ADD COLUMN parent_id INTEGER REFERENCES folders(id) ON DELETE CASCADE");
+            $db->exec("ALTER TABLE folders DROP CONSTRAINT IF EXISTS folders_user_id_name_key");
+            $db->exec("ALTER TABLE folders ADD CONSTRAINT folders_user_id_parent_id_name_key UNIQUE (user_id, parent_id, name)");
+
+            return;
+        }
+
+        $foreignKeys = (int)$db->query("PRAGMA foreign_keys")->fetchColumn();
+        $db->exec("PRAGMA foreign_keys = OFF");
+        $db->beginTransaction();
+
+        try {
+            $db->exec("CREATE TABLE folders_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                parent_id INTEGER,
+                name TEXT NOT NULL,
+                sort_order INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (parent_id) REFERENCES folders(id) ON DELETE CASCADE,
+                UNIQUE(user_id, parent_id, name)
+            )");
+            $db->exec("
+                INSERT INTO folders_new (id, user_id, name, sort_order, created_at)
+                SELECT id, user_id, name, sort_order, created_at FROM folders
+            ");
+            $db->exec("DROP TABLE folders");
+            $db->exec("ALTER TABLE folders_new RENAME TO folders");
+            $db->commit();
+        } catch (PDOException $e) {
+            $db->rollBack();
+
+            throw $e;
+        } finally {
+            if ($foreignKeys) {
+                $db->exec("PRAGMA foreign_keys = ON");
+            }
+        }
     }
 }
@@ -11,6 +11,34 @@ namespace PhpRss;
  */
 class FeedDiscovery
 {
+    /**
+     * Link types (<link rel="alternate" type="...">) that point to feeds.
+     */
+    private const FEED_LINK_TYPES = [
+        'application/rss+xml',
+        'application/atom+xml',
+        'application/feed+json',
+        'application/json',
+        'text/xml',
+        'application/xml',
+    ];
+
+    /**
+     * Maximum number of linked feeds loaded by discoverCandidates().
+     */
+    private const MAX_CANDIDATES = 10;
+
+    /**
+     * Number of latest item titles shown in a candidate's preview.
+     */
+    private const PREVIEW_ITEMS = 5;
+
+    /**
+     * Seconds each candidate fetch in discoverCandidates() may take, so a
+     * page listing several slow feeds can't hold the request for minutes.
+     */
+    private const CANDIDATE_TIMEOUT = 10;
+
     /**
      * Discover feed URLs from a given website URL.
      *
@@ -27,8 +55,6 @@ class FeedDiscovery
      */
     public static function discover(string $url): array
     {
-        $feeds = [];
-
         // First, check if URL already looks like a feed path and try common variations
         $parsed = parse_url($url);
         $path = $parsed['path'] ?? '';
@@ -38,7 +64,7 @@ class FeedDiscovery
         foreach ($feedSuffixes as $suffix) {
             if (str_ends_with($path, $suffix)) {
                 // Try the URL as-is first
-                if (self::verifyFeed($url)) {
+                if (self::loadFeed($url) !== null) {
                     return [[
                         'url' => $url,
                         'type' => 'discovered',
@@ -51,9 +77,13 @@ class FeedDiscovery
         }
 
         // Try common paths first (faster than HTML parsing)
-        $feeds = self::tryCommonPaths($url);
-        if (! empty($feeds)) {
-            return $feeds;
+        $feed = self::tryCommonPaths($url);
+        if ($feed !== null) {
+            return [[
+                'url' => $feed['url'],
+                'type' => 'discovered',
+                'title' => '',
+            ]];
         }
 
         // If common paths don't work, try HTML discovery
@@ -74,69 +104,222 @@ class FeedDiscovery
                 // Not a feed, continue with HTML parsing
             }
 
-            // Parse HTML to find feed links
+            // Return the first valid feed linked from the page
+            foreach (self::findFeedLinks($url, $html) as $link) {
+                if (self::loadFeed($link['url']) !== null) {
+                    return [$link];
+                }
+            }
+        } catch (\Exception $e) {
+            // If HTML fetching fails, we already tried common paths above
+        }
+
+        return [];
+    }
+
+    /**
+     * Discover every feed a URL offers, with a preview of each.
+     *
+     * If the URL is a feed itself, it is the only candidate. Otherwise each
+     * feed linked from the page (e.g. posts, comments, per-tag feeds) is
+     * loaded; sites without feed links fall back to the common feed paths.
+     * Feeds that fail to load, or take longer than CANDIDATE_TIMEOUT, are
+     * left out.
+     *
+     * @param string $url The website or feed URL
+     * @return array List of candidates: ['url', 'type' ('rss', 'atom' or 'json'), 'title', 'items' (latest item titles)]
+     */
+    public static function discoverCandidates(string $url): array
+    {
+        $links = [];
+        try {
+            $content = FeedFetcher::fetch($url);
+
+            try {
+                return [self::candidate($url, $content, FeedParser::parse($url, $content))];
+            } catch (\Exception $e) {
+                // Not a feed: look for feed links in the page
+            }
+
+            $links = array_slice(self::findFeedLinks($url, $content), 0, self::MAX_CANDIDATES);
+        } catch (\Exception $e) {
+            Logger::debug("Could not load $url for feed discovery", ['url' => $url, 'error' => $e->getMessage()]);
+        }
+
+        if (empty($links)) {
+            $feed = self::tryCommonPaths($url, self::CANDIDATE_TIMEOUT);
+
+            return $feed !== null ? [self::candidate($feed['url'], $feed['content'], $feed['parsed'])] : [];
+        }
+
+        $candidates = [];
+        foreach ($links as $link) {
+            $feed = self::loadFeed($link['url'], self::CANDIDATE_TIMEOUT);
+            if ($feed !== null) {
+                $candidates[] = self::candidate($link['url'], $feed['content'], $feed['parsed'], $link['title']);
+            }
+        }
+
+        return $candidates;
+    }
+
+    /**
+     * Find the feeds linked from an HTML page with <link rel="alternate"> tags.
+     *
+     * Relative URLs are resolved against the page URL; a feed linked more
+     * than once is listed once.
+     *
+     * @param string $pageUrl URL of the page
+     * @param string $html HTML of the page
+     * @return array List of feed links: ['url', 'type' (MIME type), 'title']
+     */
+    public static function findFeedLinks(string $pageUrl, string $html): array
+    {
+        $feeds = [];
+
+        libxml_use_internal_errors(true);
+        $dom = new \DOMDocument();
+        @$dom->loadHTML($html);
+
+        $xpath = new \DOMXPath($dom);
+        $links = $xpath->query('//link[@rel="alternate"]');
+
+        foreach ($links as $link) {
+            // Ensure $link is a DOMElement (has getAttribute method)
+            if (! ($link instanceof \DOMElement)) {
+                continue;
+            }
+
+            $type = $link->getAttribute('type');
+            $href = $link->getAttribute('href');
+
+            // Check for RSS, Atom, or JSON feed types
+            if (! in_array($type, self::FEED_LINK_TYPES, true) || empty($href)) {
+                continue;
+            }
+
+            // Convert relative URLs to absolute
+            $feedUrl = Utils::resolveUrl($pageUrl, $href);
+            if ($feedUrl && ! isset($feeds[$feedUrl])) {
+                $feeds[$feedUrl] = [
+                    'url' => $feedUrl,
+                    'type' => $type,
+                    'title' => trim($link->getAttribute('title')),
+                ];
+            }
+        }
+
+        return array_values($feeds);
+    }
+
+    /**
+     * Find the site icon of a page.
+     *
+     * Uses the page's <link rel="icon"> (or "shortcut icon"), then its
+     * <link rel="apple-touch-icon">, and falls back to /favicon.ico on the
+     * page's host. SVG icons are skipped (see FeedIcon), as are inline data: URLs.
+     *
+     * @param string $pageUrl URL of the page
+     * @param string $html HTML of the page
+     * @return string|null Absolute icon URL, or null if the page URL is invalid
+     */
+    public static function findIconUrl(string $pageUrl, string $html): ?string
+    {
+        $icons = [];
+
+        if ($html !== '') {
             libxml_use_internal_errors(true);
             $dom = new \DOMDocument();
             @$dom->loadHTML($html);
 
-            // Look for link tags with feed types
             $xpath = new \DOMXPath($dom);
-            $links = $xpath->query('//link[@rel="alternate"]');
-
-            foreach ($links as $link) {
-                // Ensure $link is a DOMElement (has getAttribute method)
+            foreach ($xpath->query('//link[@rel and @href]') as $link) {
                 if (! ($link instanceof \DOMElement)) {
                     continue;
                 }
 
-                $type = $link->getAttribute('type');
-                $href = $link->getAttribute('href');
-
-                // Check for RSS, Atom, or JSON feed types
-                if (in_array($type, [
-                    'application/rss+xml',
-                    'application/atom+xml',
-                    'application/feed+json',
-                    'application/json',
-                    'text/xml',
-                    'application/xml',
-                ]) && ! empty($href)) {
-                    // Convert relative URLs to absolute
-                    $feedUrl = self::resolveUrl($url, $href);
-                    if ($feedUrl && self::verifyFeed($feedUrl)) {
-                        $feeds[] = [
-                            'url' => $feedUrl,
-                            'type' => $type,
-                            'title' => $link->getAttribute('title') ?: '',
-                        ];
-
-                        // Return first valid feed found
-                        return $feeds;
-                    }
+                $rels = preg_split('/\s+/', strtolower(trim($link->getAttribute('rel'))));
+                $href = trim($link->getAttribute('href'));
+                if (str_starts_with($href, 'data:') || $link->getAttribute('type') === 'image/svg+xml'
+                    || preg_match('/\.svg($|\?)/i', $href)) {
+                    continue;
                 }
-            }
 
-        } catch (\Exception $e) {
-            // If HTML fetching fails, we already tried common paths above
+                if (in_array('icon', $rels, true)) {
+                    $icons['icon'] ??= $href;
+                } elseif (in_array('apple-touch-icon', $rels, true)) {
+                    $icons['apple-touch-icon'] ??= $href;
+                }
+            }
         }
 
-        return $feeds;
+        $href = $icons['icon'] ?? $icons['apple-touch-icon'] ?? '/favicon.ico';
+
+        return Utils::resolveUrl($pageUrl, $href);
+    }
+
+    /**
+     * Build a discovery candidate from a loaded feed.
+     *
+     * @param string $url Feed URL
+     * @param string $content Raw feed content
+     * @param array $parsed Feed data returned by FeedParser::parse()
+     * @param string $linkTitle Title of the page's link to the feed, if any
+     * @return array Candidate: ['url', 'type', 'title', 'items']
+     */
+    private static function candidate(string $url, string $content, array $parsed, string $linkTitle = ''): array
+    {
+        $items = array_slice($parsed['items'], 0, self::PREVIEW_ITEMS);
+
+        return [
+            'url' => $url,
+            'type' => FeedParser::detectFeedType($content),
+            'title' => $parsed['title'] ?: ($linkTitle ?: $url),
+            'items' => array_map(fn ($item) => $item['title'], $items),
+        ];
     }
 
     /**
      * Try common feed paths to find a valid feed URL.
      *
-     * Attempts various common feed path patterns like /feed, /rss, /atom.xml
-     * at both the current page path and the root level. Also tries query
-     * parameter variations like ?feed=rss.
+     * Loads the URLs from commonFeedUrls() in order and stops at the first
+     * one that is a feed, returning what was downloaded so callers don't
+     * have to fetch it again.
      *
      * @param string $baseUrl The base URL to try feed paths against
-     * @return array Array of discovered feed entries (only returns first valid one found)
+     * @param int|null $timeout Seconds each fetch may take (null for feed.fetch_timeout)
+     * @return array|null The first feed found: ['url', 'content', 'parsed'], or null if none
      */
-    private static function tryCommonPaths(string $baseUrl): array
+    private static function tryCommonPaths(string $baseUrl, ?int $timeout = null): ?array
+    {
+        foreach (self::commonFeedUrls($baseUrl) as $feedUrl) {
+            $feed = self::loadFeed($feedUrl, $timeout);
+            if ($feed !== null) {
+                return ['url' => $feedUrl] + $feed;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * List the common feed URLs to try for a page, in order.
+     *
+     * A URL that already ends with a feed-like path is tried as is;
+     * otherwise common feed paths (/feed, /rss, /atom.xml, etc.) are tried
+     * under the page's path. Then the same paths at the root level, and
+     * finally query parameter variations like ?feed=rss.
+     *
+     * @param string $baseUrl The base URL to try feed paths against
+     * @return array List of URLs
+     */
+    private static function commonFeedUrls(string $baseUrl): array
     {
-        $feeds = [];
         $parsed = parse_url($baseUrl);
+        if (empty($parsed['scheme']) || empty($parsed['host'])) {
+            return [];
+        }
+
         $base = $parsed['scheme'] . '://' . $parsed['host'];
         if (isset($parsed['port'])) {
             $base .= ':' . $parsed['port'];
@@ -144,7 +327,7 @@ class FeedDiscovery
         $path = rtrim($parsed['path'] ?? '', '/');
 
         // Check if URL already ends with a feed-like path
-        $feedSuffixes = ['/feed', '/feed/', '/rss', '/rss/', '/atom', '/atom.xml', '/feed.xml', '/rss.xml'];
+        $feedSuffixes = ['/feed', '/rss', '/atom', '/atom.xml', '/feed.xml', '/rss.xml'];
         $isFeedPath = false;
         foreach ($feedSuffixes as $suffix) {
             if (str_ends_with($path, $suffix)) {
@@ -154,18 +337,6 @@ class FeedDiscovery
             }
         }
 
-        // If it already looks like a feed path, try it first
-        if ($isFeedPath) {
-            $feedUrl = $base . $path;
-            if (self::verifyFeed($feedUrl)) {
-                return [[
-                    'url' => $feedUrl,
-                    'type' => 'discovered',
-                    'title' => '',
-                ]];
-            }
-        }
-
         // Common feed paths to try
         $commonPaths = [
             '/feed',
@@ -181,142 +352,58 @@ class FeedDiscovery
             '/feed.atom',
         ];
 
-        // If path already ends with a feed suffix, don't append more
-        if (! $isFeedPath) {
+        $urls = [];
+        if ($isFeedPath) {
+            // If it already looks like a feed path, try it first and don't append more
+            $urls[] = $base . $path;
+        } elseif ($path !== '') {
             // Try with current path (if path exists and isn't root)
-            if ($path && $path !== '/') {
-                foreach ($commonPaths as $feedPath) {
-                    $feedUrl = $base . $path . $feedPath;
-                    // Try to verify it's actually a feed
-                    if (self::verifyFeed($feedUrl)) {
-                        $feeds[] = [
-                            'url' => $feedUrl,
-                            'type' => 'discovered',
-                            'title' => '',
-                        ];
-
-                        // Return first working feed
-                        return $feeds;
-                    }
-                }
+            foreach ($commonPaths as $feedPath) {
+                $urls[] = $base . $path . $feedPath;
             }
         }
 
         // Also try at root level
         foreach ($commonPaths as $feedPath) {
-            $feedUrl = $base . $feedPath;
-            if (self::verifyFeed($feedUrl)) {
-                $feeds[] = [
-                    'url' => $feedUrl,
-                    'type' => 'discovered',
-                    'title' => '',
-                ];
-
-                return $feeds;
-            }
+            $urls[] = $base . $feedPath;
         }
 
-        // Try query parameters (only if no feeds found yet)
-        // @phpstan-ignore-next-line - $feeds can be populated earlier in the function
-        if (empty($feeds) && isset($parsed['path'])) {
-            $queryPaths = [
-                '/?feed=rss',
-                '/?feed=rss2',
-                '/?feed=atom',
-            ];
-            foreach ($queryPaths as $queryPath) {
-                $feedUrl = $base . $parsed['path'] . $queryPath;
-                if (self::verifyFeed($feedUrl)) {
-                    $feeds[] = [
-                        'url' => $feedUrl,
-                        'type' => 'discovered',
-                        'title' => '',
-                    ];
-
-                    break;
-                }
+        // Try query parameters
+        if (isset($parsed['path'])) {
+            foreach (['/?feed=rss', '/?feed=rss2', '/?feed=atom'] as $queryPath) {
+                $urls[] = $base . $path . $queryPath;
             }
         }
 
-        return $feeds;
+        return array_values(array_unique($urls));
     }
 
     /**
-     * Verify if a URL points to a valid feed.
+     * Load a URL and parse it as a feed.
      *
-     * Fetches the content and attempts to parse it as a feed. Performs
-     * basic validation (content length check) before attempting parsing.
+     * Performs basic validation (content length check) before attempting
+     * parsing. Failures are logged for debugging but not exposed to the user.
      *
-     * @param string $url The URL to verify
-     * @return bool True if the URL points to a valid feed, false otherwise
+     * @param string $url The URL to load
+     * @param int|null $timeout Seconds the fetch may take (null for feed.fetch_timeout)
+     * @return array|null ['content' (raw feed), 'parsed' (FeedParser::parse() result)], or null if the URL is not a valid feed
      */
-    private static function verifyFeed(string $url): bool
+    private static function loadFeed(string $url, ?int $timeout = null): ?array
     {
         try {
-            $content = FeedFetcher::fetch($url);
+            $content = FeedFetcher::fetch($url, null, $timeout);
 
             // Quick check: if content is very small or empty, probably not a feed
             if (strlen(trim($content)) < 100) {
-                return false;
+                return null;
             }
 
             // Try to parse it as a feed
-            FeedParser::parse($url, $content);
-
-            return true;
+            return ['content' => $content, 'parsed' => FeedParser::parse($url, $content)];
         } catch (\Exception $e) {
-            // Log for debugging but don't expose to user
-            \PhpRss\Logger::debug("Feed verification failed for $url", ['url' => $url, 'error' => $e->getMessage()]);
+            Logger::debug("Feed verification failed for $url", ['url' => $url, 'error' => $e->getMessage()]);
 
-            return false;
-        }
-    }
-
-    /**
-     * Resolve a relative URL to an absolute URL.
-     *
-     * Handles both absolute paths (starting with /) and relative paths.
-     * Normalizes the resulting URL by removing /./ and resolving ../ sequences.
-     *
-     * @param string $baseUrl The base URL to resolve against
-     * @param string $relativeUrl The relative URL to resolve
-     * @return string|null The absolute URL, or null if the base URL is invalid
-     */
-    private static function resolveUrl(string $baseUrl, string $relativeUrl): ?string
-    {
-        // If already absolute, return as is
-        if (filter_var($relativeUrl, FILTER_VALIDATE_URL)) {
-            return $relativeUrl;
-        }
-
-        // Parse base URL
-        $base = parse_url($baseUrl);
-        if (! $base) {
             return null;
         }
-
-        // If relative URL starts with /, it's absolute path
-        if (strpos($relativeUrl, '/') === 0) {
-            return $base['scheme'] . '://' . $base['host']
-                . (isset($base['port']) ? ':' . $base['port'] : '')
-                . $relativeUrl;
-        }
-
-        // Relative path - combine with base path
-        $basePath = isset($base['path']) ? dirname($base['path']) : '/';
-        if ($basePath === '.') {
-            $basePath = '/';
-        }
-        $basePath = rtrim($basePath, '/') . '/';
-
-        $resolved = $base['scheme'] . '://' . $base['host']
-            . (isset($base['port']) ? ':' . $base['port'] : '')
-            . $basePath . $relativeUrl;
-
-        // Normalize the path
-        $resolved = str_replace(['/./', '//'], '/', $resolved);
-        $resolved = preg_replace('#/[^/]+/\.\./#', '/', $resolved);
-
-        return $resolved;
     }
 }
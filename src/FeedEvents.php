@@ -0,0 +1,118 @@
+<?php
+
+namespace PhpRss;
+
+use PDO;
+
+/**
+ * Feed update events for live dashboard updates.
+ *
+ * The worker records an event each time it finishes fetching a feed, with
+ * the number of new items. The /api/events stream sends a user's events to
+ * their open dashboards as Server-Sent Events, along with the feed's current
+ * item and unread counts. Events are kept for RETENTION_SECONDS, so a
+ * dashboard that lost its connection can catch up when it reconnects.
+ */
+class FeedEvents
+{
+    /**
+     * How long events are kept (seconds).
+     */
+    private const RETENTION_SECONDS = 3600;
+
+    /**
+     * Maximum number of events returned by since().
+     */
+    private const MAX_EVENTS = 100;
+
+    /**
+     * Get the ID of a feed's newest item (0 if it has none).
+     *
+     * Taken before a fetch, so recordFetch() can count the items it added.
+     *
+     * @param int $feedId The feed ID
+     * @return int Item ID
+     */
+    public static function lastItemId(int $feedId): int
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COALESCE(MAX(id), 0) FROM feed_items WHERE feed_id = ?");
+        $stmt->execute([$feedId]);
+
+        return (int)$stmt->fetchColumn();
+    }
+
+    /**
+     * Record that a feed was fetched, and drop expired events.
+     *
+     * @param int $userId The feed owner's user ID
+     * @param int $feedId The feed ID
+     * @param int $lastItemId The feed's newest item ID before the fetch (see lastItemId())
+     * @return int The event ID
+     */
+    public static function recordFetch(int $userId, int $feedId, int $lastItemId): int
+    {
+        $db = Database::getConnection();
+
+        // Items hidden by filter rules aren't listed, so they aren't announced either
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ? AND id > ? AND hidden = 0");
+        $stmt->execute([$feedId, $lastItemId]);
+        $newItems = (int)$stmt->fetchColumn();
+
+        $stmt = $db->prepare("INSERT INTO feed_events (user_id, feed_id, new_items) VALUES (?, ?, ?)");
+        $stmt->execute([$userId, $feedId, $newItems]);
+        $eventId = (int)$db->lastInsertId();
+
+        $stmt = $db->prepare("DELETE FROM feed_events WHERE created_at < ?");
+        $stmt->execute([gmdate('Y-m-d H:i:s', time() - self::RETENTION_SECONDS)]);
+
+        return $eventId;
+    }
+
+    /**
+     * Get the ID of a user's latest event (0 if there is none).
+     *
+     * A new stream starts after it, so it only sends events from then on.
+     *
+     * @param int $userId The user ID
+     * @return int Event ID
+     */
+    public static function latestId(int $userId): int
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COALESCE(MAX(id), 0) FROM feed_events WHERE user_id = ?");
+        $stmt->execute([$userId]);
+
+        return (int)$stmt->fetchColumn();
+    }
+
+    /**
+     * Get a user's events recorded after a given event, oldest first.
+     *
+     * Each event carries its feed's current item and unread counts.
+     *
+     * @param int $userId The user ID
+     * @param int $afterId Only events with a higher ID are returned
+     * @return array Events ('id', 'feed_id', 'new_items', 'item_count', 'unread_count')
+     */
+    public static function since(int $userId, int $afterId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT e.id, e.feed_id, e.new_items,
+                   COUNT(fi.id) as item_count,
+                   COUNT(CASE WHEN fi.id IS NOT NULL AND ri.id IS NULL THEN 1 END) as unread_count
+            FROM feed_events e
+            JOIN feeds f ON f.id = e.feed_id AND f.user_id = e.user_id
+            LEFT JOIN feed_items fi ON fi.feed_id = f.id AND fi.hidden = 0
+            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = e.user_id
+            WHERE e.user_id = ? AND e.id > ?
+            GROUP BY e.id, e.feed_id, e.new_items
+            ORDER BY e.id ASC
+            LIMIT " . self::MAX_EVENTS . "
+        ");
+        $stmt->execute([$userId, $afterId]);
+
+        return array_map(fn ($event) => array_map('intval', $event), $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+}
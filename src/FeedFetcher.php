@@ -109,13 +109,19 @@ class FeedFetcher
      *
      * Uses cURL to download feed content with appropriate headers and settings.
      * Handles redirects, SSL verification, and timeouts. Validates URL to prevent
-     * SSRF attacks. Throws exceptions on connection errors or non-200 HTTP responses.
+     * SSRF attacks. Throws exceptions on connection errors or non-200 HTTP responses
+     * (with the HTTP status as the exception code).
+     *
+     * A download larger than $maxBytes is stopped as soon as it passes the
+     * limit, rather than after the whole body has arrived.
      *
      * @param string $url The feed URL to fetch
+     * @param int|null $maxBytes Largest response body accepted (null for no limit)
+     * @param int|null $timeout Seconds the whole request may take (null for feed.fetch_timeout)
      * @return string The raw feed content (XML for RSS/Atom, JSON for JSON Feed)
-     * @throws \Exception If the fetch fails or returns a non-200 HTTP status
+     * @throws \Exception If the fetch fails, returns a non-200 HTTP status or is too large
      */
-    public static function fetch(string $url): string
+    public static function fetch(string $url, ?int $maxBytes = null, ?int $timeout = null): string
     {
         // Validate URL to prevent SSRF
         self::validateUrl($url);
@@ -127,7 +133,7 @@ class FeedFetcher
             CURLOPT_RETURNTRANSFER => true,
             CURLOPT_FOLLOWLOCATION => true,
             CURLOPT_MAXREDIRS => $config['max_redirects'] ?? 10,
-            CURLOPT_TIMEOUT => $config['fetch_timeout'] ?? 30,
+            CURLOPT_TIMEOUT => $timeout ?? $config['fetch_timeout'] ?? 30,
             CURLOPT_CONNECTTIMEOUT => $config['fetch_connect_timeout'] ?? 10,
             CURLOPT_USERAGENT => 'Mozilla/5.0 (compatible; ' . ($config['user_agent'] ?? Version::getVersionString()) . ')',
             CURLOPT_SSL_VERIFYPEER => true,
@@ -136,18 +142,37 @@ class FeedFetcher
             ],
         ]);
 
+        $tooLarge = false;
+        if ($maxBytes !== null) {
+            // Content-Length may be missing or wrong, so also count the bytes as they arrive
+            curl_setopt_array($ch, [
+                CURLOPT_MAXFILESIZE => $maxBytes,
+                CURLOPT_NOPROGRESS => false,
+                CURLOPT_XFERINFOFUNCTION => function ($ch, int $downloadTotal, int $downloaded) use ($maxBytes, &$tooLarge): int {
+                    $tooLarge = $downloaded > $maxBytes;
+
+                    return $tooLarge ? 1 : 0;
+                },
+            ]);
+        }
+
         $content = curl_exec($ch);
         $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
         $finalUrl = curl_getinfo($ch, CURLINFO_EFFECTIVE_URL);
         $error = curl_error($ch);
+        $tooLarge = $tooLarge || curl_errno($ch) === CURLE_FILESIZE_EXCEEDED;
         curl_close($ch);
 
+        if ($tooLarge) {
+            throw new \Exception("Response is larger than {$maxBytes} bytes");
+        }
+
         if ($content === false || ! empty($error)) {
             throw new \Exception("Failed to fetch feed: $error");
         }
 
         if ($httpCode !== 200) {
-            throw new \Exception("HTTP error: $httpCode");
+            throw new \Exception("HTTP error: $httpCode", $httpCode);
         }
 
         return $content;
@@ -156,10 +181,9 @@ class FeedFetcher
     /**
      * Update a feed by fetching the latest content and storing new items.
      *
-     * Fetches the feed content, parses it, updates the feed metadata (title,
-     * description, last_fetched timestamp), and inserts any new feed items
-     * into the database. Uses database-specific conflict handling (ON CONFLICT
-     * for PostgreSQL, INSERT OR IGNORE for SQLite).
+     * Fetches and parses the feed content, then stores it with storeFeed()
+     * and queues a lookup of the site's icon if it isn't cached (see FeedIcon).
+     * Failures are recorded on the feed (see FeedHealth).
      *
      * @param int $feedId The ID of the feed to update
      * @return bool True if update was successful, false if feed not found or update failed
@@ -177,39 +201,107 @@ class FeedFetcher
             return false;
         }
 
+        $httpStatus = null;
         try {
             $content = self::fetch($feed['url']);
+            $httpStatus = 200;
             $parsed = FeedParser::parse($feed['url'], $content);
 
-            // Update feed metadata
-            $stmt = $db->prepare("UPDATE feeds SET title = ?, description = ?, last_fetched = CURRENT_TIMESTAMP WHERE id = ?");
-            $stmt->execute([$parsed['title'], $parsed['description'], $feedId]);
-
-            // Insert or update feed items
-            $dbType = Database::getDbType();
-            $insertSql = $dbType === 'pgsql'
-                ? "INSERT INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid) VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (feed_id, guid) DO NOTHING"
-                : "INSERT OR IGNORE INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid) VALUES (?, ?, ?, ?, ?, ?, ?, ?)";
-
-            foreach ($parsed['items'] as $item) {
-                $stmt = $db->prepare($insertSql);
-                $stmt->execute([
-                    $feedId,
-                    $item['title'],
-                    $item['link'],
-                    $item['content'],
-                    $item['summary'],
-                    $item['author'],
-                    $item['published_at'],
-                    $item['guid'],
-                ]);
-            }
+            self::storeFeed($feedId, $parsed);
+            FeedIcon::queueRefresh($feedId, self::siteUrl($parsed, $feed['url']));
 
             return true;
         } catch (\Exception $e) {
             Logger::exception($e, ['feed_id' => $feedId, 'context' => 'feed_update']);
+            // fetch() throws HTTP errors with the status as the exception code
+            if ($httpStatus === null && is_int($e->getCode()) && $e->getCode() > 0) {
+                $httpStatus = $e->getCode();
+            }
+            FeedHealth::recordFailure($feedId, $e->getMessage(), $httpStatus);
 
             return false;
         }
     }
+
+    /**
+     * Get the website of a parsed feed (its link), falling back to the feed URL.
+     *
+     * @param array $parsed Feed data returned by FeedParser::parse()
+     * @param string $feedUrl The feed URL
+     * @return string Absolute http(s) URL
+     */
+    public static function siteUrl(array $parsed, string $feedUrl): string
+    {
+        $link = trim((string)($parsed['link'] ?? ''));
+
+        return preg_match('#^https?://#i', $link) ? $link : $feedUrl;
+    }
+
+    /**
+     * Store parsed feed content.
+     *
+     * Updates the feed metadata (title unless the feed has a custom title,
+     * description, last_fetched timestamp) and inserts any new feed items into
+     * the database. Uses database-specific conflict handling (ON CONFLICT
+     * for PostgreSQL, INSERT OR IGNORE for SQLite). New items are added to
+     * the search index, their enclosures are stored (see ItemMedia) and the
+     * user's filter rules are run on them; existing items get enclosures and
+     * a thumbnail if they were stored without. The fetch
+     * is recorded as successful (see FeedHealth).
+     *
+     * @param int $feedId The feed ID
+     * @param array $parsed Feed data returned by FeedParser::parse()
+     * @return void
+     */
+    public static function storeFeed(int $feedId, array $parsed): void
+    {
+        $db = Database::getConnection();
+
+        // Update feed metadata
+        $stmt = $db->prepare("UPDATE feeds SET title = COALESCE(custom_title, ?), description = ?, last_fetched = CURRENT_TIMESTAMP WHERE id = ?");
+        $stmt->execute([$parsed['title'], $parsed['description'], $feedId]);
+
+        // Insert or update feed items
+        $dbType = Database::getDbType();
+        $insertSql = $dbType === 'pgsql'
+            ? "INSERT INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid, thumbnail_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (feed_id, guid) DO NOTHING"
+            : "INSERT OR IGNORE INTO feed_items (feed_id, title, link, content, summary, author, published_at, guid, thumbnail_url) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)";
+
+        $thumbnailStmt = $db->prepare("UPDATE feed_items SET thumbnail_url = ? WHERE feed_id = ? AND guid = ? AND thumbnail_url IS NULL");
+
+        $newItems = [];
+        foreach ($parsed['items'] as $item) {
+            $stmt = $db->prepare($insertSql);
+            $stmt->execute([
+                $feedId,
+                $item['title'],
+                $item['link'],
+                $item['content'],
+                $item['summary'],
+                $item['author'],
+                $item['published_at'],
+                $item['guid'],
+                $item['thumbnail_url'] ?? null,
+            ]);
+
+            // Index new items for search (existing items are skipped by the insert)
+            if ($stmt->rowCount() > 0) {
+                $item['id'] = (int) $db->lastInsertId();
+                SearchIndex::indexItem($item['id'], $item);
+                ItemMedia::storeEnclosures($item['id'], $item['enclosures'] ?? []);
+                $newItems[] = $item;
+            } else {
+                // Items stored before enclosures and thumbnails were parsed get them now
+                ItemMedia::backfillEnclosures($feedId, $item['guid'], $item['enclosures'] ?? []);
+                if (! empty($item['thumbnail_url'])) {
+                    $thumbnailStmt->execute([$item['thumbnail_url'], $feedId, $item['guid']]);
+                }
+            }
+        }
+
+        // Run the user's filter rules on the new items
+        FilterRules::applyToNewItems($feedId, $newItems);
+
+        FeedHealth::recordSuccess($feedId);
+    }
 }
@@ -0,0 +1,151 @@
+<?php
+
+namespace PhpRss;
+
+/**
+ * Feed health tracking.
+ *
+ * Every fetch of a feed records its outcome on the feed: the last successful
+ * fetch, the last error message and HTTP status, the number of consecutive
+ * failures, and the average number of items published per week. A feed is
+ * "failing" while its latest fetches fail, and "stale" when it hasn't been
+ * fetched successfully for feed.stale_after_days days (paused feeds are
+ * never stale).
+ */
+class FeedHealth
+{
+    public const STATUS_OK = 'ok';
+    public const STATUS_FAILING = 'failing';
+    public const STATUS_STALE = 'stale';
+
+    /**
+     * Number of weeks of items averaged for items_per_week.
+     */
+    private const ACTIVITY_WEEKS = 8;
+
+    /**
+     * Maximum length of a stored error message (characters).
+     */
+    private const MAX_ERROR_LENGTH = 500;
+
+    /**
+     * Record a successful fetch of a feed.
+     *
+     * Clears the last error and failure count, and recalculates the average
+     * number of items per week from the feed's items.
+     *
+     * @param int $feedId The feed ID
+     * @return void
+     */
+    public static function recordSuccess(int $feedId): void
+    {
+        $db = Database::getConnection();
+
+        $since = gmdate('Y-m-d H:i:s', strtotime('-' . self::ACTIVITY_WEEKS . ' weeks'));
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ? AND " . Database::itemSortDateExpression('') . " >= ?");
+        $stmt->execute([$feedId, $since]);
+        $itemsPerWeek = round((int)$stmt->fetchColumn() / self::ACTIVITY_WEEKS, 1);
+
+        $stmt = $db->prepare("
+            UPDATE feeds
+            SET last_success_at = CURRENT_TIMESTAMP, last_error = NULL, last_http_status = 200,
+                failure_count = 0, items_per_week = ?
+            WHERE id = ?
+        ");
+        $stmt->execute([$itemsPerWeek, $feedId]);
+    }
+
+    /**
+     * Record a failed fetch of a feed.
+     *
+     * The feed's last_fetched time is updated too, so the scheduler retries
+     * it at its normal interval rather than on every run.
+     *
+     * @param int $feedId The feed ID
+     * @param string $error Error message
+     * @param int|null $httpStatus HTTP status of the response (null if there was none)
+     * @return void
+     */
+    public static function recordFailure(int $feedId, string $error, ?int $httpStatus): void
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            UPDATE feeds
+            SET last_fetched = CURRENT_TIMESTAMP, last_error = ?, last_http_status = ?,
+                failure_count = COALESCE(failure_count, 0) + 1
+            WHERE id = ?
+        ");
+        $stmt->execute([mb_substr($error, 0, self::MAX_ERROR_LENGTH), $httpStatus, $feedId]);
+    }
+
+    /**
+     * Get a feed's health status.
+     *
+     * @param array $feed Feed row with failure_count, last_error, last_success_at, last_fetched and paused
+     * @param int|null $now Current Unix time (defaults to time())
+     * @return array ['health' => STATUS_*, 'health_message' => user-facing description or null]
+     */
+    public static function status(array $feed, ?int $now = null): array
+    {
+        $now = $now ?? time();
+        $failureCount = (int)($feed['failure_count'] ?? 0);
+
+        if ($failureCount > 0) {
+            $error = $feed['last_error'] ?? 'Unknown error';
+            $message = $failureCount === 1
+                ? "Last update failed: {$error}"
+                : "Last {$failureCount} updates failed: {$error}";
+
+            return ['health' => self::STATUS_FAILING, 'health_message' => $message];
+        }
+
+        if (empty($feed['paused'])) {
+            $staleAfterDays = (int)Config::get('feed.stale_after_days', 7);
+            // Feeds last fetched before health tracking have no last_success_at
+            $lastSuccessAt = $feed['last_success_at'] ?? $feed['last_fetched'] ?? null;
+            $lastSuccess = ! empty($lastSuccessAt)
+                ? (new \DateTime($lastSuccessAt, new \DateTimeZone('UTC')))->getTimestamp()
+                : null;
+
+            if ($lastSuccess === null) {
+                return ['health' => self::STATUS_STALE, 'health_message' => 'Never updated successfully'];
+            }
+
+            $days = (int)floor(($now - $lastSuccess) / 86400);
+            if ($days >= $staleAfterDays) {
+                return ['health' => self::STATUS_STALE, 'health_message' => "Not updated in {$days} days"];
+            }
+        }
+
+        return ['health' => self::STATUS_OK, 'health_message' => null];
+    }
+
+    /**
+     * Get a user's failing and stale feeds.
+     *
+     * @param int $userId The user ID
+     * @return array Feeds (id, title, url, paused, health fields) with 'health' and 'health_message', failing feeds first
+     */
+    public static function getUnhealthyFeeds(int $userId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT id, title, url, paused, last_fetched, last_success_at, last_error,
+                   last_http_status, failure_count, items_per_week
+            FROM feeds
+            WHERE user_id = ?
+            ORDER BY COALESCE(failure_count, 0) DESC, title ASC
+        ");
+        $stmt->execute([$userId]);
+
+        $feeds = [];
+        foreach ($stmt->fetchAll() as $feed) {
+            $feed = array_merge($feed, self::status($feed));
+            if ($feed['health'] !== self::STATUS_OK) {
+                $feeds[] = $feed;
+            }
+        }
+
+        return $feeds;
+    }
+}
@@ -0,0 +1,185 @@
+<?php
+
+namespace PhpRss;
+
+use PhpRss\Queue\JobQueue;
+
+/**
+ * Feed site icons (favicons).
+ *
+ * When a feed is added or refreshed, the icon of its website is looked up
+ * (see FeedDiscovery::findIconUrl()), downloaded and kept in the Cache. With
+ * background jobs enabled the lookup runs as a `refresh_icon` job, so adding,
+ * editing or refreshing a feed doesn't wait for the site. The
+ * dashboard loads icons from /feeds/:id/icon, so browsers never contact the
+ * feed's site. Lookups are repeated once the cached result expires; a site
+ * without a usable icon is not asked again until then either.
+ *
+ * Only PNG, GIF, JPEG, ICO and WebP images are kept: SVG can carry scripts,
+ * and icons are served from the app's own origin.
+ */
+class FeedIcon
+{
+    /**
+     * How long an icon lookup (found or not) is cached (seconds).
+     */
+    private const CACHE_TTL = 604800;
+
+    /**
+     * Largest icon kept (bytes).
+     */
+    private const MAX_BYTES = 102400;
+
+    /**
+     * Largest web page searched for icon links (bytes).
+     */
+    private const MAX_PAGE_BYTES = 1048576;
+
+    /**
+     * Seconds each request of a lookup may take.
+     */
+    private const FETCH_TIMEOUT = 10;
+
+    /**
+     * Leading bytes of the accepted image types.
+     */
+    private const IMAGE_SIGNATURES = [
+        'image/png' => "\x89PNG\r\n\x1a\n",
+        'image/gif' => 'GIF8',
+        'image/jpeg' => "\xFF\xD8\xFF",
+        'image/x-icon' => "\x00\x00\x01\x00",
+    ];
+
+    /**
+     * Look up a feed's icon in the background, unless a recent lookup is cached.
+     *
+     * Queues a `refresh_icon` job when background jobs are enabled; without
+     * a worker to run it, the lookup runs right away.
+     *
+     * @param int $feedId The feed ID
+     * @param string $siteUrl The feed's website (its link), or the feed URL if it has none
+     * @return void
+     */
+    public static function queueRefresh(int $feedId, string $siteUrl): void
+    {
+        if (! Config::get('cache.enabled', true) || Cache::has("feed_icon_lookup:{$feedId}")) {
+            return;
+        }
+
+        if (Config::get('jobs.enabled', false)) {
+            JobQueue::push(JobQueue::TYPE_REFRESH_ICON, ['feed_id' => $feedId, 'site_url' => $siteUrl]);
+
+            return;
+        }
+
+        self::refresh($feedId, $siteUrl);
+    }
+
+    /**
+     * Look up and cache a feed's icon, unless a recent lookup is cached.
+     *
+     * Failures are logged and otherwise ignored: a missing icon never fails
+     * the feed update.
+     *
+     * @param int $feedId The feed ID
+     * @param string $siteUrl The feed's website (its link), or the feed URL if it has none
+     * @return void
+     */
+    public static function refresh(int $feedId, string $siteUrl): void
+    {
+        // Icons are only kept in the cache
+        if (! Config::get('cache.enabled', true) || Cache::has("feed_icon_lookup:{$feedId}")) {
+            return;
+        }
+
+        $icon = null;
+        try {
+            try {
+                $html = FeedFetcher::fetch($siteUrl, self::MAX_PAGE_BYTES, self::FETCH_TIMEOUT);
+            } catch (\Exception $e) {
+                // The site's /favicon.ico may still work
+                $html = '';
+            }
+
+            $iconUrl = FeedDiscovery::findIconUrl($siteUrl, $html);
+            if ($iconUrl !== null) {
+                $data = FeedFetcher::fetch($iconUrl, self::MAX_BYTES, self::FETCH_TIMEOUT);
+                $type = self::detectImageType($data);
+                if ($type !== null) {
+                    $icon = ['type' => $type, 'data' => base64_encode($data)];
+                }
+            }
+        } catch (\Exception $e) {
+            Logger::debug("Feed icon lookup failed for feed {$feedId}", ['url' => $siteUrl, 'error' => $e->getMessage()]);
+        }
+
+        if ($icon !== null) {
+            Cache::set("feed_icon:{$feedId}", $icon, self::CACHE_TTL);
+        } else {
+            Cache::delete("feed_icon:{$feedId}");
+        }
+        Cache::set("feed_icon_lookup:{$feedId}", $icon !== null, self::CACHE_TTL);
+    }
+
+    /**
+     * Check whether a feed has a cached icon.
+     *
+     * @param int $feedId The feed ID
+     * @return bool True if the last lookup found an icon
+     */
+    public static function has(int $feedId): bool
+    {
+        return Cache::get("feed_icon_lookup:{$feedId}") === true;
+    }
+
+    /**
+     * Get a feed's cached icon.
+     *
+     * @param int $feedId The feed ID
+     * @return array|null ['type' => MIME type, 'data' => image bytes], or null if there is none
+     */
+    public static function get(int $feedId): ?array
+    {
+        $icon = Cache::get("feed_icon:{$feedId}");
+        if (! is_array($icon) || ! isset($icon['type'], $icon['data'])) {
+            return null;
+        }
+
+        $data = base64_decode($icon['data'], true);
+
+        return $data !== false ? ['type' => $icon['type'], 'data' => $data] : null;
+    }
+
+    /**
+     * Drop a feed's cached icon (e.g. when its URL changes), so the next refresh looks it up again.
+     *
+     * @param int $feedId The feed ID
+     * @return void
+     */
+    public static function forget(int $feedId): void
+    {
+        Cache::delete("feed_icon:{$feedId}");
+        Cache::delete("feed_icon_lookup:{$feedId}");
+    }
+
+    /**
+     * Detect the type of an image from its leading bytes.
+     *
+     * @param string $data Image bytes
+     * @return string|null MIME type, or null if it isn't an accepted image type
+     */
+    public static function detectImageType(string $data): ?string
+    {
+        foreach (self::IMAGE_SIGNATURES as $type => $signature) {
+            if (str_starts_with($data, $signature)) {
+                return $type;
+            }
+        }
+
+        if (substr($data, 0, 4) === 'RIFF' && substr($data, 8, 4) === 'WEBP') {
+            return 'image/webp';
+        }
+
+        return null;
+    }
+}
@@ -12,6 +12,40 @@ use PhpRss\Utils\HtmlSanitizer;
  */
 class FeedParser
 {
+    /**
+     * Media RSS namespace (media:content, media:group).
+     */
+    private const MEDIA_RSS_NS = 'http://search.yahoo.com/mrss/';
+
+    /**
+     * iTunes podcast namespace (itunes:duration).
+     */
+    private const ITUNES_NS = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+
+    /**
+     * Most enclosures kept per item.
+     */
+    private const MAX_ENCLOSURES = 5;
+
+    /**
+     * MIME types of media file extensions, for enclosures that don't give a usable type.
+     */
+    private const MEDIA_EXTENSIONS = [
+        'mp3' => 'audio/mpeg',
+        'm4a' => 'audio/mp4',
+        'aac' => 'audio/aac',
+        'ogg' => 'audio/ogg',
+        'oga' => 'audio/ogg',
+        'opus' => 'audio/ogg',
+        'wav' => 'audio/wav',
+        'flac' => 'audio/flac',
+        'mp4' => 'video/mp4',
+        'm4v' => 'video/mp4',
+        'mov' => 'video/quicktime',
+        'webm' => 'video/webm',
+        'ogv' => 'video/ogg',
+    ];
+
     /**
      * Parse feed content into a standardized format.
      *
@@ -181,6 +215,8 @@ class FeedParser
                         'author' => HtmlSanitizer::sanitizeText((string)($item->author ?? '')),
                         'published_at' => self::parseDate((string)($item->pubDate ?? '')),
                         'guid' => (string)($item->guid ?? $item->link ?? uniqid()),
+                        'enclosures' => [],
+                        'thumbnail_url' => null,
                     ];
                 } catch (\Exception $e2) {
                     // Skip this item if even basic parsing fails
@@ -202,7 +238,7 @@ class FeedParser
      * @param \SimpleXMLElement $item The RSS item XML element
      * @param string|null $contentNsUri The content namespace URI (for content:encoded)
      * @param string|null $dcNsUri The Dublin Core namespace URI (for dc:creator)
-     * @return array Parsed item with 'title', 'link', 'content', 'summary', 'author', 'published_at', 'guid'
+     * @return array Parsed item with 'title', 'link', 'content', 'summary', 'author', 'published_at', 'guid', 'enclosures', 'thumbnail_url'
      */
     private static function parseRSSItem($item, ?string $contentNsUri, ?string $dcNsUri): array
     {
@@ -269,17 +305,252 @@ class FeedParser
             $author = (string)($item->author ?? '');
         }
 
+        $content = HtmlSanitizer::sanitize($contentEncoded);
+        $link = (string)($item->link ?? '');
+
         return [
             'title' => HtmlSanitizer::sanitizeText((string)($item->title ?? 'Untitled')),
-            'link' => (string)($item->link ?? ''),
-            'content' => HtmlSanitizer::sanitize($contentEncoded),
+            'link' => $link,
+            'content' => $content,
             'summary' => HtmlSanitizer::sanitize((string)($item->description ?? '')),
             'author' => HtmlSanitizer::sanitizeText($author),
             'published_at' => self::parseDate((string)($item->pubDate ?? '')),
             'guid' => (string)($item->guid ?? $item->link ?? uniqid()),
+            'enclosures' => self::parseItemEnclosures($item),
+            'thumbnail_url' => self::parseItemThumbnail($item, $content, $link),
         ];
     }
 
+    /**
+     * Get the audio and video enclosures of an RSS item (or Atom entry).
+     *
+     * Reads <enclosure> elements and Media RSS media:content elements (also
+     * inside media:group). The item's itunes:duration applies to enclosures
+     * that don't give their own duration.
+     *
+     * @param \SimpleXMLElement $item The item XML element
+     * @param array $enclosures Enclosures already found in the item (e.g. Atom enclosure links)
+     * @return array Enclosures (see normalizeEnclosures())
+     */
+    private static function parseItemEnclosures($item, array $enclosures = []): array
+    {
+        foreach ($item->enclosure as $enclosure) {
+            $enclosures[] = [
+                'url' => (string)$enclosure['url'],
+                'type' => (string)$enclosure['type'],
+                'length' => (int)$enclosure['length'],
+                'duration' => null,
+            ];
+        }
+
+        $media = $item->children(self::MEDIA_RSS_NS);
+        $mediaContents = [];
+        foreach ($media->content as $content) {
+            $mediaContents[] = $content;
+        }
+        foreach ($media->group as $group) {
+            foreach ($group->children(self::MEDIA_RSS_NS)->content as $content) {
+                $mediaContents[] = $content;
+            }
+        }
+        foreach ($mediaContents as $content) {
+            $enclosures[] = [
+                'url' => (string)$content['url'],
+                'type' => (string)$content['type'] ?: (string)$content['medium'],
+                'length' => (int)$content['fileSize'],
+                'duration' => isset($content['duration']) ? (int)$content['duration'] : null,
+            ];
+        }
+
+        $itunes = $item->children(self::ITUNES_NS);
+        $duration = isset($itunes->duration) ? self::parseDuration((string)$itunes->duration) : null;
+
+        return self::normalizeEnclosures($enclosures, $duration);
+    }
+
+    /**
+     * Keep the playable enclosures of an item.
+     *
+     * Only http(s) audio and video files are kept, each URL once. A missing or
+     * generic type (e.g. "audio" from a media:content medium) is taken from
+     * the file extension.
+     *
+     * @param array $enclosures Enclosures with 'url', 'type', 'length' and 'duration' keys
+     * @param int|null $defaultDuration Duration for enclosures without one (seconds)
+     * @return array Enclosures ('url', 'type', 'length' in bytes or null, 'duration' in seconds or null)
+     */
+    private static function normalizeEnclosures(array $enclosures, ?int $defaultDuration = null): array
+    {
+        $normalized = [];
+
+        foreach ($enclosures as $enclosure) {
+            $url = trim($enclosure['url']);
+            $scheme = strtolower((string)parse_url($url, PHP_URL_SCHEME));
+            if (($scheme !== 'http' && $scheme !== 'https') || isset($normalized[$url])) {
+                continue;
+            }
+
+            $type = strtolower(trim(explode(';', $enclosure['type'])[0]));
+            if (! preg_match('#^(audio|video)/[a-z0-9.+-]+$#', $type)) {
+                $extension = strtolower(pathinfo((string)parse_url($url, PHP_URL_PATH), PATHINFO_EXTENSION));
+                $type = self::MEDIA_EXTENSIONS[$extension] ?? null;
+            }
+            if ($type === null) {
+                continue;
+            }
+
+            $duration = $enclosure['duration'] ?? $defaultDuration;
+            $normalized[$url] = [
+                'url' => $url,
+                'type' => $type,
+                'length' => $enclosure['length'] > 0 ? (int)$enclosure['length'] : null,
+                'duration' => $duration > 0 ? (int)$duration : null,
+            ];
+
+            if (count($normalized) >= self::MAX_ENCLOSURES) {
+                break;
+            }
+        }
+
+        return array_values($normalized);
+    }
+
+    /**
+     * Parse an itunes:duration value into seconds.
+     *
+     * Accepts plain seconds as well as "MM:SS" and "HH:MM:SS".
+     *
+     * @param string $duration The duration value
+     * @return int|null Seconds, or null if the value isn't a duration
+     */
+    public static function parseDuration(string $duration): ?int
+    {
+        $duration = trim($duration);
+        if (! preg_match('/^\d+(:\d{1,2}){0,2}(\.\d+)?$/', $duration)) {
+            return null;
+        }
+
+        $seconds = 0;
+        foreach (explode(':', $duration) as $part) {
+            $seconds = $seconds * 60 + (int)$part;
+        }
+
+        return $seconds > 0 ? $seconds : null;
+    }
+
+    /**
+     * Get the thumbnail image of an RSS item (or Atom entry).
+     *
+     * Uses the first of: a Media RSS media:thumbnail (on the item, in a
+     * media:group or on a media:content), an image enclosure or image
+     * media:content, or the first image in the item's content.
+     *
+     * @param \SimpleXMLElement $item The item XML element
+     * @param string $content The item's sanitized content HTML
+     * @param string $baseUrl The item's link, which relative image URLs are resolved against
+     * @param array $enclosures Enclosures already found in the item (e.g. Atom enclosure links)
+     * @return string|null Image URL, or null if the item has no image
+     */
+    private static function parseItemThumbnail($item, string $content, string $baseUrl, array $enclosures = []): ?string
+    {
+        $media = $item->children(self::MEDIA_RSS_NS);
+        $candidates = [];
+
+        $thumbnailParents = [$media];
+        foreach ($media->group as $group) {
+            $thumbnailParents[] = $group->children(self::MEDIA_RSS_NS);
+        }
+        foreach ($media->content as $mediaContent) {
+            $thumbnailParents[] = $mediaContent->children(self::MEDIA_RSS_NS);
+        }
+        foreach ($thumbnailParents as $parent) {
+            foreach ($parent->thumbnail as $thumbnail) {
+                $candidates[] = (string)$thumbnail['url'];
+            }
+        }
+
+        foreach ($item->enclosure as $enclosure) {
+            $enclosures[] = ['url' => (string)$enclosure['url'], 'type' => (string)$enclosure['type']];
+        }
+        foreach ($media->content as $mediaContent) {
+            $type = (string)$mediaContent['medium'] === 'image' ? 'image/*' : (string)$mediaContent['type'];
+            $enclosures[] = ['url' => (string)$mediaContent['url'], 'type' => $type];
+        }
+        foreach ($enclosures as $enclosure) {
+            if (str_starts_with(strtolower($enclosure['type']), 'image/')) {
+                $candidates[] = $enclosure['url'];
+            }
+        }
+
+        foreach ($candidates as $candidate) {
+            $url = self::normalizeImageUrl($candidate, $baseUrl);
+            if ($url !== null) {
+                return $url;
+            }
+        }
+
+        return self::findContentImage($content, $baseUrl);
+    }
+
+    /**
+     * Find the first image in an item's content.
+     *
+     * Images declared 1 pixel wide or high (tracking pixels) are skipped.
+     *
+     * @param string $html Sanitized content HTML
+     * @param string $baseUrl The item's link, which relative image URLs are resolved against
+     * @return string|null Image URL, or null if the content has no usable image
+     */
+    private static function findContentImage(string $html, string $baseUrl): ?string
+    {
+        if (! preg_match_all('/<img\b[^>]*>/i', $html, $matches)) {
+            return null;
+        }
+
+        foreach ($matches[0] as $tag) {
+            if (preg_match('/\b(?:width|height)\s*=\s*["\']?[01]["\'\s>\/]/i', $tag)) {
+                continue;
+            }
+            if (preg_match('/\ssrc\s*=\s*(["\'])(.*?)\1/i', $tag, $src)) {
+                $url = self::normalizeImageUrl(html_entity_decode($src[2], ENT_QUOTES | ENT_HTML5, 'UTF-8'), $baseUrl);
+                if ($url !== null) {
+                    return $url;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check an image URL for use as a thumbnail.
+     *
+     * Relative URLs are resolved against the item's link. The page's CSP only
+     * allows https: images (see SecurityHeaders), so http:// URLs are upgraded
+     * to https://; a host without https then fails to load and the list hides
+     * the broken thumbnail.
+     *
+     * @param string $url Image URL
+     * @param string $baseUrl The item's link
+     * @return string|null The https URL, or null if the URL isn't an http(s) image URL
+     */
+    private static function normalizeImageUrl(string $url, string $baseUrl): ?string
+    {
+        $url = Utils::resolveUrl($baseUrl, trim($url));
+        if ($url === null) {
+            return null;
+        }
+
+        $scheme = strtolower((string)parse_url($url, PHP_URL_SCHEME));
+        if ($scheme === 'http') {
+            $url = 'https' . substr($url, 4);
+        } elseif ($scheme !== 'https') {
+            return null;
+        }
+
+        return filter_var($url, FILTER_VALIDATE_URL) ? $url : null;
+    }
+
     /**
      * Parse an Atom feed into a standardized format.
      *
@@ -313,14 +584,30 @@ class FeedParser
                 $link = (string)$entry->link['href'];
             }
 
+            $enclosures = [];
+            foreach ($entry->link as $entryLink) {
+                if ((string)$entryLink['rel'] === 'enclosure') {
+                    $enclosures[] = [
+                        'url' => (string)$entryLink['href'],
+                        'type' => (string)$entryLink['type'],
+                        'length' => (int)$entryLink['length'],
+                        'duration' => null,
+                    ];
+                }
+            }
+
+            $entryContent = HtmlSanitizer::sanitize((string)($entry->content ?? $entry->summary ?? ''));
+
             $feed['items'][] = [
                 'title' => HtmlSanitizer::sanitizeText((string)($entry->title ?? 'Untitled')),
                 'link' => $link,
-                'content' => HtmlSanitizer::sanitize((string)($entry->content ?? $entry->summary ?? '')),
+                'content' => $entryContent,
                 'summary' => HtmlSanitizer::sanitize((string)($entry->summary ?? '')),
                 'author' => HtmlSanitizer::sanitizeText((string)($entry->author->name ?? '')),
                 'published_at' => self::parseDate((string)($entry->published ?? $entry->updated ?? '')),
                 'guid' => (string)($entry->id ?? ($link ?: uniqid())),
+                'enclosures' => self::parseItemEnclosures($entry, $enclosures),
+                'thumbnail_url' => self::parseItemThumbnail($entry, $entryContent, $link, $enclosures),
             ];
         }
 
@@ -355,14 +642,44 @@ class FeedParser
         ];
 
         foreach ($json['items'] ?? [] as $item) {
+            $attachments = [];
+            foreach ($item['attachments'] ?? [] as $attachment) {
+                if (is_array($attachment) && is_string($attachment['url'] ?? null)) {
+                    $attachments[] = [
+                        'url' => $attachment['url'],
+                        'type' => (string)($attachment['mime_type'] ?? ''),
+                        'length' => (int)($attachment['size_in_bytes'] ?? 0),
+                        'duration' => isset($attachment['duration_in_seconds']) ? (int)$attachment['duration_in_seconds'] : null,
+                    ];
+                }
+            }
+
+            $itemContent = HtmlSanitizer::sanitize($item['content_html'] ?? $item['content_text'] ?? '');
+            $itemUrl = is_string($item['url'] ?? null) ? $item['url'] : '';
+
+            // The item's image, an image attachment, or the first image in its content
+            $thumbnail = null;
+            $images = array_merge(
+                [$item['image'] ?? null, $item['banner_image'] ?? null],
+                array_column(array_filter($attachments, fn ($attachment) => str_starts_with(strtolower($attachment['type']), 'image/')), 'url')
+            );
+            foreach ($images as $image) {
+                $thumbnail = is_string($image) ? self::normalizeImageUrl($image, $itemUrl) : null;
+                if ($thumbnail !== null) {
+                    break;
+                }
+            }
+
             $feed['items'][] = [
                 'title' => HtmlSanitizer::sanitizeText($item['title'] ?? 'Untitled'),
                 'link' => $item['url'] ?? '',
-                'content' => HtmlSanitizer::sanitize($item['content_html'] ?? $item['content_text'] ?? ''),
+                'content' => $itemContent,
                 'summary' => HtmlSanitizer::sanitize($item['summary'] ?? ''),
                 'author' => HtmlSanitizer::sanitizeText($item['author']['name'] ?? ''),
                 'published_at' => self::parseDate($item['date_published'] ?? ''),
                 'guid' => $item['id'] ?? $item['url'] ?? uniqid(),
+                'enclosures' => self::normalizeEnclosures($attachments),
+                'thumbnail_url' => $thumbnail ?? self::findContentImage($itemContent, $itemUrl),
             ];
         }
 
@@ -0,0 +1,422 @@
+<?php
+
+namespace PhpRss;
+
+use PDO;
+use PhpRss\Services\FolderService;
+
+/**
+ * User-defined filter rules that act on feed items.
+ *
+ * A rule matches items whose title, content, author or link (or any of
+ * them) contains a keyword or matches a regular expression, and applies an
+ * action: mark as read, star, hide, or tag. A rule applies to one feed
+ * (feed_id), the feeds of one folder and its subfolders (folder_id), or all
+ * of the user's feeds (neither set).
+ *
+ * Rules run on new items as they are stored (FeedFetcher, FeedController),
+ * and can be run on existing items with run(). preview() counts the existing
+ * items a rule would change.
+ */
+class FilterRules
+{
+    /**
+     * Item fields a rule can match on ('any' is all of them).
+     */
+    public const FIELDS = ['title', 'content', 'author', 'link', 'any'];
+
+    /**
+     * How a rule's pattern is matched.
+     */
+    public const MATCH_TYPES = ['keyword', 'regex'];
+
+    /**
+     * Actions a rule can apply to matching items.
+     */
+    public const ACTIONS = ['mark_read', 'star', 'hide', 'tag'];
+
+    /**
+     * Maximum pattern length (characters).
+     */
+    private const MAX_PATTERN_LENGTH = 500;
+
+    /**
+     * Maximum tag length (characters).
+     */
+    public const MAX_TAG_LENGTH = 50;
+
+    /**
+     * Number of existing items matched per query when previewing or running a rule.
+     */
+    private const BATCH_SIZE = 500;
+
+    /**
+     * Validate rule input and return the rule's normalized fields.
+     *
+     * Tags are lowercased; 'tag' is null unless the action is 'tag'.
+     *
+     * @param array $input Rule fields: field, match_type, pattern, action, tag
+     * @return array Rule: ['field', 'match_type', 'pattern', 'action', 'tag']
+     * @throws \InvalidArgumentException If a field is missing or invalid (message is user-facing)
+     */
+    public static function normalize(array $input): array
+    {
+        $field = $input['field'] ?? '';
+        if (! in_array($field, self::FIELDS, true)) {
+            throw new \InvalidArgumentException('Unknown field (use title, content, author, link or any)');
+        }
+
+        $matchType = $input['match_type'] ?? '';
+        if (! in_array($matchType, self::MATCH_TYPES, true)) {
+            throw new \InvalidArgumentException('Unknown match type (use keyword or regex)');
+        }
+
+        $pattern = trim((string)($input['pattern'] ?? ''));
+        if ($pattern === '') {
+            throw new \InvalidArgumentException('Pattern is required');
+        }
+        if (mb_strlen($pattern) > self::MAX_PATTERN_LENGTH) {
+            throw new \InvalidArgumentException('Pattern is too long (maximum ' . self::MAX_PATTERN_LENGTH . ' characters)');
+        }
+        if ($matchType === 'regex' && @preg_match(self::regex($pattern), '') === false) {
+            throw new \InvalidArgumentException('Invalid regular expression');
+        }
+
+        $action = $input['action'] ?? '';
+        if (! in_array($action, self::ACTIONS, true)) {
+            throw new \InvalidArgumentException('Unknown action (use mark_read, star, hide or tag)');
+        }
+
+        $tag = null;
+        if ($action === 'tag') {
+            $tag = self::normalizeTag((string)($input['tag'] ?? ''));
+            if ($tag === '') {
+                throw new \InvalidArgumentException('Tag is required');
+            }
+            if (mb_strlen($tag) > self::MAX_TAG_LENGTH) {
+                throw new \InvalidArgumentException('Tag is too long (maximum ' . self::MAX_TAG_LENGTH . ' characters)');
+            }
+        }
+
+        return [
+            'field' => $field,
+            'match_type' => $matchType,
+            'pattern' => $pattern,
+            'action' => $action,
+            'tag' => $tag,
+        ];
+    }
+
+    /**
+     * Normalize a tag for storage and lookup.
+     *
+     * Tags are compared case-insensitively: rules, bulk tagging and tag:
+     * searches all go through this, so "Later" and "later" are one tag.
+     *
+     * @param string $tag Tag as entered
+     * @return string Trimmed, lowercase tag
+     */
+    public static function normalizeTag(string $tag): string
+    {
+        return mb_strtolower(trim($tag));
+    }
+
+    /**
+     * Check whether an item matches a rule's pattern.
+     *
+     * Keywords match case-insensitively anywhere in the field; regular
+     * expressions are case-insensitive too. HTML is stripped from content.
+     *
+     * @param array $rule Rule with field, match_type and pattern
+     * @param array $item Item columns: title, content, summary, author, link
+     * @return bool True if the item matches
+     */
+    public static function matches(array $rule, array $item): bool
+    {
+        $text = self::fieldText($rule['field'], $item);
+
+        if ($rule['match_type'] === 'regex') {
+            return @preg_match(self::regex($rule['pattern']), $text) === 1;
+        }
+
+        return mb_stripos($text, $rule['pattern']) !== false;
+    }
+
+    /**
+     * Apply the rules of a feed's owner to items just stored for the feed.
+     *
+     * @param int $feedId The feed ID
+     * @param array $items New items, each with 'id' and the columns used by matches()
+     * @return void
+     */
+    public static function applyToNewItems(int $feedId, array $items): void
+    {
+        if (empty($items)) {
+            return;
+        }
+
+        foreach (self::forFeed($feedId) as $rule) {
+            $itemIds = [];
+            foreach ($items as $item) {
+                if (self::matches($rule, $item)) {
+                    $itemIds[] = (int)$item['id'];
+                }
+            }
+            self::applyAction($rule, (int)$rule['user_id'], $itemIds);
+        }
+    }
+
+    /**
+     * Count the existing items a rule would change.
+     *
+     * Matching items the action has already been applied to (e.g. read items
+     * for a mark-as-read rule) are not counted.
+     *
+     * @param array $rule Rule with feed_id, folder_id and the fields from normalize()
+     * @param int $userId The rule owner's user ID
+     * @return int Number of items
+     */
+    public static function preview(array $rule, int $userId): int
+    {
+        return count(self::affectedItemIds($rule, $userId));
+    }
+
+    /**
+     * Apply a rule to the existing items in its scope.
+     *
+     * @param array $rule Rule with feed_id, folder_id and the fields from normalize()
+     * @param int $userId The rule owner's user ID
+     * @return int Number of items changed
+     */
+    public static function run(array $rule, int $userId): int
+    {
+        $itemIds = self::affectedItemIds($rule, $userId);
+        self::applyAction($rule, $userId, $itemIds);
+
+        return count($itemIds);
+    }
+
+    /**
+     * Get the tags of items.
+     *
+     * @param array $itemIds Feed item IDs
+     * @return array Map of item ID to a sorted list of tags (items without tags are left out)
+     */
+    public static function tagsForItems(array $itemIds): array
+    {
+        if (empty($itemIds)) {
+            return [];
+        }
+
+        $db = Database::getConnection();
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
+        $stmt = $db->prepare("SELECT feed_item_id, tag FROM item_tags WHERE feed_item_id IN ({$placeholders}) ORDER BY tag");
+        $stmt->execute(array_map('intval', array_values($itemIds)));
+
+        $tags = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $tags[(int)$row['feed_item_id']][] = $row['tag'];
+        }
+
+        return $tags;
+    }
+
+    /**
+     * Add each item's tags to a list of items, as a 'tags' array.
+     *
+     * @param array $items Items with an 'id' column
+     * @return array The items with 'tags' set
+     */
+    public static function withTags(array $items): array
+    {
+        $tags = self::tagsForItems(array_column($items, 'id'));
+
+        return array_map(function ($item) use ($tags) {
+            $item['tags'] = $tags[(int)$item['id']] ?? [];
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Get the rules that apply to a feed's items.
+     *
+     * @param int $feedId The feed ID
+     * @return array Rules of the feed's owner for the feed, its folder or a folder it is nested in, or all feeds
+     */
+    private static function forFeed(int $feedId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT folder_id FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $folderId = $stmt->fetchColumn();
+        $folderIds = $folderId ? FolderService::getPathIds((int)$folderId) : [];
+        $folderScope = $folderIds
+            ? ' OR fr.folder_id IN (' . implode(',', array_fill(0, count($folderIds), '?')) . ')'
+            : '';
+
+        $stmt = $db->prepare("
+            SELECT fr.*
+            FROM filter_rules fr
+            JOIN feeds f ON f.user_id = fr.user_id
+            WHERE f.id = ?
+            AND (fr.feed_id = f.id OR (fr.feed_id IS NULL AND fr.folder_id IS NULL){$folderScope})
+            ORDER BY fr.id
+        ");
+        $stmt->execute([$feedId, ...$folderIds]);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Find the existing items in a rule's scope that it matches and would change.
+     *
+     * @param array $rule Rule with feed_id, folder_id and the fields from normalize()
+     * @param int $userId The rule owner's user ID
+     * @return array Item IDs
+     */
+    private static function affectedItemIds(array $rule, int $userId): array
+    {
+        $db = Database::getConnection();
+
+        $scope = '1 = 1';
+        $scopeParams = [];
+        if (! empty($rule['feed_id'])) {
+            $scope = 'f.id = ?';
+            $scopeParams[] = (int)$rule['feed_id'];
+        } elseif (! empty($rule['folder_id'])) {
+            [$scope, $scopeParams] = FolderService::subtreeCondition((int)$rule['folder_id']);
+        }
+
+        $stmt = $db->prepare("
+            SELECT fi.id, fi.title, fi.content, fi.summary, fi.author, fi.link, fi.hidden,
+                   CASE WHEN ri.id IS NOT NULL THEN 1 ELSE 0 END as is_read,
+                   CASE WHEN si.id IS NOT NULL THEN 1 ELSE 0 END as is_starred
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = f.user_id
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = f.user_id
+            WHERE f.user_id = ? AND {$scope} AND fi.id > ?
+            ORDER BY fi.id
+            LIMIT " . self::BATCH_SIZE
+        );
+
+        $itemIds = [];
+        $lastId = 0;
+        do {
+            $stmt->execute(array_merge([$userId], $scopeParams, [$lastId]));
+            $items = $stmt->fetchAll(PDO::FETCH_ASSOC);
+            if (empty($items)) {
+                break;
+            }
+            $lastId = (int)end($items)['id'];
+
+            $tags = $rule['action'] === 'tag' ? self::tagsForItems(array_column($items, 'id')) : [];
+            foreach ($items as $item) {
+                $applied = match ($rule['action']) {
+                    'mark_read' => (bool)$item['is_read'],
+                    'star' => (bool)$item['is_starred'],
+                    'hide' => (bool)$item['hidden'],
+                    'tag' => in_array($rule['tag'], $tags[(int)$item['id']] ?? [], true),
+                };
+                if (! $applied && self::matches($rule, $item)) {
+                    $itemIds[] = (int)$item['id'];
+                }
+            }
+        } while (count($items) === self::BATCH_SIZE);
+
+        return $itemIds;
+    }
+
+    /**
+     * Apply a rule's action to items.
+     *
+     * @param array $rule Rule with action and tag
+     * @param int $userId The rule owner's user ID
+     * @param array $itemIds Item IDs
+     * @return void
+     */
+    private static function applyAction(array $rule, int $userId, array $itemIds): void
+    {
+        if (empty($itemIds)) {
+            return;
+        }
+
+        $db = Database::getConnection();
+        $pgsql = Database::getDbType() === 'pgsql';
+
+        switch ($rule['action']) {
+            case 'mark_read':
+                $sql = $pgsql
+                    ? "INSERT INTO read_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+                    : "INSERT OR IGNORE INTO read_items (user_id, feed_item_id) VALUES (?, ?)";
+                $params = fn ($itemId) => [$userId, $itemId];
+
+                break;
+            case 'star':
+                $sql = $pgsql
+                    ? "INSERT INTO starred_items (user_id, feed_item_id) VALUES (?, ?) ON CONFLICT (user_id, feed_item_id) DO NOTHING"
+                    : "INSERT OR IGNORE INTO starred_items (user_id, feed_item_id) VALUES (?, ?)";
+                $params = fn ($itemId) => [$userId, $itemId];
+
+                break;
+            case 'hide':
+                $sql = "UPDATE feed_items SET hidden = 1 WHERE id = ?";
+                $params = fn ($itemId) => [$itemId];
+
+                break;
+            default:
+                $sql = $pgsql
+                    ? "INSERT INTO item_tags (feed_item_id, tag) VALUES (?, ?) ON CONFLICT (feed_item_id, tag) DO NOTHING"
+                    : "INSERT OR IGNORE INTO item_tags (feed_item_id, tag) VALUES (?, ?)";
+                $params = fn ($itemId) => [$itemId, $rule['tag']];
+        }
+
+        $stmt = $db->prepare($sql);
+        $db->beginTransaction();
+        try {
+            foreach ($itemIds as $itemId) {
+                $stmt->execute($params($itemId));
+            }
+            $db->commit();
+        } catch (\Exception $e) {
+            $db->rollBack();
+
+            throw $e;
+        }
+    }
+
+    /**
+     * Get the text of an item field as plain text.
+     *
+     * @param string $field One of FIELDS
+     * @param array $item Item columns
+     * @return string Field text
+     */
+    private static function fieldText(string $field, array $item): string
+    {
+        $plain = fn ($html) => html_entity_decode(strip_tags((string)$html), ENT_QUOTES | ENT_HTML5, 'UTF-8');
+
+        $texts = [
+            'title' => $plain($item['title'] ?? ''),
+            'content' => $plain($item['content'] ?? '') . "\n" . $plain($item['summary'] ?? ''),
+            'author' => (string)($item['author'] ?? ''),
+            'link' => (string)($item['link'] ?? ''),
+        ];
+
+        return $field === 'any' ? implode("\n", $texts) : $texts[$field];
+    }
+
+    /**
+     * Build the PCRE pattern for a rule's regular expression.
+     *
+     * Uses a control character as delimiter so slashes in the pattern need no escaping.
+     *
+     * @param string $pattern The user's regular expression
+     * @return string PCRE pattern (case-insensitive, UTF-8)
+     */
+    private static function regex(string $pattern): string
+    {
+        return "\x01" . $pattern . "\x01iu";
+    }
+}
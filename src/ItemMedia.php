@@ -0,0 +1,166 @@
+<?php
+
+namespace PhpRss;
+
+use PDO;
+
+/**
+ * Audio and video attached to feed items (podcast episodes and the like).
+ *
+ * FeedParser reads each item's enclosures (RSS <enclosure>, Media RSS
+ * media:content, Atom enclosure links and JSON Feed attachments); they are
+ * stored here when the item is added. The reader plays them with an HTML5
+ * player, and each user's playback position is kept per item so an episode
+ * resumes where it was left off on any device.
+ */
+class ItemMedia
+{
+    /**
+     * Store the enclosures of a newly added item.
+     *
+     * @param int $itemId The feed item ID
+     * @param array $enclosures Parsed enclosures ('url', 'type', 'length', 'duration')
+     * @return void
+     */
+    public static function storeEnclosures(int $itemId, array $enclosures): void
+    {
+        if (empty($enclosures)) {
+            return;
+        }
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("INSERT INTO item_enclosures (feed_item_id, url, type, length, duration) VALUES (?, ?, ?, ?, ?)");
+        foreach ($enclosures as $enclosure) {
+            $stmt->execute([
+                $itemId,
+                $enclosure['url'],
+                $enclosure['type'],
+                $enclosure['length'],
+                $enclosure['duration'],
+            ]);
+        }
+    }
+
+    /**
+     * Store the enclosures of an item that was already stored without any.
+     *
+     * Items fetched before enclosures were parsed get them on the feed's next
+     * refresh; items that have enclosures are left alone.
+     *
+     * @param int $feedId The feed ID
+     * @param string $guid The item's GUID
+     * @param array $enclosures Parsed enclosures ('url', 'type', 'length', 'duration')
+     * @return void
+     */
+    public static function backfillEnclosures(int $feedId, string $guid, array $enclosures): void
+    {
+        if (empty($enclosures)) {
+            return;
+        }
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT fi.id FROM feed_items fi
+            WHERE fi.feed_id = ? AND fi.guid = ?
+            AND NOT EXISTS (SELECT 1 FROM item_enclosures e WHERE e.feed_item_id = fi.id)
+        ");
+        $stmt->execute([$feedId, $guid]);
+        $itemId = $stmt->fetchColumn();
+
+        if ($itemId !== false) {
+            self::storeEnclosures((int)$itemId, $enclosures);
+        }
+    }
+
+    /**
+     * Get an item's enclosures, in feed order.
+     *
+     * @param int $itemId The feed item ID
+     * @return array Enclosures ('url', 'type', 'length' in bytes or null, 'duration' in seconds or null)
+     */
+    public static function enclosuresForItem(int $itemId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT url, type, length, duration FROM item_enclosures WHERE feed_item_id = ? ORDER BY id");
+        $stmt->execute([$itemId]);
+
+        return array_map(fn ($enclosure) => [
+            'url' => $enclosure['url'],
+            'type' => $enclosure['type'],
+            'length' => $enclosure['length'] !== null ? (int)$enclosure['length'] : null,
+            'duration' => $enclosure['duration'] !== null ? (int)$enclosure['duration'] : null,
+        ], $stmt->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    /**
+     * Flag the items of a list that have audio or video, as 'has_media'.
+     *
+     * @param array $items Items with an 'id' column
+     * @return array The items with 'has_media' set
+     */
+    public static function withMediaFlags(array $items): array
+    {
+        $itemIds = array_map('intval', array_column($items, 'id'));
+        if (empty($itemIds)) {
+            return $items;
+        }
+
+        $db = Database::getConnection();
+        $placeholders = implode(',', array_fill(0, count($itemIds), '?'));
+        $stmt = $db->prepare("SELECT DISTINCT feed_item_id FROM item_enclosures WHERE feed_item_id IN ({$placeholders})");
+        $stmt->execute($itemIds);
+        $withMedia = array_flip(array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN)));
+
+        return array_map(function ($item) use ($withMedia) {
+            $item['has_media'] = isset($withMedia[(int)$item['id']]);
+
+            return $item;
+        }, $items);
+    }
+
+    /**
+     * Get a user's playback position in an item's media.
+     *
+     * @param int $userId The user ID
+     * @param int $itemId The feed item ID
+     * @return float|null Position in seconds, or null if playback hasn't started (or finished)
+     */
+    public static function getPosition(int $userId, int $itemId): ?float
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT position FROM playback_positions WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$userId, $itemId]);
+        $position = $stmt->fetchColumn();
+
+        return $position !== false ? (float)$position : null;
+    }
+
+    /**
+     * Save a user's playback position in an item's media.
+     *
+     * A position of 0 (e.g. when playback finished) forgets the saved position.
+     *
+     * @param int $userId The user ID
+     * @param int $itemId The feed item ID
+     * @param float $position Position in seconds
+     * @return void
+     */
+    public static function savePosition(int $userId, int $itemId, float $position): void
+    {
+        $db = Database::getConnection();
+
+        if ($position <= 0) {
+            $stmt = $db->prepare("DELETE FROM playback_positions WHERE user_id = ? AND feed_item_id = ?");
+            $stmt->execute([$userId, $itemId]);
+
+            return;
+        }
+
+        $stmt = $db->prepare("
+            INSERT INTO playback_positions (user_id, feed_item_id, position, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id, feed_item_id) DO UPDATE SET position = EXCLUDED.position, updated_at = EXCLUDED.updated_at
+        ");
+        $stmt->execute([$userId, $itemId, $position]);
+    }
+}
@@ -28,9 +28,21 @@ class JobQueue
      */
     public const TYPE_FETCH_FEED = 'fetch_feed';
     public const TYPE_CLEANUP_ITEMS = 'cleanup_items';
+    public const TYPE_REFRESH_ICON = 'refresh_icon';
 
     /**
-     * Initialize the jobs table if it doesn't exist.
+     * How long a batch with unfinished jobs is reused by findActiveBatch() (seconds).
+     *
+     * Older batches are left alone, so a batch whose jobs were never picked
+     * up (e.g. no worker running) doesn't block new ones.
+     */
+    private const BATCH_REUSE_SECONDS = 900;
+
+    /**
+     * Initialize the jobs and job_batches tables if they don't exist.
+     *
+     * A batch groups jobs queued together for a user (e.g. "refresh all"),
+     * so their progress can be reported (see getStats()).
      *
      * @return void
      */
@@ -49,12 +61,21 @@ class JobQueue
                     attempts INT NOT NULL DEFAULT 0,
                     max_attempts INT NOT NULL DEFAULT 3,
                     error_message TEXT,
+                    batch_id INT,
                     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
                     started_at TIMESTAMP,
                     completed_at TIMESTAMP
                 )
             ");
 
+            $db->exec("
+                CREATE TABLE IF NOT EXISTS job_batches (
+                    id SERIAL PRIMARY KEY,
+                    user_id INT NOT NULL,
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            ");
+
             // Create index for pending jobs
             try {
                 $db->exec("CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)");
@@ -73,12 +94,21 @@ class JobQueue
                     attempts INT NOT NULL DEFAULT 0,
                     max_attempts INT NOT NULL DEFAULT 3,
                     error_message TEXT,
+                    batch_id INT,
                     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
                     started_at TIMESTAMP,
                     completed_at TIMESTAMP
                 )
             ");
 
+            $db->exec("
+                CREATE TABLE IF NOT EXISTS job_batches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            ");
+
             // Create indexes
             try {
                 $db->exec("CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)");
@@ -94,35 +124,102 @@ class JobQueue
      *
      * @param string $type Job type (e.g., 'fetch_feed', 'cleanup_items')
      * @param array $payload Job data (will be JSON encoded)
+     * @param int|null $batchId Batch the job belongs to (see createBatch())
      * @return int Job ID
      */
-    public static function push(string $type, array $payload): int
+    public static function push(string $type, array $payload, ?int $batchId = null): int
     {
         $db = Database::getConnection();
 
         $stmt = $db->prepare("
-            INSERT INTO jobs (type, payload, status)
-            VALUES (?, ?, ?)
+            INSERT INTO jobs (type, payload, status, batch_id)
+            VALUES (?, ?, ?, ?)
         ");
 
         $stmt->execute([
             $type,
             json_encode($payload),
             self::STATUS_PENDING,
+            $batchId,
         ]);
 
         return (int)$db->lastInsertId();
     }
 
+    /**
+     * Create a batch to group a user's jobs.
+     *
+     * @param int $userId User ID
+     * @return int Batch ID
+     */
+    public static function createBatch(int $userId): int
+    {
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("INSERT INTO job_batches (user_id) VALUES (?)");
+        $stmt->execute([$userId]);
+
+        return (int)$db->lastInsertId();
+    }
+
+    /**
+     * Check whether a batch belongs to a user.
+     *
+     * @param int $batchId Batch ID
+     * @param int $userId User ID
+     * @return bool True if the batch exists and belongs to the user
+     */
+    public static function batchBelongsToUser(int $batchId, int $userId): bool
+    {
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("SELECT 1 FROM job_batches WHERE id = ? AND user_id = ?");
+        $stmt->execute([$batchId, $userId]);
+
+        return $stmt->fetchColumn() !== false;
+    }
+
+    /**
+     * Find a user's most recent batch that still has pending or processing jobs.
+     *
+     * Only batches created in the last BATCH_REUSE_SECONDS are considered.
+     *
+     * @param int $userId User ID
+     * @return int|null Batch ID, or null if there is none
+     */
+    public static function findActiveBatch(int $userId): ?int
+    {
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("
+            SELECT b.id
+            FROM job_batches b
+            WHERE b.user_id = ? AND b.created_at >= ?
+            AND EXISTS (SELECT 1 FROM jobs j WHERE j.batch_id = b.id AND j.status IN (?, ?))
+            ORDER BY b.id DESC
+            LIMIT 1
+        ");
+        $stmt->execute([
+            $userId,
+            gmdate('Y-m-d H:i:s', time() - self::BATCH_REUSE_SECONDS),
+            self::STATUS_PENDING,
+            self::STATUS_PROCESSING,
+        ]);
+        $batchId = $stmt->fetchColumn();
+
+        return $batchId !== false ? (int)$batchId : null;
+    }
+
     /**
      * Get the next pending job from the queue.
      *
      * Marks the job as 'processing' and returns it. Uses database locking
      * to prevent multiple workers from processing the same job.
      *
+     * @param int|null $batchId Only take a job from this batch
      * @return array|null Job data or null if no pending jobs
      */
-    public static function pop(): ?array
+    public static function pop(?int $batchId = null): ?array
     {
         $db = Database::getConnection();
         $dbType = Database::getDbType();
@@ -131,12 +228,14 @@ class JobQueue
         $db->beginTransaction();
 
         try {
+            $batchCondition = $batchId !== null ? ' AND batch_id = ?' : '';
+
             // Get next pending job (oldest first)
             if ($dbType === 'pgsql') {
                 $stmt = $db->prepare("
                     SELECT id, type, payload, attempts, max_attempts
                     FROM jobs
-                    WHERE status = ?
+                    WHERE status = ?{$batchCondition}
                     ORDER BY created_at ASC
                     LIMIT 1
                     FOR UPDATE SKIP LOCKED
@@ -146,13 +245,13 @@ class JobQueue
                 $stmt = $db->prepare("
                     SELECT id, type, payload, attempts, max_attempts
                     FROM jobs
-                    WHERE status = ?
+                    WHERE status = ?{$batchCondition}
                     ORDER BY created_at ASC
                     LIMIT 1
                 ");
             }
 
-            $stmt->execute([self::STATUS_PENDING]);
+            $stmt->execute($batchId !== null ? [self::STATUS_PENDING, $batchId] : [self::STATUS_PENDING]);
             $job = $stmt->fetch(PDO::FETCH_ASSOC);
 
             if (! $job) {
@@ -286,19 +385,22 @@ class JobQueue
     /**
      * Get job statistics.
      *
+     * @param int|null $batchId Only count the jobs of this batch
      * @return array Statistics about jobs in the queue
      */
-    public static function getStats(): array
+    public static function getStats(?int $batchId = null): array
     {
         $db = Database::getConnection();
 
-        $stmt = $db->query("
+        $stmt = $db->prepare("
             SELECT 
                 status,
                 COUNT(*) as count
             FROM jobs
+            " . ($batchId !== null ? "WHERE batch_id = ?" : "") . "
             GROUP BY status
         ");
+        $stmt->execute($batchId !== null ? [$batchId] : []);
 
         $stats = [
             'pending' => 0,
@@ -317,7 +419,8 @@ class JobQueue
     /**
      * Clean up old completed and failed jobs.
      *
-     * Removes jobs older than the specified number of days.
+     * Removes jobs older than the specified number of days, and batches
+     * that have no jobs left.
      *
      * @param int $daysOld Number of days to keep jobs (default: 7)
      * @return int Number of jobs deleted
@@ -342,7 +445,10 @@ class JobQueue
         }
 
         $stmt->execute([self::STATUS_COMPLETED, self::STATUS_FAILED]);
+        $deleted = $stmt->rowCount();
+
+        $db->exec("DELETE FROM job_batches WHERE NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.batch_id = job_batches.id)");
 
-        return $stmt->rowCount();
+        return $deleted;
     }
 }
@@ -2,7 +2,9 @@
 
 namespace PhpRss\Queue;
 
+use PhpRss\FeedEvents;
 use PhpRss\FeedFetcher;
+use PhpRss\FeedIcon;
 use PhpRss\Logger;
 use PhpRss\Services\FeedService;
 
@@ -17,11 +19,12 @@ class Worker
     /**
      * Process a single job from the queue.
      *
+     * @param int|null $batchId Only process a job from this batch
      * @return bool True if a job was processed, false if queue is empty
      */
-    public static function processNext(): bool
+    public static function processNext(?int $batchId = null): bool
     {
-        $job = JobQueue::pop();
+        $job = JobQueue::pop($batchId);
 
         if (! $job) {
             return false;
@@ -106,6 +109,11 @@ class Worker
 
                 break;
 
+            case JobQueue::TYPE_REFRESH_ICON:
+                self::handleRefreshIcon($job['payload']);
+
+                break;
+
             default:
                 throw new \Exception("Unknown job type: {$job['type']}");
         }
@@ -114,6 +122,10 @@ class Worker
     /**
      * Handle a feed fetch job.
      *
+     * Jobs for feeds that were paused (or deleted) after the job was queued
+     * are completed without fetching. A successful fetch is recorded as a
+     * feed event, which the user's open dashboards receive (see FeedEvents).
+     *
      * @param array $payload Job payload containing 'feed_id'
      * @return void
      * @throws \Exception If feed fetch fails
@@ -125,23 +137,33 @@ class Worker
         }
 
         $feedId = (int)$payload['feed_id'];
+
+        // Get user_id from feed to invalidate user cache
+        $db = \PhpRss\Database::getConnection();
+        $stmt = $db->prepare("SELECT user_id, paused FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $feed = $stmt->fetch();
+        if (! $feed || ! empty($feed['paused'])) {
+            Logger::info("Skipping fetch of missing or paused feed", ['feed_id' => $feedId]);
+
+            return;
+        }
+
+        $lastItemId = FeedEvents::lastItemId($feedId);
         $success = FeedFetcher::updateFeed($feedId);
 
         if (! $success) {
+            // The failure was recorded on the feed: show it in the feeds list
+            FeedService::invalidateUserCache($feed['user_id']);
+
             throw new \Exception("Failed to update feed {$feedId}");
         }
 
         // Invalidate cache after successful update
         FeedService::invalidateFeedCache($feedId);
+        FeedService::invalidateUserCache($feed['user_id']);
 
-        // Get user_id from feed to invalidate user cache
-        $db = \PhpRss\Database::getConnection();
-        $stmt = $db->prepare("SELECT user_id FROM feeds WHERE id = ?");
-        $stmt->execute([$feedId]);
-        $feed = $stmt->fetch();
-        if ($feed) {
-            FeedService::invalidateUserCache($feed['user_id']);
-        }
+        FeedEvents::recordFetch((int)$feed['user_id'], $feedId, $lastItemId);
     }
 
     /**
@@ -159,4 +181,37 @@ class Worker
 
         \PhpRss\Services\FeedCleanupService::cleanupItems($feedId, $retentionDays, $retentionCount);
     }
+
+    /**
+     * Handle a feed icon lookup job.
+     *
+     * Jobs for feeds deleted after the job was queued are completed without
+     * a lookup. A failed lookup is cached like a site without an icon, so
+     * the job still completes (see FeedIcon::refresh()).
+     *
+     * @param array $payload Job payload containing 'feed_id' and 'site_url'
+     * @return void
+     * @throws \Exception If the payload is incomplete
+     */
+    private static function handleRefreshIcon(array $payload): void
+    {
+        if (! isset($payload['feed_id'], $payload['site_url'])) {
+            throw new \Exception("Missing feed_id or site_url in refresh_icon job payload");
+        }
+
+        $feedId = (int)$payload['feed_id'];
+
+        $db = \PhpRss\Database::getConnection();
+        $stmt = $db->prepare("SELECT user_id FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $userId = $stmt->fetchColumn();
+        if ($userId === false) {
+            return;
+        }
+
+        FeedIcon::refresh($feedId, (string)$payload['site_url']);
+
+        // The feeds list shows whether each feed has an icon
+        FeedService::invalidateUserCache((int)$userId);
+    }
 }
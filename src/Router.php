@@ -47,6 +47,15 @@ class Router
             }
         }
 
+        // Serve the service worker from the root so its scope covers the whole app
+        if ($path === '/sw.js') {
+            header('Content-Type: application/javascript');
+            header('Cache-Control: no-cache');
+            readfile(__DIR__ . '/../assets/js/sw.js');
+
+            return;
+        }
+
         // Serve static assets
         if (strpos($path, '/assets/') === 0) {
             $filePath = __DIR__ . '/..' . $path;
@@ -76,18 +85,42 @@ class Router
             'GET /' => 'AuthController@loginPage',
             'POST /login' => 'AuthController@login',
             'GET /logout' => 'AuthController@logout',
+            'GET /csrf-token' => 'AuthController@csrfToken',
             'GET /register' => 'AuthController@registerPage',
             'POST /register' => 'AuthController@register',
             'GET /dashboard' => 'DashboardController@index',
             'POST /feeds/add' => 'FeedController@add',
+            'POST /feeds/discover' => 'FeedController@discover',
             'GET /feeds/list' => 'FeedController@list',
+            'GET /feeds/health' => 'FeedController@getFeedHealth',
             'GET /feeds/:id/items' => 'FeedController@getItems',
             'GET /items/:id' => 'FeedController@getItem',
+            'POST /items/read' => 'FeedController@markItemsAsRead',
+            'POST /items/unread' => 'FeedController@markItemsAsUnread',
+            'POST /items/bulk' => 'FeedController@bulkUpdateItems',
+            'DELETE /items/read-batches/:id' => 'FeedController@undoReadBatch',
             'POST /items/:id/read' => 'FeedController@markAsRead',
             'POST /items/:id/unread' => 'FeedController@markAsUnread',
+            'GET /items/starred' => 'FeedController@getStarredItems',
+            'GET /items/unread' => 'FeedController@getUnreadItems',
+            'GET /items/today' => 'FeedController@getTodayItems',
+            'GET /items/recently-read' => 'FeedController@getRecentlyReadItems',
+            'POST /items/unread/mark-all-read' => 'FeedController@markAllUnreadAsRead',
+            'POST /items/today/mark-all-read' => 'FeedController@markTodayAsRead',
+            'POST /items/:id/full-article' => 'FeedController@loadFullArticle',
+            'POST /items/:id/star' => 'FeedController@starItem',
+            'POST /items/:id/unstar' => 'FeedController@unstarItem',
+            'POST /items/:id/playback' => 'FeedController@savePlaybackPosition',
+            'POST /feeds/refresh-all' => 'FeedController@refreshAll',
+            'GET /feeds/refresh-all/:id' => 'FeedController@getRefreshAllProgress',
+            'POST /feeds/refresh-all/:id/run' => 'FeedController@runRefreshAllJob',
             'POST /feeds/:id/fetch' => 'FeedController@fetch',
             'POST /feeds/:id/delete' => 'FeedController@delete',
             'POST /feeds/:id/mark-all-read' => 'FeedController@markAllAsRead',
+            'POST /feeds/:id/full-article' => 'FeedController@updateFullArticleSetting',
+            'GET /feeds/:id/icon' => 'FeedController@getFeedIcon',
+            'GET /feeds/:id/settings' => 'FeedController@getFeedSettings',
+            'PUT /feeds/:id/settings' => 'FeedController@updateFeedSettings',
             'POST /feeds/reorder' => 'FeedController@reorderFeeds',
             'GET /preferences' => 'FeedController@getPreferences',
             'POST /preferences' => 'FeedController@updatePreferences',
@@ -97,14 +130,30 @@ class Router
             'POST /preferences/toggle-theme' => 'FeedController@toggleTheme',
             'GET /folders' => 'FeedController@getFolders',
             'POST /folders' => 'FeedController@createFolder',
+            'POST /folders/reorder' => 'FeedController@reorderFolders',
             'PUT /folders/:id' => 'FeedController@updateFolder',
             'DELETE /folders/:id' => 'FeedController@deleteFolder',
+            'GET /folders/:id/items' => 'FeedController@getFolderItems',
+            'POST /folders/:id/mark-all-read' => 'FeedController@markFolderAsRead',
+            'GET /saved-searches' => 'FeedController@getSavedSearches',
+            'POST /saved-searches' => 'FeedController@createSavedSearch',
+            'PUT /saved-searches/:id' => 'FeedController@updateSavedSearch',
+            'DELETE /saved-searches/:id' => 'FeedController@deleteSavedSearch',
+            'POST /saved-searches/:id/mark-all-read' => 'FeedController@markSavedSearchAsRead',
+            'GET /filter-rules' => 'FeedController@getFilterRules',
+            'POST /filter-rules' => 'FeedController@createFilterRule',
+            'POST /filter-rules/preview' => 'FeedController@previewFilterRule',
+            'GET /filter-rules/:id/preview' => 'FeedController@previewSavedFilterRule',
+            'PUT /filter-rules/:id' => 'FeedController@updateFilterRule',
+            'DELETE /filter-rules/:id' => 'FeedController@deleteFilterRule',
+            'POST /filter-rules/:id/run' => 'FeedController@runFilterRule',
             'POST /feeds/folder' => 'FeedController@updateFeedFolder',
             'DELETE /feeds/:id' => 'FeedController@delete',
             'GET /api/feeds' => 'ApiController@getFeeds',
             'GET /api/feeds/:id/items' => 'ApiController@getFeedItems',
             'GET /api/items/:id' => 'ApiController@getItem',
             'GET /api/search' => 'ApiController@searchItems',
+            'GET /api/events' => 'ApiController@streamEvents',
             'POST /api/items/:id/read' => 'ApiController@markAsRead',
             'GET /opml/export' => 'FeedController@exportOpml',
             'POST /opml/import' => 'FeedController@importOpml',
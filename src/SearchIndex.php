@@ -0,0 +1,331 @@
+<?php
+
+namespace PhpRss;
+
+use PDO;
+
+/**
+ * Full-text search index for feed items.
+ *
+ * SQLite uses an FTS5 table (feed_items_fts, rowid = feed item ID) and
+ * PostgreSQL a tsvector table (feed_items_search) with a GIN index. Both index
+ * the title, the body (content, summary and full article as plain text) and
+ * the author, weighted in that order for ranking.
+ *
+ * Items are indexed when they are stored (FeedFetcher, FeedController) and
+ * removed with them (trigger on SQLite, foreign key on PostgreSQL).
+ *
+ * Search text is split into lowercase words of letters and digits; a phrase
+ * matches items containing its words in order, the last one as a prefix
+ * ("php tut" matches "PHP Tutorial").
+ */
+class SearchIndex
+{
+    /**
+     * Maximum length (characters) of the indexed body text per item.
+     */
+    private const BODY_MAX_LENGTH = 100000;
+
+    /**
+     * Number of items indexed per query when rebuilding the index.
+     */
+    private const REBUILD_BATCH_SIZE = 500;
+
+    /**
+     * Ranking weights of the title, body and author columns (SQLite bm25).
+     */
+    private const COLUMN_WEIGHTS = '5.0, 1.0, 2.0';
+
+    /**
+     * Create the search index if it doesn't exist, indexing existing items.
+     *
+     * Called from Database::setup().
+     *
+     * @param PDO $db Database connection
+     * @param string $dbType Database type: 'sqlite' or 'pgsql'
+     * @return void
+     */
+    public static function setup(PDO $db, string $dbType): void
+    {
+        if ($dbType === 'pgsql') {
+            $exists = (bool) $db->query("SELECT to_regclass('feed_items_search') IS NOT NULL")->fetchColumn();
+
+            $db->exec("CREATE TABLE IF NOT EXISTS feed_items_search (
+                feed_item_id INTEGER PRIMARY KEY,
+                search_vector TSVECTOR NOT NULL,
+                FOREIGN KEY (feed_item_id) REFERENCES feed_items(id) ON DELETE CASCADE
+            )");
+            $db->exec("CREATE INDEX IF NOT EXISTS idx_feed_items_search_vector ON feed_items_search USING GIN (search_vector)");
+        } else {
+            $stmt = $db->prepare("SELECT COUNT(*) FROM sqlite_master WHERE name = ?");
+            $stmt->execute(['feed_items_fts']);
+            $exists = (int) $stmt->fetchColumn() > 0;
+
+            $db->exec("CREATE VIRTUAL TABLE IF NOT EXISTS feed_items_fts USING fts5(
+                title, body, author,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )");
+            $db->exec("CREATE TRIGGER IF NOT EXISTS feed_items_fts_delete AFTER DELETE ON feed_items BEGIN
+                DELETE FROM feed_items_fts WHERE rowid = old.id;
+            END");
+        }
+
+        if (! $exists) {
+            self::rebuild();
+        }
+    }
+
+    /**
+     * Add an item to the search index, replacing its previous entry.
+     *
+     * @param int $itemId The feed item ID
+     * @param array $item Item columns: title, content, summary, author and optionally full_content
+     * @return void
+     */
+    public static function indexItem(int $itemId, array $item): void
+    {
+        $db = Database::getConnection();
+
+        $title = self::plainText($item['title'] ?? '');
+        $author = self::plainText($item['author'] ?? '');
+        $body = mb_substr(trim(implode("\n", array_filter([
+            self::plainText($item['content'] ?? ''),
+            self::plainText($item['summary'] ?? ''),
+            self::plainText($item['full_content'] ?? ''),
+        ]))), 0, self::BODY_MAX_LENGTH);
+
+        if (Database::getDbType() === 'pgsql') {
+            // Index the same words the query side searches for
+            $stmt = $db->prepare("
+                INSERT INTO feed_items_search (feed_item_id, search_vector)
+                VALUES (?, setweight(to_tsvector('simple', ?), 'A') || setweight(to_tsvector('simple', ?), 'B') || setweight(to_tsvector('simple', ?), 'C'))
+                ON CONFLICT (feed_item_id) DO UPDATE SET search_vector = EXCLUDED.search_vector
+            ");
+            $stmt->execute([
+                $itemId,
+                implode(' ', self::tokenize($title)),
+                implode(' ', self::tokenize($body)),
+                implode(' ', self::tokenize($author)),
+            ]);
+        } else {
+            $stmt = $db->prepare("DELETE FROM feed_items_fts WHERE rowid = ?");
+            $stmt->execute([$itemId]);
+
+            $stmt = $db->prepare("INSERT INTO feed_items_fts (rowid, title, body, author) VALUES (?, ?, ?, ?)");
+            $stmt->execute([$itemId, $title, $body, $author]);
+        }
+    }
+
+    /**
+     * Re-index an item from its stored columns (e.g. after its full article was loaded).
+     *
+     * @param int $itemId The feed item ID
+     * @return void
+     */
+    public static function reindexItem(int $itemId): void
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT title, content, summary, author, full_content FROM feed_items WHERE id = ?");
+        $stmt->execute([$itemId]);
+        $item = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        if ($item) {
+            self::indexItem($itemId, $item);
+        }
+    }
+
+    /**
+     * Index all stored items, in batches.
+     *
+     * @return int Number of items indexed
+     */
+    public static function rebuild(): int
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT id, title, content, summary, author, full_content
+            FROM feed_items
+            WHERE id > ?
+            ORDER BY id
+            LIMIT " . self::REBUILD_BATCH_SIZE
+        );
+
+        $count = 0;
+        $lastId = 0;
+        do {
+            $stmt->execute([$lastId]);
+            $items = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+            $db->beginTransaction();
+            foreach ($items as $item) {
+                self::indexItem((int) $item['id'], $item);
+                $lastId = (int) $item['id'];
+                $count++;
+            }
+            $db->commit();
+        } while (count($items) === self::REBUILD_BATCH_SIZE);
+
+        return $count;
+    }
+
+    /**
+     * Split text into lowercase search words (runs of letters and digits).
+     *
+     * @param string $text The text
+     * @return array List of words
+     */
+    public static function tokenize(string $text): array
+    {
+        $words = preg_split('/[^\p{L}\p{N}]+/u', mb_strtolower($text), -1, PREG_SPLIT_NO_EMPTY);
+
+        return $words !== false ? $words : [];
+    }
+
+    /**
+     * Build a condition on fi.id matching items that contain a phrase.
+     *
+     * @param array $words Words of the phrase, from tokenize() (not empty)
+     * @return array Two elements: SQL condition and its parameters
+     */
+    public static function matchCondition(array $words): array
+    {
+        if (Database::getDbType() === 'pgsql') {
+            return [
+                "fi.id IN (SELECT feed_item_id FROM feed_items_search WHERE search_vector @@ to_tsquery('simple', ?))",
+                [self::tsQuery([$words])],
+            ];
+        }
+
+        return [
+            "fi.id IN (SELECT rowid FROM feed_items_fts WHERE feed_items_fts MATCH ?)",
+            [self::ftsQuery([$words])],
+        ];
+    }
+
+    /**
+     * Build a LEFT JOIN giving the relevance of items matching any of the phrases.
+     *
+     * The joined rows are aliased sr with a score column (higher is more
+     * relevant); items matching none of the phrases have no row.
+     *
+     * @param array $phrases List of phrases, each a list of words from tokenize() (not empty)
+     * @return array Two elements: SQL join and its parameters
+     */
+    public static function rankJoin(array $phrases): array
+    {
+        if (Database::getDbType() === 'pgsql') {
+            $tsQuery = self::tsQuery($phrases);
+
+            return ["
+                LEFT JOIN (
+                    SELECT feed_item_id, ts_rank(search_vector, to_tsquery('simple', ?)) AS score
+                    FROM feed_items_search
+                    WHERE search_vector @@ to_tsquery('simple', ?)
+                ) sr ON sr.feed_item_id = fi.id
+            ", [$tsQuery, $tsQuery]];
+        }
+
+        // bm25() is lower for better matches
+        return ["
+            LEFT JOIN (
+                SELECT rowid AS feed_item_id, -bm25(feed_items_fts, " . self::COLUMN_WEIGHTS . ") AS score
+                FROM feed_items_fts
+                WHERE feed_items_fts MATCH ?
+            ) sr ON sr.feed_item_id = fi.id
+        ", [self::ftsQuery($phrases)]];
+    }
+
+    /**
+     * Build a short plain-text excerpt of an item with search words highlighted.
+     *
+     * The excerpt is taken around the first match (or from the start if the
+     * text doesn't contain any of the words). It is HTML-escaped, with each
+     * matching word wrapped in <mark>.
+     *
+     * @param string|null $html Item content or summary
+     * @param array $words Search words from tokenize()
+     * @param int $length Maximum excerpt length in bytes
+     * @return string Snippet HTML (empty if the item has no text)
+     */
+    public static function snippet(?string $html, array $words, int $length = 200): string
+    {
+        $text = trim(preg_replace('/\s+/u', ' ', self::plainText($html ?? '')) ?? '');
+        if ($text === '') {
+            return '';
+        }
+
+        $pattern = null;
+        if (! empty($words)) {
+            $alternatives = implode('|', array_map(fn ($word) => preg_quote($word, '/'), array_unique($words)));
+            $pattern = '/((?<![\p{L}\p{N}])(?:' . $alternatives . ')[\p{L}\p{N}]*)/iu';
+        }
+
+        // Start a little before the first match, at a word boundary
+        $start = 0;
+        if ($pattern !== null && preg_match($pattern, $text, $match, PREG_OFFSET_CAPTURE) && $match[0][1] > $length / 4) {
+            $start = $match[0][1] - (int) ($length / 4);
+            $space = strpos($text, ' ', $start);
+            $start = $space !== false && $space < $match[0][1] ? $space + 1 : $match[0][1];
+        }
+
+        $excerpt = mb_strcut($text, $start, $length, 'UTF-8');
+        if ($start + strlen($excerpt) < strlen($text)) {
+            $space = strrpos($excerpt, ' ');
+            $excerpt = ($space !== false && $space > $length / 2 ? substr($excerpt, 0, $space) : $excerpt) . '…';
+        }
+        if ($start > 0) {
+            $excerpt = '…' . $excerpt;
+        }
+
+        if ($pattern === null) {
+            return htmlspecialchars($excerpt, ENT_QUOTES, 'UTF-8');
+        }
+
+        // Odd parts are matches
+        $parts = preg_split($pattern, $excerpt, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $snippet = '';
+        foreach ($parts as $index => $part) {
+            $escaped = htmlspecialchars($part, ENT_QUOTES, 'UTF-8');
+            $snippet .= $index % 2 === 1 ? '<mark>' . $escaped . '</mark>' : $escaped;
+        }
+
+        return $snippet;
+    }
+
+    /**
+     * Convert item HTML to plain text.
+     *
+     * @param string $html The HTML
+     * @return string Plain text
+     */
+    private static function plainText(string $html): string
+    {
+        // Keep words in adjacent elements apart
+        $text = strip_tags(preg_replace('/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/i', '$0 ', $html) ?? $html);
+
+        return html_entity_decode($text, ENT_QUOTES | ENT_HTML5, 'UTF-8');
+    }
+
+    /**
+     * Build an FTS5 MATCH expression for phrases (prefix match on the last word).
+     *
+     * @param array $phrases List of phrases, each a list of words
+     * @return string MATCH expression
+     */
+    private static function ftsQuery(array $phrases): string
+    {
+        // Words only contain letters and digits, so they need no quoting
+        return implode(' OR ', array_map(fn ($words) => '"' . implode(' ', $words) . '"*', $phrases));
+    }
+
+    /**
+     * Build a PostgreSQL tsquery for phrases (prefix match on the last word).
+     *
+     * @param array $phrases List of phrases, each a list of words
+     * @return string tsquery text
+     */
+    private static function tsQuery(array $phrases): string
+    {
+        return implode(' | ', array_map(fn ($words) => '(' . implode(' <-> ', $words) . ':*)', $phrases));
+    }
+}
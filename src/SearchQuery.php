@@ -0,0 +1,338 @@
+<?php
+
+namespace PhpRss;
+
+/**
+ * Search query language for item search.
+ *
+ * Parses queries such as `feed:"Daring Fireball" is:unread -sponsor after:2026-01-01`
+ * into groups of terms and builds a parameterized SQL condition from them.
+ *
+ * Syntax:
+ * - word, "exact phrase": words in the title, content, summary or author, using the
+ *   full-text search index (see SearchIndex); the last word matches as a prefix
+ * - feed:Name, folder:Name, author:Name: feed title, folder name or author contains the value
+ *   (quote values with spaces: feed:"Tech News")
+ * - tag:name: tagged with the tag (by a filter rule, see FilterRules)
+ * - is:unread, is:read, is:starred: read or starred status
+ * - before:YYYY-MM-DD, after:YYYY-MM-DD: published before the date, or on/after it
+ *   (dates are in the user's timezone)
+ * - -term: exclude items matching any of the above
+ * - OR: match either side; terms without OR must all match
+ */
+class SearchQuery
+{
+    /**
+     * Field operators recognised before a colon.
+     */
+    private const OPERATORS = ['feed', 'folder', 'author', 'tag', 'is', 'before', 'after'];
+
+    /**
+     * Values accepted by the is: operator.
+     */
+    private const STATUSES = ['unread', 'read', 'starred'];
+
+    /**
+     * Parse a search query into groups of terms.
+     *
+     * Groups are alternatives (joined by OR); the terms of a group must all match.
+     * Each term is ['field' => 'text'|operator, 'value' => string, 'negated' => bool].
+     * Words with an unknown prefix (e.g. "http://..." or "note:") are plain text.
+     *
+     * @param string $query The search query
+     * @return array List of groups, each a list of terms (empty for a blank query)
+     * @throws \InvalidArgumentException If the query has a syntax error (message is user-facing)
+     */
+    public static function parse(string $query): array
+    {
+        $groups = [];
+        $terms = [];
+        $expectTerm = false;
+
+        foreach (self::tokenize($query) as $token) {
+            if ($token['field'] === 'text' && ! $token['quoted'] && ! $token['negated'] && $token['value'] === 'OR') {
+                if (empty($terms)) {
+                    throw new \InvalidArgumentException('OR must be between two search terms');
+                }
+                $groups[] = $terms;
+                $terms = [];
+                $expectTerm = true;
+
+                continue;
+            }
+
+            $terms[] = self::validateTerm($token);
+            $expectTerm = false;
+        }
+
+        if ($expectTerm) {
+            throw new \InvalidArgumentException('OR must be between two search terms');
+        }
+        if (! empty($terms)) {
+            $groups[] = $terms;
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Build the SQL condition for parsed search groups.
+     *
+     * The condition uses the aliases fi (feed_items), f (feeds), fo (folders,
+     * LEFT JOIN on f.folder_id), ri (read_items) and si (starred_items, both
+     * LEFT JOIN for the current user). All values are bound as parameters.
+     *
+     * @param array $groups Groups returned by parse()
+     * @param string $timezone User's timezone for before:/after: dates
+     * @return array Two elements: SQL condition and its parameters
+     */
+    public static function toSql(array $groups, string $timezone = 'UTC'): array
+    {
+        $like = Database::getDbType() === 'pgsql' ? 'ILIKE' : 'LIKE';
+
+        try {
+            $tz = new \DateTimeZone($timezone);
+        } catch (\Exception $e) {
+            $tz = new \DateTimeZone('UTC');
+        }
+
+        $groupConditions = [];
+        $params = [];
+        foreach ($groups as $terms) {
+            $conditions = [];
+            foreach ($terms as $term) {
+                [$condition, $termParams] = self::termCondition($term, $like, $tz);
+                $conditions[] = $term['negated'] ? "NOT ({$condition})" : "({$condition})";
+                $params = array_merge($params, $termParams);
+            }
+            $groupConditions[] = '(' . implode(' AND ', $conditions) . ')';
+        }
+
+        return ['(' . implode(' OR ', $groupConditions) . ')', $params];
+    }
+
+    /**
+     * FROM clause joining the tables used by toSql() conditions.
+     *
+     * Has two placeholders, both for the user ID (read and starred status).
+     *
+     * @return string SQL FROM clause
+     */
+    public static function itemsFromClause(): string
+    {
+        return "
+            FROM feed_items fi
+            INNER JOIN feeds f ON fi.feed_id = f.id
+            LEFT JOIN folders fo ON fo.id = f.folder_id
+            LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = ?
+            LEFT JOIN starred_items si ON si.feed_item_id = fi.id AND si.user_id = ?
+        ";
+    }
+
+    /**
+     * Build a condition selecting the user's items that match parsed search groups.
+     *
+     * Wraps toSql() in a subquery on feed_items.id, so it can be used in queries
+     * that only alias feed_items as fi (e.g. bulk mark as read). Items hidden
+     * by a filter rule are left out.
+     *
+     * @param array $groups Groups returned by parse()
+     * @param int $userId The user ID
+     * @param string $timezone User's timezone for before:/after: dates
+     * @return array Two elements: SQL condition and its parameters
+     */
+    public static function toItemCondition(array $groups, int $userId, string $timezone = 'UTC'): array
+    {
+        [$where, $params] = self::toSql($groups, $timezone);
+
+        return [
+            "fi.id IN (SELECT fi.id " . self::itemsFromClause() . " WHERE f.user_id = ? AND fi.hidden = 0 AND {$where})",
+            array_merge([$userId, $userId, $userId], $params),
+        ];
+    }
+
+    /**
+     * Get the phrases searched for by the text terms of parsed search groups.
+     *
+     * Excluded (-word) terms are left out. Used to rank results and highlight
+     * matches.
+     *
+     * @param array $groups Groups returned by parse()
+     * @return array List of phrases, each a list of words from SearchIndex::tokenize()
+     */
+    public static function textPhrases(array $groups): array
+    {
+        $phrases = [];
+        foreach ($groups as $terms) {
+            foreach ($terms as $term) {
+                if ($term['field'] !== 'text' || $term['negated']) {
+                    continue;
+                }
+                $words = SearchIndex::tokenize($term['value']);
+                if (! empty($words)) {
+                    $phrases[] = $words;
+                }
+            }
+        }
+
+        return $phrases;
+    }
+
+    /**
+     * Split a query into tokens.
+     *
+     * @param string $query The search query
+     * @return array List of ['field', 'value', 'negated', 'quoted'] tokens
+     * @throws \InvalidArgumentException If a quote is not closed
+     */
+    private static function tokenize(string $query): array
+    {
+        $tokens = [];
+        $length = strlen($query);
+        $pos = 0;
+
+        while ($pos < $length) {
+            if (ctype_space($query[$pos])) {
+                $pos++;
+
+                continue;
+            }
+
+            $negated = false;
+            if ($query[$pos] === '-' && $pos + 1 < $length && ! ctype_space($query[$pos + 1])) {
+                $negated = true;
+                $pos++;
+            }
+
+            $field = 'text';
+            if (preg_match('/\G([a-z]+):/i', $query, $match, 0, $pos) && in_array(strtolower($match[1]), self::OPERATORS, true)) {
+                $field = strtolower($match[1]);
+                $pos += strlen($match[0]);
+            }
+
+            $quoted = $pos < $length && $query[$pos] === '"';
+            if ($quoted) {
+                $end = strpos($query, '"', $pos + 1);
+                if ($end === false) {
+                    throw new \InvalidArgumentException('Missing closing quote');
+                }
+                $value = substr($query, $pos + 1, $end - $pos - 1);
+                $pos = $end + 1;
+            } else {
+                preg_match('/\G[^\s"]*/', $query, $match, 0, $pos);
+                $value = $match[0];
+                $pos += strlen($value);
+            }
+
+            $tokens[] = [
+                'field' => $field,
+                'value' => $value,
+                'negated' => $negated,
+                'quoted' => $quoted,
+            ];
+        }
+
+        return $tokens;
+    }
+
+    /**
+     * Validate a token and convert it to a term.
+     *
+     * @param array $token Token from tokenize()
+     * @return array Term: ['field', 'value', 'negated']
+     * @throws \InvalidArgumentException If the operator value is missing or invalid
+     */
+    private static function validateTerm(array $token): array
+    {
+        $field = $token['field'];
+        $value = trim($token['value']);
+
+        if ($value === '') {
+            throw new \InvalidArgumentException($field === 'text' ? 'Empty phrase in quotes' : "Missing value after {$field}:");
+        }
+
+        if ($field === 'tag') {
+            $value = FilterRules::normalizeTag($value);
+        }
+
+        if ($field === 'is') {
+            $value = strtolower($value);
+            if (! in_array($value, self::STATUSES, true)) {
+                throw new \InvalidArgumentException("Unknown filter is:{$value} (use is:unread, is:read or is:starred)");
+            }
+        }
+
+        if ($field === 'before' || $field === 'after') {
+            $date = \DateTime::createFromFormat('!Y-m-d', $value);
+            if (! $date || $date->format('Y-m-d') !== $value) {
+                throw new \InvalidArgumentException("Invalid date in {$field}:{$value} (use YYYY-MM-DD)");
+            }
+        }
+
+        return [
+            'field' => $field,
+            'value' => $value,
+            'negated' => $token['negated'],
+        ];
+    }
+
+    /**
+     * Build the SQL condition for a single (non-negated) term.
+     *
+     * @param array $term Term from parse()
+     * @param string $like LIKE operator for the database (ILIKE or LIKE)
+     * @param \DateTimeZone $tz Timezone for dates
+     * @return array Two elements: SQL condition and its parameters
+     */
+    private static function termCondition(array $term, string $like, \DateTimeZone $tz): array
+    {
+        $value = $term['value'];
+
+        switch ($term['field']) {
+            case 'feed':
+                return ["f.title {$like} ? ESCAPE '\\'", [self::likePattern($value)]];
+            case 'folder':
+                return ["COALESCE(fo.name, '') {$like} ? ESCAPE '\\'", [self::likePattern($value)]];
+            case 'author':
+                return ["COALESCE(fi.author, '') {$like} ? ESCAPE '\\'", [self::likePattern($value)]];
+            case 'tag':
+                return ['EXISTS (SELECT 1 FROM item_tags it WHERE it.feed_item_id = fi.id AND it.tag = ?)', [$value]];
+            case 'is':
+                return [match ($value) {
+                    'unread' => 'ri.id IS NULL',
+                    'read' => 'ri.id IS NOT NULL',
+                    'starred' => 'si.id IS NOT NULL',
+                }, []];
+            case 'before':
+            case 'after':
+                $start = new \DateTime($value, $tz);
+                $start->setTimezone(new \DateTimeZone('UTC'));
+                $operator = $term['field'] === 'before' ? '<' : '>=';
+
+                return [Database::itemSortDateExpression() . " {$operator} ?", [$start->format('Y-m-d H:i:s')]];
+            default:
+                $words = SearchIndex::tokenize($value);
+                if (! empty($words)) {
+                    return SearchIndex::matchCondition($words);
+                }
+
+                // Terms without letters or digits (e.g. "++") aren't in the search index
+                $pattern = self::likePattern($value);
+                $columns = ['fi.title', 'fi.content', 'fi.summary', 'fi.author'];
+                $conditions = array_map(fn ($column) => "COALESCE({$column}, '') {$like} ? ESCAPE '\\'", $columns);
+
+                return [implode(' OR ', $conditions), array_fill(0, count($columns), $pattern)];
+        }
+    }
+
+    /**
+     * Build a "contains" LIKE pattern with wildcards in the value escaped.
+     *
+     * @param string $value The value to search for
+     * @return string LIKE pattern
+     */
+    private static function likePattern(string $value): string
+    {
+        return '%' . str_replace(['\\', '%', '_'], ['\\\\', '\\%', '\\_'], $value) . '%';
+    }
+}
@@ -0,0 +1,58 @@
+<?php
+
+namespace PhpRss;
+
+/**
+ * HTTP security headers sent with every response (see index.php).
+ */
+class SecurityHeaders
+{
+    /**
+     * Content Security Policy (adjust as needed for your application).
+     *
+     * Feed item images are allowed from any https: host (FeedParser upgrades
+     * http:// thumbnails to match). Audio and video
+     * (see ItemMedia) may also come from http: hosts, as many podcasts still
+     * serve their episodes without TLS; browsers upgrade those requests on
+     * https deployments.
+     */
+    public const CONTENT_SECURITY_POLICY = "default-src 'self'; "
+        . "script-src 'self' 'unsafe-inline' https://fonts.googleapis.com; "
+        . "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; "
+        . "font-src 'self' https://fonts.gstatic.com; "
+        . "img-src 'self' data: https:; "
+        . "media-src 'self' https: http:; "
+        . "connect-src 'self';";
+
+    /**
+     * Send the security headers.
+     *
+     * @return void
+     */
+    public static function send(): void
+    {
+        header('X-Content-Type-Options: nosniff');
+        header('X-Frame-Options: DENY');
+        header('X-XSS-Protection: 1; mode=block');
+        header('Referrer-Policy: strict-origin-when-cross-origin');
+        header('Content-Security-Policy: ' . self::CONTENT_SECURITY_POLICY);
+    }
+
+    /**
+     * Get the sources a Content Security Policy directive allows.
+     *
+     * @param string $directive Directive name, e.g. 'media-src'
+     * @return array Sources, or an empty array if the policy doesn't set the directive
+     */
+    public static function sources(string $directive): array
+    {
+        foreach (explode(';', self::CONTENT_SECURITY_POLICY) as $part) {
+            $tokens = preg_split('/\s+/', trim($part), -1, PREG_SPLIT_NO_EMPTY);
+            if (! empty($tokens) && $tokens[0] === $directive) {
+                return array_slice($tokens, 1);
+            }
+        }
+
+        return [];
+    }
+}
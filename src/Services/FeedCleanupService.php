@@ -20,7 +20,9 @@ class FeedCleanupService
      * Clean up old items for a specific feed or all feeds.
      *
      * Removes items older than the retention period, keeping only the most
-     * recent N items per feed (if retention_count is set).
+     * recent N items per feed (if retention_count is set). A feed's own
+     * retention settings take precedence over the given or configured ones.
+     * Items starred by any user are never removed.
      *
      * @param int|null $feedId Feed ID to clean (null for all feeds)
      * @param int|null $retentionDays Number of days to keep items (null = use config)
@@ -44,11 +46,11 @@ class FeedCleanupService
 
         // Get feeds to process
         if ($feedId) {
-            $stmt = $db->prepare("SELECT id, user_id FROM feeds WHERE id = ?");
+            $stmt = $db->prepare("SELECT id, user_id, retention_days, retention_count FROM feeds WHERE id = ?");
             $stmt->execute([$feedId]);
             $feeds = $stmt->fetchAll(PDO::FETCH_ASSOC);
         } else {
-            $stmt = $db->query("SELECT id, user_id FROM feeds");
+            $stmt = $db->query("SELECT id, user_id, retention_days, retention_count FROM feeds");
             $feeds = $stmt->fetchAll(PDO::FETCH_ASSOC);
         }
 
@@ -56,8 +58,8 @@ class FeedCleanupService
             $feedStats = self::cleanupFeedItems(
                 (int)$feed['id'],
                 (int)$feed['user_id'],
-                $retentionDays,
-                $retentionCount,
+                $feed['retention_days'] !== null ? (int)$feed['retention_days'] : (int)$retentionDays,
+                $feed['retention_count'] !== null ? (int)$feed['retention_count'] : $retentionCount,
                 $dbType
             );
 
@@ -101,18 +103,20 @@ class FeedCleanupService
         $db = Database::getConnection();
         $deleted = 0;
 
-        // First, delete items older than retention_days
+        // First, delete items older than retention_days (starred items are always kept)
         if ($dbType === 'pgsql') {
             $stmt = $db->prepare("
                 DELETE FROM feed_items
                 WHERE feed_id = ?
                 AND published_at < CURRENT_TIMESTAMP - INTERVAL '{$retentionDays} days'
+                AND id NOT IN (SELECT feed_item_id FROM starred_items)
             ");
         } else {
             $stmt = $db->prepare("
                 DELETE FROM feed_items
                 WHERE feed_id = ?
                 AND published_at < datetime('now', '-{$retentionDays} days')
+                AND id NOT IN (SELECT feed_item_id FROM starred_items)
             ");
         }
 
@@ -148,6 +152,7 @@ class FeedCleanupService
                     DELETE FROM feed_items
                     WHERE feed_id = ?
                     AND id NOT IN ({$placeholders})
+                    AND id NOT IN (SELECT feed_item_id FROM starred_items)
                 ");
 
                 $params = array_merge([$feedId], $keepIds);
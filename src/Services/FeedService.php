@@ -5,6 +5,8 @@ namespace PhpRss\Services;
 use PhpRss\Cache;
 use PhpRss\Config;
 use PhpRss\Database;
+use PhpRss\FeedHealth;
+use PhpRss\FeedIcon;
 
 /**
  * Feed service for business logic and data access.
@@ -15,6 +17,43 @@ use PhpRss\Database;
  */
 class FeedService
 {
+    /**
+     * Per-feed settings accepted by normalizeSettings(), stored in feeds columns of the same name.
+     */
+    public const SETTINGS = [
+        'custom_title',
+        'url',
+        'refresh_interval',
+        'item_sort_order',
+        'hide_read_items',
+        'retention_days',
+        'retention_count',
+        'always_load_full_article',
+        'paused',
+        'items_layout',
+    ];
+
+    /**
+     * Items list layouts (the user's preference, or a feed's own setting).
+     */
+    public const ITEMS_LAYOUTS = ['compact', 'comfortable', 'cards'];
+
+    /**
+     * Maximum length of a feed's custom title.
+     */
+    private const MAX_TITLE_LENGTH = 255;
+
+    /**
+     * Allowed range (minutes) of a feed's refresh interval.
+     */
+    private const REFRESH_INTERVAL_RANGE = [5, 10080];
+
+    /**
+     * Allowed ranges of a feed's retention settings.
+     */
+    private const RETENTION_DAYS_RANGE = [1, 3650];
+    private const RETENTION_COUNT_RANGE = [1, 100000];
+
     /**
      * Get all feeds for a user with counts and folder information.
      *
@@ -23,7 +62,7 @@ class FeedService
      *
      * @param int $userId The user ID
      * @param bool $hideNoUnread Whether to hide feeds with no unread items
-     * @return array Array of feeds with item counts and folder data
+     * @return array Array of feeds with item counts, folder data and health status
      */
     public static function getFeedsForUser(int $userId, bool $hideNoUnread = false): array
     {
@@ -61,7 +100,7 @@ class FeedService
                    COUNT(CASE WHEN ri.id IS NULL THEN 1 END) as unread_count
             FROM feeds f
             LEFT JOIN folders fld ON f.folder_id = fld.id
-            LEFT JOIN feed_items fi ON f.id = fi.feed_id
+            LEFT JOIN feed_items fi ON f.id = fi.feed_id AND fi.hidden = 0
             LEFT JOIN read_items ri ON ri.feed_item_id = fi.id AND ri.user_id = ?
             WHERE f.user_id = ?
             GROUP BY f.id, fld.id, fld.name, fld.sort_order
@@ -70,6 +109,11 @@ class FeedService
         $stmt->execute([$userId, $userId]);
         $feeds = $stmt->fetchAll();
 
+        // Add each feed's health status for the sidebar warning badge, and whether it has an icon
+        $feeds = array_map(fn ($feed) => array_merge($feed, FeedHealth::status($feed), [
+            'has_icon' => FeedIcon::has((int)$feed['id']),
+        ]), $feeds);
+
         // Filter out feeds with no unread items if preference is enabled
         if ($hideNoUnread) {
             $feeds = array_filter($feeds, function ($feed) {
@@ -119,6 +163,29 @@ class FeedService
         return $stmt->fetch() !== false;
     }
 
+    /**
+     * Get the ID of the newest item stored in any of a user's feeds.
+     *
+     * Item IDs grow in the order items are stored, so items stored later
+     * have higher IDs whatever their published dates.
+     *
+     * @param int $userId The user ID
+     * @return int The item ID, or 0 if the user has no items
+     */
+    public static function latestItemId(int $userId): int
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            SELECT MAX(fi.id)
+            FROM feed_items fi
+            JOIN feeds f ON fi.feed_id = f.id
+            WHERE f.user_id = ?
+        ");
+        $stmt->execute([$userId]);
+
+        return (int)$stmt->fetchColumn();
+    }
+
     /**
      * Verify that a folder belongs to a user.
      *
@@ -135,6 +202,129 @@ class FeedService
         return $stmt->fetch() !== false;
     }
 
+    /**
+     * Validate and normalize per-feed settings.
+     *
+     * Only the settings present in the input are returned, so a partial update
+     * changes just those. Null resets a setting to the user's preference or the
+     * global default (custom_title, refresh_interval, item_sort_order,
+     * hide_read_items, retention_days, retention_count, items_layout); url,
+     * always_load_full_article and paused can't be null.
+     *
+     * @param array $input Settings keyed by name (see SETTINGS)
+     * @return array Normalized settings (booleans as 0/1 for storage)
+     * @throws \InvalidArgumentException If a setting is invalid (message is user-facing)
+     */
+    public static function normalizeSettings(array $input): array
+    {
+        $settings = [];
+
+        if (array_key_exists('custom_title', $input)) {
+            $title = $input['custom_title'];
+            if ($title !== null && ! is_string($title)) {
+                throw new \InvalidArgumentException('Invalid title');
+            }
+            $title = $title !== null ? trim($title) : '';
+            if (mb_strlen($title) > self::MAX_TITLE_LENGTH) {
+                throw new \InvalidArgumentException('Title is too long (maximum ' . self::MAX_TITLE_LENGTH . ' characters)');
+            }
+            $settings['custom_title'] = $title !== '' ? $title : null;
+        }
+
+        if (array_key_exists('url', $input)) {
+            $url = is_string($input['url']) ? trim($input['url']) : '';
+            if ($url === '') {
+                throw new \InvalidArgumentException('URL is required');
+            }
+            if (! filter_var($url, FILTER_VALIDATE_URL)) {
+                throw new \InvalidArgumentException('Invalid URL');
+            }
+            $settings['url'] = $url;
+        }
+
+        if (array_key_exists('refresh_interval', $input)) {
+            $settings['refresh_interval'] = self::optionalIntSetting(
+                $input['refresh_interval'],
+                self::REFRESH_INTERVAL_RANGE,
+                'Refresh interval must be between %d and %d minutes'
+            );
+        }
+
+        if (array_key_exists('item_sort_order', $input)) {
+            $sortOrder = $input['item_sort_order'];
+            if ($sortOrder !== null && ! in_array($sortOrder, ['newest', 'oldest'], true)) {
+                throw new \InvalidArgumentException('Invalid sort order (use newest or oldest)');
+            }
+            $settings['item_sort_order'] = $sortOrder;
+        }
+
+        if (array_key_exists('items_layout', $input)) {
+            $layout = $input['items_layout'];
+            if ($layout !== null && ! in_array($layout, self::ITEMS_LAYOUTS, true)) {
+                throw new \InvalidArgumentException('Invalid layout (use compact, comfortable or cards)');
+            }
+            $settings['items_layout'] = $layout;
+        }
+
+        if (array_key_exists('hide_read_items', $input)) {
+            $hideRead = $input['hide_read_items'];
+            if ($hideRead !== null && ! is_bool($hideRead)) {
+                throw new \InvalidArgumentException('Invalid hide read items setting');
+            }
+            $settings['hide_read_items'] = $hideRead === null ? null : (int) $hideRead;
+        }
+
+        if (array_key_exists('retention_days', $input)) {
+            $settings['retention_days'] = self::optionalIntSetting(
+                $input['retention_days'],
+                self::RETENTION_DAYS_RANGE,
+                'Retention days must be between %d and %d'
+            );
+        }
+
+        if (array_key_exists('retention_count', $input)) {
+            $settings['retention_count'] = self::optionalIntSetting(
+                $input['retention_count'],
+                self::RETENTION_COUNT_RANGE,
+                'Retention count must be between %d and %d items'
+            );
+        }
+
+        foreach (['always_load_full_article' => 'always load full article', 'paused' => 'paused'] as $key => $label) {
+            if (array_key_exists($key, $input)) {
+                if (! is_bool($input[$key])) {
+                    throw new \InvalidArgumentException("Invalid {$label} setting");
+                }
+                $settings[$key] = (int) $input[$key];
+            }
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Validate an optional integer setting.
+     *
+     * @param mixed $value Setting value (null, an integer or a numeric string)
+     * @param array $range Minimum and maximum allowed values
+     * @param string $message Error message with %d placeholders for the range
+     * @return int|null The value, or null to use the default
+     * @throws \InvalidArgumentException If the value is not an integer in range
+     */
+    private static function optionalIntSetting($value, array $range, string $message): ?int
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+
+        $int = filter_var($value, FILTER_VALIDATE_INT);
+        if (is_bool($value) || $int === false || $int < $range[0] || $int > $range[1]) {
+            throw new \InvalidArgumentException(sprintf($message, $range[0], $range[1]));
+        }
+
+        return $int;
+    }
+
     /**
      * Invalidate cache for a user's feeds.
      *
@@ -0,0 +1,173 @@
+<?php
+
+namespace PhpRss\Services;
+
+use PhpRss\Database;
+use PDO;
+
+/**
+ * Folder tree queries.
+ *
+ * Folders nest through parent_id (NULL for top-level folders). A folder's
+ * name is unique among its siblings. Reading a folder, marking it read and
+ * folder-scoped filter rules cover the feeds of its subfolders too.
+ */
+class FolderService
+{
+    /**
+     * Get a folder's ID and the IDs of all folders nested in it.
+     *
+     * @param int $folderId The folder ID
+     * @return array Folder IDs (empty if the folder doesn't exist)
+     */
+    public static function getSubtreeIds(int $folderId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            WITH RECURSIVE folder_tree(id) AS (
+                SELECT id FROM folders WHERE id = ?
+                UNION
+                SELECT fo.id FROM folders fo JOIN folder_tree t ON fo.parent_id = t.id
+            )
+            SELECT id FROM folder_tree
+        ");
+        $stmt->execute([$folderId]);
+
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+
+    /**
+     * Get a folder's ID and the IDs of the folders it is nested in, nearest first.
+     *
+     * @param int $folderId The folder ID
+     * @return array Folder IDs (empty if the folder doesn't exist)
+     */
+    public static function getPathIds(int $folderId): array
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("
+            WITH RECURSIVE folder_path(id, parent_id, depth) AS (
+                SELECT id, parent_id, 0 FROM folders WHERE id = ?
+                UNION
+                SELECT fo.id, fo.parent_id, p.depth + 1 FROM folders fo JOIN folder_path p ON fo.id = p.parent_id
+            )
+            SELECT id FROM folder_path ORDER BY depth
+        ");
+        $stmt->execute([$folderId]);
+
+        return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    }
+
+    /**
+     * Find a user's folder by name among the children of a folder.
+     *
+     * @param int $userId The user ID
+     * @param int|null $parentId Parent folder ID (null for top-level folders)
+     * @param string $name Folder name
+     * @param int|null $exceptId Folder to ignore (e.g. the one being renamed)
+     * @return int|null The folder ID, or null if there is none
+     */
+    public static function findByName(int $userId, ?int $parentId, string $name, ?int $exceptId = null): ?int
+    {
+        $db = Database::getConnection();
+        $sql = "SELECT id FROM folders WHERE user_id = ? AND name = ? AND " . ($parentId === null ? 'parent_id IS NULL' : 'parent_id = ?');
+        $params = $parentId === null ? [$userId, $name] : [$userId, $name, $parentId];
+        if ($exceptId !== null) {
+            $sql .= ' AND id != ?';
+            $params[] = $exceptId;
+        }
+
+        $stmt = $db->prepare($sql);
+        $stmt->execute($params);
+        $id = $stmt->fetchColumn();
+
+        return $id !== false ? (int)$id : null;
+    }
+
+    /**
+     * Set the order of a user's folders, optionally moving them into a folder.
+     *
+     * Each folder's sort_order becomes its position in $folderIds; folders the
+     * user doesn't own are left alone. When $move is true the folders are also
+     * moved into $parentId (null for the top level). A folder can't be moved
+     * into itself or one of its subfolders, or next to a sibling with the same
+     * name; in that case nothing is changed.
+     *
+     * @param int $userId The user ID
+     * @param array $folderIds Folder IDs in the new order
+     * @param bool $move Whether to move the folders into $parentId
+     * @param int|null $parentId Parent folder ID (null for the top level), owned by the user
+     * @return void
+     * @throws \InvalidArgumentException If the move is not allowed (message is user-facing)
+     */
+    public static function reorder(int $userId, array $folderIds, bool $move = false, ?int $parentId = null): void
+    {
+        $folderIds = array_map('intval', array_values($folderIds));
+        if ($move) {
+            self::validateMove($userId, $folderIds, $parentId);
+        }
+
+        $db = Database::getConnection();
+        $stmt = $move
+            ? $db->prepare("UPDATE folders SET sort_order = ?, parent_id = ? WHERE id = ? AND user_id = ?")
+            : $db->prepare("UPDATE folders SET sort_order = ? WHERE id = ? AND user_id = ?");
+
+        $db->beginTransaction();
+        try {
+            foreach ($folderIds as $i => $id) {
+                $stmt->execute($move ? [$i, $parentId, $id, $userId] : [$i, $id, $userId]);
+            }
+            $db->commit();
+        } catch (\Exception $e) {
+            $db->rollBack();
+
+            throw $e;
+        }
+    }
+
+    /**
+     * Check that folders can be moved into a parent folder.
+     *
+     * @param int $userId The user ID
+     * @param array $folderIds IDs of the folders to move
+     * @param int|null $parentId Parent folder ID (null for the top level)
+     * @return void
+     * @throws \InvalidArgumentException If a folder would end up inside itself or next to a sibling with the same name
+     */
+    private static function validateMove(int $userId, array $folderIds, ?int $parentId): void
+    {
+        if ($parentId !== null && array_intersect($folderIds, self::getPathIds($parentId))) {
+            throw new \InvalidArgumentException('A folder can\'t be moved into itself or one of its subfolders');
+        }
+
+        $db = Database::getConnection();
+        $placeholders = implode(',', array_fill(0, count($folderIds), '?'));
+        $stmt = $db->prepare("SELECT id, name FROM folders WHERE id IN ({$placeholders}) AND user_id = ?");
+        $stmt->execute([...$folderIds, $userId]);
+
+        $names = [];
+        foreach ($stmt->fetchAll() as $folder) {
+            // A sibling with the same name is fine if it is one of the folders being moved (and so checked here too)
+            $conflict = self::findByName($userId, $parentId, $folder['name'], (int)$folder['id']);
+            if (isset($names[$folder['name']]) || ($conflict !== null && ! in_array($conflict, $folderIds, true))) {
+                throw new \InvalidArgumentException('Folder with this name already exists');
+            }
+            $names[$folder['name']] = true;
+        }
+    }
+
+    /**
+     * Build an SQL condition matching feeds in a folder or any of its subfolders.
+     *
+     * @param int $folderId The folder ID
+     * @param string $column Feed folder column (e.g. 'f.folder_id')
+     * @return array [condition, params]
+     */
+    public static function subtreeCondition(int $folderId, string $column = 'f.folder_id'): array
+    {
+        $ids = self::getSubtreeIds($folderId) ?: [$folderId];
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+
+        return ["{$column} IN ({$placeholders})", $ids];
+    }
+}
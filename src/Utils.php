@@ -47,6 +47,84 @@ class Utils
         return $data;
     }
 
+    /**
+     * Resolve a (possibly relative) URL against a base URL.
+     *
+     * Handles scheme-relative (//host/x), absolute-path (/x) and relative
+     * (x, ../x) references, removing "." and ".." segments from the path.
+     * URLs that already have a scheme (https:, mailto:, data:) and fragment-only
+     * references are returned unchanged.
+     *
+     * @param string $baseUrl The absolute URL of the page or feed the reference appeared in
+     * @param string $url The URL to resolve
+     * @return string|null The absolute URL, or null if a relative URL has no valid base to resolve against
+     */
+    public static function resolveUrl(string $baseUrl, string $url): ?string
+    {
+        if (preg_match('#^[a-z][a-z0-9+.-]*:#i', $url) || str_starts_with($url, '#')) {
+            return $url;
+        }
+
+        $base = parse_url($baseUrl);
+        if (! $base || ! isset($base['scheme'], $base['host'])) {
+            return null;
+        }
+
+        if (str_starts_with($url, '//')) {
+            return $base['scheme'] . ':' . $url;
+        }
+
+        $origin = $base['scheme'] . '://' . $base['host'] . (isset($base['port']) ? ':' . $base['port'] : '');
+
+        // Keep the query and fragment out of the dot-segment removal
+        $pathLength = strcspn($url, '?#');
+        $path = substr($url, 0, $pathLength);
+        $suffix = substr($url, $pathLength);
+
+        if ($path === '') {
+            $path = $base['path'] ?? '/';
+            if ($suffix !== '' && $suffix[0] === '#' && isset($base['query'])) {
+                $suffix = '?' . $base['query'] . $suffix;
+            }
+        } elseif (! str_starts_with($path, '/')) {
+            $basePath = $base['path'] ?? '/';
+            $path = substr($basePath, 0, strrpos($basePath, '/') + 1) . $path;
+        }
+
+        return $origin . self::removeDotSegments($path) . $suffix;
+    }
+
+    /**
+     * Remove "." and ".." segments from an absolute URL path.
+     *
+     * @param string $path Path starting with "/"
+     * @return string Normalized path (never climbs above "/")
+     */
+    private static function removeDotSegments(string $path): string
+    {
+        $segments = [];
+        $last = '';
+        foreach (explode('/', $path) as $segment) {
+            $last = $segment;
+            if ($segment === '..') {
+                if (count($segments) > 1) {
+                    array_pop($segments);
+                }
+            } elseif ($segment !== '.') {
+                $segments[] = $segment;
+            }
+        }
+
+        // "/a/b/.." and "/a/." name a directory, so keep the trailing slash
+        if ($last === '.' || $last === '..') {
+            $segments[] = '';
+        }
+
+        $normalized = implode('/', $segments);
+
+        return str_starts_with($normalized, '/') ? $normalized : '/' . $normalized;
+    }
+
     /**
      * Safely decode JSON string with error handling.
      * 
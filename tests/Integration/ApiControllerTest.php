@@ -124,6 +124,104 @@ class ApiControllerTest extends IntegrationTestCase
         }
     }
 
+    public function testSearchItemsAppliesQueryOperators(): void
+    {
+        $this->loginTestUser();
+
+        $feedA = $this->createTestFeed($this->testUserId, 'Tech News', 'https://example.com/tech.xml');
+        $feedB = $this->createTestFeed($this->testUserId, 'Cooking', 'https://example.com/cooking.xml');
+        $this->createTestFeedItem($feedA, 'PHP Tutorial', false, $this->testUserId);
+        $this->createTestFeedItem($feedA, 'PHP Sponsor Post', false, $this->testUserId);
+        $this->createTestFeedItem($feedA, 'PHP Release Notes', true, $this->testUserId);
+        $this->createTestFeedItem($feedB, 'PHP Cookies', false, $this->testUserId);
+
+        $_GET['q'] = 'php feed:"tech news" is:unread -sponsor';
+
+        $controller = new ApiController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->searchItems();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertCount(1, $response);
+        $this->assertEquals('PHP Tutorial', $response[0]['title']);
+
+        $_GET['q'] = 'tutorial OR cookies';
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->searchItems();
+        });
+
+        $titles = array_column($this->getJsonResponse($output), 'title');
+        sort($titles);
+        $this->assertEquals(['PHP Cookies', 'PHP Tutorial'], $titles);
+    }
+
+    public function testSearchItemsRanksByRelevanceAndPaginates(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId, 'Test Feed');
+        $this->createTestFeedItem($feedId, 'Queue workers: a queue primer', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Weekly roundup: links, news and a note on queue sizes', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Unrelated post', false, $this->testUserId);
+
+        $controller = new ApiController();
+        $search = function (array $params) use ($controller) {
+            $_GET = $params;
+
+            return array_column($this->getJsonResponse($this->captureOutput(function () use ($controller) {
+                $controller->searchItems();
+            })), 'title');
+        };
+
+        $this->assertEquals(
+            ['Queue workers: a queue primer', 'Weekly roundup: links, news and a note on queue sizes'],
+            $search(['q' => 'queue'])
+        );
+        $this->assertEquals(
+            ['Weekly roundup: links, news and a note on queue sizes', 'Queue workers: a queue primer'],
+            $search(['q' => 'queue', 'sort' => 'date'])
+        );
+        $this->assertEquals(
+            ['Weekly roundup: links, news and a note on queue sizes'],
+            $search(['q' => 'queue', 'limit' => '1', 'offset' => '1'])
+        );
+    }
+
+    public function testSearchItemsReturnsHighlightedSnippets(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId, 'Test Feed');
+        $this->createTestFeedItem($feedId, 'PHP Tutorial', false, $this->testUserId);
+
+        $_GET['q'] = 'tutorial cont';
+
+        $controller = new ApiController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->searchItems();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertCount(1, $response);
+        $this->assertEquals('Test <mark>content</mark>', $response[0]['snippet']);
+    }
+
+    public function testSearchItemsReturnsErrorForInvalidQuery(): void
+    {
+        $this->loginTestUser();
+        $_GET['q'] = 'is:archived';
+
+        $controller = new ApiController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->searchItems();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('is:archived', $response['error']);
+    }
+
     public function testGetFeedItemsDelegatesToFeedController(): void
     {
         $this->loginTestUser();
@@ -0,0 +1,73 @@
+<?php
+
+namespace PhpRss\Tests\Integration;
+
+use PhpRss\Database;
+use PhpRss\Services\FeedCleanupService;
+
+/**
+ * Integration tests for FeedCleanupService retention rules.
+ */
+class FeedCleanupServiceTest extends IntegrationTestCase
+{
+    /**
+     * Backdate an item's published date so it falls outside the retention window.
+     */
+    private function backdateItem(int $itemId, int $days): void
+    {
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feed_items SET published_at = ? WHERE id = ?");
+        $stmt->execute([gmdate('Y-m-d H:i:s', time() - $days * 86400), $itemId]);
+    }
+
+    public function testCleanupRemovesItemsOlderThanRetention(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $oldId = $this->createTestFeedItem($feedId, 'Old Item');
+        $newId = $this->createTestFeedItem($feedId, 'New Item');
+        $this->backdateItem($oldId, 30);
+
+        $stats = FeedCleanupService::cleanupItems($feedId, 7);
+
+        $this->assertEquals(1, $stats['items_deleted']);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT id FROM feed_items WHERE feed_id = ?");
+        $stmt->execute([$feedId]);
+        $this->assertEquals([$newId], array_map('intval', $stmt->fetchAll(\PDO::FETCH_COLUMN)));
+    }
+
+    public function testCleanupUsesFeedRetentionSettings(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Month Old Item');
+        $this->backdateItem($itemId, 30);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET retention_days = 60 WHERE id = ?");
+        $stmt->execute([$feedId]);
+
+        $stats = FeedCleanupService::cleanupItems($feedId, 7);
+
+        $this->assertEquals(0, $stats['items_deleted'], 'The feed keeps items for 60 days');
+    }
+
+    public function testCleanupKeepsStarredItems(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $starredId = $this->createTestFeedItem($feedId, 'Old Starred Item');
+        $this->backdateItem($starredId, 30);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("INSERT INTO starred_items (user_id, feed_item_id) VALUES (?, ?)");
+        $stmt->execute([$this->testUserId, $starredId]);
+
+        $stats = FeedCleanupService::cleanupItems($feedId, 7, 0);
+
+        $this->assertEquals(0, $stats['items_deleted'], 'Starred items should be exempt from retention');
+
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE id = ?");
+        $stmt->execute([$starredId]);
+        $this->assertEquals(1, $stmt->fetchColumn());
+    }
+}
@@ -5,6 +5,10 @@ namespace PhpRss\Tests\Integration;
 use PhpRss\Controllers\FeedController;
 use PhpRss\Auth;
 use PhpRss\Database;
+use PhpRss\FeedHealth;
+use PhpRss\FilterRules;
+use PhpRss\ItemMedia;
+use PhpRss\Services\FeedService;
 use PDO;
 
 /**
@@ -34,6 +38,42 @@ class FeedControllerTest extends IntegrationTestCase
         $this->assertCount(2, $response);
     }
 
+    public function testDiscoverRejectsInvalidUrl(): void
+    {
+        $this->loginTestUser();
+
+        $_POST = $this->addCsrfToken(['url' => 'not a url']);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->discover();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid URL', $response['error']);
+    }
+
+    public function testAddRejectsFolderOfAnotherUser(): void
+    {
+        $this->loginTestUser();
+
+        $uniqueId = uniqid();
+        $otherUserId = $this->createTestUser("other_user_{$uniqueId}", "other_{$uniqueId}@example.com", 'password123');
+        $folderId = $this->createTestFolder($otherUserId, 'Not Mine');
+
+        $_POST = $this->addCsrfToken(['url' => 'https://example.com/feed.xml', 'folder_id' => $folderId]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->add();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Folder not found', $response['error']);
+    }
+
     public function testGetItemsReturnsFeedItems(): void
     {
         $this->loginTestUser();
@@ -44,285 +84,1498 @@ class FeedControllerTest extends IntegrationTestCase
         $stmt->execute([$this->testUserId]);
         $_SESSION['hide_read_items'] = false;
 
-        $feedId = $this->createTestFeed($this->testUserId, 'Test Feed');
-        $item1Id = $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
-        $item2Id = $this->createTestFeedItem($feedId, 'Item 2', true, $this->testUserId);
+        $feedId = $this->createTestFeed($this->testUserId, 'Test Feed');
+        $item1Id = $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
+        $item2Id = $this->createTestFeedItem($feedId, 'Item 2', true, $this->testUserId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertIsArray($response);
+        $this->assertCount(2, $response, 'Should return both read and unread items when hide_read_items is false');
+        
+        // Check item structure
+        $item = $response[0];
+        $this->assertArrayHasKey('id', $item);
+        $this->assertArrayHasKey('title', $item);
+        $this->assertArrayHasKey('is_read', $item);
+        $this->assertArrayHasKey('sort_date', $item);
+    }
+
+    public function testGetItemsPaginatesWithCursor(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = false;
+
+        $feedId = $this->createTestFeed($this->testUserId, 'Paged Feed');
+        $createdIds = [];
+        for ($i = 1; $i <= 5; $i++) {
+            $createdIds[] = $this->createTestFeedItem($feedId, "Item {$i}", false, $this->testUserId);
+        }
+
+        $controller = new FeedController();
+        $seenIds = [];
+        $before = null;
+        $pages = 0;
+
+        do {
+            $_GET = ['limit' => 2];
+            if ($before !== null) {
+                $_GET['before'] = $before;
+            }
+            $output = $this->captureOutput(function() use ($controller, $feedId) {
+                $controller->getItems(['id' => $feedId]);
+            });
+            $page = $this->getJsonResponse($output);
+            $this->assertLessThanOrEqual(2, count($page), 'Page should respect the limit');
+
+            foreach ($page as $item) {
+                $seenIds[] = $item['id'];
+            }
+            if (! empty($page)) {
+                $last = end($page);
+                $before = $last['sort_date'] . ',' . $last['id'];
+            }
+            $pages++;
+        } while (count($page) === 2 && $pages < 10);
+
+        $this->assertEquals(3, $pages, 'Five items with a limit of two should take three pages');
+        $this->assertCount(5, array_unique($seenIds), 'Every item should appear exactly once across pages');
+        $this->assertEqualsCanonicalizing($createdIds, $seenIds);
+    }
+
+    public function testGetItemsRejectsInvalidCursor(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $_GET = ['before' => 'not-a-cursor'];
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid cursor', $response['error']);
+    }
+
+    public function testGetItemReturnsSingleItem(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->getItem(['id' => $itemId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('id', $response);
+        $this->assertArrayHasKey('title', $response);
+        $this->assertArrayHasKey('content', $response);
+        $this->assertEquals($itemId, $response['id']);
+        $this->assertEquals('Test Item', $response['title']);
+    }
+
+    public function testMarkAsReadUpdatesItemStatus(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        // Add CSRF token
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->markAsRead(['id' => $itemId]);
+        });
+
+        // Verify item is marked as read in database
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$this->testUserId, $itemId]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(1, $count, 'Item should be marked as read');
+    }
+
+    public function testMarkAsUnreadRemovesReadStatus(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', true, $this->testUserId);
+
+        // Add CSRF token
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->markAsUnread(['id' => $itemId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+
+        // Verify item is no longer marked as read
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$this->testUserId, $itemId]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(0, $count, 'Item should no longer be marked as read');
+    }
+
+    public function testStarItemAddsItemToStarredList(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $starredId = $this->createTestFeedItem($feedId, 'Starred Item', true, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Other Item', false, $this->testUserId);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $starredId) {
+            $controller->starItem(['id' => $starredId]);
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getStarredItems();
+        });
+        $starred = $this->getJsonResponse($output);
+        $this->assertCount(1, $starred, 'Only the starred item should be listed');
+        $this->assertEquals($starredId, $starred[0]['id']);
+        $this->assertEquals(1, $starred[0]['is_starred']);
+        $this->assertEquals(1, $starred[0]['is_read'], 'Starred items should be listed even when read');
+        $this->assertArrayHasKey('feed_title', $starred[0]);
+    }
+
+    public function testUnstarItemRemovesStar(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("INSERT INTO starred_items (user_id, feed_item_id) VALUES (?, ?)");
+        $stmt->execute([$this->testUserId, $itemId]);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->unstarItem(['id' => $itemId]);
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+
+        $stmt = $db->prepare("SELECT COUNT(*) FROM starred_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$this->testUserId, $itemId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Item should no longer be starred');
+    }
+
+    public function testPlaybackPositionIsSavedAndReturnedWithItem(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = false;
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $episodeId = $this->createTestFeedItem($feedId, 'Episode 1', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Show Notes', false, $this->testUserId);
+        ItemMedia::storeEnclosures($episodeId, [[
+            'url' => 'https://example.com/episode1.mp3',
+            'type' => 'audio/mpeg',
+            'length' => 12345678,
+            'duration' => 3600,
+        ]]);
+
+        $_POST = $this->addCsrfToken(['position' => '123.5']);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $episodeId) {
+            $controller->savePlaybackPosition(['id' => $episodeId]);
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+
+        $output = $this->captureOutput(function() use ($controller, $episodeId) {
+            $controller->getItem(['id' => $episodeId]);
+        });
+        $item = $this->getJsonResponse($output);
+        $this->assertEquals([[
+            'url' => 'https://example.com/episode1.mp3',
+            'type' => 'audio/mpeg',
+            'length' => 12345678,
+            'duration' => 3600,
+        ]], $item['enclosures']);
+        $this->assertEquals(123.5, $item['playback_position']);
+
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+        $hasMedia = array_column($this->getJsonResponse($output), 'has_media', 'title');
+        $this->assertEquals(['Episode 1' => true, 'Show Notes' => false], $hasMedia);
+
+        // Position 0 (finished) forgets the saved position
+        $_POST = $this->addCsrfToken(['position' => '0']);
+        $this->captureOutput(function() use ($controller, $episodeId) {
+            $controller->savePlaybackPosition(['id' => $episodeId]);
+        });
+        $this->assertNull(ItemMedia::getPosition($this->testUserId, $episodeId));
+    }
+
+    public function testSavePlaybackPositionRejectsInvalidPosition(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Episode', false, $this->testUserId);
+
+        $_POST = $this->addCsrfToken(['position' => 'soon']);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->savePlaybackPosition(['id' => $itemId]);
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertEquals('Position must be a number of seconds', $response['error']);
+        $this->assertNull(ItemMedia::getPosition($this->testUserId, $itemId));
+    }
+
+    public function testGetUnreadItemsListsUnreadItemsFromAllFeeds(): void
+    {
+        $this->loginTestUser();
+
+        $feed1Id = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $feed2Id = $this->createTestFeed($this->testUserId, 'Feed 2', 'https://example.com/feed2.xml');
+        $unread1Id = $this->createTestFeedItem($feed1Id, 'Unread 1', false, $this->testUserId);
+        $unread2Id = $this->createTestFeedItem($feed2Id, 'Unread 2', false, $this->testUserId);
+        $this->createTestFeedItem($feed1Id, 'Read Item', true, $this->testUserId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getUnreadItems();
+        });
+        $items = $this->getJsonResponse($output);
+
+        $ids = array_column($items, 'id');
+        sort($ids);
+        $this->assertEquals([$unread1Id, $unread2Id], $ids, 'Only unread items from all feeds should be listed');
+        $this->assertArrayHasKey('feed_title', $items[0]);
+        $this->assertArrayHasKey('sort_date', $items[0]);
+    }
+
+    public function testGetTodayItemsExcludesOlderItems(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = false;
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $todayId = $this->createTestFeedItem($feedId, 'Today Item', true, $this->testUserId);
+        $oldId = $this->createTestFeedItem($feedId, 'Old Item', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feed_items SET published_at = ? WHERE id = ?");
+        $stmt->execute([gmdate('Y-m-d H:i:s', time() - 3 * 86400), $oldId]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getTodayItems();
+        });
+        $items = $this->getJsonResponse($output);
+
+        $this->assertEquals([$todayId], array_column($items, 'id'), 'Only items published today should be listed');
+    }
+
+    public function testGetRecentlyReadItemsOrdersByReadTime(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $firstReadId = $this->createTestFeedItem($feedId, 'Read First', true, $this->testUserId);
+        $lastReadId = $this->createTestFeedItem($feedId, 'Read Last', true, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Unread Item', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE read_items SET read_at = ? WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([gmdate('Y-m-d H:i:s', time() - 3600), $this->testUserId, $firstReadId]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getRecentlyReadItems();
+        });
+        $items = $this->getJsonResponse($output);
+
+        $this->assertEquals([$lastReadId, $firstReadId], array_column($items, 'id'), 'Most recently read item should come first');
+    }
+
+    public function testMarkAllUnreadAsReadMarksItemsInAllFeeds(): void
+    {
+        $this->loginTestUser();
+
+        $feed1Id = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $feed2Id = $this->createTestFeed($this->testUserId, 'Feed 2', 'https://example.com/feed2.xml');
+        $this->createTestFeedItem($feed1Id, 'Item 1', false, $this->testUserId);
+        $this->createTestFeedItem($feed2Id, 'Item 2', false, $this->testUserId);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->markAllUnreadAsRead();
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(2, $response['count']);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $this->assertEquals(2, $stmt->fetchColumn(), 'All items should be marked as read');
+    }
+
+    public function testMarkItemsAsReadRequiresItemIds(): void
+    {
+        $this->loginTestUser();
+
+        // markItemsAsRead reads item IDs from the JSON body; an empty body is rejected
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->markItemsAsRead();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Item IDs required', $response['error']);
+    }
+
+    public function testMarkAllAsReadMarksAllItemsInFeed(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $item1Id = $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
+        $item2Id = $this->createTestFeedItem($feedId, 'Item 2', false, $this->testUserId);
+        $item3Id = $this->createTestFeedItem($feedId, 'Item 3', false, $this->testUserId);
+
+        // Add CSRF token
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->markAllAsRead(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+
+        // Verify all items are marked as read
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id IN (?, ?, ?)");
+        $stmt->execute([$this->testUserId, $item1Id, $item2Id, $item3Id]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(3, $count, 'All items should be marked as read');
+    }
+
+    public function testMarkAllAsReadCanBeUndoneByBatch(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $unread1Id = $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
+        $unread2Id = $this->createTestFeedItem($feedId, 'Item 2', false, $this->testUserId);
+        $readId = $this->createTestFeedItem($feedId, 'Already Read', true, $this->testUserId);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->markAllAsRead(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(2, $response['count']);
+        $this->assertArrayNotHasKey('item_ids', $response, 'The batch is undone by its ID, not a list of items');
+        $batchId = $response['batch_id'];
+
+        // Another user can't undo the batch
+        $uniqueId = uniqid();
+        $this->createTestUser("other_user_{$uniqueId}", "other_{$uniqueId}@example.com", 'password123');
+        Auth::login("other_user_{$uniqueId}", 'password123');
+        $_POST = $this->addCsrfToken([]);
+        $output = $this->captureOutput(function() use ($controller, $batchId) {
+            $controller->undoReadBatch(['id' => $batchId]);
+        });
+        $this->assertEquals(0, $this->getJsonResponse($output)['count']);
+
+        $this->loginTestUser();
+        $_POST = $this->addCsrfToken([]);
+        $output = $this->captureOutput(function() use ($controller, $batchId) {
+            $controller->undoReadBatch(['id' => $batchId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(2, $response['count']);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT feed_item_id FROM read_items WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $readIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+        $this->assertEquals([$readId], $readIds, 'Only the items the batch marked should be unread again');
+        $this->assertNotContains($unread1Id, $readIds);
+        $this->assertNotContains($unread2Id, $readIds);
+    }
+
+    public function testUndoReadBatchRejectsInvalidBatchId(): void
+    {
+        $this->loginTestUser();
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->undoReadBatch(['id' => 'not-a-batch']);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid batch ID', $response['error']);
+    }
+
+    public function testMarkAllAsReadLeavesItemsAfterSeenBoundUnread(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $seenId = $this->createTestFeedItem($feedId, 'Seen Item', false, $this->testUserId);
+        $newId = $this->createTestFeedItem($feedId, 'Arrived Later', false, $this->testUserId);
+
+        // A request queued offline, sent after a new item arrived
+        $_GET = ['max_item_id' => (string)$seenId];
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->markAllAsRead(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(1, $response['count']);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT feed_item_id FROM read_items WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $readIds = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+        $this->assertContains($seenId, $readIds);
+        $this->assertNotContains($newId, $readIds, 'Items stored after the bound should stay unread');
+    }
+
+    public function testMarkAllAsReadWithListBoundReadsEveryPage(): void
+    {
+        $this->loginTestUser();
+
+        // Feeds list their newest items first, so the newest items get the lowest IDs
+        $feedId = $this->createTestFeed($this->testUserId);
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feed_items SET published_at = ? WHERE id = ?");
+        $itemIds = [];
+        for ($day = 5; $day >= 1; $day--) {
+            $itemId = $this->createTestFeedItem($feedId, "Day {$day}", false, $this->testUserId);
+            $stmt->execute([sprintf('2024-01-%02d 10:00:00', $day), $itemId]);
+            $itemIds[] = $itemId;
+        }
+
+        // The first page of the list holds the two newest items
+        $_GET = ['limit' => '2'];
+        $controller = new FeedController();
+        $page = $this->getJsonResponse($this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        }));
+        $this->assertEquals(array_slice($itemIds, 0, 2), array_column($page, 'id'));
+
+        // The bound sent with the first page (X-Max-Item-Id) covers the pages not loaded yet
+        $bound = FeedService::latestItemId($this->testUserId);
+        $this->assertEquals(max($itemIds), $bound);
+        $this->assertGreaterThan(max(array_column($page, 'id')), $bound);
+
+        $_GET = ['max_item_id' => (string)$bound];
+        $_POST = $this->addCsrfToken([]);
+        $response = $this->getJsonResponse($this->captureOutput(function() use ($controller, $feedId) {
+            $controller->markAllAsRead(['id' => $feedId]);
+        }));
+        $this->assertTrue($response['success']);
+        $this->assertEquals(5, $response['count']);
+
+        $stmt = $db->prepare("SELECT feed_item_id FROM read_items WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $this->assertEqualsCanonicalizing($itemIds, array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN)));
+    }
+
+    public function testMarkItemsAsUnreadRequiresItemIds(): void
+    {
+        $this->loginTestUser();
+
+        // markItemsAsUnread reads item IDs from the JSON body; an empty body is rejected
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->markItemsAsUnread();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Item IDs required', $response['error']);
+    }
+
+    public function testBulkUpdateItemsRequiresItemIds(): void
+    {
+        $this->loginTestUser();
+
+        // bulkUpdateItems reads the action and item IDs from the JSON body; an empty body is rejected
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->bulkUpdateItems();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Item IDs required', $response['error']);
+    }
+
+    public function testApplyBulkItemActionOnlyChangesTheUsersItems(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $readId = $this->createTestFeedItem($feedId, 'Read', true, $this->testUserId);
+        $unreadId = $this->createTestFeedItem($feedId, 'Unread', false, $this->testUserId);
+        $uniqueId = uniqid();
+        $otherUserId = $this->createTestUser("other_user_{$uniqueId}", "other_{$uniqueId}@example.com", 'password123');
+        $otherFeedId = $this->createTestFeed($otherUserId, 'Other Feed', 'https://example.com/other.xml');
+        $otherItemId = $this->createTestFeedItem($otherFeedId, 'Not Mine', true, $otherUserId);
+        $itemIds = [$readId, $unreadId, $otherItemId];
+
+        // bulkUpdateItems() hands every action except mark_read to applyBulkItemAction()
+        $method = new \ReflectionMethod(FeedController::class, 'applyBulkItemAction');
+        $method->setAccessible(true);
+        $db = Database::getConnection();
+        $ids = function (string $sql, array $params) use ($db): array {
+            $stmt = $db->prepare($sql);
+            $stmt->execute($params);
+            $ids = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+            sort($ids);
+
+            return $ids;
+        };
+        $starredIds = fn (int $userId) => $ids("SELECT feed_item_id FROM starred_items WHERE user_id = ?", [$userId]);
+
+        // Only the user's items that the action changes are reported
+        $this->assertEqualsCanonicalizing([$readId, $unreadId], $method->invoke(null, $this->testUserId, 'star', $itemIds, null));
+        $this->assertEquals([$readId, $unreadId], $starredIds($this->testUserId));
+        $this->assertEquals([], $starredIds($otherUserId));
+        $this->assertEquals([], $method->invoke(null, $this->testUserId, 'star', $itemIds, null), 'Starred items are not starred again');
+
+        $this->assertEquals([$readId], $method->invoke(null, $this->testUserId, 'unstar', [$readId, $otherItemId], null));
+        $this->assertEquals([$unreadId], $starredIds($this->testUserId));
+
+        $this->assertEqualsCanonicalizing([$readId, $unreadId], $method->invoke(null, $this->testUserId, 'tag', $itemIds, 'later'));
+        $this->assertEquals([$readId, $unreadId], $ids("SELECT feed_item_id FROM item_tags WHERE tag = ? AND feed_item_id IN (?, ?, ?)", ['later', ...$itemIds]));
+        $this->assertEquals([], $method->invoke(null, $this->testUserId, 'tag', $itemIds, 'later'), 'Tagged items are not tagged again');
+
+        $this->assertEquals([$readId], $method->invoke(null, $this->testUserId, 'mark_unread', $itemIds, null));
+        $this->assertEquals([], $ids("SELECT feed_item_id FROM read_items WHERE user_id = ?", [$this->testUserId]));
+        $this->assertEquals([$otherItemId], $ids("SELECT feed_item_id FROM read_items WHERE user_id = ?", [$otherUserId]));
+    }
+
+    public function testReadBelowAndAboveFollowTheListOrder(): void
+    {
+        $this->loginTestUser();
+        $user = Auth::user();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $olderId = $this->createTestFeedItem($feedId, 'Older', false, $this->testUserId);
+        $middleId = $this->createTestFeedItem($feedId, 'Middle', false, $this->testUserId);
+        $newerId = $this->createTestFeedItem($feedId, 'Newer', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feed_items SET published_at = ? WHERE id = ?");
+        $stmt->execute(['2024-01-01 10:00:00', $olderId]);
+        $stmt->execute(['2024-01-02 10:00:00', $middleId]);
+        $stmt->execute(['2024-01-03 10:00:00', $newerId]);
+
+        // markItemsReadBeside() does the work of the read_above and read_below bulk actions
+        $method = new \ReflectionMethod(FeedController::class, 'markItemsReadBeside');
+        $method->setAccessible(true);
+        $cursor = ['sort_date' => '2024-01-02 10:00:00', 'id' => $middleId];
+        $readIds = function () use ($db): array {
+            $stmt = $db->prepare("SELECT feed_item_id FROM read_items WHERE user_id = ? ORDER BY feed_item_id");
+            $stmt->execute([$this->testUserId]);
+
+            return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+        };
+
+        // Newest first: older items are below
+        $this->assertEquals(1, $method->invoke(null, $user, (string)$feedId, $cursor, true)['count']);
+        $this->assertEquals([$olderId], $readIds());
+        $this->assertEquals(1, $method->invoke(null, $user, (string)$feedId, $cursor, false)['count']);
+        $this->assertEquals([$olderId, $newerId], $readIds());
+        $this->assertEquals(0, $method->invoke(null, $user, (string)$feedId, $cursor, true)['count'], 'Read items are not marked again');
+
+        // Oldest first (the feed's setting): newer items are below
+        $db->prepare("DELETE FROM read_items WHERE user_id = ?")->execute([$this->testUserId]);
+        $db->prepare("UPDATE feeds SET item_sort_order = 'oldest' WHERE id = ?")->execute([$feedId]);
+        $this->assertEquals(1, $method->invoke(null, $user, (string)$feedId, $cursor, true)['count']);
+        $this->assertEquals([$newerId], $readIds());
+
+        // Virtual feeds work across feeds; lists of other users are not found
+        $this->assertEquals(1, $method->invoke(null, $user, 'unread', $cursor, true)['count']);
+        $this->assertEquals([$olderId, $newerId], $readIds());
+        $uniqueId = uniqid();
+        $otherUserId = $this->createTestUser("other_user_{$uniqueId}", "other_{$uniqueId}@example.com", 'password123');
+        $otherFeedId = $this->createTestFeed($otherUserId, 'Other Feed', 'https://example.com/other.xml');
+        $this->assertNull($method->invoke(null, $user, (string)$otherFeedId, $cursor, true));
+        $this->assertNull($method->invoke(null, $user, 'folder:999999', $cursor, true));
+        $this->assertNull($method->invoke(null, $user, 'everything', $cursor, true));
+    }
+
+    public function testRefreshAllQueuesUnpausedFeedsAndReusesRunningBatch(): void
+    {
+        $this->loginTestUser();
+
+        $this->createTestFeed($this->testUserId, 'Active Feed', 'https://example.com/active.xml');
+        $pausedFeedId = $this->createTestFeed($this->testUserId, 'Paused Feed', 'https://example.com/paused.xml');
+        $db = Database::getConnection();
+        $db->prepare("UPDATE feeds SET paused = 1 WHERE id = ?")->execute([$pausedFeedId]);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $first = $this->getJsonResponse($this->captureOutput(function() use ($controller) {
+            $controller->refreshAll();
+        }));
+        $this->assertTrue($first['success']);
+        $this->assertNotNull($first['batch_id']);
+        $this->assertEquals(1, $first['total']);
+        $this->assertEquals(1, $first['pending']);
+        $this->assertFalse($first['finished']);
+
+        // The batch is still running, so it is returned instead of queuing another
+        $second = $this->getJsonResponse($this->captureOutput(function() use ($controller) {
+            $controller->refreshAll();
+        }));
+        $this->assertEquals($first['batch_id'], $second['batch_id']);
+        $this->assertEquals(1, $second['total']);
+    }
+
+    public function testGetRefreshAllProgressRequiresOwnBatch(): void
+    {
+        $this->loginTestUser();
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getRefreshAllProgress(['id' => 999999]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Batch not found', $response['error']);
+    }
+
+    public function testLoadFullArticleReturnsStoredArticle(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feed_items SET link = ?, full_content = ? WHERE id = ?");
+        $stmt->execute(['https://example.com/post', '<p>Full article text</p>', $itemId]);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->loadFullArticle(['id' => $itemId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals('<p>Full article text</p>', $response['full_content']);
+    }
+
+    public function testLoadFullArticleRequiresItemLink(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $itemId) {
+            $controller->loadFullArticle(['id' => $itemId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Item has no link to load the article from', $response['error']);
+    }
+
+    public function testUpdateFullArticleSettingRequiresBoolean(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+
+        // The setting is read from the JSON body; an empty body is rejected
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->updateFullArticleSetting(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Invalid always load full article setting', $response['error']);
+    }
+
+    public function testGetFeedSettingsReturnsSettingsAndDefaults(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId, 'Settings Feed', 'https://example.com/settings.xml');
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET refresh_interval = 60, paused = 1 WHERE id = ?");
+        $stmt->execute([$feedId]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getFeedSettings(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals('Settings Feed', $response['settings']['title']);
+        $this->assertEquals('https://example.com/settings.xml', $response['settings']['url']);
+        $this->assertSame(60, $response['settings']['refresh_interval']);
+        $this->assertTrue($response['settings']['paused']);
+        $this->assertNull($response['settings']['item_sort_order'], 'Unset settings use the defaults');
+        $this->assertArrayHasKey('retention_days', $response['defaults']);
+    }
+
+    public function testItemsLayoutComesFromFeedSettingOrPreference(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $db = Database::getConnection();
+        $db->prepare("UPDATE users SET items_layout = 'comfortable' WHERE id = ?")->execute([$this->testUserId]);
+        $db->prepare("UPDATE feeds SET items_layout = 'cards' WHERE id = ?")->execute([$feedId]);
+        unset($_SESSION['items_layout']);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getPreferences();
+        });
+        $this->assertEquals('comfortable', $this->getJsonResponse($output)['items_layout']);
+
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getFeedSettings(['id' => $feedId]);
+        });
+        $response = $this->getJsonResponse($output);
+        $this->assertEquals('cards', $response['settings']['items_layout']);
+        $this->assertEquals('comfortable', $response['defaults']['items_layout']);
+    }
+
+    public function testUpdateFeedSettingsRequiresSettings(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+
+        // Settings are read from the JSON body; an empty body changes nothing
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->updateFeedSettings(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('No settings to update', $response['error']);
+    }
+
+    public function testGetFeedHealthListsFailingFeeds(): void
+    {
+        $this->loginTestUser();
+
+        $brokenFeedId = $this->createTestFeed($this->testUserId, 'Broken Feed', 'https://example.com/broken.xml');
+        $healthyFeedId = $this->createTestFeed($this->testUserId, 'Healthy Feed', 'https://example.com/healthy.xml');
+        $this->createTestFeedItem($healthyFeedId, 'Recent Item');
+
+        FeedHealth::recordFailure($brokenFeedId, 'HTTP error: 404', 404);
+        FeedHealth::recordFailure($brokenFeedId, 'HTTP error: 404', 404);
+        FeedHealth::recordSuccess($healthyFeedId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getFeedHealth();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertCount(1, $response['feeds']);
+
+        $feed = $response['feeds'][0];
+        $this->assertEquals($brokenFeedId, $feed['id']);
+        $this->assertEquals('failing', $feed['health']);
+        $this->assertEquals('Last 2 updates failed: HTTP error: 404', $feed['health_message']);
+        $this->assertEquals(404, $feed['last_http_status']);
+        $this->assertEquals(2, $feed['failure_count']);
+
+        // A successful fetch clears the failures and records the feed's activity
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT failure_count, last_error, last_http_status, last_success_at, items_per_week FROM feeds WHERE id = ?");
+        $stmt->execute([$healthyFeedId]);
+        $health = $stmt->fetch(PDO::FETCH_ASSOC);
+        $this->assertEquals(0, $health['failure_count']);
+        $this->assertNull($health['last_error']);
+        $this->assertEquals(200, $health['last_http_status']);
+        $this->assertNotNull($health['last_success_at']);
+        $this->assertGreaterThan(0, (float)$health['items_per_week']);
+    }
+
+    public function testDeleteFeedRemovesFeedAndItems(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+
+        // Verify item exists before deletion
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ?");
+        $stmt->execute([$feedId]);
+        $beforeCount = $stmt->fetchColumn();
+        $this->assertEquals(1, $beforeCount, 'Item should exist before feed deletion');
+
+        // Add CSRF token
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->delete(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+
+        // Verify feed is deleted
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(0, $count, 'Feed should be deleted');
+
+        // Verify items are also deleted (cascade delete)
+        // Note: SQLite requires foreign key constraints to be enabled
+        // The database setup should enable this, but let's verify
+        $dbType = Database::getDbType();
+        if ($dbType === 'sqlite') {
+            // SQLite may require PRAGMA foreign_keys = ON
+            $db->exec('PRAGMA foreign_keys = ON');
+        }
+        
+        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ?");
+        $stmt->execute([$feedId]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(0, $count, 'Feed items should be deleted via CASCADE (foreign keys must be enabled)');
+    }
+
+    public function testGetFoldersReturnsUserFolders(): void
+    {
+        $this->loginTestUser();
+
+        $folder1Id = $this->createTestFolder($this->testUserId, 'Folder 1');
+        $folder2Id = $this->createTestFolder($this->testUserId, 'Folder 2');
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getFolders();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+        $this->assertArrayHasKey('folders', $response);
+        $this->assertIsArray($response['folders']);
+        $this->assertCount(2, $response['folders']);
+    }
+
+    public function testCreateFolderAddsNewFolder(): void
+    {
+        $this->loginTestUser();
+
+        // Add CSRF token to POST
+        $_POST = $this->addCsrfToken([]);
+        
+        // Mock php://input using eval or file_put_contents to a temp stream
+        // Since php://input is read-only, we use a helper that wraps file_get_contents
+        // For this test, we'll verify the folder creation through the helper method directly
+        // and test that the controller method exists and validates input
+        
+        // Create folder directly via database to test the method works
+        // (Integration test for createFolder would require mocking php://input which is complex)
+        $db = Database::getConnection();
+        $folderCountBefore = $db->query("SELECT COUNT(*) FROM folders WHERE user_id = " . $this->testUserId)->fetchColumn();
+        
+        // Test that the method requires proper JSON input
+        // We'll skip the full integration test for createFolder/updateFolder due to php://input complexity
+        // These are tested through manual testing and API usage
+        $this->assertTrue(true, 'createFolder method exists (php://input mocking is complex for integration tests)');
+    }
+
+    public function testUpdateFolderChangesFolderName(): void
+    {
+        $this->loginTestUser();
+
+        $folderId = $this->createTestFolder($this->testUserId, 'Old Name');
+
+        // Note: updateFolder reads from php://input which is complex to mock
+        // For this test, we'll verify the folder exists and can be updated
+        // Full integration testing of updateFolder requires php://input mocking
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT name FROM folders WHERE id = ?");
+        $stmt->execute([$folderId]);
+        $name = $stmt->fetchColumn();
+        $this->assertEquals('Old Name', $name, 'Folder should exist with original name');
+        
+        // Method exists and validates input properly (tested through usage)
+        $this->assertTrue(true, 'updateFolder method exists (php://input mocking is complex for integration tests)');
+    }
+
+    public function testDeleteFolderRemovesFolder(): void
+    {
+        $this->loginTestUser();
+
+        $folderId = $this->createTestFolder($this->testUserId, 'Test Folder');
+
+        // Add CSRF token
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $folderId) {
+            $controller->deleteFolder(['id' => $folderId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+
+        // Verify folder was deleted
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT COUNT(*) FROM folders WHERE id = ?");
+        $stmt->execute([$folderId]);
+        $count = $stmt->fetchColumn();
+        $this->assertEquals(0, $count, 'Folder should be deleted');
+    }
+
+    public function testDeleteFolderRemovesSubfoldersAndMovesTheirFeedsToTopLevel(): void
+    {
+        $this->loginTestUser();
+
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $otherId = $this->createTestFolder($this->testUserId, 'Other');
+        $feedId = $this->createTestFeed($this->testUserId, 'Security Feed', 'https://example.com/security.xml');
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?");
+        $stmt->execute([$securityId, $feedId]);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $techId) {
+            $controller->deleteFolder(['id' => $techId]);
+        });
+        $this->assertTrue($this->getJsonResponse($output)['success']);
+
+        $stmt = $db->prepare("SELECT id FROM folders WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $this->assertEquals([$otherId], array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN)));
+
+        $stmt = $db->prepare("SELECT folder_id FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $this->assertNull($stmt->fetchColumn(), 'Feeds of deleted subfolders should move to the top level');
+    }
+
+    public function testReorderFoldersRequiresOrder(): void
+    {
+        $this->loginTestUser();
+
+        $_POST = $this->addCsrfToken([]);
+
+        // php://input is empty here, so no order is given
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->reorderFolders();
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Order array required', $response['error']);
+    }
+
+    public function testUpdateFeedFolderAssignsFeedToFolder(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $folderId = $this->createTestFolder($this->testUserId, 'Test Folder');
+
+        // Note: updateFeedFolder reads from php://input which is complex to mock
+        // We'll verify feed and folder exist and test assignment via database directly
+        $db = Database::getConnection();
+        
+        // Directly assign feed to folder to verify the relationship works
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ? AND user_id = ?");
+        $stmt->execute([$folderId, $feedId, $this->testUserId]);
+
+        // Verify feed is assigned to folder
+        $stmt = $db->prepare("SELECT folder_id FROM feeds WHERE id = ?");
+        $stmt->execute([$feedId]);
+        $assignedFolderId = $stmt->fetchColumn();
+        $this->assertEquals($folderId, $assignedFolderId, 'Feed should be assignable to folder');
+    }
+
+    public function testGetFolderItemsMergesItemsFromFolderFeeds(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = false;
+
+        $folderId = $this->createTestFolder($this->testUserId, 'News');
+        $feed1Id = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $feed2Id = $this->createTestFeed($this->testUserId, 'Feed 2', 'https://example.com/feed2.xml');
+        $otherFeedId = $this->createTestFeed($this->testUserId, 'Other Feed', 'https://example.com/other.xml');
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id IN (?, ?)");
+        $stmt->execute([$folderId, $feed1Id, $feed2Id]);
+
+        $item1Id = $this->createTestFeedItem($feed1Id, 'Item 1', false, $this->testUserId);
+        $item2Id = $this->createTestFeedItem($feed2Id, 'Item 2', true, $this->testUserId);
+        $this->createTestFeedItem($otherFeedId, 'Other Item', false, $this->testUserId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $folderId) {
+            $controller->getFolderItems(['id' => $folderId]);
+        });
+        $items = $this->getJsonResponse($output);
+
+        $ids = array_column($items, 'id');
+        sort($ids);
+        $this->assertEquals([$item1Id, $item2Id], $ids, 'Only items from feeds in the folder should be listed');
+        $this->assertArrayHasKey('feed_title', $items[0]);
+    }
+
+    public function testGetFolderItemsIncludesSubfolderFeeds(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = false;
+
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $vendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $securityId);
+        $techFeedId = $this->createTestFeed($this->testUserId, 'Tech Feed', 'https://example.com/tech.xml');
+        $vendorFeedId = $this->createTestFeed($this->testUserId, 'Vendor Feed', 'https://example.com/vendor.xml');
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?");
+        $stmt->execute([$techId, $techFeedId]);
+        $stmt->execute([$vendorsId, $vendorFeedId]);
+
+        $techItemId = $this->createTestFeedItem($techFeedId, 'Tech Item', false, $this->testUserId);
+        $vendorItemId = $this->createTestFeedItem($vendorFeedId, 'Vendor Item', false, $this->testUserId);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $techId) {
+            $controller->getFolderItems(['id' => $techId]);
+        });
+        $ids = array_column($this->getJsonResponse($output), 'id');
+        sort($ids);
+        $this->assertEquals([$techItemId, $vendorItemId], $ids, 'Items of feeds in subfolders should be listed');
+
+        $output = $this->captureOutput(function() use ($controller, $securityId) {
+            $controller->getFolderItems(['id' => $securityId]);
+        });
+        $this->assertEquals([$vendorItemId], array_column($this->getJsonResponse($output), 'id'));
+    }
+
+    public function testMarkFolderAsReadMarksItemsInFolderFeeds(): void
+    {
+        $this->loginTestUser();
+
+        $folderId = $this->createTestFolder($this->testUserId, 'News');
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $otherFeedId = $this->createTestFeed($this->testUserId, 'Other Feed', 'https://example.com/other.xml');
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?");
+        $stmt->execute([$folderId, $feedId]);
+
+        $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Item 2', false, $this->testUserId);
+        $otherItemId = $this->createTestFeedItem($otherFeedId, 'Other Item', false, $this->testUserId);
+
+        $_POST = $this->addCsrfToken([]);
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $feedId) {
-            $controller->getItems(['id' => $feedId]);
+        $output = $this->captureOutput(function() use ($controller, $folderId) {
+            $controller->markFolderAsRead(['id' => $folderId]);
         });
-
         $response = $this->getJsonResponse($output);
-        $this->assertIsArray($response);
-        $this->assertCount(2, $response, 'Should return both read and unread items when hide_read_items is false');
-        
-        // Check item structure
-        $item = $response[0];
-        $this->assertArrayHasKey('id', $item);
-        $this->assertArrayHasKey('title', $item);
-        $this->assertArrayHasKey('is_read', $item);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(2, $response['count']);
+
+        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id = ?");
+        $stmt->execute([$this->testUserId, $otherItemId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Items outside the folder should stay unread');
     }
 
-    public function testGetItemReturnsSingleItem(): void
+    public function testGetSavedSearchesIncludesUnreadMatchCount(): void
     {
         $this->loginTestUser();
 
-        $feedId = $this->createTestFeed($this->testUserId);
-        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $this->createTestFeedItem($feedId, 'CVE-2026-0001 patched', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'CVE-2026-0002 patched', true, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Release notes', false, $this->testUserId);
+        $this->createTestSavedSearch($this->testUserId, 'CVEs', 'cve');
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $itemId) {
-            $controller->getItem(['id' => $itemId]);
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getSavedSearches();
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('id', $response);
-        $this->assertArrayHasKey('title', $response);
-        $this->assertArrayHasKey('content', $response);
-        $this->assertEquals($itemId, $response['id']);
-        $this->assertEquals('Test Item', $response['title']);
+        $this->assertTrue($response['success']);
+        $this->assertCount(1, $response['saved_searches']);
+        $this->assertEquals('CVEs', $response['saved_searches'][0]['name']);
+        $this->assertEquals('cve', $response['saved_searches'][0]['query']);
+        $this->assertEquals(1, $response['saved_searches'][0]['unread_count']);
     }
 
-    public function testMarkAsReadUpdatesItemStatus(): void
+    public function testCreateSavedSearchRequiresName(): void
     {
         $this->loginTestUser();
-
-        $feedId = $this->createTestFeed($this->testUserId);
-        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
-
-        // Add CSRF token
         $_POST = $this->addCsrfToken([]);
 
+        // php://input is empty here, so the name is missing
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $itemId) {
-            $controller->markAsRead(['id' => $itemId]);
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->createSavedSearch();
         });
 
-        // Verify item is marked as read in database
-        $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id = ?");
-        $stmt->execute([$this->testUserId, $itemId]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(1, $count, 'Item should be marked as read');
+        $response = $this->getJsonResponse($output);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Saved search name is required', $response['error']);
     }
 
-    public function testMarkAsUnreadRemovesReadStatus(): void
+    public function testMarkSavedSearchAsReadMarksOnlyMatchingItems(): void
     {
         $this->loginTestUser();
 
-        $feedId = $this->createTestFeed($this->testUserId);
-        $itemId = $this->createTestFeedItem($feedId, 'Test Item', true, $this->testUserId);
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $this->createTestFeedItem($feedId, 'CVE-2026-0001 patched', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'CVE-2026-0002 patched', false, $this->testUserId);
+        $otherItemId = $this->createTestFeedItem($feedId, 'Release notes', false, $this->testUserId);
+        $savedSearchId = $this->createTestSavedSearch($this->testUserId, 'CVEs', 'cve');
 
-        // Add CSRF token
         $_POST = $this->addCsrfToken([]);
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $itemId) {
-            $controller->markAsUnread(['id' => $itemId]);
+        $output = $this->captureOutput(function() use ($controller, $savedSearchId) {
+            $controller->markSavedSearchAsRead(['id' => $savedSearchId]);
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
         $this->assertTrue($response['success']);
+        $this->assertEquals(2, $response['count']);
 
-        // Verify item is no longer marked as read
         $db = Database::getConnection();
         $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id = ?");
-        $stmt->execute([$this->testUserId, $itemId]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(0, $count, 'Item should no longer be marked as read');
+        $stmt->execute([$this->testUserId, $otherItemId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Items not matching the search should stay unread');
     }
 
-    public function testMarkAllAsReadMarksAllItemsInFeed(): void
+    public function testDeleteSavedSearchRemovesSavedSearch(): void
     {
         $this->loginTestUser();
 
-        $feedId = $this->createTestFeed($this->testUserId);
-        $item1Id = $this->createTestFeedItem($feedId, 'Item 1', false, $this->testUserId);
-        $item2Id = $this->createTestFeedItem($feedId, 'Item 2', false, $this->testUserId);
-        $item3Id = $this->createTestFeedItem($feedId, 'Item 3', false, $this->testUserId);
+        $savedSearchId = $this->createTestSavedSearch($this->testUserId, 'CVEs', 'cve');
 
-        // Add CSRF token
         $_POST = $this->addCsrfToken([]);
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $feedId) {
-            $controller->markAllAsRead(['id' => $feedId]);
+        $output = $this->captureOutput(function() use ($controller, $savedSearchId) {
+            $controller->deleteSavedSearch(['id' => $savedSearchId]);
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
         $this->assertTrue($response['success']);
 
-        // Verify all items are marked as read
         $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT COUNT(*) FROM read_items WHERE user_id = ? AND feed_item_id IN (?, ?, ?)");
-        $stmt->execute([$this->testUserId, $item1Id, $item2Id, $item3Id]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(3, $count, 'All items should be marked as read');
+        $stmt = $db->prepare("SELECT COUNT(*) FROM saved_searches WHERE id = ?");
+        $stmt->execute([$savedSearchId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Saved search should be deleted');
     }
 
-    public function testDeleteFeedRemovesFeedAndItems(): void
+    public function testExportOpmlIncludesSavedSearches(): void
     {
         $this->loginTestUser();
 
-        $feedId = $this->createTestFeed($this->testUserId);
-        $itemId = $this->createTestFeedItem($feedId, 'Test Item', false, $this->testUserId);
+        $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $this->createTestSavedSearch($this->testUserId, 'Security', 'feed:"Feed 1" cve');
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->exportOpml();
+        });
+
+        $this->assertStringContainsString('xmlUrl="https://example.com/feed1.xml"', $output);
+        $this->assertStringContainsString('<outline type="search" text="Security" query="feed:&quot;Feed 1&quot; cve"/>', $output);
+    }
+
+    public function testExportOpmlNestsSubfolders(): void
+    {
+        $this->loginTestUser();
+
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $this->createTestFolder($this->testUserId, 'Empty', $techId);
+        $feedId = $this->createTestFeed($this->testUserId, 'Security Feed', 'https://example.com/security.xml');
 
-        // Verify item exists before deletion
         $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ?");
-        $stmt->execute([$feedId]);
-        $beforeCount = $stmt->fetchColumn();
-        $this->assertEquals(1, $beforeCount, 'Item should exist before feed deletion');
+        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?");
+        $stmt->execute([$securityId, $feedId]);
 
-        // Add CSRF token
-        $_POST = $this->addCsrfToken([]);
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->exportOpml();
+        });
+
+        $xml = simplexml_load_string($output);
+        $tech = $xml->body->outline[0];
+        $this->assertEquals('Tech', (string)$tech['text']);
+        $this->assertCount(1, $tech->outline, 'Folders without feeds should be left out');
+        $this->assertEquals('Security', (string)$tech->outline[0]['text']);
+        $this->assertEquals('https://example.com/security.xml', (string)$tech->outline[0]->outline[0]['xmlUrl']);
+    }
+
+    public function testPreviewSavedFilterRuleCountsAffectedItems(): void
+    {
+        $this->loginTestUser();
+
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $this->createTestFeedItem($feedId, 'Sponsored: buy this', false, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Sponsored: and this', true, $this->testUserId);
+        $this->createTestFeedItem($feedId, 'Release notes', false, $this->testUserId);
+        $ruleId = $this->createTestFilterRule($this->testUserId, [
+            'feed_id' => $feedId,
+            'pattern' => 'sponsored',
+            'action' => 'mark_read',
+        ]);
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $feedId) {
-            $controller->delete(['id' => $feedId]);
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getFilterRules();
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
         $this->assertTrue($response['success']);
+        $this->assertCount(1, $response['filter_rules']);
+        $this->assertEquals('Feed 1', $response['filter_rules'][0]['feed_title']);
+        $this->assertArrayNotHasKey('affected_count', $response['filter_rules'][0], 'Counts are requested per rule');
 
-        // Verify feed is deleted
-        $stmt = $db->prepare("SELECT COUNT(*) FROM feeds WHERE id = ?");
-        $stmt->execute([$feedId]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(0, $count, 'Feed should be deleted');
+        $output = $this->captureOutput(function() use ($controller, $ruleId) {
+            $controller->previewSavedFilterRule(['id' => $ruleId]);
+        });
 
-        // Verify items are also deleted (cascade delete)
-        // Note: SQLite requires foreign key constraints to be enabled
-        // The database setup should enable this, but let's verify
-        $dbType = Database::getDbType();
-        if ($dbType === 'sqlite') {
-            // SQLite may require PRAGMA foreign_keys = ON
-            $db->exec('PRAGMA foreign_keys = ON');
-        }
-        
-        $stmt = $db->prepare("SELECT COUNT(*) FROM feed_items WHERE feed_id = ?");
-        $stmt->execute([$feedId]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(0, $count, 'Feed items should be deleted via CASCADE (foreign keys must be enabled)');
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        // The read match is already in the state the rule would set
+        $this->assertEquals(1, $response['count']);
+
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->previewSavedFilterRule(['id' => 999999]);
+        });
+        $this->assertEquals('Filter rule not found', $this->getJsonResponse($output)['error']);
     }
 
-    public function testGetFoldersReturnsUserFolders(): void
+    public function testCreateFilterRuleRequiresValidField(): void
     {
         $this->loginTestUser();
+        $_POST = $this->addCsrfToken([]);
 
-        $folder1Id = $this->createTestFolder($this->testUserId, 'Folder 1');
-        $folder2Id = $this->createTestFolder($this->testUserId, 'Folder 2');
-
+        // php://input is empty here, so the field is missing
         $controller = new FeedController();
         $output = $this->captureOutput(function() use ($controller) {
-            $controller->getFolders();
+            $controller->createFilterRule();
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
-        $this->assertTrue($response['success']);
-        $this->assertArrayHasKey('folders', $response);
-        $this->assertIsArray($response['folders']);
-        $this->assertCount(2, $response['folders']);
+        $this->assertFalse($response['success']);
+        $this->assertEquals('Unknown field (use title, content, author, link or any)', $response['error']);
     }
 
-    public function testCreateFolderAddsNewFolder(): void
+    public function testRunFilterRuleHidesMatchingItemsInFolder(): void
     {
         $this->loginTestUser();
 
-        // Add CSRF token to POST
-        $_POST = $this->addCsrfToken([]);
-        
-        // Mock php://input using eval or file_put_contents to a temp stream
-        // Since php://input is read-only, we use a helper that wraps file_get_contents
-        // For this test, we'll verify the folder creation through the helper method directly
-        // and test that the controller method exists and validates input
-        
-        // Create folder directly via database to test the method works
-        // (Integration test for createFolder would require mocking php://input which is complex)
+        $folderId = $this->createTestFolder($this->testUserId, 'News');
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $otherFeedId = $this->createTestFeed($this->testUserId, 'Feed 2', 'https://example.com/feed2.xml');
         $db = Database::getConnection();
-        $folderCountBefore = $db->query("SELECT COUNT(*) FROM folders WHERE user_id = " . $this->testUserId)->fetchColumn();
-        
-        // Test that the method requires proper JSON input
-        // We'll skip the full integration test for createFolder/updateFolder due to php://input complexity
-        // These are tested through manual testing and API usage
-        $this->assertTrue(true, 'createFolder method exists (php://input mocking is complex for integration tests)');
+        $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ?")->execute([$folderId, $feedId]);
+
+        $this->createTestFeedItem($feedId, 'Weekly deals roundup', false, $this->testUserId);
+        $keptItemId = $this->createTestFeedItem($feedId, 'Release notes', false, $this->testUserId);
+        $otherItemId = $this->createTestFeedItem($otherFeedId, 'More deals', false, $this->testUserId);
+        $ruleId = $this->createTestFilterRule($this->testUserId, [
+            'folder_id' => $folderId,
+            'match_type' => 'regex',
+            'pattern' => '\\bdeals?\\b',
+            'action' => 'hide',
+        ]);
+
+        $_POST = $this->addCsrfToken([]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $ruleId) {
+            $controller->runFilterRule(['id' => $ruleId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertTrue($response['success']);
+        $this->assertEquals(1, $response['count']);
+
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+        $this->assertEquals([$keptItemId], array_column($this->getJsonResponse($output), 'id'));
+
+        $stmt = $db->prepare("SELECT hidden FROM feed_items WHERE id = ?");
+        $stmt->execute([$otherItemId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Items outside the folder should not be hidden');
     }
 
-    public function testUpdateFolderChangesFolderName(): void
+    public function testNewItemsAreTaggedByFilterRules(): void
     {
         $this->loginTestUser();
 
-        $folderId = $this->createTestFolder($this->testUserId, 'Old Name');
+        $feedId = $this->createTestFeed($this->testUserId, 'Feed 1', 'https://example.com/feed1.xml');
+        $this->createTestFilterRule($this->testUserId, [
+            'field' => 'any',
+            'pattern' => 'php',
+            'action' => 'tag',
+            'tag' => 'php',
+        ]);
+        $taggedItemId = $this->createTestFeedItem($feedId, 'PHP 8.4 released', false, $this->testUserId);
+        $otherItemId = $this->createTestFeedItem($feedId, 'Rust 2.0 released', false, $this->testUserId);
+
+        FilterRules::applyToNewItems($feedId, [
+            ['id' => $taggedItemId, 'title' => 'PHP 8.4 released', 'content' => 'Test content'],
+            ['id' => $otherItemId, 'title' => 'Rust 2.0 released', 'content' => 'Test content'],
+        ]);
 
-        // Note: updateFolder reads from php://input which is complex to mock
-        // For this test, we'll verify the folder exists and can be updated
-        // Full integration testing of updateFolder requires php://input mocking
-        $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT name FROM folders WHERE id = ?");
-        $stmt->execute([$folderId]);
-        $name = $stmt->fetchColumn();
-        $this->assertEquals('Old Name', $name, 'Folder should exist with original name');
-        
-        // Method exists and validates input properly (tested through usage)
-        $this->assertTrue(true, 'updateFolder method exists (php://input mocking is complex for integration tests)');
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+
+        $tags = array_column($this->getJsonResponse($output), 'tags', 'id');
+        $this->assertEquals(['php'], $tags[$taggedItemId]);
+        $this->assertEquals([], $tags[$otherItemId]);
     }
 
-    public function testDeleteFolderRemovesFolder(): void
+    public function testDeleteFilterRuleRemovesRule(): void
     {
         $this->loginTestUser();
 
-        $folderId = $this->createTestFolder($this->testUserId, 'Test Folder');
+        $ruleId = $this->createTestFilterRule($this->testUserId, [
+            'pattern' => 'sponsored',
+            'action' => 'star',
+        ]);
 
-        // Add CSRF token
         $_POST = $this->addCsrfToken([]);
 
         $controller = new FeedController();
-        $output = $this->captureOutput(function() use ($controller, $folderId) {
-            $controller->deleteFolder(['id' => $folderId]);
+        $output = $this->captureOutput(function() use ($controller, $ruleId) {
+            $controller->deleteFilterRule(['id' => $ruleId]);
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
         $this->assertTrue($response['success']);
 
-        // Verify folder was deleted
         $db = Database::getConnection();
-        $stmt = $db->prepare("SELECT COUNT(*) FROM folders WHERE id = ?");
-        $stmt->execute([$folderId]);
-        $count = $stmt->fetchColumn();
-        $this->assertEquals(0, $count, 'Folder should be deleted');
+        $stmt = $db->prepare("SELECT COUNT(*) FROM filter_rules WHERE id = ?");
+        $stmt->execute([$ruleId]);
+        $this->assertEquals(0, $stmt->fetchColumn(), 'Filter rule should be deleted');
     }
 
-    public function testUpdateFeedFolderAssignsFeedToFolder(): void
+    public function testGetPreferencesReturnsUserPreferences(): void
     {
         $this->loginTestUser();
 
-        $feedId = $this->createTestFeed($this->testUserId);
-        $folderId = $this->createTestFolder($this->testUserId, 'Test Folder');
-
-        // Note: updateFeedFolder reads from php://input which is complex to mock
-        // We'll verify feed and folder exist and test assignment via database directly
-        $db = Database::getConnection();
-        
-        // Directly assign feed to folder to verify the relationship works
-        $stmt = $db->prepare("UPDATE feeds SET folder_id = ? WHERE id = ? AND user_id = ?");
-        $stmt->execute([$folderId, $feedId, $this->testUserId]);
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller) {
+            $controller->getPreferences();
+        });
 
-        // Verify feed is assigned to folder
-        $stmt = $db->prepare("SELECT folder_id FROM feeds WHERE id = ?");
-        $stmt->execute([$feedId]);
-        $assignedFolderId = $stmt->fetchColumn();
-        $this->assertEquals($folderId, $assignedFolderId, 'Feed should be assignable to folder');
+        $response = $this->getJsonResponse($output);
+        $this->assertArrayHasKey('success', $response);
+        $this->assertTrue($response['success']);
+        $this->assertArrayHasKey('timezone', $response);
+        $this->assertArrayHasKey('default_theme_mode', $response);
+        $this->assertArrayHasKey('keyboard_shortcuts', $response);
+        $this->assertEmpty($response['keyboard_shortcuts'], 'No shortcut overrides should be stored by default');
+        $this->assertArrayHasKey('mark_read_on_scroll', $response);
+        $this->assertFalse($response['mark_read_on_scroll'], 'Mark as read on scroll should be off by default');
     }
 
-    public function testGetPreferencesReturnsUserPreferences(): void
+    public function testGetPreferencesReturnsStoredKeyboardShortcuts(): void
     {
         $this->loginTestUser();
+        $db = Database::getConnection();
+
+        $stmt = $db->prepare("UPDATE users SET keyboard_shortcuts = ? WHERE id = ?");
+        $stmt->execute([json_encode(['nextItem' => ['l'], 'prevItem' => ['h']]), $this->testUserId]);
+        unset($_SESSION['keyboard_shortcuts']);
 
         $controller = new FeedController();
         $output = $this->captureOutput(function() use ($controller) {
@@ -330,10 +1583,47 @@ class FeedControllerTest extends IntegrationTestCase
         });
 
         $response = $this->getJsonResponse($output);
-        $this->assertArrayHasKey('success', $response);
         $this->assertTrue($response['success']);
-        $this->assertArrayHasKey('timezone', $response);
-        $this->assertArrayHasKey('default_theme_mode', $response);
+        $this->assertEquals(['l'], $response['keyboard_shortcuts']['nextItem']);
+        $this->assertEquals(['h'], $response['keyboard_shortcuts']['prevItem']);
+    }
+
+    public function testUpdatePreferencesNormalizesKeyboardShortcuts(): void
+    {
+        // updatePreferences() reads a JSON body, so test its shortcut validation directly
+        $method = new \ReflectionMethod(FeedController::class, 'normalizeKeyboardShortcuts');
+        $method->setAccessible(true);
+
+        $normalized = $method->invoke(null, [
+            'markAllRead' => ['A'],
+            'toggleStar' => ['shift+s'],
+            'openOriginal' => [' o ', 'enter', ''],
+            'focusSearch' => ['/'],
+            'nextItem' => ['arrowdown'],
+        ]);
+        $this->assertEquals([
+            'markAllRead' => ['Shift+A'],
+            'toggleStar' => ['Shift+S'],
+            'openOriginal' => ['o', 'Enter'],
+            'focusSearch' => ['/'],
+            'nextItem' => ['ArrowDown'],
+        ], $normalized);
+    }
+
+    public function testUpdatePreferencesRejectsInvalidKeyboardShortcuts(): void
+    {
+        $method = new \ReflectionMethod(FeedController::class, 'normalizeKeyboardShortcuts');
+        $method->setAccessible(true);
+
+        $this->assertNull($method->invoke(null, ['nextItem' => ['Ctrl+J']]), 'Modifier combinations never fire');
+        $this->assertNull($method->invoke(null, ['nextItem' => ['Shift+/']]), 'Shift only applies to letters');
+        $this->assertNull($method->invoke(null, ['nextItem' => ['jk']]), 'Unknown key names are rejected');
+        $this->assertNull($method->invoke(null, ['unknownAction' => ['j']]));
+        $this->assertNull($method->invoke(null, ['nextItem' => 'j']));
+        $this->assertNull(
+            $method->invoke(null, ['markAllRead' => ['A'], 'toggleRead' => ['shift+a']]),
+            'Keys that normalize to the same shortcut may not be bound twice'
+        );
     }
 
     public function testToggleHideReadUpdatesPreference(): void
@@ -428,4 +1718,29 @@ class FeedControllerTest extends IntegrationTestCase
         // With oldest first, first item should be first
         $this->assertEquals('First Item', $response[0]['title']);
     }
+
+    public function testGetItemsUsesFeedSettingsOverPreferences(): void
+    {
+        $this->loginTestUser();
+        $_SESSION['hide_read_items'] = true;
+        $_SESSION['item_sort_order'] = 'newest';
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        $this->createTestFeedItem($feedId, 'First Item', true, $this->testUserId);
+        usleep(100000);
+        $this->createTestFeedItem($feedId, 'Second Item', false, $this->testUserId);
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("UPDATE feeds SET hide_read_items = 0, item_sort_order = 'oldest' WHERE id = ?");
+        $stmt->execute([$feedId]);
+
+        $controller = new FeedController();
+        $output = $this->captureOutput(function() use ($controller, $feedId) {
+            $controller->getItems(['id' => $feedId]);
+        });
+
+        $response = $this->getJsonResponse($output);
+        $this->assertCount(2, $response, 'The feed shows read items although the preference hides them');
+        $this->assertEquals('First Item', $response[0]['title'], 'The feed sorts oldest first');
+    }
 }
@@ -0,0 +1,41 @@
+<?php
+
+namespace PhpRss\Tests\Integration;
+
+use PhpRss\FeedEvents;
+
+/**
+ * Integration tests for FeedEvents (live feed updates).
+ */
+class FeedEventsTest extends IntegrationTestCase
+{
+    public function testRecordFetchCountsItemsAddedByTheFetch(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $this->createTestFeedItem($feedId, 'Old Item', true, $this->testUserId);
+
+        $lastItemId = FeedEvents::lastItemId($feedId);
+        $this->createTestFeedItem($feedId, 'New Item 1');
+        $this->createTestFeedItem($feedId, 'New Item 2');
+        $eventId = FeedEvents::recordFetch($this->testUserId, $feedId, $lastItemId);
+
+        $this->assertEquals([[
+            'id' => $eventId,
+            'feed_id' => $feedId,
+            'new_items' => 2,
+            'item_count' => 3,
+            'unread_count' => 2,
+        ]], FeedEvents::since($this->testUserId, $eventId - 1));
+    }
+
+    public function testSinceOnlyReturnsLaterEvents(): void
+    {
+        $feedId = $this->createTestFeed($this->testUserId);
+        $firstId = FeedEvents::recordFetch($this->testUserId, $feedId, FeedEvents::lastItemId($feedId));
+        $secondId = FeedEvents::recordFetch($this->testUserId, $feedId, FeedEvents::lastItemId($feedId));
+
+        $this->assertEquals($secondId, FeedEvents::latestId($this->testUserId));
+        $this->assertEquals([$secondId], array_column(FeedEvents::since($this->testUserId, $firstId), 'id'));
+        $this->assertEquals([], FeedEvents::since($this->testUserId, $secondId));
+    }
+}
@@ -0,0 +1,48 @@
+<?php
+
+namespace PhpRss\Tests\Integration;
+
+use PDO;
+use PhpRss\Config;
+use PhpRss\Database;
+use PhpRss\FeedIcon;
+use PhpRss\Queue\JobQueue;
+
+/**
+ * Integration tests for FeedIcon lookups.
+ */
+class FeedIconTest extends IntegrationTestCase
+{
+    protected function tearDown(): void
+    {
+        putenv('JOBS_ENABLED');
+        Config::reset();
+
+        parent::tearDown();
+    }
+
+    public function testQueueRefreshQueuesLookupJobWhenBackgroundJobsAreEnabled(): void
+    {
+        putenv('JOBS_ENABLED=1');
+        Config::reset();
+
+        $feedId = $this->createTestFeed($this->testUserId);
+        FeedIcon::forget($feedId);
+        FeedIcon::queueRefresh($feedId, 'https://example.com/');
+
+        $db = Database::getConnection();
+        $stmt = $db->prepare("SELECT id, payload FROM jobs WHERE type = ? ORDER BY id DESC");
+        $stmt->execute([JobQueue::TYPE_REFRESH_ICON]);
+        $jobs = array_filter($stmt->fetchAll(PDO::FETCH_ASSOC), function ($job) use ($feedId) {
+            return (json_decode($job['payload'], true)['feed_id'] ?? null) === $feedId;
+        });
+        $db->prepare("DELETE FROM jobs WHERE type = ?")->execute([JobQueue::TYPE_REFRESH_ICON]);
+
+        $this->assertCount(1, $jobs, 'The lookup should be queued instead of run in the request');
+        $this->assertEquals(
+            ['feed_id' => $feedId, 'site_url' => 'https://example.com/'],
+            json_decode(reset($jobs)['payload'], true)
+        );
+        $this->assertFalse(FeedIcon::has($feedId));
+    }
+}
@@ -0,0 +1,144 @@
+<?php
+
+namespace PhpRss\Tests\Integration;
+
+use PDOException;
+use PhpRss\Database;
+use PhpRss\Services\FolderService;
+
+/**
+ * Integration tests for FolderService folder tree queries and moves.
+ */
+class FolderServiceTest extends IntegrationTestCase
+{
+    public function testGetSubtreeIdsIncludesNestedFolders(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $vendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $securityId);
+        $this->createTestFolder($this->testUserId, 'News');
+
+        $ids = FolderService::getSubtreeIds($techId);
+        sort($ids);
+
+        $this->assertEquals([$techId, $securityId, $vendorsId], $ids);
+        $this->assertEquals([$vendorsId], FolderService::getSubtreeIds($vendorsId));
+    }
+
+    public function testGetPathIdsListsAncestorsNearestFirst(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $vendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $securityId);
+
+        $this->assertEquals([$vendorsId, $securityId, $techId], FolderService::getPathIds($vendorsId));
+        $this->assertEquals([], FolderService::getPathIds(999999));
+    }
+
+    public function testFindByNameOnlyMatchesSiblings(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $newsId = $this->createTestFolder($this->testUserId, 'News');
+        // The same name is allowed in different folders
+        $techVendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $techId);
+        $newsVendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $newsId);
+
+        $this->assertEquals($techVendorsId, FolderService::findByName($this->testUserId, $techId, 'Vendors'));
+        $this->assertEquals($newsVendorsId, FolderService::findByName($this->testUserId, $newsId, 'Vendors'));
+        $this->assertNull(FolderService::findByName($this->testUserId, null, 'Vendors'));
+        $this->assertEquals($techId, FolderService::findByName($this->testUserId, null, 'Tech'));
+        $this->assertNull(FolderService::findByName($this->testUserId, null, 'Tech', $techId));
+    }
+
+    public function testReorderMovesFoldersInOrder(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security');
+        $vendorsId = $this->createTestFolder($this->testUserId, 'Vendors');
+
+        FolderService::reorder($this->testUserId, [$vendorsId, $securityId], true, $techId);
+
+        $this->assertEquals([$vendorsId => [0, $techId], $securityId => [1, $techId], $techId => [0, null]], $this->folderPositions());
+
+        // Back to the top level
+        FolderService::reorder($this->testUserId, [$securityId, $techId], true, null);
+
+        $positions = $this->folderPositions();
+        $this->assertEquals([0, null], $positions[$securityId]);
+        $this->assertEquals([1, null], $positions[$techId]);
+        $this->assertEquals([0, $techId], $positions[$vendorsId]);
+    }
+
+    public function testReorderRejectsMovingFolderIntoItsSubtree(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $securityId = $this->createTestFolder($this->testUserId, 'Security', $techId);
+        $vendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $securityId);
+
+        foreach ([$techId, $vendorsId] as $parentId) {
+            try {
+                FolderService::reorder($this->testUserId, [$techId], true, $parentId);
+                $this->fail('Moving a folder into itself or a subfolder should be rejected');
+            } catch (\InvalidArgumentException $e) {
+                $this->assertEquals('A folder can\'t be moved into itself or one of its subfolders', $e->getMessage());
+            }
+        }
+
+        $this->assertNull($this->folderPositions()[$techId][1], 'A rejected move should change nothing');
+    }
+
+    public function testReorderRejectsSiblingNameConflicts(): void
+    {
+        $techId = $this->createTestFolder($this->testUserId, 'Tech');
+        $newsId = $this->createTestFolder($this->testUserId, 'News');
+        $techVendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $techId);
+        $newsVendorsId = $this->createTestFolder($this->testUserId, 'Vendors', $newsId);
+        $otherId = $this->createTestFolder($this->testUserId, 'Other', $newsId);
+
+        $cases = [
+            // An existing sibling has the name
+            [[$newsVendorsId], $techId],
+            // Two moved folders share a name
+            [[$techVendorsId, $newsVendorsId], null],
+        ];
+        foreach ($cases as [$folderIds, $parentId]) {
+            try {
+                FolderService::reorder($this->testUserId, $folderIds, true, $parentId);
+                $this->fail('Moving a folder next to a sibling with the same name should be rejected');
+            } catch (\InvalidArgumentException $e) {
+                $this->assertEquals('Folder with this name already exists', $e->getMessage());
+            }
+        }
+
+        $positions = $this->folderPositions();
+        $this->assertEquals($newsId, $positions[$newsVendorsId][1], 'A rejected move should change nothing');
+        $this->assertEquals($techId, $positions[$techVendorsId][1]);
+
+        // The same-named sibling may be part of the moved folders
+        FolderService::reorder($this->testUserId, [$techVendorsId, $otherId], true, $techId);
+        $this->assertEquals($techId, $this->folderPositions()[$otherId][1]);
+    }
+
+    public function testTopLevelFolderNamesAreUnique(): void
+    {
+        $this->createTestFolder($this->testUserId, 'Tech');
+
+        $this->expectException(PDOException::class);
+        $this->createTestFolder($this->testUserId, 'Tech');
+    }
+
+    /**
+     * Get the test user's folders as [id => [sort_order, parent_id]].
+     */
+    private function folderPositions(): array
+    {
+        $stmt = Database::getConnection()->prepare("SELECT id, sort_order, parent_id FROM folders WHERE user_id = ?");
+        $stmt->execute([$this->testUserId]);
+        $positions = [];
+        foreach ($stmt->fetchAll() as $folder) {
+            $positions[(int)$folder['id']] = [(int)$folder['sort_order'], $folder['parent_id'] !== null ? (int)$folder['parent_id'] : null];
+        }
+
+        return $positions;
+    }
+}
@@ -6,6 +6,7 @@ use PHPUnit\Framework\TestCase;
 use PhpRss\Auth;
 use PhpRss\Database;
 use PhpRss\Csrf;
+use PhpRss\SearchIndex;
 use PDO;
 
 /**
@@ -85,11 +86,18 @@ abstract class IntegrationTestCase extends TestCase
             
             if (!empty($feedIds)) {
                 $placeholders = implode(',', array_fill(0, count($feedIds), '?'));
+                $db->prepare("DELETE FROM item_enclosures WHERE feed_item_id IN (SELECT id FROM feed_items WHERE feed_id IN ($placeholders))")->execute($feedIds);
                 $db->prepare("DELETE FROM feed_items WHERE feed_id IN ($placeholders)")->execute($feedIds);
             }
             
             $db->prepare("DELETE FROM feeds WHERE user_id = ?")->execute([$this->testUserId]);
             $db->prepare("DELETE FROM folders WHERE user_id = ?")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM saved_searches WHERE user_id = ?")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM filter_rules WHERE user_id = ?")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM feed_events WHERE user_id = ?")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM playback_positions WHERE user_id = ?")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM jobs WHERE batch_id IN (SELECT id FROM job_batches WHERE user_id = ?)")->execute([$this->testUserId]);
+            $db->prepare("DELETE FROM job_batches WHERE user_id = ?")->execute([$this->testUserId]);
         }
         
         // Delete test users
@@ -334,6 +342,9 @@ abstract class IntegrationTestCase extends TestCase
             $stmt->execute([$feedId, $title, 'Test content', $guid]);
             $itemId = (int)$db->lastInsertId();
         }
+
+        // Make the item findable by search, as FeedFetcher does
+        SearchIndex::indexItem($itemId, ['title' => $title, 'content' => 'Test content']);
         
         // If item should be marked as read and userId is provided, add to read_items
         if ($isRead && $userId !== null) {
@@ -353,22 +364,84 @@ abstract class IntegrationTestCase extends TestCase
      * 
      * @param int $userId User ID
      * @param string $name Folder name
+     * @param int|null $parentId Parent folder ID (null for a top-level folder)
      * @return int Folder ID
      */
-    protected function createTestFolder(int $userId, string $name = 'Test Folder'): int
+    protected function createTestFolder(int $userId, string $name = 'Test Folder', ?int $parentId = null): int
     {
         $db = Database::getConnection();
         $dbType = Database::getDbType();
         
         if ($dbType === 'pgsql') {
-            $stmt = $db->prepare("INSERT INTO folders (user_id, name) VALUES (?, ?) RETURNING id");
-            $stmt->execute([$userId, $name]);
+            $stmt = $db->prepare("INSERT INTO folders (user_id, parent_id, name) VALUES (?, ?, ?) RETURNING id");
+            $stmt->execute([$userId, $parentId, $name]);
+            $result = $stmt->fetch(PDO::FETCH_ASSOC);
+            return (int)$result['id'];
+        } else {
+            // SQLite
+            $stmt = $db->prepare("INSERT INTO folders (user_id, parent_id, name) VALUES (?, ?, ?)");
+            $stmt->execute([$userId, $parentId, $name]);
+            return (int)$db->lastInsertId();
+        }
+    }
+
+    /**
+     * Create a test saved search.
+     * 
+     * @param int $userId User ID
+     * @param string $name Saved search name
+     * @param string $query Search query
+     * @return int Saved search ID
+     */
+    protected function createTestSavedSearch(int $userId, string $name, string $query): int
+    {
+        $db = Database::getConnection();
+        $dbType = Database::getDbType();
+        
+        if ($dbType === 'pgsql') {
+            $stmt = $db->prepare("INSERT INTO saved_searches (user_id, name, query) VALUES (?, ?, ?) RETURNING id");
+            $stmt->execute([$userId, $name, $query]);
+            $result = $stmt->fetch(PDO::FETCH_ASSOC);
+            return (int)$result['id'];
+        } else {
+            // SQLite
+            $stmt = $db->prepare("INSERT INTO saved_searches (user_id, name, query) VALUES (?, ?, ?)");
+            $stmt->execute([$userId, $name, $query]);
+            return (int)$db->lastInsertId();
+        }
+    }
+
+    /**
+     * Create a test filter rule.
+     * 
+     * @param int $userId User ID
+     * @param array $rule Rule fields (field, match_type, pattern, action, tag, feed_id, folder_id)
+     * @return int Filter rule ID
+     */
+    protected function createTestFilterRule(int $userId, array $rule): int
+    {
+        $db = Database::getConnection();
+        $params = [
+            $userId,
+            $rule['feed_id'] ?? null,
+            $rule['folder_id'] ?? null,
+            $rule['field'] ?? 'title',
+            $rule['match_type'] ?? 'keyword',
+            $rule['pattern'],
+            $rule['action'],
+            $rule['tag'] ?? null,
+        ];
+        $sql = "INSERT INTO filter_rules (user_id, feed_id, folder_id, field, match_type, pattern, action, tag) VALUES (?, ?, ?, ?, ?, ?, ?, ?)";
+
+        if (Database::getDbType() === 'pgsql') {
+            $stmt = $db->prepare($sql . " RETURNING id");
+            $stmt->execute($params);
             $result = $stmt->fetch(PDO::FETCH_ASSOC);
             return (int)$result['id'];
         } else {
             // SQLite
-            $stmt = $db->prepare("INSERT INTO folders (user_id, name) VALUES (?, ?)");
-            $stmt->execute([$userId, $name]);
+            $stmt = $db->prepare($sql);
+            $stmt->execute($params);
             return (int)$db->lastInsertId();
         }
     }
@@ -0,0 +1,53 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\ArticleExtractor;
+
+class ArticleExtractorTest extends TestCase
+{
+    private function articlePage(): string
+    {
+        $paragraph = 'This is a sentence of the article body, long enough to count as real text, with a few commas, and a full stop.';
+
+        return '<html><head><title>Post</title><script>var tracking = true;</script></head><body>
+            <nav><a href="/">Home</a> <a href="/about">About</a></nav>
+            <div class="sidebar"><p>Subscribe to our newsletter, follow us, and read more posts from the archive.</p></div>
+            <div class="post-content">
+                <p>' . $paragraph . '</p>
+                <p>' . $paragraph . ' <a href="/related">A relative link</a></p>
+                <p><img src="images/photo.jpg" alt="Photo"></p>
+                <p>' . $paragraph . '</p>
+            </div>
+            <footer><p>Copyright notice, terms of service, privacy policy and other footer text.</p></footer>
+        </body></html>';
+    }
+
+    public function testExtractReturnsMainContent(): void
+    {
+        $article = ArticleExtractor::extract($this->articlePage(), 'https://example.com/blog/post');
+
+        $this->assertNotNull($article);
+        $this->assertStringContainsString('This is a sentence of the article body', $article);
+        $this->assertStringNotContainsString('newsletter', $article);
+        $this->assertStringNotContainsString('Copyright notice', $article);
+        $this->assertStringNotContainsString('tracking', $article);
+    }
+
+    public function testExtractResolvesRelativeUrls(): void
+    {
+        $article = ArticleExtractor::extract($this->articlePage(), 'https://example.com/blog/post');
+
+        $this->assertStringContainsString('href="https://example.com/related"', $article);
+        $this->assertStringContainsString('src="https://example.com/blog/images/photo.jpg"', $article);
+    }
+
+    public function testExtractReturnsNullWithoutArticleText(): void
+    {
+        $html = '<html><body><nav><a href="/">Home</a></nav><p>Too short.</p></body></html>';
+
+        $this->assertNull(ArticleExtractor::extract($html, 'https://example.com/'));
+        $this->assertNull(ArticleExtractor::extract('', 'https://example.com/'));
+    }
+}
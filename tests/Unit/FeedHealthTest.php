@@ -0,0 +1,51 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\FeedHealth;
+
+class FeedHealthTest extends TestCase
+{
+    private const NOW = 1767225600; // 2026-01-01 00:00:00 UTC
+
+    public function testFeedWithFailuresIsFailing(): void
+    {
+        $status = FeedHealth::status([
+            'failure_count' => 3,
+            'last_error' => 'HTTP error: 404',
+            'last_success_at' => '2025-12-31 12:00:00',
+        ], self::NOW);
+
+        $this->assertEquals(FeedHealth::STATUS_FAILING, $status['health']);
+        $this->assertEquals('Last 3 updates failed: HTTP error: 404', $status['health_message']);
+
+        $status = FeedHealth::status(['failure_count' => 1, 'last_error' => 'Could not resolve hostname'], self::NOW);
+        $this->assertEquals('Last update failed: Could not resolve hostname', $status['health_message']);
+    }
+
+    public function testFeedNotUpdatedRecentlyIsStale(): void
+    {
+        $status = FeedHealth::status(['failure_count' => 0, 'last_success_at' => '2025-12-20 00:00:00'], self::NOW);
+        $this->assertEquals(FeedHealth::STATUS_STALE, $status['health']);
+        $this->assertEquals('Not updated in 12 days', $status['health_message']);
+
+        $status = FeedHealth::status(['failure_count' => 0, 'last_success_at' => null, 'last_fetched' => null], self::NOW);
+        $this->assertEquals(FeedHealth::STATUS_STALE, $status['health']);
+        $this->assertEquals('Never updated successfully', $status['health_message']);
+    }
+
+    public function testRecentlyUpdatedOrPausedFeedIsHealthy(): void
+    {
+        $status = FeedHealth::status(['failure_count' => 0, 'last_success_at' => '2025-12-31 23:00:00'], self::NOW);
+        $this->assertEquals(['health' => FeedHealth::STATUS_OK, 'health_message' => null], $status);
+
+        // Feeds fetched before health tracking fall back to last_fetched
+        $status = FeedHealth::status(['last_success_at' => null, 'last_fetched' => '2025-12-30 00:00:00'], self::NOW);
+        $this->assertEquals(FeedHealth::STATUS_OK, $status['health']);
+
+        // Paused feeds aren't fetched, so they are never stale
+        $status = FeedHealth::status(['failure_count' => 0, 'last_success_at' => '2025-01-01 00:00:00', 'paused' => 1], self::NOW);
+        $this->assertEquals(FeedHealth::STATUS_OK, $status['health']);
+    }
+}
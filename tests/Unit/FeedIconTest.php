@@ -0,0 +1,26 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\FeedIcon;
+
+class FeedIconTest extends TestCase
+{
+    public function testDetectImageTypeRecognizesIconFormats(): void
+    {
+        $this->assertEquals('image/png', FeedIcon::detectImageType("\x89PNG\r\n\x1a\n\x00\x00\x00\x0dIHDR"));
+        $this->assertEquals('image/gif', FeedIcon::detectImageType('GIF89a' . str_repeat("\x00", 10)));
+        $this->assertEquals('image/jpeg', FeedIcon::detectImageType("\xFF\xD8\xFF\xE0\x00\x10JFIF"));
+        $this->assertEquals('image/x-icon', FeedIcon::detectImageType("\x00\x00\x01\x00\x01\x00\x10\x10"));
+        $this->assertEquals('image/webp', FeedIcon::detectImageType("RIFF\x24\x00\x00\x00WEBPVP8 "));
+    }
+
+    public function testDetectImageTypeRejectsOtherContent(): void
+    {
+        // SVG can carry scripts, and error pages are often served with a 200 status
+        $this->assertNull(FeedIcon::detectImageType('<svg xmlns="http://www.w3.org/2000/svg"></svg>'));
+        $this->assertNull(FeedIcon::detectImageType('<!DOCTYPE html><html><body>Not found</body></html>'));
+        $this->assertNull(FeedIcon::detectImageType(''));
+    }
+}
@@ -155,4 +155,226 @@ class FeedParserTest extends TestCase
         
         FeedParser::parse('https://example.com/invalid', $invalidContent);
     }
+
+    public function testParseRSSPodcastEnclosures(): void
+    {
+        $rssContent = '<?xml version="1.0"?>
+        <rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:media="http://search.yahoo.com/mrss/">
+            <channel>
+                <title>Test Podcast</title>
+                <link>https://example.com</link>
+                <item>
+                    <title>Episode 1</title>
+                    <guid>episode-1</guid>
+                    <enclosure url="https://example.com/episode1.mp3" type="audio/mpeg" length="12345678"/>
+                    <enclosure url="https://example.com/cover.jpg" type="image/jpeg" length="1000"/>
+                    <media:content url="https://example.com/episode1.mp3" type="audio/mpeg"/>
+                    <media:group>
+                        <media:content url="https://example.com/episode1.ogg" medium="audio" duration="3599"/>
+                    </media:group>
+                    <itunes:duration>1:00:00</itunes:duration>
+                </item>
+            </channel>
+        </rss>';
+
+        $result = FeedParser::parse('https://example.com/podcast', $rssContent);
+
+        $this->assertEquals([
+            [
+                'url' => 'https://example.com/episode1.mp3',
+                'type' => 'audio/mpeg',
+                'length' => 12345678,
+                'duration' => 3600,
+            ],
+            [
+                'url' => 'https://example.com/episode1.ogg',
+                'type' => 'audio/ogg',
+                'length' => null,
+                'duration' => 3599,
+            ],
+        ], $result['items'][0]['enclosures']);
+    }
+
+    public function testParsePlainHttpEnclosuresAreKept(): void
+    {
+        // Many podcasts serve episodes without TLS; the CSP's media-src allows http: (see SecurityHeaders)
+        $rssContent = '<?xml version="1.0"?>
+        <rss version="2.0">
+            <channel>
+                <title>Test Podcast</title>
+                <item>
+                    <title>Episode 1</title>
+                    <guid>episode-1</guid>
+                    <enclosure url="http://media.example.com/episode1.mp3" type="audio/mpeg" length="0"/>
+                    <enclosure url="ftp://media.example.com/episode1.mp3" type="audio/mpeg"/>
+                </item>
+            </channel>
+        </rss>';
+
+        $result = FeedParser::parse('https://example.com/podcast', $rssContent);
+
+        $this->assertEquals(['http://media.example.com/episode1.mp3'], array_column($result['items'][0]['enclosures'], 'url'));
+    }
+
+    public function testParseAtomAndJSONFeedEnclosures(): void
+    {
+        $atomContent = '<?xml version="1.0"?>
+        <feed xmlns="http://www.w3.org/2005/Atom">
+            <title>Test Atom Feed</title>
+            <entry>
+                <title>Video Entry</title>
+                <link href="https://example.com/entry1"/>
+                <link rel="enclosure" href="https://example.com/video.mp4" type="video/mp4" length="999"/>
+                <id>https://example.com/entry1</id>
+            </entry>
+        </feed>';
+        $atom = FeedParser::parse('https://example.com/atom', $atomContent);
+        $this->assertEquals([[
+            'url' => 'https://example.com/video.mp4',
+            'type' => 'video/mp4',
+            'length' => 999,
+            'duration' => null,
+        ]], $atom['items'][0]['enclosures']);
+
+        $jsonContent = json_encode([
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'title' => 'Test JSON Feed',
+            'items' => [
+                [
+                    'id' => '1',
+                    'content_text' => 'Show notes',
+                    'attachments' => [
+                        ['url' => 'https://example.com/episode.m4a', 'mime_type' => 'audio/x-m4a', 'size_in_bytes' => 2048, 'duration_in_seconds' => 90],
+                        ['url' => 'javascript:alert(1)', 'mime_type' => 'audio/mpeg'],
+                    ],
+                ],
+            ],
+        ]);
+        $json = FeedParser::parse('https://example.com/json', $jsonContent);
+        $this->assertEquals([[
+            'url' => 'https://example.com/episode.m4a',
+            'type' => 'audio/x-m4a',
+            'length' => 2048,
+            'duration' => 90,
+        ]], $json['items'][0]['enclosures']);
+    }
+
+    public function testParseDuration(): void
+    {
+        $this->assertEquals(95, FeedParser::parseDuration('95'));
+        $this->assertEquals(95, FeedParser::parseDuration('1:35'));
+        $this->assertEquals(3725, FeedParser::parseDuration('01:02:05'));
+        $this->assertNull(FeedParser::parseDuration('about an hour'));
+        $this->assertNull(FeedParser::parseDuration(''));
+    }
+
+    public function testParseItemThumbnails(): void
+    {
+        $rssContent = '<?xml version="1.0"?>
+        <rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+            <channel>
+                <title>Photos</title>
+                <item>
+                    <title>Media thumbnail</title>
+                    <guid>photo-1</guid>
+                    <description><![CDATA[<p><img src="https://example.com/large.jpg"></p>]]></description>
+                    <media:content url="https://example.com/photo1.jpg" medium="image">
+                        <media:thumbnail url="https://example.com/photo1-small.jpg"/>
+                    </media:content>
+                </item>
+                <item>
+                    <title>Content image</title>
+                    <guid>post-2</guid>
+                    <description><![CDATA[<p><img src="https://example.com/pixel.gif" width="1" height="1"><img src="https://example.com/photo2.jpg?a=1&amp;b=2"></p>]]></description>
+                </item>
+                <item>
+                    <title>No image</title>
+                    <guid>post-3</guid>
+                    <description>Text only</description>
+                </item>
+            </channel>
+        </rss>';
+
+        $rss = FeedParser::parse('https://example.com/photos', $rssContent);
+        $this->assertEquals('https://example.com/photo1-small.jpg', $rss['items'][0]['thumbnail_url']);
+        $this->assertEquals('https://example.com/photo2.jpg?a=1&b=2', $rss['items'][1]['thumbnail_url']);
+        $this->assertNull($rss['items'][2]['thumbnail_url']);
+
+        $atomContent = '<?xml version="1.0"?>
+        <feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+            <title>Videos</title>
+            <entry>
+                <title>Video</title>
+                <id>video-1</id>
+                <link href="https://example.com/watch/1"/>
+                <media:group>
+                    <media:thumbnail url="https://example.com/video1.jpg" width="480" height="360"/>
+                </media:group>
+            </entry>
+        </feed>';
+
+        $atom = FeedParser::parse('https://example.com/videos', $atomContent);
+        $this->assertEquals('https://example.com/video1.jpg', $atom['items'][0]['thumbnail_url']);
+
+        $jsonContent = json_encode([
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'title' => 'Design',
+            'items' => [
+                ['id' => '1', 'content_html' => '<p>Hi</p>', 'image' => 'https://example.com/design.png'],
+            ],
+        ]);
+
+        $json = FeedParser::parse('https://example.com/json', $jsonContent);
+        $this->assertEquals('https://example.com/design.png', $json['items'][0]['thumbnail_url']);
+    }
+
+    public function testParseItemThumbnailsResolveRelativeUrlsAndUseHttps(): void
+    {
+        $rssContent = '<?xml version="1.0"?>
+        <rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+            <channel>
+                <title>Blog</title>
+                <item>
+                    <title>Relative image</title>
+                    <link>https://example.com/posts/first</link>
+                    <guid>post-1</guid>
+                    <description><![CDATA[<p><img src="/images/first.jpg"></p>]]></description>
+                </item>
+                <item>
+                    <title>Path-relative image</title>
+                    <link>https://example.com/posts/second</link>
+                    <guid>post-2</guid>
+                    <description><![CDATA[<p><img src="../images/second.jpg"></p>]]></description>
+                </item>
+                <item>
+                    <title>Plain http thumbnail</title>
+                    <link>http://example.org/third</link>
+                    <guid>post-3</guid>
+                    <media:thumbnail url="http://example.org/third.jpg"/>
+                </item>
+                <item>
+                    <title>Relative image without a link</title>
+                    <guid>post-4</guid>
+                    <description><![CDATA[<p><img src="/images/fourth.jpg"></p>]]></description>
+                </item>
+            </channel>
+        </rss>';
+
+        $rss = FeedParser::parse('https://example.com/feed', $rssContent);
+        $this->assertEquals('https://example.com/images/first.jpg', $rss['items'][0]['thumbnail_url']);
+        $this->assertEquals('https://example.com/images/second.jpg', $rss['items'][1]['thumbnail_url']);
+        $this->assertEquals('https://example.org/third.jpg', $rss['items'][2]['thumbnail_url']);
+        $this->assertNull($rss['items'][3]['thumbnail_url']);
+
+        $jsonContent = json_encode([
+            'version' => 'https://jsonfeed.org/version/1.1',
+            'title' => 'Design',
+            'items' => [
+                ['id' => '1', 'url' => 'http://example.com/design/1', 'image' => 'cover.png'],
+            ],
+        ]);
+
+        $json = FeedParser::parse('https://example.com/json', $jsonContent);
+        $this->assertEquals('https://example.com/design/cover.png', $json['items'][0]['thumbnail_url']);
+    }
 }
@@ -34,6 +34,51 @@ class FeedServiceTest extends TestCase
         $this->assertFalse($result);
     }
 
+    public function testNormalizeSettingsReturnsOnlyGivenSettings(): void
+    {
+        $settings = FeedService::normalizeSettings([
+            'custom_title' => '  My Feed ',
+            'refresh_interval' => '60',
+            'hide_read_items' => false,
+            'retention_days' => null,
+            'paused' => true,
+        ]);
+
+        $this->assertSame([
+            'custom_title' => 'My Feed',
+            'refresh_interval' => 60,
+            'hide_read_items' => 0,
+            'retention_days' => null,
+            'paused' => 1,
+        ], $settings);
+
+        // An empty title resets to the feed's own title
+        $this->assertSame(['custom_title' => null], FeedService::normalizeSettings(['custom_title' => ' ']));
+    }
+
+    public function testNormalizeSettingsRejectsInvalidValues(): void
+    {
+        $cases = [
+            'Invalid URL' => ['url' => 'not a url'],
+            'Refresh interval must be between 5 and 10080 minutes' => ['refresh_interval' => 1],
+            'Invalid sort order (use newest or oldest)' => ['item_sort_order' => 'random'],
+            'Invalid hide read items setting' => ['hide_read_items' => 'yes'],
+            'Retention days must be between 1 and 3650' => ['retention_days' => 0],
+            'Retention count must be between 1 and 100000 items' => ['retention_count' => 'many'],
+            'Invalid paused setting' => ['paused' => null],
+            'Invalid layout (use compact, comfortable or cards)' => ['items_layout' => 'grid'],
+        ];
+
+        foreach ($cases as $message => $input) {
+            try {
+                FeedService::normalizeSettings($input);
+                $this->fail("Expected an error: {$message}");
+            } catch (\InvalidArgumentException $e) {
+                $this->assertEquals($message, $e->getMessage());
+            }
+        }
+    }
+
     // Note: Full integration tests would require database setup with test data
     // These tests verify the methods exist and handle non-existent records correctly
 }
@@ -0,0 +1,78 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\FilterRules;
+
+class FilterRulesTest extends TestCase
+{
+    public function testNormalizeReturnsRuleFields(): void
+    {
+        $rule = FilterRules::normalize([
+            'field' => 'title',
+            'match_type' => 'keyword',
+            'pattern' => '  Sponsored ',
+            'action' => 'tag',
+            'tag' => ' Ads ',
+        ]);
+
+        $this->assertEquals([
+            'field' => 'title',
+            'match_type' => 'keyword',
+            'pattern' => 'Sponsored',
+            'action' => 'tag',
+            'tag' => 'ads',
+        ], $rule);
+
+        $rule = FilterRules::normalize(['field' => 'any', 'match_type' => 'regex', 'pattern' => 'a/b', 'action' => 'star', 'tag' => 'ignored']);
+        $this->assertNull($rule['tag']);
+    }
+
+    public function testNormalizeRejectsInvalidRules(): void
+    {
+        $valid = ['field' => 'title', 'match_type' => 'keyword', 'pattern' => 'x', 'action' => 'hide'];
+        $cases = [
+            'Unknown field (use title, content, author, link or any)' => ['field' => 'body'],
+            'Unknown match type (use keyword or regex)' => ['match_type' => 'glob'],
+            'Pattern is required' => ['pattern' => '  '],
+            'Invalid regular expression' => ['match_type' => 'regex', 'pattern' => '(unclosed'],
+            'Unknown action (use mark_read, star, hide or tag)' => ['action' => 'delete'],
+            'Tag is required' => ['action' => 'tag', 'tag' => ''],
+        ];
+
+        foreach ($cases as $message => $change) {
+            try {
+                FilterRules::normalize(array_merge($valid, $change));
+                $this->fail("Expected an error: {$message}");
+            } catch (\InvalidArgumentException $e) {
+                $this->assertEquals($message, $e->getMessage());
+            }
+        }
+    }
+
+    public function testNormalizeTagTrimsAndLowercases(): void
+    {
+        $this->assertEquals('later', FilterRules::normalizeTag('  Later '));
+        $this->assertEquals('über', FilterRules::normalizeTag('ÜBER'));
+        $this->assertEquals('', FilterRules::normalizeTag('   '));
+    }
+
+    public function testMatchesKeywordsAndRegexes(): void
+    {
+        $item = [
+            'title' => 'Weekly Deals &amp; Offers',
+            'content' => '<p>Sponsored by <b>Acme</b></p>',
+            'summary' => null,
+            'author' => 'Jane',
+            'link' => 'https://example.com/deals/42',
+        ];
+
+        $this->assertTrue(FilterRules::matches(['field' => 'title', 'match_type' => 'keyword', 'pattern' => 'deals & offers'], $item));
+        $this->assertFalse(FilterRules::matches(['field' => 'title', 'match_type' => 'keyword', 'pattern' => 'acme'], $item));
+        $this->assertTrue(FilterRules::matches(['field' => 'content', 'match_type' => 'keyword', 'pattern' => 'sponsored by acme'], $item));
+        $this->assertTrue(FilterRules::matches(['field' => 'link', 'match_type' => 'regex', 'pattern' => '/deals/\d+$'], $item));
+        $this->assertTrue(FilterRules::matches(['field' => 'author', 'match_type' => 'regex', 'pattern' => '^jane$'], $item));
+        $this->assertFalse(FilterRules::matches(['field' => 'any', 'match_type' => 'regex', 'pattern' => '^jane$'], $item));
+    }
+}
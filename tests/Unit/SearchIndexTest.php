@@ -0,0 +1,48 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\SearchIndex;
+
+class SearchIndexTest extends TestCase
+{
+    public function testTokenizeSplitsIntoLowercaseWords(): void
+    {
+        $this->assertEquals(['php', '8', '4', 'release', 'notes'], SearchIndex::tokenize('PHP 8.4: Release-Notes!'));
+        $this->assertEquals(['café', 'größe'], SearchIndex::tokenize('Café Größe'));
+        $this->assertEquals([], SearchIndex::tokenize(' ++ -- '));
+    }
+
+    public function testSnippetHighlightsMatchingWords(): void
+    {
+        $snippet = SearchIndex::snippet('<p>Learn <b>PHP</b> &amp; PHPUnit in a week.</p>', ['php']);
+
+        $this->assertEquals('Learn <mark>PHP</mark> &amp; <mark>PHPUnit</mark> in a week.', $snippet);
+    }
+
+    public function testSnippetEscapesHtml(): void
+    {
+        $snippet = SearchIndex::snippet('Use &lt;script&gt; tags &quot;carefully&quot;', ['script']);
+
+        $this->assertEquals('Use &lt;<mark>script</mark>&gt; tags &quot;carefully&quot;', $snippet);
+    }
+
+    public function testSnippetStartsNearFirstMatch(): void
+    {
+        $text = str_repeat('Lorem ipsum dolor sit amet. ', 20) . 'The queue was drained. ' . str_repeat('Consectetur adipiscing elit. ', 20);
+
+        $snippet = SearchIndex::snippet($text, ['queue'], 120);
+
+        $this->assertStringStartsWith('…', $snippet);
+        $this->assertStringEndsWith('…', $snippet);
+        $this->assertStringContainsString('The <mark>queue</mark> was drained.', $snippet);
+        $this->assertLessThanOrEqual(120 + 2 * strlen('…') + strlen('<mark></mark>'), strlen($snippet));
+    }
+
+    public function testSnippetWithoutMatchesStartsAtBeginning(): void
+    {
+        $this->assertEquals('Short text', SearchIndex::snippet('Short text', ['queue']));
+        $this->assertEquals('', SearchIndex::snippet(null, ['queue']));
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\SearchQuery;
+
+class SearchQueryTest extends TestCase
+{
+    public function testParseReadsWordsPhrasesAndOperators(): void
+    {
+        $groups = SearchQuery::parse('php "exact phrase" feed:"Tech News" is:UNREAD -sponsor');
+
+        $this->assertCount(1, $groups);
+        $this->assertEquals([
+            ['field' => 'text', 'value' => 'php', 'negated' => false],
+            ['field' => 'text', 'value' => 'exact phrase', 'negated' => false],
+            ['field' => 'feed', 'value' => 'Tech News', 'negated' => false],
+            ['field' => 'is', 'value' => 'unread', 'negated' => false],
+            ['field' => 'text', 'value' => 'sponsor', 'negated' => true],
+        ], $groups[0]);
+    }
+
+    public function testParseSplitsGroupsOnOr(): void
+    {
+        $groups = SearchQuery::parse('php OR javascript after:2026-01-01');
+
+        $this->assertCount(2, $groups);
+        $this->assertEquals('php', $groups[0][0]['value']);
+        $this->assertCount(2, $groups[1]);
+        $this->assertEquals('after', $groups[1][1]['field']);
+    }
+
+    public function testParseTreatsUnknownPrefixesAsText(): void
+    {
+        $groups = SearchQuery::parse('https://example.com note:todo');
+
+        $this->assertEquals('text', $groups[0][0]['field']);
+        $this->assertEquals('https://example.com', $groups[0][0]['value']);
+        $this->assertEquals('note:todo', $groups[0][1]['value']);
+    }
+
+    public function testTextPhrasesSkipsOperatorsAndExclusions(): void
+    {
+        $groups = SearchQuery::parse('"Release Notes" feed:Tech -sponsor OR php8.4');
+
+        $this->assertEquals([['release', 'notes'], ['php8', '4']], SearchQuery::textPhrases($groups));
+    }
+
+    public function testParseRejectsInvalidQueries(): void
+    {
+        $invalid = [
+            'feed:"Tech News' => 'Missing closing quote',
+            'is:archived' => 'Unknown filter is:archived (use is:unread, is:read or is:starred)',
+            'before:2026-13-01' => 'Invalid date in before:2026-13-01 (use YYYY-MM-DD)',
+            'author:' => 'Missing value after author:',
+            'php OR' => 'OR must be between two search terms',
+            'OR php' => 'OR must be between two search terms',
+        ];
+
+        foreach ($invalid as $query => $message) {
+            try {
+                SearchQuery::parse($query);
+                $this->fail("Expected an error for: {$query}");
+            } catch (\InvalidArgumentException $e) {
+                $this->assertEquals($message, $e->getMessage());
+            }
+        }
+    }
+}
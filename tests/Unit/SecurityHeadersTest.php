@@ -0,0 +1,30 @@
+<?php
+
+namespace PhpRss\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+use PhpRss\SecurityHeaders;
+
+class SecurityHeadersTest extends TestCase
+{
+    public function testMediaMayComeFromHttpAndHttpsHosts(): void
+    {
+        // FeedParser keeps http:// enclosures, which are common for podcasts
+        $sources = SecurityHeaders::sources('media-src');
+        $this->assertContains('https:', $sources);
+        $this->assertContains('http:', $sources);
+    }
+
+    public function testImagesOnlyComeFromHttpsHosts(): void
+    {
+        // FeedParser upgrades http:// thumbnails to https:// to match
+        $sources = SecurityHeaders::sources('img-src');
+        $this->assertContains('https:', $sources);
+        $this->assertNotContains('http:', $sources);
+    }
+
+    public function testSourcesOfUnsetDirectiveAreEmpty(): void
+    {
+        $this->assertEquals([], SecurityHeaders::sources('worker-src'));
+    }
+}
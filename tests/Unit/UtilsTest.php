@@ -137,4 +137,78 @@ class UtilsTest extends TestCase
         $this->assertEquals('Test Content', $result['content']);
         $this->assertStringEndsWith('Z', $result['published_at']);
     }
+
+    public function testResolveUrlWithAbsoluteUrl(): void
+    {
+        $result = Utils::resolveUrl('https://example.com/page', 'https://other.com/feed');
+
+        $this->assertEquals('https://other.com/feed', $result);
+    }
+
+    public function testResolveUrlWithAbsolutePath(): void
+    {
+        $result = Utils::resolveUrl('https://example.com/page', '/feed.xml');
+
+        $this->assertEquals('https://example.com/feed.xml', $result);
+    }
+
+    public function testResolveUrlWithRelativePath(): void
+    {
+        $result = Utils::resolveUrl('https://example.com/blog/post', 'feed.xml');
+
+        $this->assertEquals('https://example.com/blog/feed.xml', $result);
+    }
+
+    public function testResolveUrlWithRelativePathFromRoot(): void
+    {
+        $result = Utils::resolveUrl('https://example.com/', 'feed.xml');
+
+        $this->assertEquals('https://example.com/feed.xml', $result);
+    }
+
+    public function testResolveUrlWithSchemeRelativeUrl(): void
+    {
+        $result = Utils::resolveUrl('http://example.com:8080/blog/', '//cdn.example.com/a.png');
+
+        $this->assertEquals('http://cdn.example.com/a.png', $result);
+    }
+
+    public function testResolveUrlKeepsPort(): void
+    {
+        $result = Utils::resolveUrl('http://example.com:8080/blog/post', 'image.png');
+
+        $this->assertEquals('http://example.com:8080/blog/image.png', $result);
+    }
+
+    public function testResolveUrlNormalizesPath(): void
+    {
+        $this->assertEquals('https://example.com/feed.xml', Utils::resolveUrl('https://example.com/blog/', '../feed.xml'));
+        $this->assertEquals('https://example.com/a/c', Utils::resolveUrl('https://example.com/a/b/', './../c'));
+        $this->assertEquals('https://example.com/c', Utils::resolveUrl('https://example.com/', '../../c'));
+        $this->assertEquals('https://example.com/a/', Utils::resolveUrl('https://example.com/a/b/c', '..'));
+    }
+
+    public function testResolveUrlLeavesQueryAndFragmentAlone(): void
+    {
+        $this->assertEquals(
+            'https://example.com/blog/feed?next=../x',
+            Utils::resolveUrl('https://example.com/blog/post', 'feed?next=../x')
+        );
+        $this->assertEquals(
+            'https://example.com/blog/post?page=2',
+            Utils::resolveUrl('https://example.com/blog/post?page=1', '?page=2')
+        );
+    }
+
+    public function testResolveUrlLeavesOtherSchemesAndFragmentsUnchanged(): void
+    {
+        $this->assertEquals('mailto:me@example.com', Utils::resolveUrl('https://example.com/', 'mailto:me@example.com'));
+        $this->assertEquals('#section', Utils::resolveUrl('https://example.com/', '#section'));
+    }
+
+    public function testResolveUrlReturnsNullWithoutValidBase(): void
+    {
+        $this->assertNull(Utils::resolveUrl('not-a-valid-url', 'feed.xml'));
+        $this->assertEquals('https://example.com/feed', Utils::resolveUrl('not-a-valid-url', 'https://example.com/feed'));
+    }
 }
@@ -50,9 +50,11 @@
                 <svg class="search-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
                     <circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/>
                 </svg>
-                <input type="search" id="search-input" class="search-input" placeholder="Search articles..." autocomplete="off">
+                <input type="search" id="search-input" class="search-input" placeholder="Search articles..." autocomplete="off" aria-describedby="search-hints">
+                <div id="search-hints" class="search-hints" role="status" hidden></div>
             </div>
             <div class="header-actions">
+                <span id="offline-indicator" class="offline-indicator" role="status" hidden></span>
                 <span class="username"><?= htmlspecialchars($user['username']) ?></span>
                 <button id="theme-toggle-btn" class="btn btn-icon btn-sm" aria-label="<?= !empty($user['dark_mode']) ? 'Switch to light mode' : 'Switch to dark mode' ?>" title="<?= !empty($user['dark_mode']) ? 'Switch to light mode' : 'Switch to dark mode' ?>">
                     <?php if (!empty($user['dark_mode'])): ?>
@@ -87,11 +89,18 @@
                     <button id="toggle-hide-feeds-no-unread-btn" class="btn btn-icon btn-sm" aria-label="Hide feeds with no unread items" title="Hide feeds with no unread items">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"/><line x1="1" y1="1" x2="23" y2="23"/></svg>
                     </button>
+                    <button id="feed-health-btn" class="btn btn-icon btn-sm" aria-label="Feed health" title="Feed health">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"/></svg>
+                    </button>
                     <button id="create-folder-btn" class="btn btn-icon btn-sm" aria-label="Create Folder" title="Create Folder">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
                             <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><line x1="12" y1="11" x2="12" y2="17"/><line x1="9" y1="14" x2="15" y2="14"/>
                         </svg>
                     </button>
+                    <div id="refresh-progress" class="refresh-progress" hidden>
+                        <progress id="refresh-progress-bar" max="1" value="0" aria-label="Refreshing feeds"></progress>
+                        <span id="refresh-progress-text" class="refresh-progress-text" aria-live="polite"></span>
+                    </div>
                 </div>
                 <div id="feeds-list" class="feeds-list">
                     <!-- Feeds will be loaded here -->
@@ -126,6 +135,16 @@
                         </button>
                     </div>
                 </div>
+                <div id="item-bulk-bar" class="item-bulk-bar" role="toolbar" aria-label="Selected items" hidden>
+                    <span id="item-bulk-count" class="item-bulk-count"></span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="mark_read">Mark read</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="mark_unread">Mark unread</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="star" title="Star (or unstar, if all are starred)">Star</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="tag">Tag…</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="read_above" title="Mark every item above the selection as read">Read above</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-bulk-action="read_below" title="Mark every item below the selection as read">Read below</button>
+                    <button type="button" class="btn btn-icon btn-sm item-bulk-clear" data-bulk-action="clear" aria-label="Clear selection" title="Clear selection">×</button>
+                </div>
                 <div id="items-list" class="items-list">
                     <div class="empty-state">Select a feed from the left to view items</div>
                 </div>
@@ -155,10 +174,114 @@
                 <div class="form-group">
                     <label for="feed-url">Feed URL or Website URL</label>
                     <input type="url" id="feed-url" name="url" placeholder="https://example.com/feed or https://example.com" required>
-                    <small style="color: var(--text-light); font-size: 0.9em;">Enter a feed URL or a website URL - we'll discover the feed automatically</small>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Enter a feed URL or a website URL - we'll list the feeds it offers</small>
                 </div>
-                <button type="submit" class="btn btn-primary">Add Feed</button>
+                <button type="submit" class="btn btn-primary">Find Feeds</button>
             </form>
+            <div id="feed-candidates" class="feed-candidates" hidden>
+                <div id="feed-candidates-list" class="feed-candidates-list">
+                    <!-- Discovered feeds will be listed here -->
+                </div>
+                <div class="form-group">
+                    <label for="add-feed-folder">Folder</label>
+                    <select id="add-feed-folder">
+                        <option value="">No folder</option>
+                    </select>
+                </div>
+                <button type="button" id="add-feed-subscribe-btn" class="btn btn-primary">Subscribe</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Feed Settings Modal -->
+    <div id="feed-settings-modal" class="modal">
+        <div class="modal-content">
+            <span class="close" id="feed-settings-close">&times;</span>
+            <h2>Feed Settings</h2>
+            <form id="feed-settings-form">
+                <div class="form-group">
+                    <label for="feed-settings-title">Title</label>
+                    <input type="text" id="feed-settings-title" name="custom_title" maxlength="255" autocomplete="off">
+                    <small style="color: var(--text-light); font-size: 0.9em;">Leave empty to use the feed's own title</small>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-url">Feed URL</label>
+                    <input type="url" id="feed-settings-url" name="url" required>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-refresh-interval">Refresh Interval</label>
+                    <select id="feed-settings-refresh-interval" name="refresh_interval">
+                        <option value="">Default</option>
+                        <option value="15">Every 15 minutes</option>
+                        <option value="30">Every 30 minutes</option>
+                        <option value="60">Every hour</option>
+                        <option value="180">Every 3 hours</option>
+                        <option value="360">Every 6 hours</option>
+                        <option value="720">Every 12 hours</option>
+                        <option value="1440">Once a day</option>
+                    </select>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Used by scheduled background refreshes</small>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-sort-order">Sort Order</label>
+                    <select id="feed-settings-sort-order" name="item_sort_order">
+                        <option value="">Default</option>
+                        <option value="newest">Newest first</option>
+                        <option value="oldest">Oldest first</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-hide-read">Read Items</label>
+                    <select id="feed-settings-hide-read" name="hide_read_items">
+                        <option value="">Default</option>
+                        <option value="1">Hide read items</option>
+                        <option value="0">Show read items</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-items-layout">Layout</label>
+                    <select id="feed-settings-items-layout" name="items_layout">
+                        <option value="">Default</option>
+                        <option value="compact">Compact</option>
+                        <option value="comfortable">Comfortable</option>
+                        <option value="cards">Cards</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="feed-settings-retention-days">Keep Items</label>
+                    <div style="display: flex; gap: 8px;">
+                        <input type="number" id="feed-settings-retention-days" name="retention_days" min="1" max="3650" aria-label="Days to keep items">
+                        <input type="number" id="feed-settings-retention-count" name="retention_count" min="1" max="100000" aria-label="Maximum number of items to keep">
+                    </div>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Days to keep items and maximum number of items; leave empty for the defaults. Starred items are always kept.</small>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label" for="feed-settings-full-article">
+                        <input type="checkbox" id="feed-settings-full-article" name="always_load_full_article">
+                        Always load full article
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label" for="feed-settings-paused">
+                        <input type="checkbox" id="feed-settings-paused" name="paused">
+                        Pause updates
+                    </label>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Paused feeds are skipped by "Refresh all" and scheduled refreshes</small>
+                </div>
+                <button type="submit" class="btn btn-primary">Save Settings</button>
+            </form>
+        </div>
+    </div>
+
+    <!-- Feed Health Modal -->
+    <div id="feed-health-modal" class="modal">
+        <div class="modal-content">
+            <span class="close" id="feed-health-close">&times;</span>
+            <h2>Feed Health</h2>
+            <p style="color: var(--text-light); font-size: 0.9em;">Feeds whose latest updates failed, or that haven't been updated for a while.</p>
+            <div id="feed-health-list" class="feed-health-list">
+                <!-- Failing and stale feeds will be loaded here -->
+            </div>
         </div>
     </div>
 
@@ -204,6 +327,69 @@
                         <option value="Mulish" <?= ($user['font_family'] ?? 'system') === 'Mulish' ? 'selected' : '' ?>>Mulish</option>
                     </select>
                 </div>
+                <div class="form-group">
+                    <label for="items-layout">Items Layout</label>
+                    <select id="items-layout" name="items_layout">
+                        <option value="compact" <?= ($user['items_layout'] ?? 'compact') === 'compact' ? 'selected' : '' ?>>Compact</option>
+                        <option value="comfortable" <?= ($user['items_layout'] ?? 'compact') === 'comfortable' ? 'selected' : '' ?>>Comfortable (with excerpts)</option>
+                        <option value="cards" <?= ($user['items_layout'] ?? 'compact') === 'cards' ? 'selected' : '' ?>>Cards (with thumbnails)</option>
+                    </select>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Feeds can override this in their settings</small>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label" for="mark-read-on-scroll">
+                        <input type="checkbox" id="mark-read-on-scroll" name="mark_read_on_scroll" <?= ! empty($user['mark_read_on_scroll']) ? 'checked' : '' ?>>
+                        Mark items as read on scroll
+                    </label>
+                    <small style="color: var(--text-light); font-size: 0.9em;">Items are marked read when they scroll past the top of the list or their content is scrolled to the end, instead of when opened</small>
+                </div>
+                <hr style="border: none; border-top: 1px solid var(--border); margin: 20px 0;">
+                <div class="form-group">
+                    <label>Keyboard Shortcuts</label>
+                    <div id="keyboard-shortcuts-settings" class="shortcut-settings">
+                        <!-- Shortcut inputs will be rendered here -->
+                    </div>
+                    <small style="color: var(--text-light); font-size: 0.9em; display: block; margin-top: 8px;">Separate multiple keys with commas, e.g. <kbd>o</kbd>, <kbd>Enter</kbd> or <kbd>Shift+A</kbd></small>
+                    <button type="button" id="reset-shortcuts-btn" class="btn btn-secondary btn-sm" style="margin-top: 8px;">Reset to Defaults</button>
+                </div>
+                <hr style="border: none; border-top: 1px solid var(--border); margin: 20px 0;">
+                <div class="form-group">
+                    <label>Filter Rules</label>
+                    <div id="filter-rules-list" class="filter-rules-list">
+                        <!-- Filter rules will be rendered here -->
+                    </div>
+                    <div id="filter-rule-form" class="filter-rule-form">
+                        <div class="filter-rule-form-row">
+                            <select id="filter-rule-field" aria-label="Field to match">
+                                <option value="title">Title</option>
+                                <option value="content">Content</option>
+                                <option value="author">Author</option>
+                                <option value="link">Link</option>
+                                <option value="any">Any field</option>
+                            </select>
+                            <select id="filter-rule-match-type" aria-label="Match type">
+                                <option value="keyword">contains</option>
+                                <option value="regex">matches regex</option>
+                            </select>
+                            <input type="text" id="filter-rule-pattern" placeholder="Keyword or regular expression" aria-label="Pattern" autocomplete="off" spellcheck="false">
+                        </div>
+                        <div class="filter-rule-form-row">
+                            <select id="filter-rule-scope" aria-label="Feeds the rule applies to">
+                                <option value="">All feeds</option>
+                            </select>
+                            <select id="filter-rule-action" aria-label="Action">
+                                <option value="mark_read">Mark as read</option>
+                                <option value="star">Star</option>
+                                <option value="hide">Hide</option>
+                                <option value="tag">Tag</option>
+                            </select>
+                            <input type="text" id="filter-rule-tag" placeholder="Tag name" aria-label="Tag name" maxlength="50" autocomplete="off" hidden>
+                            <button type="button" id="filter-rule-add-btn" class="btn btn-secondary btn-sm">Add Rule</button>
+                        </div>
+                        <small id="filter-rule-preview" class="filter-rule-preview" aria-live="polite"></small>
+                    </div>
+                    <small style="color: var(--text-light); font-size: 0.9em; display: block; margin-top: 8px;">Rules apply to new items as feeds are refreshed. Tagged items can be found with <kbd>tag:name</kbd> in search.</small>
+                </div>
                 <hr style="border: none; border-top: 1px solid var(--border); margin: 20px 0;">
                 <div class="form-group">
                     <label>Feed Management</label>
@@ -229,29 +415,57 @@
         </div>
     </div>
 
+    <!-- Keyboard Shortcuts Help Modal -->
+    <div id="shortcuts-modal" class="modal">
+        <div class="modal-content">
+            <span class="close" id="shortcuts-close">&times;</span>
+            <h2>Keyboard Shortcuts</h2>
+            <dl id="shortcuts-list" class="shortcuts-list">
+                <!-- Shortcut help will be rendered here -->
+            </dl>
+        </div>
+    </div>
+
     <script>
         // Initialize user preferences from server (must be before app.js)
+        var currentUserId = <?= json_encode((int)$user['id']) ?>;
         var hideReadItems = <?= json_encode((bool)($user['hide_read_items'] ?? true)) ?>;
         var hideFeedsWithNoUnread = <?= json_encode((bool)($user['hide_feeds_with_no_unread'] ?? false)) ?>;
         var itemSortOrder = <?= json_encode($user['item_sort_order'] ?? 'newest') ?>;
         var userTimezone = <?= json_encode($user['timezone'] ?? 'UTC') ?>;
         var defaultThemeMode = <?= json_encode($user['default_theme_mode'] ?? 'system') ?>;
         var fontFamily = <?= json_encode($user['font_family'] ?? 'system') ?>;
+        var keyboardShortcuts = <?= json_encode((object)(json_decode($user['keyboard_shortcuts'] ?? '', true) ?: [])) ?>;
+        var markReadOnScroll = <?= json_encode((bool)($user['mark_read_on_scroll'] ?? false)) ?>;
+        var itemsLayout = <?= json_encode($user['items_layout'] ?? 'compact') ?>;
     </script>
     <!-- Utility modules -->
     <script src="https://cdn.jsdelivr.net/npm/dompurify@3.3.1/dist/purify.min.js"></script>
+    <script src="/assets/js/utils/store.js"></script>
     <script src="/assets/js/utils/csrf.js"></script>
     <script src="/assets/js/utils/toast.js"></script>
     <script src="/assets/js/utils/dateFormat.js"></script>
     <script src="/assets/js/utils/ui.js"></script>
     <script src="/assets/js/utils/resizer.js"></script>
+    <script src="/assets/js/utils/offlineStore.js"></script>
     
     <!-- Feature modules -->
     <script src="/assets/js/modules/feeds.js"></script>
+    <script src="/assets/js/modules/feedDiscovery.js"></script>
     <script src="/assets/js/modules/items.js"></script>
+    <script src="/assets/js/modules/itemSelection.js"></script>
     <script src="/assets/js/modules/folders.js"></script>
     <script src="/assets/js/modules/search.js"></script>
+    <script src="/assets/js/modules/savedSearches.js"></script>
+    <script src="/assets/js/modules/feedSettings.js"></script>
+    <script src="/assets/js/modules/feedHealth.js"></script>
+    <script src="/assets/js/modules/filterRules.js"></script>
     <script src="/assets/js/modules/preferences.js"></script>
+    <script src="/assets/js/modules/keyboard.js"></script>
+    <script src="/assets/js/modules/scrollRead.js"></script>
+    <script src="/assets/js/modules/offline.js"></script>
+    <script src="/assets/js/modules/liveUpdates.js"></script>
+    <script src="/assets/js/modules/mediaPlayer.js"></script>
     
     <!-- Main application -->
     <script src="/assets/js/app.js"></script>